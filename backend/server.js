@@ -7,63 +7,115 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const syncManager = require('./services/syncManager');
+const shopifyClient = require('./services/shopifyClient');
+const shopifyAuth = require('./services/shopifyAuth');
+const sessionAuth = require('./services/sessionAuth');
+const syncJobs = require('./services/syncJobs');
+const syncRuns = require('./services/syncRuns');
+const scheduler = require('./services/scheduler');
+const locationMapping = require('./services/locationMapping');
+const stockBuffers = require('./services/stockBuffers');
+const pricing = require('./services/pricing');
+const retirement = require('./services/retirement');
+const productLinks = require('./services/productLinks');
+const orderImport = require('./services/orderImport');
+const webhooks = require('./services/webhooks');
+const drift = require('./services/drift');
+const fieldMapping = require('./services/fieldMapping');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+// Browsers may only call the API from the dashboard's origin (FRONTEND_URL)
+app.use(cors({ origin: sessionAuth.allowedOrigins() }));
+// The raw body is kept for webhook signature checks; webhook bodies (products with many
+// variants and images, large orders) can exceed express's 100kb default
+app.use(express.json({ limit: '2mb', verify: (req, res, buf) => { req.rawBody = buf; } }));
+// Session token or API key on every /api route, except health, OAuth and webhooks
+app.use('/api', sessionAuth.requireAuth);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Options of the OAuth state cookie; SameSite=Lax so it is sent on Shopify's redirect back
+const stateCookieOptions = () => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: String(process.env.BACKEND_PUBLIC_URL || '').startsWith('https://'),
+  path: '/api/shopify/callback'
+});
+
+/**
+ * Reads one cookie from the request's Cookie header
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|undefined} Decoded value
+ */
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        return undefined;
+      }
+    }
+  }
+  return undefined;
+}
+
 /**
  * GET /api/shopify/auth
- * Redirects to Shopify OAuth page
+ * Starts installing the app (or re-authorizing it after the scopes changed) by redirecting to Shopify.
+ * Installing on another shop than the installed one needs a session token or API key on this request
+ * @param {string} shop - Optional: Shop domain; defaults to the installed shop or PUBLIC_STORE_DOMAIN
  */
 app.get('/api/shopify/auth', (req, res) => {
-  const authUrl = syncManager.getAuthUrl();
-  console.log('[AUTH] Redirecting to:', authUrl);
-  res.redirect(authUrl);
+  try {
+    let authenticated = false;
+    try {
+      sessionAuth.authenticate(req);
+      authenticated = true;
+    } catch (error) {
+      // Public route: a plain install or re-authorization needs no credentials
+    }
+    const { url, stateCookie } = shopifyAuth.beginAuth(req.query.shop, { authenticated });
+    res.cookie(shopifyAuth.STATE_COOKIE, stateCookie, { ...stateCookieOptions(), maxAge: shopifyAuth.STATE_TTL_MS });
+    res.redirect(url);
+  } catch (error) {
+    console.error('[AUTH] Error:', error.message);
+    res.status(error.statusCode || 500).type('text').send(error.message);
+  }
 });
 
 /**
  * GET /api/shopify/callback
- * Handles Shopify OAuth callback
+ * Handles Shopify's OAuth callback: checks it, stores the access token and opens the app in Shopify admin
  */
 app.get('/api/shopify/callback', async (req, res) => {
-  const { code, shop } = req.query;
-  console.log('[AUTH] Callback received for shop:', shop);
-
-  if (!code) {
-    return res.status(400).send('Missing code');
-  }
-
+  const stateCookie = readCookie(req, shopifyAuth.STATE_COOKIE);
+  res.clearCookie(shopifyAuth.STATE_COOKIE, stateCookieOptions());
   try {
-    const tokenData = await syncManager.exchangeCodeForToken(code);
-    console.log('[AUTH] Token successfully generated!');
-
-    // Output the token so the user can copy it easily
-    res.send(`
-      <div style="font-family: sans-serif; padding: 40px; text-align: center;">
-        <h1 style="color: #2c3e50;">Bhai, Success! 🎉</h1>
-        <p>Your new authorized Shopify token is:</p>
-        <code style="display: block; padding: 20px; background: #f4f4f4; border-radius: 8px; font-weight: bold; margin: 20px 0; word-break: break-all;">
-          ${tokenData.access_token}
-        </code>
-        <p>Please copy this and paste it into your <b>backend/.env</b> file for <b>PRIVATE_STOREFRONT_API_TOKEN</b>.</p>
-        <p style="color: #7f8c8d; font-size: 0.9em;">(After updating, restart the backend and your channels will work!)</p>
-      </div>
-    `);
+    const status = await shopifyAuth.completeAuth(req.query, { stateCookie });
+    res.redirect(`https://${status.shop}/admin/apps/${process.env.SHOPIFY_API_KEY}`);
   } catch (error) {
     console.error('[AUTH] Callback error:', error.message);
-    res.status(500).send('Failed to generate token. Please check backend logs.');
+    res.status(error.statusCode || 500).type('text').send(`Could not install the app: ${error.message}`);
   }
 });
 
+/**
+ * GET /api/shopify/auth/status
+ * Returns whether the app is installed, on which shop, with which scopes, and whether it must be re-authorized
+ */
+app.get('/api/shopify/auth/status', (req, res) => {
+  res.json({ success: true, auth: shopifyAuth.getAuthStatus() });
+});
+
 /**
  * GET /api/channels
  * Fetches available Shopify sales channels (publications)
@@ -87,51 +139,746 @@ app.get('/api/channels', async (req, res) => {
 
 /**
  * POST /api/sync/start
- * Initiates the sync process from inFlow to Shopify
+ * Queues a sync job from inFlow to Shopify and returns immediately
  * @param {Array} channelIds - Optional: Array of Shopify publication IDs to publish products to
- * Returns an array of log messages showing sync progress
+ * @param {boolean} dryRun - Optional: Only report planned changes without writing to Shopify
+ * @param {Object} filters - Optional: Sync only matching products: { skus: [...], category: '...', search: '...' }
+ * @param {boolean} fullResync - Optional: Fetch the whole catalog instead of only changes since the last successful sync
+ * @param {boolean} stockOnly - Optional: Only set the stock of products already in Shopify
+ * Returns the job ID; poll GET /api/sync/jobs/:id for progress (and the plan of a dry run)
  */
-app.post('/api/sync/start', async (req, res) => {
-  const { channelIds } = req.body;
-  console.log('[SYNC] Starting sync process...');
+app.post('/api/sync/start', (req, res) => {
+  const { channelIds, dryRun, filters, fullResync, stockOnly } = req.body;
+  console.log(`[SYNC] Queueing ${dryRun ? 'dry-run ' : ''}sync job...`);
   if (channelIds && channelIds.length > 0) {
     console.log('[SYNC] Target channels count:', channelIds.length);
   }
 
   try {
-    // Execute the sync and collect logs
-    const result = await syncManager.startSync(channelIds);
+    const job = syncJobs.enqueueSync({ channelIds, dryRun, filters, fullResync, stockOnly });
+    res.status(202).json({ success: true, jobId: job.id, status: job.status });
+  } catch (error) {
+    console.error('[SYNC] Failed to queue sync:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
 
-    const response = {
-      success: result.success,
-      logs: result.logs,
-      summary: {
-        total: result.summary.total,
-        created: result.summary.created,
-        updated: result.summary.updated,
-        unchanged: result.summary.skipped,
-        failed: result.summary.failed
-      }
-    };
-
-    // Return appropriate HTTP status
-    if (result.summary.failed > 0 && result.summary.failed === result.summary.total) {
-      // All products failed
-      res.status(500).json(response);
-    } else if (result.summary.failed > 0) {
-      // Partial success
-      res.status(207).json(response);
-    } else {
-      // Full success
-      res.json(response);
+/**
+ * POST /api/sync/sku/:sku
+ * Queues a sync of a single product ahead of waiting jobs and returns its job ID;
+ * the result is in the job once it has finished (GET /api/sync/jobs/:id)
+ * @param {Array} channelIds - Optional: Array of Shopify publication IDs to publish the product to
+ * @param {boolean} dryRun - Optional: Only report planned changes without writing to Shopify
+ */
+app.post('/api/sync/sku/:sku', (req, res) => {
+  const { sku } = req.params;
+  const { channelIds, dryRun } = req.body;
+  console.log(`[SYNC] Queueing single SKU ${sku}...`);
+
+  try {
+    const job = syncJobs.enqueuePrioritySync({
+      channelIds,
+      dryRun,
+      filters: { skus: [sku] },
+      trigger: 'single-sku'
+    });
+    res.status(202).json({ success: true, jobId: job.id, status: job.status });
+  } catch (error) {
+    console.error('[SYNC] Single SKU sync error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/inflow/products
+ * Searches active inFlow products by name or SKU
+ * @param {string} search - Search term
+ */
+app.get('/api/inflow/products', async (req, res) => {
+  try {
+    const products = await syncManager.searchInflowProducts(req.query.search || '');
+    res.json({ success: true, products });
+  } catch (error) {
+    console.error('[INFLOW] Search error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message, products: [] });
+  }
+});
+
+/**
+ * GET /api/sync/jobs/:id
+ * Returns the status, summary counters and logs of a sync job
+ */
+app.get('/api/sync/jobs/:id', (req, res) => {
+  const job = syncJobs.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Sync job not found' });
+  }
+  res.json({ success: true, job });
+});
+
+/**
+ * POST /api/sync/jobs/:id/stream-ticket
+ * Issues a single-use ticket for opening the job's event stream, valid for one minute
+ * (EventSource cannot send the session token as a header)
+ */
+app.post('/api/sync/jobs/:id/stream-ticket', (req, res) => {
+  const job = syncJobs.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Sync job not found' });
+  }
+  const ticket = sessionAuth.issueStreamTicket(`/api/sync/jobs/${job.id}/events`, req.auth);
+  res.json({ success: true, ticket, expiresIn: sessionAuth.STREAM_TICKET_TTL_MS / 1000 });
+});
+
+/**
+ * GET /api/sync/jobs/:id/events
+ * Streams live job updates as Server-Sent Events
+ * @param {string} ticket - Stream ticket from POST /api/sync/jobs/:id/stream-ticket
+ * Sends a 'snapshot' of the job first, then 'log', 'progress', 'result' and 'status' events,
+ * and a final 'done' event once the job has finished
+ */
+app.get('/api/sync/jobs/:id/events', (req, res) => {
+  const job = syncJobs.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Sync job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  send('snapshot', job);
+  if (syncJobs.FINISHED_STATUSES.includes(job.status)) {
+    send('done', { status: job.status });
+    return res.end();
+  }
+
+  // Comment lines keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  const unsubscribe = syncJobs.subscribeJob(job.id, (event, data) => {
+    send(event, data);
+    if (event === 'status' && syncJobs.FINISHED_STATUSES.includes(data.status)) {
+      send('done', { status: data.status });
+      res.end();
     }
+  });
+
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
+
+/**
+ * POST /api/sync/jobs/:id/cancel
+ * Cancels a queued job, or stops a running job after its current batch
+ */
+app.post('/api/sync/jobs/:id/cancel', async (req, res) => {
+  const job = await syncJobs.cancelJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Sync job not found' });
+  }
+  console.log(`[SYNC] Cancel requested for job ${job.id}`);
+  res.json({ success: true, job });
+});
+
+/**
+ * GET /api/sync/runs
+ * Lists past sync runs (newest first) without their per-SKU results and logs
+ * @param {number} limit - Optional: Maximum number of runs to return (default 50)
+ */
+app.get('/api/sync/runs', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit, 10) || undefined;
+    const runs = await syncRuns.listRuns({ limit });
+    res.json({ success: true, runs });
   } catch (error) {
-    console.error('[SYNC] Fatal error:', error.message);
-    res.status(500).json({
-      success: false,
-      logs: [`Fatal Error: ${error.message}`],
-      summary: { total: 0, created: 0, updated: 0, unchanged: 0, failed: 0 }
+    console.error('[RUNS] Error:', error.message);
+    res.status(500).json({ success: false, error: error.message, runs: [] });
+  }
+});
+
+/**
+ * GET /api/sync/runs/:id
+ * Returns a past sync run with its per-SKU results and logs
+ */
+app.get('/api/sync/runs/:id', async (req, res) => {
+  try {
+    const run = await syncRuns.getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Sync run not found' });
+    }
+    res.json({ success: true, run });
+  } catch (error) {
+    console.error('[RUNS] Error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/schedules
+ * Lists the automatic sync schedules with their next run times
+ */
+app.get('/api/schedules', async (req, res) => {
+  try {
+    const schedules = await scheduler.listSchedules();
+    res.json({ success: true, schedules });
+  } catch (error) {
+    console.error('[SCHEDULER] Error:', error.message);
+    res.status(500).json({ success: false, error: error.message, schedules: [] });
+  }
+});
+
+/**
+ * POST /api/schedules
+ * Creates a sync schedule
+ * @param {string} name - Schedule name
+ * @param {string} cron - Cron expression, e.g. "*\/15 * * * *"
+ * @param {string} timezone - Optional: IANA time zone for the cron expression
+ * @param {boolean} enabled - Optional: Whether the schedule is active (default true)
+ * @param {Array} channelIds - Optional: Array of Shopify publication IDs to publish products to
+ * @param {boolean} fullResync - Optional: Always fetch the whole catalog (e.g. for a nightly run)
+ * @param {boolean} stockOnly - Optional: Only set stock (e.g. for a frequent run next to a nightly full one)
+ */
+app.post('/api/schedules', async (req, res) => {
+  try {
+    const schedule = await scheduler.createSchedule(req.body);
+    res.status(201).json({ success: true, schedule });
+  } catch (error) {
+    console.error('[SCHEDULER] Error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/schedules/:id
+ * Edits a schedule; send { enabled: false } to pause it and { enabled: true } to resume
+ */
+app.put('/api/schedules/:id', async (req, res) => {
+  try {
+    const schedule = await scheduler.updateSchedule(req.params.id, req.body);
+    res.json({ success: true, schedule });
+  } catch (error) {
+    console.error('[SCHEDULER] Error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/schedules/:id
+ * Deletes a schedule
+ */
+app.delete('/api/schedules/:id', async (req, res) => {
+  try {
+    await scheduler.deleteSchedule(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[SCHEDULER] Error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/locations
+ * Lists inFlow and Shopify locations together with the saved location mapping
+ */
+app.get('/api/locations', async (req, res) => {
+  try {
+    const [inflowLocations, shopifyLocations, mapping] = await Promise.all([
+      locationMapping.listInflowLocations(),
+      locationMapping.listShopifyLocations(),
+      locationMapping.getLocationMapping()
+    ]);
+    res.json({ success: true, inflowLocations, shopifyLocations, mapping });
+  } catch (error) {
+    console.error('[LOCATIONS] Error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/locations/mapping
+ * Replaces the inFlow → Shopify location mapping; an empty mappings list sends all stock to one location again
+ * @param {Array} mappings - [{ inflowLocationId, sublocation, shopifyLocationId }]; sublocation is optional
+ * @param {string} unmappedPolicy - 'ignore' (default) or 'default'
+ * @param {string} defaultShopifyLocationId - Shopify location for unmapped stock when unmappedPolicy is 'default'
+ */
+app.put('/api/locations/mapping', async (req, res) => {
+  try {
+    const mapping = await locationMapping.saveLocationMapping(req.body);
+    res.json({ success: true, mapping });
+  } catch (error) {
+    console.error('[LOCATIONS] Error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/stock-buffers
+ * Returns the safety-stock buffers held back from Shopify
+ */
+app.get('/api/stock-buffers', async (req, res) => {
+  try {
+    const buffers = await stockBuffers.getStockBuffers();
+    res.json({ success: true, buffers });
+  } catch (error) {
+    console.error('[BUFFERS] Error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/stock-buffers
+ * Replaces the safety-stock buffers
+ * @param {number} global - Buffer for products without a category or SKU buffer
+ * @param {Object} categories - Optional: Category name → buffer
+ * @param {Object} skus - Optional: SKU → buffer (wins over the category buffer)
+ */
+app.put('/api/stock-buffers', async (req, res) => {
+  try {
+    const buffers = await stockBuffers.saveStockBuffers(req.body);
+    res.json({ success: true, buffers });
+  } catch (error) {
+    console.error('[BUFFERS] Error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/pricing
+ * Returns the pricing settings with the inFlow pricing schemes and the rule options
+ */
+app.get('/api/pricing', async (req, res) => {
+  try {
+    const [schemes, settings] = await Promise.all([
+      pricing.listPricingSchemes(),
+      pricing.getPricing()
+    ]);
+    res.json({
+      success: true,
+      pricing: settings,
+      schemes,
+      markupTypes: pricing.MARKUP_TYPES,
+      markupBases: pricing.MARKUP_BASES,
+      roundings: pricing.ROUNDINGS
+    });
+  } catch (error) {
+    console.error('[PRICING] Error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/pricing
+ * Replaces the pricing settings
+ * @param {string|null} priceSchemeId - inFlow pricing scheme for the price; null uses the default price
+ * @param {string|null} compareAtSchemeId - Optional: inFlow pricing scheme for the compare-at price
+ * @param {Object} global - Rule: { markupType, markup, basis, rounding, minMargin }
+ * @param {Object} categories - Optional: Category name → rule
+ * @param {Object} skus - Optional: SKU → rule (wins over the category rule)
+ */
+app.put('/api/pricing', async (req, res) => {
+  try {
+    const settings = await pricing.savePricing(req.body);
+    res.json({ success: true, pricing: settings });
+  } catch (error) {
+    console.error('[PRICING] Error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/retirement
+ * Returns what happens to Shopify products whose inFlow products are deactivated or deleted
+ */
+app.get('/api/retirement', async (req, res) => {
+  try {
+    const settings = await retirement.getRetirement();
+    res.json({ success: true, retirement: settings, policies: retirement.POLICIES });
+  } catch (error) {
+    console.error('[RETIRE] Error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/retirement
+ * Replaces the retirement settings
+ * @param {string} policy - 'none', 'draft', 'archive', 'unpublish' or 'zero_stock'
+ * @param {number} maxSharePercent - Retirement is aborted above this share of the linked products (1-100)
+ */
+app.put('/api/retirement', async (req, res) => {
+  try {
+    const settings = await retirement.saveRetirement(req.body);
+    res.json({ success: true, retirement: settings });
+  } catch (error) {
+    console.error('[RETIRE] Error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/product-links
+ * Lists the stored inFlow → Shopify links, with duplicate-SKU and shared-variant conflicts flagged
+ * @param {string} search - Optional: part of a SKU or ID
+ * @param {boolean} conflicts - Optional: only return links with a conflict
+ */
+app.get('/api/product-links', async (req, res) => {
+  try {
+    const links = await productLinks.listLinks({
+      search: req.query.search || '',
+      conflictsOnly: req.query.conflicts === 'true'
     });
+    const conflictCount = links.filter(link => link.conflict).length;
+    res.json({ success: true, links, conflictCount });
+  } catch (error) {
+    console.error('[LINKS] Error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/product-links/:inflowId
+ * Links an inFlow product to a Shopify variant by hand, replacing its current link or conflict
+ * @param {string} shopifyVariantId - Shopify variant ID (numeric or GraphQL ID)
+ * @param {string} sku - Optional: inFlow SKU, shown until the next sync
+ */
+app.put('/api/product-links/:inflowId', async (req, res) => {
+  try {
+    const { shopifyVariantId, sku } = req.body || {};
+    if (!shopifyVariantId) {
+      return res.status(400).json({ success: false, error: 'shopifyVariantId is required' });
+    }
+    const variant = await syncManager.fetchShopifyVariant(String(shopifyVariantId).trim());
+    if (!variant) {
+      return res.status(404).json({ success: false, error: `Shopify variant ${shopifyVariantId} not found` });
+    }
+    const link = await productLinks.linkManually(req.params.inflowId, variant, sku);
+    res.json({ success: true, link });
+  } catch (error) {
+    console.error('[LINKS] Error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/product-links/:inflowId
+ * Removes a link; the next sync looks the product up by SKU again
+ */
+app.delete('/api/product-links/:inflowId', async (req, res) => {
+  try {
+    await productLinks.unlink(req.params.inflowId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[LINKS] Error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/webhooks/:topic
+ * Shopify webhook receiver, e.g. /api/webhooks/orders/create. Checks the signature,
+ * answers right away and runs the topic's handler; duplicate deliveries are ignored
+ * and failed handler runs are kept for replay (see /api/webhook-failures)
+ */
+app.post('/api/webhooks/:resource/:event', async (req, res) => {
+  const topic = `${req.params.resource}/${req.params.event}`;
+  if (!shopifyClient.verifyWebhookHmac(req.rawBody, req.get('X-Shopify-Hmac-Sha256'))) {
+    console.error(`[WEBHOOKS] Rejected ${topic} webhook with an invalid signature`);
+    return res.status(401).json({ success: false, error: 'Invalid webhook signature' });
+  }
+
+  try {
+    const webhookId = req.get('X-Shopify-Webhook-Id');
+    const isNew = await webhooks.acceptDelivery({ topic, headerTopic: req.get('X-Shopify-Topic'), webhookId });
+    res.json({ success: true, duplicate: !isNew });
+    if (!isNew) {
+      console.log(`[WEBHOOKS] Ignored duplicate ${topic} delivery ${webhookId}`);
+      return;
+    }
+    webhooks.handleDelivery({ topic, webhookId, shop: req.get('X-Shopify-Shop-Domain'), payload: req.body })
+      .catch(error => console.error(`[WEBHOOKS] ${topic} error:`, error.message));
+  } catch (error) {
+    console.error('[WEBHOOKS] Error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/webhooks/subscriptions
+ * Lists which handled topics the shop is subscribed to, and where they are delivered
+ */
+app.get('/api/webhooks/subscriptions', async (req, res) => {
+  try {
+    const subscriptions = await webhooks.listSubscriptions();
+    res.json({ success: true, subscriptions });
+  } catch (error) {
+    console.error('[WEBHOOKS] Error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/webhooks/subscriptions
+ * Subscribes the shop to the handled topics it is missing, with callbacks at BACKEND_PUBLIC_URL
+ */
+app.post('/api/webhooks/subscriptions', async (req, res) => {
+  try {
+    const subscriptions = await webhooks.registerSubscriptions();
+    res.json({ success: true, subscriptions });
+  } catch (error) {
+    console.error('[WEBHOOKS] Error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/webhook-failures
+ * Lists webhook deliveries whose handler failed, newest first
+ */
+app.get('/api/webhook-failures', async (req, res) => {
+  try {
+    const failures = await webhooks.listFailures();
+    res.json({ success: true, failures });
+  } catch (error) {
+    console.error('[WEBHOOKS] Error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/webhook-failures/:id/replay
+ * Runs the handler of a failed delivery again; it is removed from the list when it succeeds
+ */
+app.post('/api/webhook-failures/:id/replay', async (req, res) => {
+  try {
+    const result = await webhooks.replayFailure(req.params.id);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[WEBHOOKS] Error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/webhook-failures/:id
+ * Removes a failed delivery without replaying it
+ */
+app.delete('/api/webhook-failures/:id', async (req, res) => {
+  try {
+    await webhooks.deleteFailure(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[WEBHOOKS] Error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/order-import
+ * Returns the order import settings, the last catch-up poll and the inFlow locations to ship from
+ */
+app.get('/api/order-import', async (req, res) => {
+  try {
+    const [settings, poll, inflowLocations] = await Promise.all([
+      orderImport.getOrderImport(),
+      orderImport.getPollState(),
+      locationMapping.listInflowLocations()
+    ]);
+    res.json({ success: true, settings, poll, inflowLocations });
+  } catch (error) {
+    console.error('[ORDERS] Error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/order-import
+ * Saves the order import settings
+ * @param {boolean} enabled - Import Shopify orders into inFlow
+ * @param {string} orderNumberPrefix - Prefix of inFlow order numbers, e.g. 'SH-'
+ * @param {string|null} inflowLocationId - inFlow location the orders ship from
+ * @param {number} pollMinutes - Minutes between catch-up polls (5-1440)
+ */
+app.put('/api/order-import', async (req, res) => {
+  try {
+    const settings = await orderImport.saveOrderImport(req.body);
+    res.json({ success: true, settings });
+  } catch (error) {
+    console.error('[ORDERS] Error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/order-import/poll
+ * Runs the catch-up poll now
+ */
+app.post('/api/order-import/poll', async (req, res) => {
+  try {
+    const result = await orderImport.pollOrders();
+    res.json({ success: true, result, poll: await orderImport.getPollState() });
+  } catch (error) {
+    console.error('[ORDERS] Error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/order-import/orders
+ * Lists imported orders and the review queue, newest first
+ * @param {string} status - Optional comma-separated statuses, e.g. 'review,failed' for the review queue
+ */
+app.get('/api/order-import/orders', async (req, res) => {
+  try {
+    const statuses = req.query.status ? String(req.query.status).split(',') : null;
+    const orders = await orderImport.listOrders({ statuses });
+    res.json({ success: true, orders });
+  } catch (error) {
+    console.error('[ORDERS] Error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/order-import/orders/:id/retry
+ * Loads a Shopify order again and imports it, e.g. once its SKUs exist in inFlow
+ */
+app.post('/api/order-import/orders/:id/retry', async (req, res) => {
+  try {
+    const result = await orderImport.retryOrder(req.params.id);
+    res.json({ success: true, result });
+  } catch (error) {
+    console.error('[ORDERS] Error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/order-import/orders/:id/dismiss
+ * Removes an order from the review queue without importing it
+ */
+app.post('/api/order-import/orders/:id/dismiss', async (req, res) => {
+  try {
+    const order = await orderImport.dismissOrder(req.params.id);
+    res.json({ success: true, order });
+  } catch (error) {
+    console.error('[ORDERS] Error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/drift
+ * Returns the policies for fields edited in Shopify, with the tracked fields and the possible policies
+ */
+app.get('/api/drift', async (req, res) => {
+  try {
+    const settings = await drift.getDriftSettings();
+    res.json({ success: true, settings, fields: drift.DRIFT_FIELDS, policies: drift.POLICIES });
+  } catch (error) {
+    console.error('[DRIFT] Error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/drift
+ * Saves the policies for fields edited in Shopify
+ * @param {string} defaultPolicy - 'inflow' (overwrite), 'shopify' (keep the edit) or 'flag' (queue for review)
+ * @param {Object} fields - Field → policy, for fields that differ from the default
+ */
+app.put('/api/drift', async (req, res) => {
+  try {
+    const settings = await drift.saveDriftSettings(req.body);
+    res.json({ success: true, settings });
+  } catch (error) {
+    console.error('[DRIFT] Error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/drift/conflicts
+ * Lists fields edited in Shopify that wait for review, oldest first
+ */
+app.get('/api/drift/conflicts', async (req, res) => {
+  try {
+    const conflicts = await drift.listConflicts();
+    res.json({ success: true, conflicts });
+  } catch (error) {
+    console.error('[DRIFT] Error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/drift/conflicts/:id/resolve
+ * Accepts one side of a conflict. Accepting inFlow's value queues a sync of the SKU
+ * ahead of waiting jobs and returns its job ID
+ * @param {string} side - 'inflow' or 'shopify'
+ */
+app.post('/api/drift/conflicts/:id/resolve', async (req, res) => {
+  try {
+    const conflict = await drift.resolveConflict(req.params.id, req.body.side);
+    if (req.body.side !== 'inflow') {
+      return res.json({ success: true, conflict, jobId: null });
+    }
+    const job = syncJobs.enqueuePrioritySync({ filters: { skus: [conflict.sku] }, trigger: 'drift' });
+    res.status(202).json({ success: true, conflict, jobId: job.id, status: job.status });
+  } catch (error) {
+    console.error('[DRIFT] Error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/field-mapping
+ * Returns the inFlow → Shopify field mapping, with the mappable Shopify fields, transform and metafield options
+ */
+app.get('/api/field-mapping', async (req, res) => {
+  try {
+    const mapping = await fieldMapping.getFieldMapping();
+    res.json({
+      success: true,
+      mapping,
+      shopifyFields: fieldMapping.SHOPIFY_FIELDS,
+      cases: fieldMapping.CASES,
+      weightUnits: fieldMapping.WEIGHT_UNITS,
+      metafieldOwners: fieldMapping.METAFIELD_OWNERS,
+      metafieldTypes: fieldMapping.METAFIELD_TYPES,
+      suggestedSources: fieldMapping.SUGGESTED_SOURCES,
+      defaults: fieldMapping.DEFAULT_FIELD_MAPPING
+    });
+  } catch (error) {
+    console.error('[FIELDS] Error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/field-mapping
+ * Replaces the field mapping; Shopify fields left out are not synced
+ * @param {Object} fields - Shopify field → { source, template, prefix, suffix, case }
+ * @param {string} weightUnit - Optional: g, kg, oz or lb (default kg)
+ * @param {Array} metafields - Optional: [{ source, owner, namespace, key, type }] custom fields written to metafields
+ */
+app.put('/api/field-mapping', async (req, res) => {
+  try {
+    const mapping = await fieldMapping.saveFieldMapping(req.body);
+    res.json({ success: true, mapping });
+  } catch (error) {
+    console.error('[FIELDS] Error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
   }
 });
 
@@ -139,4 +886,33 @@ app.post('/api/sync/start', async (req, res) => {
 app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log(`📦 inFlow to Shopify Sync API ready`);
+
+  if (!process.env.ADMIN_API_KEY && !(process.env.SHOPIFY_API_KEY && process.env.SHOPIFY_API_SECRET)) {
+    console.log('🔒 Neither SHOPIFY_API_KEY/SHOPIFY_API_SECRET nor ADMIN_API_KEY is set, so every /api request will be rejected');
+  }
+
+  shopifyAuth.initShopifyAuth()
+    .then(status => {
+      if (status.source === 'oauth') console.log(`🔑 Connected to ${status.shop}`);
+      if (status.source === 'env') console.log('🔑 Using PRIVATE_STOREFRONT_API_TOKEN; install the app through /api/shopify/auth to store a token instead');
+      if (!status.installed) console.log('🔑 Not connected to Shopify yet; install the app through /api/shopify/auth');
+      if (status.needsReauth) console.log(`🔑 Re-authorize the app through /api/shopify/auth to grant: ${status.missingScopes.join(', ')}`);
+    })
+    .catch(error => console.error('[AUTH] Failed to load the Shopify token:', error.message));
+
+  syncRuns.markInterruptedRuns()
+    .then(count => {
+      if (count > 0) console.log(`[RUNS] Marked ${count} interrupted run(s) as failed`);
+    })
+    .catch(error => console.error('[RUNS] Failed to check for interrupted runs:', error.message));
+
+  scheduler.initScheduler()
+    .then(count => console.log(`⏰ Scheduler ready (${count} active schedule(s))`))
+    .catch(error => console.error('[SCHEDULER] Failed to start scheduler:', error.message));
+
+  orderImport.initOrderImport()
+    .then(settings => {
+      if (settings.enabled) console.log(`🧾 Order import on (polling every ${settings.pollMinutes} min)`);
+    })
+    .catch(error => console.error('[ORDERS] Failed to start order import:', error.message));
 });
@@ -0,0 +1,162 @@
+/**
+ * Change Detection Service
+ * Field-by-field comparison of the mapped inFlow values with what Shopify has, so a
+ * sync only writes the parts that differ (product, variant, inventory, media, metafields)
+ */
+
+// Mapped fields stored on the Shopify product
+const PRODUCT_FIELDS = ['title', 'body_html', 'vendor', 'product_type', 'tags', 'seo_title', 'seo_description'];
+
+// Fields stored on the Shopify variant; options only apply to variants of a group. The SKU
+// changes when a linked product's SKU is renamed in inFlow
+const VARIANT_FIELDS = ['sku', 'price', 'compare_at_price', 'barcode', 'weight', 'options'];
+
+// Grams per weight unit, by REST unit and GraphQL WeightUnit
+const GRAMS_PER_UNIT = {
+    g: 1, GRAMS: 1,
+    kg: 1000, KILOGRAMS: 1000,
+    oz: 28.349523125, OUNCES: 28.349523125,
+    lb: 453.59237, POUNDS: 453.59237
+};
+
+const REST_WEIGHT_UNITS = { GRAMS: 'g', KILOGRAMS: 'kg', OUNCES: 'oz', POUNDS: 'lb' };
+
+/**
+ * Reads the comparable values of a Shopify variant and its product
+ * @param {Object} node - productVariant node (see VARIANT_QUERY_FIELDS in syncManager.js)
+ * @returns {Object} { product: { title, body_html, ... }, variant: { sku, price, compare_at_price, barcode, weight, weight_unit, options } }
+ */
+function readShopifyValues(node) {
+    const product = node.product || {};
+    return {
+        product: {
+            title: product.title || '',
+            body_html: product.descriptionHtml || '',
+            vendor: product.vendor || '',
+            product_type: product.productType || '',
+            tags: (product.tags || []).join(', '),
+            seo_title: product.seo?.title || '',
+            seo_description: product.seo?.description || ''
+        },
+        variant: {
+            sku: node.sku || '',
+            price: node.price,
+            compare_at_price: node.compareAtPrice ?? null,
+            barcode: node.barcode || '',
+            weight: node.weight ?? 0,
+            weight_unit: REST_WEIGHT_UNITS[node.weightUnit] || 'kg',
+            options: (node.selectedOptions || []).map(option => option.value).join(' / ')
+        }
+    };
+}
+
+/**
+ * Reads the comparable values of a variant and its product as sent in REST payloads
+ * (e.g. the products/update webhook). Fields the payload does not carry are left out
+ * @param {Object} product - Shopify product (REST)
+ * @param {Object} variant - One of its variants (REST)
+ * @returns {Object} { product: { title, body_html, vendor, product_type, tags }, variant: { sku, price, compare_at_price, barcode, weight, weight_unit } }
+ */
+function readRestValues(product, variant) {
+    const productValues = {};
+    for (const field of ['title', 'body_html', 'vendor', 'product_type', 'tags']) {
+        if (field in product) productValues[field] = product[field] ?? '';
+    }
+    return {
+        product: productValues,
+        variant: {
+            sku: variant.sku || '',
+            price: variant.price,
+            compare_at_price: variant.compare_at_price ?? null,
+            barcode: variant.barcode || '',
+            weight: variant.weight ?? 0,
+            weight_unit: variant.weight_unit || 'kg'
+        }
+    };
+}
+
+/**
+ * Brings a value into the form used for comparing, so formatting differences
+ * (whitespace, tag order, trailing zeros, weight units) do not count as changes
+ * @param {string} field - Shopify field
+ * @param {*} value - Value
+ * @param {Object} values - All values of the same side, for the weight unit
+ * @returns {string} Comparable value
+ */
+function comparable(field, value, values) {
+    switch (field) {
+        case 'price':
+            return (parseFloat(value) || 0).toFixed(2);
+        case 'compare_at_price':
+            // No compare-at price and zero mean the same to Shopify
+            return parseFloat(value) > 0 ? parseFloat(value).toFixed(2) : '';
+        case 'weight': {
+            const grams = (parseFloat(value) || 0) * (GRAMS_PER_UNIT[values.weight_unit] || 1);
+            return grams.toFixed(1);
+        }
+        case 'tags':
+            return String(value || '').split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean).sort().join(',');
+        case 'body_html':
+            return String(value || '').replace(/\s+/g, ' ').replace(/>\s+</g, '><').trim();
+        default:
+            return String(value ?? '').trim();
+    }
+}
+
+/**
+ * Formats a value for the change list
+ * @param {string} field - Shopify field
+ * @param {*} value - Value
+ * @param {Object} values - All values of the same side, for the weight unit
+ * @returns {*} Value as shown in results
+ */
+function display(field, value, values) {
+    if (field === 'price') return (parseFloat(value) || 0).toFixed(2);
+    if (field === 'compare_at_price') return parseFloat(value) > 0 ? parseFloat(value).toFixed(2) : null;
+    if (field === 'weight') return `${parseFloat(value) || 0} ${values.weight_unit || ''}`.trim();
+    return value;
+}
+
+/**
+ * Compares the wanted values of some fields with Shopify's
+ * @param {Object} wanted - Field → mapped value (fields without a mapping are absent)
+ * @param {Object} current - Field → Shopify value (see readShopifyValues)
+ * @param {Array} fields - Fields to compare, in result order
+ * @returns {Array} Changes: [{ field, before, after }]
+ */
+function diffFields(wanted, current, fields) {
+    return fields
+        .filter(field => field in wanted)
+        .filter(field => comparable(field, wanted[field], wanted) !== comparable(field, current[field], current))
+        .map(field => ({
+            field,
+            before: display(field, current[field], current),
+            after: display(field, wanted[field], wanted)
+        }));
+}
+
+/**
+ * Picks the wanted values of the changed fields, ready for fieldMapping.toShopifyPayload
+ * @param {Object} wanted - Field → mapped value
+ * @param {Array} changes - From diffFields
+ * @returns {Object} Field → value of the changed fields (weight brings its unit along)
+ */
+function changedValues(wanted, changes) {
+    const values = {};
+    for (const { field } of changes) {
+        values[field] = wanted[field];
+        if (field === 'weight') values.weight_unit = wanted.weight_unit;
+    }
+    return values;
+}
+
+module.exports = {
+    PRODUCT_FIELDS,
+    VARIANT_FIELDS,
+    readShopifyValues,
+    readRestValues,
+    comparable,
+    display,
+    diffFields,
+    changedValues
+};
@@ -0,0 +1,113 @@
+/**
+ * Data Store Service
+ * Small JSON file store kept in the backend data directory (mounted as a volume in Docker)
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Pending writes per file, so concurrent updates to the same file never interleave
+const fileQueues = new Map();
+
+/**
+ * Resolves a store file name (e.g. 'runs/index.json') inside the data directory
+ * @param {string} name - Relative file name
+ * @returns {string} Absolute path
+ */
+function resolvePath(name) {
+    return path.join(DATA_DIR, name);
+}
+
+/**
+ * Runs a task after all earlier tasks queued for the same file have finished
+ * @param {string} filePath - Absolute file path
+ * @param {Function} task - Async task
+ * @returns {Promise<*>} Task result
+ */
+function enqueue(filePath, task) {
+    const previous = fileQueues.get(filePath) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    fileQueues.set(filePath, next);
+    next.finally(() => {
+        if (fileQueues.get(filePath) === next) fileQueues.delete(filePath);
+    }).catch(() => {});
+    return next;
+}
+
+async function readFile(filePath, fallback) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        throw error;
+    }
+}
+
+async function writeFile(filePath, data) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    // Write to a temp file first so a crash never leaves half-written JSON behind
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Reads a JSON file from the store
+ * @param {string} name - Relative file name
+ * @param {*} fallback - Value returned when the file does not exist
+ * @returns {Promise<*>} Parsed JSON or fallback
+ */
+async function readJson(name, fallback = null) {
+    const filePath = resolvePath(name);
+    // Wait for pending writes so readers never see stale data
+    await (fileQueues.get(filePath) || Promise.resolve()).catch(() => {});
+    return readFile(filePath, fallback);
+}
+
+/**
+ * Writes a JSON file to the store
+ * @param {string} name - Relative file name
+ * @param {*} data - Data to store
+ * @returns {Promise<void>}
+ */
+function writeJson(name, data) {
+    const filePath = resolvePath(name);
+    return enqueue(filePath, () => writeFile(filePath, data));
+}
+
+/**
+ * Reads, modifies and writes back a JSON file as one step
+ * @param {string} name - Relative file name
+ * @param {*} fallback - Value passed to the updater when the file does not exist
+ * @param {Function} updater - Receives the current value and returns the new value
+ * @returns {Promise<*>} The new value
+ */
+function updateJson(name, fallback, updater) {
+    const filePath = resolvePath(name);
+    return enqueue(filePath, async () => {
+        const current = await readFile(filePath, fallback);
+        const next = await updater(current);
+        await writeFile(filePath, next);
+        return next;
+    });
+}
+
+/**
+ * Deletes a JSON file from the store (no-op if it does not exist)
+ * @param {string} name - Relative file name
+ * @returns {Promise<void>}
+ */
+function removeJson(name) {
+    const filePath = resolvePath(name);
+    return enqueue(filePath, () => fs.rm(filePath, { force: true }));
+}
+
+module.exports = {
+    DATA_DIR,
+    readJson,
+    writeJson,
+    updateJson,
+    removeJson
+};
@@ -0,0 +1,408 @@
+/**
+ * Drift Service
+ * Remembers the last values the sync pushed to Shopify per SKU, so edits made directly
+ * in Shopify admin can be told apart from changes in inFlow. A per-field policy decides
+ * what happens to such an edit: inFlow wins, Shopify wins, or it is flagged for review
+ */
+
+const dataStore = require('./dataStore');
+const changeDetection = require('./changeDetection');
+const { ValidationError, NotFoundError } = require('./errors');
+
+const PUSHED_FILE = 'pushed-values.json';
+const SETTINGS_FILE = 'drift.json';
+const CONFLICTS_FILE = 'drift-conflicts.json';
+
+const POLICIES = ['inflow', 'shopify', 'flag'];
+
+// Fields watched for Shopify-side edits. Stock changes with every sale and the SKU and
+// options identify the variant, so those are left out
+const PRODUCT_DRIFT_FIELDS = changeDetection.PRODUCT_FIELDS;
+const VARIANT_DRIFT_FIELDS = ['price', 'compare_at_price', 'barcode', 'weight'];
+const DRIFT_FIELDS = [...PRODUCT_DRIFT_FIELDS, ...VARIANT_DRIFT_FIELDS];
+
+// Outcomes of a running sync not yet written to the store, so a products/update webhook
+// for the sync's own write is not taken for an edit made in Shopify
+const staged = { pushed: new Map(), flagged: [], settled: [] };
+
+const DEFAULT_SETTINGS = {
+    // inFlow wins unless a field says otherwise, as before drift detection
+    defaultPolicy: 'inflow',
+    fields: {},
+    updatedAt: null
+};
+
+/**
+ * Returns the saved drift policies
+ * @returns {Promise<Object>} { defaultPolicy, fields: { field: policy }, updatedAt }
+ */
+async function getDriftSettings() {
+    return { ...DEFAULT_SETTINGS, ...(await dataStore.readJson(SETTINGS_FILE, DEFAULT_SETTINGS)) };
+}
+
+/**
+ * Validates and saves the drift policies
+ * @param {Object} input
+ * @param {string} input.defaultPolicy - One of POLICIES
+ * @param {Object} input.fields - Field → policy, for fields that differ from the default
+ * @returns {Promise<Object>} Saved settings
+ */
+async function saveDriftSettings(input = {}) {
+    const defaultPolicy = input.defaultPolicy ?? DEFAULT_SETTINGS.defaultPolicy;
+    if (!POLICIES.includes(defaultPolicy)) {
+        throw new ValidationError(`defaultPolicy must be one of: ${POLICIES.join(', ')}`);
+    }
+    const fields = {};
+    for (const [field, policy] of Object.entries(input.fields || {})) {
+        if (!DRIFT_FIELDS.includes(field)) {
+            throw new ValidationError(`Unknown field "${field}"; drift is tracked for: ${DRIFT_FIELDS.join(', ')}`);
+        }
+        if (!POLICIES.includes(policy)) {
+            throw new ValidationError(`Policy of ${field} must be one of: ${POLICIES.join(', ')}`);
+        }
+        if (policy !== defaultPolicy) fields[field] = policy;
+    }
+
+    const settings = { defaultPolicy, fields, updatedAt: new Date().toISOString() };
+    await dataStore.writeJson(SETTINGS_FILE, settings);
+    console.log(`[DRIFT] Saved drift policies: default ${defaultPolicy}${Object.keys(fields).length > 0 ? `, ${Object.entries(fields).map(([field, policy]) => `${field} ${policy}`).join(', ')}` : ''}`);
+    return settings;
+}
+
+/**
+ * Policy of one field
+ * @param {Object} settings - From getDriftSettings
+ * @param {string} field - Shopify field
+ * @returns {string} One of POLICIES
+ */
+function policyFor(settings, field) {
+    return settings.fields[field] || settings.defaultPolicy;
+}
+
+/**
+ * Loads what the sync needs to check for drift
+ * @returns {Promise<Object>} { records: SKU → { fields, ... }, settings }
+ */
+async function loadState() {
+    const [records, settings] = await Promise.all([
+        dataStore.readJson(PUSHED_FILE, {}),
+        getDriftSettings()
+    ]);
+    return { records, settings };
+}
+
+/**
+ * Decides, field by field, what the sync does with inFlow's values. A field whose Shopify
+ * value no longer matches the last pushed one was edited in Shopify, and its policy applies.
+ * A field left different on purpose (Shopify won) stays as it is until inFlow changes
+ * @param {Object} options
+ * @param {Array} options.fields - Fields to check
+ * @param {Object} options.wanted - Field → inFlow value
+ * @param {Object} options.current - Field → Shopify value
+ * @param {Object|null} options.record - Stored record of the SKU
+ * @param {Object} options.settings - From getDriftSettings
+ * @returns {Object} { held: Set of fields not to write, overwritten, kept, flagged: [{ field, pushed, shopify, inflow }],
+ *   settled: fields without a conflict now, fields: record entries to store once the writes succeed }
+ */
+function reconcile({ fields, wanted, current, record, settings }) {
+    const result = { held: new Set(), overwritten: [], kept: [], flagged: [], settled: [], fields: {} };
+
+    for (const field of fields.filter(name => name in wanted)) {
+        const inflow = changeDetection.comparable(field, wanted[field], wanted);
+        const shopify = changeDetection.comparable(field, current[field], current);
+        const inflowValue = changeDetection.display(field, wanted[field], wanted);
+        const shopifyValue = changeDetection.display(field, current[field], current);
+        const previous = record?.fields?.[field];
+        const pushed = { inflow, shopify: inflow, inflowValue, shopifyValue: inflowValue };
+
+        if (inflow === shopify) {
+            result.fields[field] = pushed;
+            result.settled.push(field);
+            continue;
+        }
+        if (!previous) {
+            result.fields[field] = pushed;
+            continue;
+        }
+
+        if (shopify === previous.shopify) {
+            // Not edited in Shopify: write inFlow's change, or keep a difference Shopify won earlier
+            if (inflow !== previous.inflow) {
+                result.fields[field] = pushed;
+            } else {
+                result.held.add(field);
+            }
+            result.settled.push(field);
+            continue;
+        }
+
+        switch (policyFor(settings, field)) {
+            case 'shopify':
+                result.held.add(field);
+                result.kept.push(field);
+                result.settled.push(field);
+                result.fields[field] = { inflow, shopify, inflowValue, shopifyValue };
+                break;
+            case 'flag':
+                result.held.add(field);
+                result.flagged.push({
+                    field,
+                    pushed: previous.shopifyValue,
+                    shopify: shopifyValue,
+                    inflow: inflowValue,
+                    values: { inflow, shopify }
+                });
+                break;
+            default:
+                result.overwritten.push(field);
+                result.settled.push(field);
+                result.fields[field] = pushed;
+        }
+    }
+    return result;
+}
+
+/**
+ * Stores pushed values; fields of an entry are merged into the SKU's record
+ * @param {Array} entries - [{ sku, shopifyProductId, shopifyVariantId, fields }]
+ * @returns {Promise<void>}
+ */
+async function recordPushed(entries) {
+    if (entries.length === 0) return;
+
+    const now = new Date().toISOString();
+    await dataStore.updateJson(PUSHED_FILE, {}, (records) => {
+        for (const { sku, shopifyProductId, shopifyVariantId, fields } of entries) {
+            const existing = records[sku] || {};
+            records[sku] = {
+                sku,
+                shopifyProductId: shopifyProductId ?? existing.shopifyProductId ?? null,
+                shopifyVariantId: shopifyVariantId ?? existing.shopifyVariantId ?? null,
+                fields: { ...existing.fields, ...fields },
+                pushedAt: now
+            };
+        }
+        return records;
+    });
+}
+
+/**
+ * Keeps the outcome of one product until the next flush
+ * @param {Object} entry
+ * @param {string} entry.sku - inFlow SKU
+ * @param {string} entry.shopifyProductId - Numeric Shopify product ID
+ * @param {string} entry.shopifyVariantId - Numeric Shopify variant ID
+ * @param {Object} entry.outcome - From reconcile
+ */
+function stage({ sku, shopifyProductId, shopifyVariantId, outcome }) {
+    const existing = staged.pushed.get(sku);
+    staged.pushed.set(sku, {
+        sku,
+        shopifyProductId: shopifyProductId ?? existing?.shopifyProductId,
+        shopifyVariantId: shopifyVariantId ?? existing?.shopifyVariantId,
+        fields: { ...existing?.fields, ...outcome.fields }
+    });
+    staged.flagged.push(...outcome.flagged.map(conflict => ({ ...conflict, sku, source: 'sync', shopifyProductId, shopifyVariantId })));
+    staged.settled.push(...outcome.settled.map(field => ({ sku, field })));
+}
+
+/**
+ * Writes staged outcomes to the store
+ * @returns {Promise<void>}
+ */
+async function flush() {
+    const pushed = [...staged.pushed.values()];
+    const { flagged, settled } = staged;
+    staged.pushed = new Map();
+    staged.flagged = [];
+    staged.settled = [];
+
+    await recordPushed(pushed);
+    await recordConflicts(flagged, settled);
+    if (flagged.length > 0) {
+        console.log(`[DRIFT] Flagged Shopify edits for review: ${flagged.map(entry => `${entry.sku} ${entry.field}`).join(', ')}`);
+    }
+}
+
+/**
+ * Stores newly flagged conflicts and removes the ones that no longer apply
+ * @param {Array} flagged - [{ sku, field, pushed, shopify, inflow, values, source, shopifyProductId, shopifyVariantId }]
+ * @param {Array} settled - [{ sku, field }] whose conflict, if any, is gone
+ * @returns {Promise<void>}
+ */
+async function recordConflicts(flagged, settled) {
+    if (flagged.length === 0 && settled.length === 0) return;
+
+    const now = new Date().toISOString();
+    await dataStore.updateJson(CONFLICTS_FILE, {}, (conflicts) => {
+        for (const { sku, field } of settled) {
+            delete conflicts[`${sku}:${field}`];
+        }
+        for (const conflict of flagged) {
+            const id = `${conflict.sku}:${conflict.field}`;
+            const existing = conflicts[id];
+            conflicts[id] = {
+                id,
+                sku: conflict.sku,
+                field: conflict.field,
+                pushed: conflict.pushed,
+                shopify: conflict.shopify,
+                // A webhook does not know inFlow's current value; the last one seen is kept
+                inflow: conflict.inflow ?? existing?.inflow ?? null,
+                values: conflict.values,
+                source: conflict.source,
+                shopifyProductId: conflict.shopifyProductId ?? existing?.shopifyProductId ?? null,
+                shopifyVariantId: conflict.shopifyVariantId ?? existing?.shopifyVariantId ?? null,
+                detectedAt: existing?.detectedAt || now,
+                updatedAt: now
+            };
+        }
+        return conflicts;
+    });
+}
+
+/**
+ * Lists open conflicts, oldest first
+ * @returns {Promise<Array>} Conflicts
+ */
+async function listConflicts() {
+    const conflicts = Object.values(await dataStore.readJson(CONFLICTS_FILE, {}));
+    return conflicts
+        .map(({ values, ...conflict }) => conflict)
+        .sort((a, b) => String(a.detectedAt).localeCompare(String(b.detectedAt)));
+}
+
+/**
+ * Resolves a conflict. Accepting Shopify's value keeps it until the field changes in inFlow;
+ * accepting inFlow's forgets the pushed value, so the next sync of the SKU writes inFlow's value
+ * @param {string} id - Conflict ID ('SKU:field')
+ * @param {string} side - 'inflow' or 'shopify'
+ * @returns {Promise<Object>} The resolved conflict
+ */
+async function resolveConflict(id, side) {
+    if (side !== 'inflow' && side !== 'shopify') {
+        throw new ValidationError("side must be 'inflow' or 'shopify'");
+    }
+    const conflicts = await dataStore.readJson(CONFLICTS_FILE, {});
+    const conflict = conflicts[id];
+    if (!conflict) {
+        throw new NotFoundError('Conflict not found');
+    }
+
+    await dataStore.updateJson(PUSHED_FILE, {}, (records) => {
+        const record = records[conflict.sku];
+        if (!record) return records;
+        const fields = { ...record.fields };
+        if (side === 'shopify') {
+            fields[conflict.field] = {
+                inflow: conflict.values.inflow,
+                shopify: conflict.values.shopify,
+                inflowValue: conflict.inflow,
+                shopifyValue: conflict.shopify
+            };
+        } else {
+            delete fields[conflict.field];
+        }
+        records[conflict.sku] = { ...record, fields };
+        return records;
+    });
+    await dataStore.updateJson(CONFLICTS_FILE, {}, (current) => {
+        delete current[id];
+        return current;
+    });
+
+    console.log(`[DRIFT] ${conflict.sku} ${conflict.field}: accepted ${side === 'shopify' ? `Shopify's value (${conflict.shopify})` : `inFlow's value (${conflict.inflow})`}`);
+    const { values, ...resolved } = conflict;
+    return resolved;
+}
+
+/**
+ * Checks a product sent by the products/update webhook for fields edited in Shopify
+ * since the last sync, and applies their policies: Shopify wins is stored right away,
+ * flagged fields become conflicts, and inFlow wins is left to the next sync
+ * @param {Object} product - Shopify product (REST) with its variants
+ * @returns {Promise<Object>} { kept, flagged }: 'SKU field' entries
+ */
+async function detectShopifyEdits(product) {
+    const { records, settings } = await loadState();
+    const kept = [];
+    const flagged = [];
+    const settled = [];
+    const pushedEntries = [];
+
+    for (const variant of product.variants || []) {
+        const stagedRecord = staged.pushed.get(variant.sku);
+        const record = stagedRecord
+            ? { ...records[variant.sku], fields: { ...records[variant.sku]?.fields, ...stagedRecord.fields } }
+            : records[variant.sku];
+        if (!variant.sku || !record) continue;
+
+        const values = changeDetection.readRestValues(product, variant);
+        const current = { ...values.product, ...values.variant };
+        const fields = {};
+
+        for (const [field, previous] of Object.entries(record.fields || {})) {
+            if (!DRIFT_FIELDS.includes(field) || !(field in current)) continue;
+            const shopify = changeDetection.comparable(field, current[field], current);
+            if (shopify === previous.shopify) {
+                settled.push({ sku: variant.sku, field });
+                continue;
+            }
+
+            const shopifyValue = changeDetection.display(field, current[field], current);
+            const policy = policyFor(settings, field);
+            if (policy === 'shopify') {
+                fields[field] = { ...previous, shopify, shopifyValue };
+                settled.push({ sku: variant.sku, field });
+                kept.push(`${variant.sku} ${field}`);
+            } else if (policy === 'flag') {
+                flagged.push({
+                    sku: variant.sku,
+                    field,
+                    pushed: previous.shopifyValue,
+                    shopify: shopifyValue,
+                    inflow: null,
+                    values: { inflow: previous.inflow, shopify },
+                    source: 'webhook',
+                    shopifyProductId: String(product.id),
+                    shopifyVariantId: String(variant.id)
+                });
+            }
+        }
+
+        if (Object.keys(fields).length > 0) {
+            pushedEntries.push({ sku: variant.sku, fields });
+        }
+    }
+
+    // Only Shopify-wins fields change the records, so the next sync still compares the others against what it pushed
+    if (pushedEntries.length > 0) {
+        await dataStore.updateJson(PUSHED_FILE, {}, (current) => {
+            for (const { sku, fields } of pushedEntries) {
+                if (current[sku]) current[sku] = { ...current[sku], fields: { ...current[sku].fields, ...fields } };
+            }
+            return current;
+        });
+    }
+    await recordConflicts(flagged, settled);
+
+    if (kept.length > 0) console.log(`[DRIFT] Kept Shopify edits: ${kept.join(', ')}`);
+    if (flagged.length > 0) console.log(`[DRIFT] Flagged Shopify edits for review: ${flagged.map(entry => `${entry.sku} ${entry.field}`).join(', ')}`);
+    return { kept, flagged: flagged.map(entry => `${entry.sku} ${entry.field}`) };
+}
+
+module.exports = {
+    POLICIES,
+    PRODUCT_DRIFT_FIELDS,
+    VARIANT_DRIFT_FIELDS,
+    DRIFT_FIELDS,
+    getDriftSettings,
+    saveDriftSettings,
+    loadState,
+    reconcile,
+    stage,
+    flush,
+    listConflicts,
+    resolveConflict,
+    detectShopifyEdits
+};
@@ -0,0 +1,58 @@
+/**
+ * Error types shared by the backend services
+ */
+
+/**
+ * Thrown when a request contains invalid input; API routes answer it with HTTP 400
+ */
+class ValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ValidationError';
+        this.statusCode = 400;
+    }
+}
+
+/**
+ * Thrown when a requested record does not exist; API routes answer it with HTTP 404
+ */
+class NotFoundError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NotFoundError';
+        this.statusCode = 404;
+    }
+}
+
+/**
+ * Thrown when a request does not carry valid credentials; API routes answer it with HTTP 401
+ */
+class UnauthorizedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnauthorizedError';
+        this.statusCode = 401;
+    }
+}
+
+/**
+ * Thrown when an inFlow API call fails; `category` tells what went wrong
+ * ('config', 'auth', 'company', 'rate_limited', 'server', 'network' or 'request').
+ * API routes answer it with HTTP 502, since the failure is upstream
+ */
+class InflowApiError extends Error {
+    constructor(message, { category, status = null } = {}) {
+        super(message);
+        this.name = 'InflowApiError';
+        this.category = category;
+        this.status = status;
+        this.statusCode = 502;
+    }
+}
+
+module.exports = {
+    ValidationError,
+    NotFoundError,
+    UnauthorizedError,
+    InflowApiError
+};
@@ -0,0 +1,358 @@
+/**
+ * Field Mapping Service
+ * Declarative inFlow → Shopify field mapping: which inFlow attribute or custom field
+ * fills each Shopify field, with optional template, prefix/suffix and case transforms.
+ * Custom fields can also be mapped to Shopify product or variant metafields
+ */
+
+const dataStore = require('./dataStore');
+const syncCheckpoint = require('./syncCheckpoint');
+const { ValidationError } = require('./errors');
+
+const MAPPING_FILE = 'field-mapping.json';
+
+// Shopify fields that can be mapped; `level` says whether the field lives on the product or its variant
+const SHOPIFY_FIELDS = [
+    { field: 'title', label: 'Title', level: 'product', required: true },
+    { field: 'body_html', label: 'Description (HTML)', level: 'product' },
+    { field: 'vendor', label: 'Vendor', level: 'product' },
+    { field: 'product_type', label: 'Product type', level: 'product' },
+    { field: 'tags', label: 'Tags (comma separated)', level: 'product' },
+    { field: 'seo_title', label: 'SEO title', level: 'product' },
+    { field: 'seo_description', label: 'SEO description', level: 'product' },
+    { field: 'barcode', label: 'Barcode', level: 'variant' },
+    { field: 'weight', label: 'Weight', level: 'variant' }
+];
+
+const CASES = ['none', 'upper', 'lower', 'title'];
+
+const WEIGHT_UNITS = ['g', 'kg', 'oz', 'lb'];
+
+// Metafields can belong to the product or to its variant
+const METAFIELD_OWNERS = ['product', 'variant'];
+
+// Metafield types a custom field can be written as
+const METAFIELD_TYPES = [
+    'single_line_text_field',
+    'multi_line_text_field',
+    'number_integer',
+    'number_decimal',
+    'boolean',
+    'date'
+];
+
+// Shopify's rules for metafield namespaces and keys
+const METAFIELD_NAME_PATTERN = /^[a-zA-Z0-9_-]{2,64}$/;
+
+// Common inFlow product attributes, offered as suggestions; any attribute or customFields.<key> works
+const SUGGESTED_SOURCES = [
+    'name',
+    'sku',
+    'description',
+    'barcode',
+    'categoryName',
+    'lastVendorName',
+    'remarks',
+    'itemType',
+    'standardUomName',
+    'customFields.custom1',
+    'customFields.custom2',
+    'customFields.custom3'
+];
+
+// Matches the values that were hard-coded before the mapping was configurable
+const DEFAULT_FIELD_MAPPING = {
+    fields: {
+        title: { source: 'name' },
+        body_html: { source: 'description' },
+        vendor: { source: 'lastVendorName' },
+        product_type: { source: 'categoryName' },
+        barcode: { source: 'barcode' }
+    },
+    weightUnit: 'kg',
+    metafields: [],
+    updatedAt: null
+};
+
+/**
+ * Returns the saved mapping, or the default one when nothing is saved
+ * @returns {Promise<Object>} { fields: { shopifyField: rule }, weightUnit, updatedAt }
+ */
+async function getFieldMapping() {
+    return { ...DEFAULT_FIELD_MAPPING, ...(await dataStore.readJson(MAPPING_FILE, DEFAULT_FIELD_MAPPING)) };
+}
+
+/**
+ * Validates one field rule
+ * @param {string} field - Shopify field
+ * @param {Object} rule - { source, template, prefix, suffix, case }
+ * @returns {Object|null} Cleaned rule, or null when the rule has neither a source nor a template
+ */
+function validateRule(field, rule) {
+    if (rule === null || rule === undefined) return null;
+    if (typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new ValidationError(`Mapping for ${field} must be an object`);
+    }
+
+    const text = (key) => {
+        const value = rule[key];
+        if (value !== undefined && value !== null && typeof value !== 'string') {
+            throw new ValidationError(`${key} of ${field} must be a string`);
+        }
+        return value || '';
+    };
+
+    const source = text('source').trim();
+    const template = text('template');
+    if (!source && !template.trim()) return null;
+
+    const textCase = rule.case || 'none';
+    if (!CASES.includes(textCase)) {
+        throw new ValidationError(`case of ${field} must be one of: ${CASES.join(', ')}`);
+    }
+
+    const cleaned = { source };
+    if (template.trim()) cleaned.template = template;
+    if (text('prefix')) cleaned.prefix = text('prefix');
+    if (text('suffix')) cleaned.suffix = text('suffix');
+    if (textCase !== 'none') cleaned.case = textCase;
+    return cleaned;
+}
+
+/**
+ * Validates the metafield rules
+ * @param {Array} metafields - [{ source, template, prefix, suffix, case, owner, namespace, key, type }]
+ * @returns {Array} Cleaned rules
+ */
+function validateMetafields(metafields) {
+    if (!Array.isArray(metafields)) {
+        throw new ValidationError('metafields must be an array');
+    }
+
+    const seen = new Set();
+    return metafields.map((entry, index) => {
+        const label = `Metafield ${index + 1}`;
+        const rule = validateRule(label, entry);
+        if (!rule) {
+            throw new ValidationError(`${label} needs a source or a template`);
+        }
+
+        const owner = entry.owner || 'product';
+        const namespace = String(entry.namespace || '').trim();
+        const key = String(entry.key || '').trim();
+        const type = entry.type || 'single_line_text_field';
+
+        if (!METAFIELD_OWNERS.includes(owner)) {
+            throw new ValidationError(`${label}: owner must be one of: ${METAFIELD_OWNERS.join(', ')}`);
+        }
+        if (!METAFIELD_NAME_PATTERN.test(namespace) || !METAFIELD_NAME_PATTERN.test(key)) {
+            throw new ValidationError(`${label}: namespace and key must be 2-64 letters, digits, _ or -`);
+        }
+        if (!METAFIELD_TYPES.includes(type)) {
+            throw new ValidationError(`${label}: type must be one of: ${METAFIELD_TYPES.join(', ')}`);
+        }
+
+        const id = `${owner}:${namespace}.${key}`.toLowerCase();
+        if (seen.has(id)) {
+            throw new ValidationError(`${label}: ${owner} metafield ${namespace}.${key} is mapped more than once`);
+        }
+        seen.add(id);
+
+        return { ...rule, owner, namespace, key, type };
+    });
+}
+
+/**
+ * Validates and saves the mapping. Fields left out (or without source and template) are not synced
+ * @param {Object} input
+ * @param {Object} input.fields - Shopify field → { source, template, prefix, suffix, case }
+ * @param {string} input.weightUnit - Unit of the mapped weight: g, kg, oz or lb
+ * @param {Array} input.metafields - Optional: [{ source, owner, namespace, key, type }] plus the field transforms
+ * @returns {Promise<Object>} Saved mapping
+ */
+async function saveFieldMapping(input = {}) {
+    const { fields = {}, weightUnit = DEFAULT_FIELD_MAPPING.weightUnit, metafields = [] } = input;
+
+    if (fields === null || typeof fields !== 'object' || Array.isArray(fields)) {
+        throw new ValidationError('fields must be an object of Shopify field → mapping');
+    }
+    if (!WEIGHT_UNITS.includes(weightUnit)) {
+        throw new ValidationError(`weightUnit must be one of: ${WEIGHT_UNITS.join(', ')}`);
+    }
+
+    const known = SHOPIFY_FIELDS.map(target => target.field);
+    const unknown = Object.keys(fields).filter(field => !known.includes(field));
+    if (unknown.length > 0) {
+        throw new ValidationError(`Unknown Shopify field(s): ${unknown.join(', ')}. Supported: ${known.join(', ')}`);
+    }
+
+    const cleaned = {};
+    for (const target of SHOPIFY_FIELDS) {
+        const rule = validateRule(target.field, fields[target.field]);
+        if (rule) {
+            cleaned[target.field] = rule;
+        } else if (target.required) {
+            throw new ValidationError(`${target.label} needs a source or a template`);
+        }
+    }
+
+    const mapping = {
+        fields: cleaned,
+        weightUnit,
+        metafields: validateMetafields(metafields),
+        updatedAt: new Date().toISOString()
+    };
+
+    await dataStore.writeJson(MAPPING_FILE, mapping);
+    await syncCheckpoint.resetCheckpoint('Field mapping');
+    console.log(`[FIELDS] Saved field mapping for ${Object.keys(cleaned).join(', ')} and ${mapping.metafields.length} metafield(s)`);
+    return mapping;
+}
+
+/**
+ * Reads an inFlow value by attribute name or dotted path (e.g. customFields.custom1)
+ * @param {Object} source - inFlow attributes (see mapInflowProduct)
+ * @param {string} path - Attribute name or path
+ * @returns {string} Value as text, '' when missing
+ */
+function readSource(source, path) {
+    const value = path.split('.').reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), source);
+    return value === null || value === undefined ? '' : String(value);
+}
+
+/**
+ * Changes the case of a value
+ * @param {string} value - Text
+ * @param {string} textCase - 'none', 'upper', 'lower' or 'title'
+ * @returns {string}
+ */
+function applyCase(value, textCase) {
+    switch (textCase) {
+        case 'upper': return value.toUpperCase();
+        case 'lower': return value.toLowerCase();
+        case 'title': return value.toLowerCase().replace(/(^|[\s\-/(])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+        default: return value;
+    }
+}
+
+/**
+ * Works out one Shopify field from its rule. A template replaces {{attribute}}
+ * placeholders; without one the source attribute is used as is. Prefix and suffix
+ * are only added to non-empty values
+ * @param {Object} source - inFlow attributes
+ * @param {Object} rule - Field rule (see saveFieldMapping)
+ * @returns {string} Value, trimmed
+ */
+function applyRule(source, rule) {
+    const raw = rule.template
+        ? rule.template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => readSource(source, path))
+        : readSource(source, rule.source);
+    const value = applyCase(raw.trim(), rule.case);
+    return value ? `${rule.prefix || ''}${value}${rule.suffix || ''}`.trim() : '';
+}
+
+/**
+ * Builds the Shopify field values of an inFlow product. Fields without a rule are
+ * left out, so Shopify keeps whatever it has
+ * @param {Object} source - inFlow attributes (see mapInflowProduct)
+ * @param {Object} mapping - Saved mapping (see getFieldMapping)
+ * @returns {Object} { title, body_html, vendor, product_type, tags, seo_title, seo_description, barcode, weight, weight_unit }
+ */
+function mapShopifyFields(source, mapping = DEFAULT_FIELD_MAPPING) {
+    const values = {};
+    for (const [field, rule] of Object.entries(mapping.fields)) {
+        values[field] = applyRule(source, rule);
+    }
+
+    // Templates can leave empty entries behind when a placeholder has no value
+    if ('tags' in values) {
+        values.tags = values.tags.split(',').map(tag => tag.trim()).filter(Boolean).join(', ');
+    }
+
+    if ('weight' in values) {
+        const weight = parseFloat(values.weight);
+        values.weight = Number.isFinite(weight) ? weight : 0;
+        values.weight_unit = mapping.weightUnit;
+    }
+    return values;
+}
+
+/**
+ * Formats a value the way Shopify stores it for a metafield type
+ * @param {string} value - Mapped value
+ * @param {string} type - Metafield type
+ * @returns {string|null} Shopify value, or null when the value is empty or does not fit the type
+ */
+function formatMetafieldValue(value, type) {
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+
+    switch (type) {
+        case 'number_integer': {
+            const number = Number(text);
+            return Number.isInteger(number) ? String(number) : null;
+        }
+        case 'number_decimal': {
+            const number = parseFloat(text);
+            return Number.isFinite(number) ? String(number) : null;
+        }
+        case 'boolean':
+            return ['true', 'yes', 'y', '1', 'x'].includes(text.toLowerCase()) ? 'true' : 'false';
+        case 'date':
+            return /^\d{4}-\d{2}-\d{2}/.test(text) ? text.slice(0, 10) : null;
+        default:
+            return text;
+    }
+}
+
+/**
+ * Builds the metafield values of an inFlow product. Empty values are left out,
+ * so Shopify keeps whatever it has
+ * @param {Object} source - inFlow attributes (see mapInflowProduct)
+ * @param {Object} mapping - Saved mapping (see getFieldMapping)
+ * @returns {Array} [{ owner, namespace, key, type, value }]
+ */
+function mapMetafields(source, mapping = DEFAULT_FIELD_MAPPING) {
+    return (mapping.metafields || [])
+        .map(rule => ({
+            owner: rule.owner,
+            namespace: rule.namespace,
+            key: rule.key,
+            type: rule.type,
+            value: formatMetafieldValue(applyRule(source, rule), rule.type)
+        }))
+        .filter(metafield => metafield.value !== null);
+}
+
+/**
+ * Splits mapped values into Shopify REST product and variant fields
+ * @param {Object} values - From mapShopifyFields
+ * @returns {Object} { product, variant } ready to spread into REST payloads
+ */
+function toShopifyPayload(values) {
+    const product = {};
+    const variant = {};
+    for (const [field, value] of Object.entries(values)) {
+        if (field === 'seo_title') product.metafields_global_title_tag = value;
+        else if (field === 'seo_description') product.metafields_global_description_tag = value;
+        else if (['sku', 'price', 'compare_at_price', 'barcode', 'weight', 'weight_unit'].includes(field)) variant[field] = value;
+        else product[field] = value;
+    }
+    return { product, variant };
+}
+
+module.exports = {
+    SHOPIFY_FIELDS,
+    CASES,
+    WEIGHT_UNITS,
+    METAFIELD_OWNERS,
+    METAFIELD_TYPES,
+    SUGGESTED_SOURCES,
+    DEFAULT_FIELD_MAPPING,
+    getFieldMapping,
+    saveFieldMapping,
+    mapShopifyFields,
+    formatMetafieldValue,
+    mapMetafields,
+    toShopifyPayload
+};
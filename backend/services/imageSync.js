@@ -0,0 +1,251 @@
+/**
+ * Image Sync Service
+ * Keeps a Shopify product's images in step with the inFlow images, in order, with
+ * the inFlow default image featured. A fingerprint per image is stored with the
+ * Shopify image ID, so images are only added or removed when the inFlow set changes
+ */
+
+const crypto = require('crypto');
+const dataStore = require('./dataStore');
+const shopifyClient = require('./shopifyClient');
+
+// Image state is kept per Shopify product: images/<productId>.json
+const IMAGE_STATE_DIR = 'images';
+
+// inFlow image URLs from best to worst quality
+const IMAGE_URL_FIELDS = ['originalUrl', 'largeUrl', 'mediumUncroppedUrl', 'mediumUrl', 'smallUrl', 'thumbUrl'];
+
+/**
+ * Picks the best quality URL of an inFlow image
+ * @param {Object} image - inFlow image attributes
+ * @returns {string|null} URL
+ */
+function bestImageUrl(image) {
+    const field = IMAGE_URL_FIELDS.find(name => image?.[name]);
+    return field ? image[field] : null;
+}
+
+/**
+ * Fingerprints an inFlow image by its ID and URL path. The query string is left
+ * out because signed URLs change on every request
+ * @param {Object} image - { id, url }
+ * @returns {string} Fingerprint
+ */
+function imageFingerprint({ id, url }) {
+    const path = (url || '').split('?')[0];
+    return crypto.createHash('sha1').update(`${id || ''}|${path}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * Lists the images of an inFlow product in Shopify order: the default image first,
+ * then the others in inFlow order. Falls back to the single listing image URL
+ * @param {Object} item - inFlow product with attached images and defaultImage
+ * @returns {Array} [{ id, url, fingerprint }]
+ */
+function collectInflowImages(item) {
+    const attr = item.attributes || {};
+    const candidates = [
+        ...(item.defaultImage ? [item.defaultImage] : []),
+        ...(Array.isArray(item.images) ? item.images : [])
+    ];
+
+    const images = [];
+    const seen = new Set();
+    for (const image of candidates) {
+        const url = bestImageUrl(image);
+        if (!url) continue;
+        const entry = { id: image.id || null, url };
+        entry.fingerprint = imageFingerprint(entry);
+        // The default image is usually also in the images list
+        const key = entry.id || entry.url.split('?')[0];
+        if (seen.has(key)) continue;
+        seen.add(key);
+        images.push(entry);
+    }
+
+    // /productlistings only returns image URLs directly on the product
+    if (images.length === 0) {
+        const url = attr.imageUrl || attr.imageMediumUrl || attr.imageThumbUrl;
+        if (url) images.push({ id: null, url, fingerprint: imageFingerprint({ id: null, url }) });
+    }
+    return images;
+}
+
+/**
+ * Reads the stored image state of a Shopify product
+ * @param {string} productId - Shopify product ID (numeric)
+ * @returns {Promise<Object|null>} { images: [{ fingerprint, shopifyImageId }], alt, updatedAt }
+ */
+async function getImageState(productId) {
+    return dataStore.readJson(`${IMAGE_STATE_DIR}/${productId}.json`, null);
+}
+
+/**
+ * Stores the image state of a Shopify product
+ * @param {string} productId - Shopify product ID (numeric)
+ * @param {Array} images - [{ fingerprint, shopifyImageId }] in Shopify order
+ * @param {string} alt - Alt text the images were given
+ * @returns {Promise<void>}
+ */
+async function saveImageState(productId, images, alt) {
+    await dataStore.writeJson(`${IMAGE_STATE_DIR}/${productId}.json`, {
+        productId: String(productId),
+        images,
+        alt,
+        updatedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Lists the images of a Shopify product
+ * @param {string} productId - Shopify product ID (numeric)
+ * @returns {Promise<Array>} [{ id, position, alt }] by position
+ */
+async function fetchShopifyImages(productId) {
+    const response = await shopifyClient.rest('get', `/products/${productId}/images.json`);
+    return (response.data.images || [])
+        .map(image => ({ id: image.id, position: image.position, alt: image.alt || '' }))
+        .sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Works out which images to add, remove, move or re-label. Without stored state
+ * (products synced before fingerprints were kept) Shopify's images are taken over
+ * as they are when the count matches; otherwise they are replaced once
+ * @param {string} productId - Shopify product ID (numeric)
+ * @param {Array} images - Wanted images from collectInflowImages
+ * @param {string} alt - Alt text for every image
+ * @returns {Promise<Object>} Plan: { changes, steps, images, alt }
+ */
+async function planImages(productId, images, alt) {
+    const stored = await getImageState(productId);
+    let current;
+    if (stored) {
+        current = stored.images.map(entry => ({ ...entry, alt: stored.alt }));
+    } else {
+        const shopifyImages = await fetchShopifyImages(productId);
+        const adopt = shopifyImages.length === images.length;
+        current = shopifyImages.map((image, index) => ({
+            fingerprint: adopt ? images[index].fingerprint : null,
+            shopifyImageId: image.id,
+            alt: image.alt
+        }));
+    }
+
+    const wanted = new Set(images.map(image => image.fingerprint));
+    const kept = new Map();
+    const remove = [];
+    for (const entry of current) {
+        if (entry.fingerprint && wanted.has(entry.fingerprint) && !kept.has(entry.fingerprint)) {
+            kept.set(entry.fingerprint, entry);
+        } else {
+            remove.push(entry.shopifyImageId);
+        }
+    }
+
+    // Kept images only move when their order relative to each other changes
+    const keptOrder = [...kept.keys()];
+    const wantedKeptOrder = images.map(image => image.fingerprint).filter(fingerprint => kept.has(fingerprint));
+    const reordered = keptOrder.some((fingerprint, index) => fingerprint !== wantedKeptOrder[index]);
+
+    const steps = images.map((image, index) => {
+        const existing = kept.get(image.fingerprint);
+        if (!existing) return { action: 'add', image, position: index + 1 };
+        if (reordered || existing.alt !== alt) return { action: 'update', image, shopifyImageId: existing.shopifyImageId, position: index + 1 };
+        return { action: 'keep', image, shopifyImageId: existing.shopifyImageId };
+    });
+
+    const added = steps.filter(step => step.action === 'add').length;
+    const details = [
+        added > 0 ? `+${added}` : null,
+        remove.length > 0 ? `−${remove.length}` : null,
+        reordered ? 'reordered' : null,
+        steps.some(step => step.action === 'update') && !reordered ? 'alt text' : null
+    ].filter(Boolean);
+
+    return {
+        changes: details.length > 0
+            ? [{ field: 'images', before: `${current.length} image(s)`, after: `${images.length} image(s) (${details.join(', ')})` }]
+            : [],
+        steps,
+        remove,
+        images,
+        alt,
+        // Taken-over images still need their fingerprints stored
+        needsState: !stored
+    };
+}
+
+/**
+ * Applies a plan from planImages and stores the new image state
+ * @param {string} productId - Shopify product ID (numeric)
+ * @param {Object} plan - From planImages
+ * @returns {Promise<void>}
+ */
+async function applyImagePlan(productId, plan) {
+    if (plan.changes.length === 0 && !plan.needsState) return;
+
+    for (const imageId of plan.remove) {
+        try {
+            await shopifyClient.rest('delete', `/products/${productId}/images/${imageId}.json`);
+        } catch (error) {
+            // Already gone in Shopify
+            if (error.response?.status !== 404) throw error;
+        }
+    }
+
+    const state = [];
+    for (const step of plan.steps) {
+        if (step.action === 'add') {
+            const response = await shopifyClient.rest('post', `/products/${productId}/images.json`, {
+                image: { src: step.image.url, alt: plan.alt, position: step.position }
+            });
+            state.push({ fingerprint: step.image.fingerprint, shopifyImageId: response.data.image.id });
+        } else {
+            if (step.action === 'update') {
+                await shopifyClient.rest('put', `/products/${productId}/images/${step.shopifyImageId}.json`, {
+                    image: { id: step.shopifyImageId, alt: plan.alt, position: step.position }
+                });
+            }
+            state.push({ fingerprint: step.image.fingerprint, shopifyImageId: step.shopifyImageId });
+        }
+    }
+
+    await saveImageState(productId, state, plan.alt);
+}
+
+/**
+ * Builds the images of a new product's REST payload
+ * @param {Array} images - From collectInflowImages
+ * @param {string} alt - Alt text for every image
+ * @returns {Array} REST images, the first one featured
+ */
+function imagePayload(images, alt) {
+    return images.map((image, index) => ({ src: image.url, alt, position: index + 1 }));
+}
+
+/**
+ * Stores the image state of a newly created product
+ * @param {string} productId - Shopify product ID (numeric)
+ * @param {Array} images - Images sent with imagePayload
+ * @param {Array} createdImages - Images in the create response
+ * @param {string} alt - Alt text the images were given
+ * @returns {Promise<void>}
+ */
+async function recordCreatedImages(productId, images, createdImages, alt) {
+    const byPosition = [...(createdImages || [])].sort((a, b) => a.position - b.position);
+    const state = images
+        .map((image, index) => ({ fingerprint: image.fingerprint, shopifyImageId: byPosition[index]?.id }))
+        .filter(entry => entry.shopifyImageId);
+    await saveImageState(productId, state, alt);
+}
+
+module.exports = {
+    bestImageUrl,
+    imageFingerprint,
+    collectInflowImages,
+    planImages,
+    applyImagePlan,
+    imagePayload,
+    recordCreatedImages
+};
@@ -0,0 +1,193 @@
+/**
+ * inFlow Client
+ * Shared request layer for the inFlow Cloud API. Applies timeouts, retries
+ * transient failures and turns errors into InflowApiError with a category
+ * and a message that says what to fix
+ */
+
+const axios = require('axios');
+const { InflowApiError } = require('./errors');
+
+const DEFAULT_BASE_URL = 'https://cloudapi.inflowinventory.com';
+const DEFAULT_API_VERSION = '2025-10-02';
+
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Parses INFLOW_EXTRA_HEADERS (a JSON object of header names to values)
+ * @returns {Object} Extra headers sent with every request
+ */
+function parseExtraHeaders() {
+    const raw = process.env.INFLOW_EXTRA_HEADERS;
+    if (!raw) return {};
+    try {
+        const headers = JSON.parse(raw);
+        if (headers && typeof headers === 'object' && !Array.isArray(headers)) return headers;
+    } catch {
+        // Reported below
+    }
+    console.error('[inFlow] Ignoring INFLOW_EXTRA_HEADERS: it must be a JSON object, e.g. {"referer":"https://app.inflowinventory.com/"}');
+    return {};
+}
+
+/**
+ * Reads the inFlow settings from the environment
+ * @returns {Object} baseUrl, companyId, token, apiVersion, timeoutMs, maxRetries and extraHeaders
+ */
+function getConfig() {
+    return {
+        // NFLOW_API_BASE_URL is a misspelling some deployments still use
+        baseUrl: process.env.NFLOW_API_BASE_URL || process.env.INFLOW_API_BASE_URL || DEFAULT_BASE_URL,
+        companyId: process.env.INFLOW_COMPANY_ID,
+        token: process.env.INFLOW_API_TOKEN,
+        apiVersion: process.env.INFLOW_API_VERSION || DEFAULT_API_VERSION,
+        timeoutMs: parseInt(process.env.INFLOW_TIMEOUT_MS, 10) || 30000,
+        maxRetries: parseInt(process.env.INFLOW_MAX_RETRIES, 10) || 3,
+        extraHeaders: parseExtraHeaders()
+    };
+}
+
+/**
+ * Throws a 'config' error if the token or company ID is missing
+ * @param {Object} config - Settings from getConfig
+ */
+function assertConfigured(config = getConfig()) {
+    if (!config.token) {
+        throw new InflowApiError('INFLOW_API_TOKEN is not configured', { category: 'config' });
+    }
+    if (!config.companyId) {
+        throw new InflowApiError('INFLOW_COMPANY_ID is not configured', { category: 'config' });
+    }
+}
+
+/**
+ * Turns an axios error into an InflowApiError with a category and an actionable message
+ * @param {Error} error - Axios error
+ * @param {Object} config - Settings from getConfig
+ * @returns {InflowApiError}
+ */
+function classifyError(error, config) {
+    const status = error.response?.status || null;
+    const detail = error.response?.data?.message || error.response?.data?.errors?.[0]?.detail || error.message;
+
+    if (!error.response) {
+        const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+        return new InflowApiError(timedOut
+            ? `inFlow did not respond within ${config.timeoutMs}ms (INFLOW_TIMEOUT_MS)`
+            : `Could not reach inFlow at ${config.baseUrl}: ${detail}`, { category: 'network' });
+    }
+    if (status === 401) {
+        return new InflowApiError('inFlow rejected the API token. Check INFLOW_API_TOKEN, or create a new key in inFlow under Settings → API', { category: 'auth', status });
+    }
+    if (status === 403 || status === 404) {
+        return new InflowApiError(`inFlow company "${config.companyId}" was not found or the API token has no access to it. Check INFLOW_COMPANY_ID (${detail})`, { category: 'company', status });
+    }
+    if (status === 429) {
+        return new InflowApiError('inFlow rate limit reached and retries ran out. Try again in a minute, or sync fewer products at once', { category: 'rate_limited', status });
+    }
+    if (status >= 500) {
+        return new InflowApiError(`inFlow server error (HTTP ${status}): ${detail}. This is usually temporary; try again later`, { category: 'server', status });
+    }
+    return new InflowApiError(`inFlow rejected the request (HTTP ${status}): ${detail}`, { category: 'request', status });
+}
+
+/**
+ * Returns true for failures that may succeed when sent again (429, 5xx, timeouts and network errors)
+ * @param {Error} error - Axios error
+ */
+function isRetryable(error) {
+    if (!error.response) return Boolean(error.request);
+    const status = error.response.status;
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Delay before the next attempt: Retry-After when inFlow sends it, otherwise
+ * exponential backoff with full jitter
+ * @param {number} attempt - Attempt that just failed (0-based)
+ * @param {Object} response - Axios response, if any
+ * @returns {number} Delay in milliseconds
+ */
+function retryDelay(attempt, response) {
+    const retryAfter = parseFloat(response?.headers?.['retry-after']);
+    if (Number.isFinite(retryAfter) && retryAfter > 0) {
+        return retryAfter * 1000;
+    }
+    const ceiling = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** attempt);
+    return Math.random() * ceiling;
+}
+
+/**
+ * Sends a request to a company-scoped inFlow endpoint, retrying transient failures
+ * @param {string} method - 'get' or 'put'
+ * @param {string} path - Path below the company, e.g. '/products'
+ * @param {Object} options
+ * @param {Object} options.params - Query parameters
+ * @param {Object} options.data - Request body
+ * @returns {Promise<Object>} Axios response
+ */
+async function request(method, path, { params = {}, data } = {}) {
+    const config = getConfig();
+    assertConfigured(config);
+
+    const url = `${config.baseUrl}/${config.companyId}${path}`;
+    const label = method.toUpperCase();
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await axios.request({
+                method,
+                url,
+                headers: {
+                    'Authorization': `Bearer ${config.token}`,
+                    'Accept': `application/vnd.api+json; version=${config.apiVersion}`,
+                    ...(data !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                    ...config.extraHeaders
+                },
+                params,
+                data,
+                timeout: config.timeoutMs
+            });
+        } catch (error) {
+            if (attempt >= config.maxRetries || !isRetryable(error)) {
+                const classified = classifyError(error, config);
+                console.error(`[inFlow] ${label} ${url} failed (${classified.category}):`, error.response?.status || error.code || '', JSON.stringify(error.response?.data || error.message));
+                throw classified;
+            }
+            const delay = retryDelay(attempt, error.response);
+            console.log(`[inFlow] ${label} ${url} failed (${error.response?.status || error.code || error.message}), retry ${attempt + 1}/${config.maxRetries} in ${Math.round(delay)}ms`);
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * Sends a GET request to a company-scoped inFlow endpoint
+ * @param {string} path - Path below the company, e.g. '/products'
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object>} Axios response
+ */
+async function get(path, params = {}) {
+    return request('get', path, { params });
+}
+
+/**
+ * Creates or updates a record. inFlow records carry IDs chosen by the client, so
+ * sending the same record again updates it instead of creating a second one
+ * @param {string} path - Path below the company, e.g. '/sales-orders'
+ * @param {Object} data - Record to save
+ * @returns {Promise<Object>} Axios response
+ */
+async function put(path, data) {
+    return request('put', path, { data });
+}
+
+module.exports = {
+    get,
+    put,
+    getConfig,
+    assertConfigured
+};
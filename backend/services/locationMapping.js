@@ -0,0 +1,160 @@
+/**
+ * Location Mapping Service
+ * Maps inFlow locations (optionally down to a sublocation) to Shopify locations,
+ * so each Shopify location's stock is set from its own inFlow inventory lines
+ */
+
+const dataStore = require('./dataStore');
+const inflowClient = require('./inflowClient');
+const shopifyClient = require('./shopifyClient');
+const syncCheckpoint = require('./syncCheckpoint');
+const { ValidationError } = require('./errors');
+
+const MAPPING_FILE = 'locations.json';
+
+const UNMAPPED_POLICIES = ['ignore', 'default'];
+
+const EMPTY_MAPPING = {
+    mappings: [],
+    // What happens to stock in inFlow locations without a mapping
+    unmappedPolicy: 'ignore',
+    defaultShopifyLocationId: null,
+    updatedAt: null
+};
+
+/**
+ * Lists inFlow locations
+ * @returns {Promise<Array>} Locations with id, name and isActive
+ */
+async function listInflowLocations() {
+    const response = await inflowClient.get('/locations', { count: 100 });
+    return (response.data.data || []).map(location => ({
+        id: location.id,
+        name: location.attributes?.name || location.id,
+        isActive: location.attributes?.isActive !== false
+    }));
+}
+
+/**
+ * Lists Shopify locations
+ * @returns {Promise<Array>} Locations with id (numeric, as a string), name and active
+ */
+async function listShopifyLocations() {
+    try {
+        const response = await shopifyClient.rest('get', '/locations.json');
+        return (response.data.locations || []).map(location => ({
+            id: String(location.id),
+            name: location.name,
+            active: location.active
+        }));
+    } catch (error) {
+        throw new Error(`Failed to fetch Shopify locations: ${error.message}`);
+    }
+}
+
+/**
+ * Returns the saved mapping
+ * @returns {Promise<Object>} { mappings, unmappedPolicy, defaultShopifyLocationId, updatedAt }
+ */
+async function getLocationMapping() {
+    return { ...EMPTY_MAPPING, ...(await dataStore.readJson(MAPPING_FILE, EMPTY_MAPPING)) };
+}
+
+/**
+ * Validates and saves the mapping
+ * @param {Object} input
+ * @param {Array} input.mappings - [{ inflowLocationId, sublocation, shopifyLocationId }]; sublocation is optional
+ * @param {string} input.unmappedPolicy - 'ignore' or 'default'
+ * @param {string} input.defaultShopifyLocationId - Shopify location for unmapped stock when the policy is 'default'
+ * @returns {Promise<Object>} Saved mapping
+ */
+async function saveLocationMapping(input = {}) {
+    const { mappings = [], unmappedPolicy = 'ignore', defaultShopifyLocationId = null } = input;
+
+    if (!Array.isArray(mappings)) {
+        throw new ValidationError('mappings must be an array');
+    }
+    if (!UNMAPPED_POLICIES.includes(unmappedPolicy)) {
+        throw new ValidationError(`unmappedPolicy must be one of: ${UNMAPPED_POLICIES.join(', ')}`);
+    }
+    if (unmappedPolicy === 'default' && !defaultShopifyLocationId) {
+        throw new ValidationError('defaultShopifyLocationId is required when unmapped stock goes to a default location');
+    }
+
+    const seen = new Set();
+    const cleaned = mappings.map((entry, index) => {
+        const inflowLocationId = String(entry?.inflowLocationId || '').trim();
+        const sublocation = String(entry?.sublocation || '').trim() || null;
+        const shopifyLocationId = String(entry?.shopifyLocationId || '').trim();
+
+        if (!inflowLocationId || !shopifyLocationId) {
+            throw new ValidationError(`Mapping ${index + 1} needs both an inFlow and a Shopify location`);
+        }
+
+        const key = `${inflowLocationId}:${(sublocation || '').toLowerCase()}`;
+        if (seen.has(key)) {
+            throw new ValidationError(`inFlow location ${inflowLocationId}${sublocation ? ` / ${sublocation}` : ''} is mapped more than once`);
+        }
+        seen.add(key);
+
+        return { inflowLocationId, sublocation, shopifyLocationId };
+    });
+
+    const mapping = {
+        mappings: cleaned,
+        unmappedPolicy,
+        defaultShopifyLocationId: unmappedPolicy === 'default' ? String(defaultShopifyLocationId) : null,
+        updatedAt: new Date().toISOString()
+    };
+
+    await dataStore.writeJson(MAPPING_FILE, mapping);
+    await syncCheckpoint.resetCheckpoint('Location mapping');
+    console.log(`[LOCATIONS] Saved ${cleaned.length} location mapping(s), unmapped stock: ${unmappedPolicy}`);
+    return mapping;
+}
+
+/**
+ * Splits a product's inFlow inventory lines over the mapped Shopify locations.
+ * A mapping for the line's sublocation wins over one for the whole location
+ * @param {Array} inventoryLines - [{ locationId, sublocation, quantity }] from mapInflowProduct
+ * @param {Object} mapping - Saved mapping (see getLocationMapping)
+ * @returns {Map|null} Shopify location ID → quantity (every mapped location, even at 0), or null when nothing is mapped
+ */
+function planStockByLocation(inventoryLines, mapping) {
+    if (!mapping || mapping.mappings.length === 0) return null;
+
+    const levels = new Map();
+    mapping.mappings.forEach(entry => levels.set(entry.shopifyLocationId, 0));
+    if (mapping.unmappedPolicy === 'default') {
+        levels.set(mapping.defaultShopifyLocationId, levels.get(mapping.defaultShopifyLocationId) || 0);
+    }
+
+    for (const line of inventoryLines || []) {
+        const sublocation = (line.sublocation || '').toLowerCase();
+        const match = mapping.mappings.find(entry =>
+            entry.inflowLocationId === line.locationId && entry.sublocation && entry.sublocation.toLowerCase() === sublocation
+        ) || mapping.mappings.find(entry => entry.inflowLocationId === line.locationId && !entry.sublocation);
+
+        const shopifyLocationId = match
+            ? match.shopifyLocationId
+            : (mapping.unmappedPolicy === 'default' ? mapping.defaultShopifyLocationId : null);
+
+        if (shopifyLocationId) {
+            levels.set(shopifyLocationId, levels.get(shopifyLocationId) + (line.quantity || 0));
+        }
+    }
+
+    // Shopify stock is whole units
+    for (const [locationId, quantity] of levels) {
+        levels.set(locationId, Math.floor(quantity));
+    }
+    return levels;
+}
+
+module.exports = {
+    listInflowLocations,
+    listShopifyLocations,
+    getLocationMapping,
+    saveLocationMapping,
+    planStockByLocation
+};
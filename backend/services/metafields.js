@@ -0,0 +1,196 @@
+/**
+ * Metafields Service
+ * Writes mapped inFlow custom fields to Shopify product and variant metafields,
+ * creates missing metafield definitions and works out which metafields changed
+ */
+
+const shopifyClient = require('./shopifyClient');
+const { formatMetafieldValue } = require('./fieldMapping');
+
+// Shopify owner types of the two metafield owners
+const OWNER_TYPES = { product: 'PRODUCT', variant: 'PRODUCTVARIANT' };
+
+// metafieldsSet accepts at most 25 metafields per call
+const SET_BATCH_SIZE = 25;
+
+/**
+ * Identifies a metafield within its owner
+ * @param {Object} metafield - { namespace, key }
+ * @returns {string} 'namespace.key'
+ */
+function metafieldId({ namespace, key }) {
+    return `${namespace}.${key}`;
+}
+
+/**
+ * Lists existing metafield definitions of one owner type
+ * @param {string} ownerType - PRODUCT or PRODUCTVARIANT
+ * @returns {Promise<Map>} 'namespace.key' → type name
+ */
+async function fetchMetafieldDefinitions(ownerType) {
+    const query = `
+    query definitions($ownerType: MetafieldOwnerType!) {
+        metafieldDefinitions(first: 250, ownerType: $ownerType) {
+            nodes {
+                namespace
+                key
+                type {
+                    name
+                }
+            }
+        }
+    }
+    `;
+
+    const response = await shopifyClient.graphql(query, { ownerType });
+    const nodes = response.data?.data?.metafieldDefinitions?.nodes || [];
+    return new Map(nodes.map(node => [metafieldId(node), node.type.name]));
+}
+
+/**
+ * Creates the metafield definitions that do not exist yet. Problems are logged and
+ * do not stop the sync; Shopify accepts metafields without a definition
+ * @param {Array} rules - Metafield rules from the field mapping
+ * @param {Function} log - Logger for the sync log
+ * @returns {Promise<number>} Number of definitions created
+ */
+async function ensureMetafieldDefinitions(rules, log = console.log) {
+    let created = 0;
+
+    for (const [owner, ownerType] of Object.entries(OWNER_TYPES)) {
+        const wanted = rules.filter(rule => rule.owner === owner);
+        if (wanted.length === 0) continue;
+
+        let existing;
+        try {
+            existing = await fetchMetafieldDefinitions(ownerType);
+        } catch (error) {
+            log(`⚠️ Could not read ${owner} metafield definitions: ${error.message}`);
+            continue;
+        }
+
+        for (const rule of wanted) {
+            const id = metafieldId(rule);
+            if (existing.has(id)) {
+                if (existing.get(id) !== rule.type) {
+                    log(`⚠️ ${owner} metafield ${id} is defined as ${existing.get(id)} in Shopify, but mapped as ${rule.type}`);
+                }
+                continue;
+            }
+
+            const mutation = `
+            mutation createDefinition($definition: MetafieldDefinitionInput!) {
+                metafieldDefinitionCreate(definition: $definition) {
+                    createdDefinition {
+                        id
+                    }
+                    userErrors {
+                        field
+                        message
+                    }
+                }
+            }
+            `;
+
+            try {
+                const response = await shopifyClient.graphql(mutation, {
+                    definition: {
+                        name: rule.name || rule.key,
+                        namespace: rule.namespace,
+                        key: rule.key,
+                        type: rule.type,
+                        ownerType
+                    }
+                });
+                const userErrors = response.data?.data?.metafieldDefinitionCreate?.userErrors || [];
+                if (userErrors.length > 0) {
+                    log(`⚠️ Could not create ${owner} metafield definition ${id}: ${userErrors.map(e => e.message).join('; ')}`);
+                    continue;
+                }
+                created++;
+                log(`🏷️ Created ${owner} metafield definition ${id} (${rule.type})`);
+            } catch (error) {
+                log(`⚠️ Could not create ${owner} metafield definition ${id}: ${error.message}`);
+            }
+        }
+    }
+
+    return created;
+}
+
+/**
+ * Compares mapped metafields with the values Shopify has
+ * @param {Array} mapped - [{ owner, namespace, key, type, value }] from fieldMapping.mapMetafields
+ * @param {Object} existing - { product: { 'namespace.key': value }, variant: {...} } from searchShopifyBySku
+ * @param {Array} owners - Owners to compare, e.g. ['variant'] for the variants of a group
+ * @returns {Array} Changes: [{ field, before, after, metafield }]
+ */
+function metafieldChanges(mapped, existing, owners = ['product', 'variant']) {
+    return mapped
+        .filter(metafield => owners.includes(metafield.owner))
+        .map(metafield => {
+            const raw = existing?.[metafield.owner]?.[metafieldId(metafield)];
+            const before = raw === undefined ? null : formatMetafieldValue(raw, metafield.type) ?? raw;
+            return {
+                field: `${metafield.owner === 'variant' ? 'variant ' : ''}metafield ${metafieldId(metafield)}`,
+                before,
+                after: metafield.value,
+                metafield
+            };
+        })
+        .filter(change => change.before !== change.after);
+}
+
+/**
+ * Writes metafields to Shopify
+ * @param {Array} metafields - [{ owner, namespace, key, type, value }]
+ * @param {Object} ownerIds - { product: productGid, variant: variantGid }
+ * @returns {Promise<number>} Number of metafields written
+ */
+async function setMetafields(metafields, ownerIds) {
+    const inputs = metafields
+        .filter(metafield => ownerIds[metafield.owner])
+        .map(metafield => ({
+            ownerId: ownerIds[metafield.owner],
+            namespace: metafield.namespace,
+            key: metafield.key,
+            type: metafield.type,
+            value: metafield.value
+        }));
+
+    const mutation = `
+    mutation setMetafields($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+            userErrors {
+                field
+                message
+            }
+        }
+    }
+    `;
+
+    for (let i = 0; i < inputs.length; i += SET_BATCH_SIZE) {
+        const response = await shopifyClient.graphql(mutation, { metafields: inputs.slice(i, i + SET_BATCH_SIZE) });
+        const userErrors = response.data?.data?.metafieldsSet?.userErrors || [];
+        if (userErrors.length > 0) {
+            throw new Error(`Failed to set metafields: ${userErrors.map(e => e.message).join('; ')}`);
+        }
+    }
+    return inputs.length;
+}
+
+/**
+ * Reads metafield values from a GraphQL metafields connection
+ * @param {Object} connection - { edges: [{ node: { namespace, key, value } }] }
+ * @returns {Object} 'namespace.key' → value
+ */
+function readMetafieldConnection(connection) {
+    return Object.fromEntries((connection?.edges || []).map(({ node }) => [metafieldId(node), node.value]));
+}
+
+module.exports = {
+    ensureMetafieldDefinitions,
+    metafieldChanges,
+    setMetafields,
+    readMetafieldConnection
+};
@@ -0,0 +1,516 @@
+/**
+ * Order Import Service
+ * Turns Shopify orders into inFlow sales orders. Orders arrive through the
+ * orders/create webhook and a catch-up poll; line items are matched to inFlow
+ * products by SKU, and orders with unknown SKUs wait in a review queue
+ */
+
+const crypto = require('crypto');
+const { Cron } = require('croner');
+const dataStore = require('./dataStore');
+const inflowClient = require('./inflowClient');
+const shopifyClient = require('./shopifyClient');
+const { ValidationError, NotFoundError } = require('./errors');
+
+const SETTINGS_FILE = 'order-import.json';
+const ORDERS_FILE = 'orders.json';
+const POLL_FILE = 'order-poll.json';
+
+// 'review' and 'failed' orders make up the review queue
+const ORDER_STATUSES = ['imported', 'review', 'failed', 'dismissed'];
+
+// Failed orders are retried by the poll this many times before they wait for a manual retry
+const MAX_ATTEMPTS = 5;
+
+// The poll looks back this far past its last run, in case an order was created mid-poll
+const POLL_OVERLAP_MS = 60 * 60 * 1000;
+
+const SHOPIFY_PAGE_SIZE = 250;
+
+const DEFAULT_SETTINGS = {
+    enabled: false,
+    // Orders created before import was switched on are left alone
+    enabledAt: null,
+    // inFlow order number = prefix + Shopify order number, e.g. SH-1001
+    orderNumberPrefix: 'SH-',
+    inflowLocationId: null,
+    pollMinutes: 15,
+    updatedAt: null
+};
+
+// Poll timer, and orders being imported right now (the webhook and the poll can see the same order)
+let pollTimer = null;
+const importing = new Set();
+
+/**
+ * Derives a UUID from a name, so the same Shopify record always maps to the same inFlow ID
+ * @param {string} name - e.g. 'shopify-order-4501'
+ * @returns {string} UUID (version 5 layout)
+ */
+function stableUuid(name) {
+    const hex = crypto.createHash('sha1').update(name).digest('hex');
+    const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * Returns the saved import settings
+ * @returns {Promise<Object>} { enabled, enabledAt, orderNumberPrefix, inflowLocationId, pollMinutes, updatedAt }
+ */
+async function getOrderImport() {
+    return { ...DEFAULT_SETTINGS, ...(await dataStore.readJson(SETTINGS_FILE, DEFAULT_SETTINGS)) };
+}
+
+/**
+ * Validates and saves the import settings, and restarts the poll to match
+ * @param {Object} input
+ * @param {boolean} input.enabled - Import orders
+ * @param {string} input.orderNumberPrefix - Prefix of inFlow order numbers
+ * @param {string|null} input.inflowLocationId - Location the sales orders ship from; null for inFlow's default
+ * @param {number} input.pollMinutes - Minutes between catch-up polls, 5 to 1440
+ * @returns {Promise<Object>} Saved settings
+ */
+async function saveOrderImport(input = {}) {
+    const current = await getOrderImport();
+
+    const enabled = input.enabled ?? current.enabled;
+    if (typeof enabled !== 'boolean') {
+        throw new ValidationError('enabled must be true or false');
+    }
+    const orderNumberPrefix = String(input.orderNumberPrefix ?? current.orderNumberPrefix).trim();
+    if (orderNumberPrefix.length > 10) {
+        throw new ValidationError('orderNumberPrefix must be at most 10 characters');
+    }
+    const pollMinutes = Number(input.pollMinutes ?? current.pollMinutes);
+    if (!Number.isInteger(pollMinutes) || pollMinutes < 5 || pollMinutes > 1440) {
+        throw new ValidationError('pollMinutes must be a whole number from 5 to 1440');
+    }
+
+    const now = new Date().toISOString();
+    const settings = {
+        enabled,
+        enabledAt: enabled ? current.enabledAt || now : null,
+        orderNumberPrefix,
+        inflowLocationId: input.inflowLocationId !== undefined ? input.inflowLocationId || null : current.inflowLocationId,
+        pollMinutes,
+        updatedAt: now
+    };
+    await dataStore.writeJson(SETTINGS_FILE, settings);
+    applyPollTimer(settings);
+    console.log(`[ORDERS] Saved order import settings: ${enabled ? `on, polling every ${pollMinutes} min` : 'off'}`);
+    return settings;
+}
+
+/**
+ * Returns when the catch-up poll last ran and what it found
+ * @returns {Promise<Object>} { lastPolledAt, lastResult, lastError }
+ */
+async function getPollState() {
+    return dataStore.readJson(POLL_FILE, { lastPolledAt: null, lastResult: null, lastError: null });
+}
+
+/**
+ * Lists imported and queued orders, newest first
+ * @param {Object} options
+ * @param {Array<string>} options.statuses - Optional: only these statuses (see ORDER_STATUSES)
+ * @param {number} options.limit - Maximum number of orders
+ * @returns {Promise<Array>} Order records
+ */
+async function listOrders({ statuses = null, limit = 100 } = {}) {
+    const orders = Object.values(await dataStore.readJson(ORDERS_FILE, {}));
+    return orders
+        .filter(order => !statuses || statuses.includes(order.status))
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+        .slice(0, limit);
+}
+
+/**
+ * Stores the import state of one Shopify order
+ * @param {string} shopifyOrderId - Shopify order ID
+ * @param {Object} changes - Fields to set
+ * @returns {Promise<Object>} Updated record
+ */
+async function saveOrderRecord(shopifyOrderId, changes) {
+    let record;
+    await dataStore.updateJson(ORDERS_FILE, {}, (orders) => {
+        record = { ...orders[shopifyOrderId], shopifyOrderId, ...changes, updatedAt: new Date().toISOString() };
+        orders[shopifyOrderId] = record;
+        return orders;
+    });
+    return record;
+}
+
+/**
+ * Finds the inFlow product with exactly this SKU
+ * @param {string} sku - SKU of a Shopify line item
+ * @returns {Promise<Object|null>} inFlow product, or null when no product has the SKU
+ */
+async function findInflowProduct(sku) {
+    const response = await inflowClient.get('/products', { 'filter[sku]': sku, count: 10 });
+    return (response.data.data || []).find(product => product.attributes?.sku === sku) || null;
+}
+
+/**
+ * Finds the inFlow customer for an order by email (or name for orders without one), creating it if needed
+ * @param {Object} order - Shopify order
+ * @returns {Promise<string>} inFlow customer ID
+ */
+async function findOrCreateCustomer(order) {
+    const address = order.billing_address || order.shipping_address || {};
+    const email = order.customer?.email || order.email || null;
+    const personName = [order.customer?.first_name, order.customer?.last_name].filter(Boolean).join(' ')
+        || address.name || null;
+    const name = address.company || personName || email || 'Shopify customer';
+
+    const response = await inflowClient.get('/customers', { 'filter[smart]': email || name, count: 20 });
+    const existing = (response.data.data || []).find(customer => (email
+        ? String(customer.attributes?.email || '').toLowerCase() === email.toLowerCase()
+        : customer.attributes?.name === name));
+    if (existing) return existing.id;
+
+    // The ID follows the Shopify customer, so a retried import does not create the customer twice
+    const customerId = stableUuid(`shopify-customer-${order.customer?.id || email || name}`);
+    await inflowClient.put('/customers', {
+        customerId,
+        name,
+        contactName: personName,
+        email,
+        phone: order.customer?.phone || order.phone || address.phone || null,
+        remarks: 'Created from a Shopify order'
+    });
+    console.log(`[ORDERS] Created inFlow customer "${name}"`);
+    return customerId;
+}
+
+/**
+ * Maps a Shopify address to an inFlow address
+ * @param {Object|null} address - Shopify billing or shipping address
+ * @returns {Object|null} inFlow address
+ */
+function mapAddress(address) {
+    if (!address) return null;
+    return {
+        address1: address.address1 || '',
+        address2: address.address2 || '',
+        city: address.city || '',
+        state: address.province_code || address.province || '',
+        country: address.country || '',
+        postalCode: address.zip || ''
+    };
+}
+
+/**
+ * Maps Shopify tax lines to inFlow's two order taxes. Taxes beyond the second are
+ * added to the second (e.g. "PST + HST"), since inFlow has no third tax
+ * @param {Array} taxLines - Shopify order tax_lines ({ title, rate })
+ * @returns {Object} tax1Name, tax1Rate, tax2Name, tax2Rate (rates in percent)
+ */
+function mapTaxes(taxLines = []) {
+    const toPercent = (rate) => String(Math.round(parseFloat(rate || 0) * 100 * 10000) / 10000);
+    const [first, ...rest] = taxLines;
+    return {
+        tax1Name: first?.title || null,
+        tax1Rate: first ? toPercent(first.rate) : '0',
+        tax2Name: rest.length > 0 ? rest.map(line => line.title).join(' + ') : null,
+        tax2Rate: toPercent(rest.reduce((sum, line) => sum + parseFloat(line.rate || 0), 0))
+    };
+}
+
+/**
+ * Builds the inFlow sales order for a Shopify order
+ * @param {Object} order - Shopify order
+ * @param {Array} lines - [{ item, product }]: Shopify line item and its inFlow product
+ * @param {string} customerId - inFlow customer ID
+ * @param {Object} settings - From getOrderImport
+ * @returns {Object} Sales order
+ */
+function buildSalesOrder(order, lines, customerId, settings) {
+    const shipping = order.shipping_address || null;
+    const shippingLines = order.shipping_lines || [];
+    const freight = shippingLines.reduce((sum, line) => sum + parseFloat(line.discounted_price ?? line.price ?? 0), 0);
+    const remarks = [
+        `Shopify order ${order.name}`,
+        shippingLines.length > 0 ? `Shipping: ${shippingLines.map(line => line.title).join(', ')}` : null,
+        order.note || null
+    ].filter(Boolean).join('\n');
+
+    return {
+        salesOrderId: stableUuid(`shopify-order-${order.id}`),
+        orderNumber: `${settings.orderNumberPrefix}${order.order_number}`,
+        orderDate: order.created_at,
+        customerId,
+        contactName: shipping?.name || order.billing_address?.name || null,
+        email: order.customer?.email || order.email || null,
+        phone: shipping?.phone || order.phone || order.customer?.phone || null,
+        poNumber: order.name,
+        billingAddress: mapAddress(order.billing_address),
+        shippingAddress: mapAddress(shipping),
+        shipToCompanyName: shipping?.company || null,
+        ...(settings.inflowLocationId ? { locationId: settings.inflowLocationId } : {}),
+        isTaxInclusive: Boolean(order.taxes_included),
+        ...mapTaxes(order.tax_lines),
+        orderFreight: freight.toFixed(2),
+        orderRemarks: remarks,
+        lines: lines.map(({ item, product }) => {
+            const discount = (item.discount_allocations || []).length > 0
+                ? item.discount_allocations.reduce((sum, allocation) => sum + parseFloat(allocation.amount || 0), 0)
+                : parseFloat(item.total_discount || 0);
+            return {
+                salesOrderLineId: stableUuid(`shopify-order-line-${item.id}`),
+                productId: product.id,
+                description: [item.title, item.variant_title].filter(Boolean).join(' - '),
+                quantity: { standardQuantity: String(item.quantity), uomQuantity: String(item.quantity) },
+                unitPrice: item.price,
+                discount: { value: discount.toFixed(2), isPercent: false }
+            };
+        })
+    };
+}
+
+/**
+ * Short summary of an order kept with its import record
+ * @param {Object} order - Shopify order
+ * @returns {Object} name, createdAt, customer, total, currency
+ */
+function describeOrder(order) {
+    const customer = [order.customer?.first_name, order.customer?.last_name].filter(Boolean).join(' ')
+        || order.billing_address?.name || order.email || null;
+    return {
+        name: order.name,
+        createdAt: order.created_at,
+        customer,
+        total: order.total_price,
+        currency: order.currency
+    };
+}
+
+/**
+ * Imports one Shopify order as an inFlow sales order. Orders already imported,
+ * dismissed or waiting for review are left alone unless forced
+ * @param {Object} order - Shopify order (REST format, as sent by the orders/create webhook)
+ * @param {Object} options
+ * @param {string} options.source - 'webhook', 'poll' or 'manual'
+ * @param {boolean} options.force - Import an order from the review queue again
+ * @returns {Promise<Object>} { status: 'imported'|'review'|'failed'|'skipped', reason?, record? }
+ */
+async function importOrder(order, { source = 'manual', force = false } = {}) {
+    const shopifyOrderId = String(order.id);
+    const settings = await getOrderImport();
+
+    if (!settings.enabled && !force) {
+        return { status: 'skipped', reason: 'Order import is off' };
+    }
+    if (order.cancelled_at) {
+        return { status: 'skipped', reason: 'Cancelled' };
+    }
+    if (!force && settings.enabledAt && order.created_at && new Date(order.created_at) < new Date(settings.enabledAt)) {
+        return { status: 'skipped', reason: 'Created before order import was switched on' };
+    }
+    if (importing.has(shopifyOrderId)) {
+        return { status: 'skipped', reason: 'Already being imported' };
+    }
+
+    const orders = await dataStore.readJson(ORDERS_FILE, {});
+    const existing = orders[shopifyOrderId];
+    if (existing?.status === 'imported') {
+        return { status: 'skipped', reason: `Already imported as ${existing.inflowOrderNumber}`, record: existing };
+    }
+    if (!force && (existing?.status === 'dismissed' || existing?.status === 'review')) {
+        return { status: 'skipped', reason: `In the review queue (${existing.status})`, record: existing };
+    }
+    if (!force && existing?.status === 'failed' && existing.attempts >= MAX_ATTEMPTS) {
+        return { status: 'skipped', reason: `Failed ${existing.attempts} times; retry it from the review queue`, record: existing };
+    }
+
+    importing.add(shopifyOrderId);
+    const attempts = (existing?.attempts || 0) + 1;
+    try {
+        // Match every line item to an inFlow product before creating anything
+        const lines = [];
+        const unknownSkus = [];
+        const productsBySku = new Map();
+        for (const item of (order.line_items || []).filter(line => line.quantity > 0)) {
+            const sku = (item.sku || '').trim();
+            if (sku && !productsBySku.has(sku)) {
+                productsBySku.set(sku, await findInflowProduct(sku));
+            }
+            const product = sku ? productsBySku.get(sku) : null;
+            if (product) {
+                lines.push({ item, product });
+            } else {
+                unknownSkus.push({ sku: sku || null, title: item.title, quantity: item.quantity });
+            }
+        }
+
+        if (unknownSkus.length > 0) {
+            const record = await saveOrderRecord(shopifyOrderId, {
+                ...describeOrder(order),
+                status: 'review',
+                source,
+                attempts,
+                unknownSkus,
+                error: `${unknownSkus.length} line item(s) have no matching inFlow SKU: ${unknownSkus.map(line => line.sku || `"${line.title}" (no SKU)`).join(', ')}`
+            });
+            console.log(`[ORDERS] ${order.name} held for review: ${record.error}`);
+            return { status: 'review', record };
+        }
+
+        const customerId = await findOrCreateCustomer(order);
+        const salesOrder = buildSalesOrder(order, lines, customerId, settings);
+        await inflowClient.put('/sales-orders', salesOrder);
+
+        const record = await saveOrderRecord(shopifyOrderId, {
+            ...describeOrder(order),
+            status: 'imported',
+            source,
+            attempts,
+            unknownSkus: [],
+            error: null,
+            inflowSalesOrderId: salesOrder.salesOrderId,
+            inflowOrderNumber: salesOrder.orderNumber,
+            importedAt: new Date().toISOString()
+        });
+        console.log(`[ORDERS] Imported ${order.name} as inFlow sales order ${salesOrder.orderNumber} (${source})`);
+        return { status: 'imported', record };
+    } catch (error) {
+        const record = await saveOrderRecord(shopifyOrderId, {
+            ...describeOrder(order),
+            status: 'failed',
+            source,
+            attempts,
+            error: error.message
+        });
+        console.error(`[ORDERS] Failed to import ${order.name} (attempt ${attempts}):`, error.message);
+        return { status: 'failed', record };
+    } finally {
+        importing.delete(shopifyOrderId);
+    }
+}
+
+/**
+ * Loads an order from Shopify and imports it again, e.g. after its SKUs were added to inFlow
+ * @param {string} shopifyOrderId - Shopify order ID
+ * @returns {Promise<Object>} Result of importOrder
+ */
+async function retryOrder(shopifyOrderId) {
+    let response;
+    try {
+        response = await shopifyClient.rest('get', `/orders/${shopifyOrderId}.json`);
+    } catch (error) {
+        if (error.response?.status === 404) {
+            throw new NotFoundError(`Shopify order ${shopifyOrderId} not found`);
+        }
+        throw new Error(`Failed to load Shopify order ${shopifyOrderId}: ${error.message}`);
+    }
+    return importOrder(response.data.order, { source: 'manual', force: true });
+}
+
+/**
+ * Removes an order from the review queue without importing it (e.g. entered in inFlow by hand)
+ * @param {string} shopifyOrderId - Shopify order ID
+ * @returns {Promise<Object>} Updated record
+ */
+async function dismissOrder(shopifyOrderId) {
+    const orders = await dataStore.readJson(ORDERS_FILE, {});
+    const existing = orders[shopifyOrderId];
+    if (!existing) {
+        throw new NotFoundError(`Shopify order ${shopifyOrderId} is not in the review queue`);
+    }
+    if (existing.status === 'imported') {
+        throw new ValidationError(`${existing.name} was already imported as ${existing.inflowOrderNumber}`);
+    }
+    console.log(`[ORDERS] Dismissed ${existing.name}`);
+    return saveOrderRecord(shopifyOrderId, { status: 'dismissed' });
+}
+
+/**
+ * Catch-up poll: imports Shopify orders created since the last poll that the webhook missed
+ * @returns {Promise<Object>} { checked, imported, review, failed } or { skipped: reason }
+ */
+async function pollOrders() {
+    const settings = await getOrderImport();
+    if (!settings.enabled) {
+        return { skipped: 'Order import is off' };
+    }
+
+    const startedAt = new Date().toISOString();
+    const state = await getPollState();
+    const lastPolled = state.lastPolledAt ? new Date(state.lastPolledAt).getTime() - POLL_OVERLAP_MS : 0;
+    const since = new Date(Math.max(lastPolled, new Date(settings.enabledAt).getTime())).toISOString();
+
+    const counts = { checked: 0, imported: 0, review: 0, failed: 0 };
+    try {
+        // since_id pages through the orders in ID order
+        let sinceId = 1;
+        while (true) {
+            const params = new URLSearchParams({
+                status: 'any',
+                created_at_min: since,
+                since_id: String(sinceId),
+                limit: String(SHOPIFY_PAGE_SIZE)
+            });
+            const response = await shopifyClient.rest('get', `/orders.json?${params}`);
+            const page = response.data.orders || [];
+
+            for (const order of page) {
+                counts.checked++;
+                const result = await importOrder(order, { source: 'poll' });
+                if (['imported', 'review', 'failed'].includes(result.status)) counts[result.status]++;
+            }
+
+            if (page.length < SHOPIFY_PAGE_SIZE) break;
+            sinceId = page[page.length - 1].id;
+        }
+    } catch (error) {
+        console.error('[ORDERS] Poll failed:', error.message);
+        await dataStore.writeJson(POLL_FILE, { ...state, lastError: error.message });
+        throw new Error(`Failed to fetch Shopify orders: ${error.message}`);
+    }
+
+    await dataStore.writeJson(POLL_FILE, { lastPolledAt: startedAt, lastResult: counts, lastError: null });
+    if (counts.imported + counts.review + counts.failed > 0) {
+        console.log(`[ORDERS] Poll: ${counts.checked} checked, ${counts.imported} imported, ${counts.review} held for review, ${counts.failed} failed`);
+    }
+    return counts;
+}
+
+/**
+ * Starts, restarts or stops the catch-up poll to match the settings
+ * @param {Object} settings - From getOrderImport
+ */
+function applyPollTimer(settings) {
+    pollTimer?.stop();
+    pollTimer = null;
+
+    if (!settings.enabled) return;
+
+    pollTimer = new Cron('* * * * *', {
+        interval: settings.pollMinutes * 60,
+        // Never overlap polls
+        protect: true,
+        catch: (error) => console.error('[ORDERS] Poll failed:', error.message)
+    }, () => pollOrders());
+}
+
+/**
+ * Starts the catch-up poll if order import is on; call once on server start
+ * @returns {Promise<Object>} Settings
+ */
+async function initOrderImport() {
+    const settings = await getOrderImport();
+    applyPollTimer(settings);
+    return settings;
+}
+
+module.exports = {
+    ORDER_STATUSES,
+    getOrderImport,
+    saveOrderImport,
+    getPollState,
+    listOrders,
+    importOrder,
+    retryOrder,
+    dismissOrder,
+    pollOrders,
+    initOrderImport
+};
@@ -0,0 +1,326 @@
+/**
+ * Pricing Service
+ * Picks the inFlow pricing schemes that feed Shopify's price and compare-at price,
+ * and applies pricing rules (markup, rounding, minimum margin) globally, per category or per SKU
+ */
+
+const dataStore = require('./dataStore');
+const inflowClient = require('./inflowClient');
+const syncCheckpoint = require('./syncCheckpoint');
+const { ValidationError } = require('./errors');
+
+const PRICING_FILE = 'pricing.json';
+
+const MARKUP_TYPES = ['none', 'percent', 'fixed'];
+
+// What the markup is added to: the scheme price or the product cost
+const MARKUP_BASES = ['price', 'cost'];
+
+// Price endings; prices are rounded up to the next one so the markup and margin still hold
+const ROUNDINGS = ['none', '.99', '.95'];
+
+const DEFAULT_RULE = {
+    markupType: 'none',
+    markup: 0,
+    basis: 'price',
+    rounding: 'none',
+    // Minimum margin over cost in percent of the price, or null for none
+    minMargin: null
+};
+
+const EMPTY_PRICING = {
+    // inFlow pricing scheme for Shopify's price; null uses the product's default price
+    priceSchemeId: null,
+    priceSchemeName: null,
+    // inFlow pricing scheme for the compare-at price; null leaves compare-at prices alone
+    compareAtSchemeId: null,
+    compareAtSchemeName: null,
+    global: DEFAULT_RULE,
+    categories: {}, // category name → rule
+    skus: {}, // SKU → rule
+    updatedAt: null
+};
+
+/**
+ * Lists inFlow pricing schemes
+ * @returns {Promise<Array>} Schemes with id, name, isDefault and isActive
+ */
+async function listPricingSchemes() {
+    const response = await inflowClient.get('/pricing-schemes', { count: 100 });
+    return (response.data.data || []).map(scheme => ({
+        id: scheme.id,
+        name: scheme.attributes?.name || scheme.id,
+        isDefault: scheme.attributes?.isDefault === true,
+        isActive: scheme.attributes?.isActive !== false
+    }));
+}
+
+/**
+ * Returns the saved pricing settings
+ * @returns {Promise<Object>} { priceSchemeId, compareAtSchemeId, global, categories, skus, updatedAt, ... }
+ */
+async function getPricing() {
+    const stored = await dataStore.readJson(PRICING_FILE, EMPTY_PRICING);
+    return { ...EMPTY_PRICING, ...stored, global: { ...DEFAULT_RULE, ...stored.global } };
+}
+
+/**
+ * Validates one pricing rule
+ * @param {Object} input - Rule from the API
+ * @param {string} label - What the rule is for, used in error messages
+ * @returns {Object} Cleaned rule
+ */
+function validateRule(input, label) {
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+        throw new ValidationError(`Pricing rule for ${label} must be an object`);
+    }
+    const rule = { ...DEFAULT_RULE, ...input };
+
+    if (!MARKUP_TYPES.includes(rule.markupType)) {
+        throw new ValidationError(`Markup type for ${label} must be one of: ${MARKUP_TYPES.join(', ')}`);
+    }
+    const markup = Number(rule.markup);
+    if (!Number.isFinite(markup)) {
+        throw new ValidationError(`Markup for ${label} must be a number`);
+    }
+    if (!MARKUP_BASES.includes(rule.basis)) {
+        throw new ValidationError(`Markup basis for ${label} must be one of: ${MARKUP_BASES.join(', ')}`);
+    }
+    if (!ROUNDINGS.includes(rule.rounding)) {
+        throw new ValidationError(`Rounding for ${label} must be one of: ${ROUNDINGS.join(', ')}`);
+    }
+
+    let minMargin = null;
+    if (rule.minMargin !== null && rule.minMargin !== '') {
+        minMargin = Number(rule.minMargin);
+        if (!Number.isFinite(minMargin) || minMargin < 0 || minMargin >= 100) {
+            throw new ValidationError(`Minimum margin for ${label} must be a percentage from 0 up to (not including) 100`);
+        }
+    }
+
+    return {
+        markupType: rule.markupType,
+        markup: rule.markupType === 'none' ? 0 : markup,
+        basis: rule.basis,
+        rounding: rule.rounding,
+        minMargin
+    };
+}
+
+/**
+ * Validates a name → rule map; keys are trimmed and empty keys rejected
+ * @param {Object} entries - Map from the API
+ * @param {string} kind - 'category' or 'SKU', used in error messages
+ * @returns {Object} Cleaned map
+ */
+function validateRuleMap(entries, kind) {
+    if (entries === null || typeof entries !== 'object' || Array.isArray(entries)) {
+        throw new ValidationError(`${kind} pricing rules must be an object of ${kind} → rule`);
+    }
+    const cleaned = {};
+    for (const [key, value] of Object.entries(entries)) {
+        const name = key.trim();
+        if (!name) {
+            throw new ValidationError(`${kind} pricing rules need a ${kind} name`);
+        }
+        cleaned[name] = validateRule(value, `${kind} "${name}"`);
+    }
+    return cleaned;
+}
+
+/**
+ * Validates and saves the pricing settings. Scheme IDs are checked against inFlow
+ * and their names stored for logs and results
+ * @param {Object} input
+ * @param {string|null} input.priceSchemeId - inFlow pricing scheme for the price; null for the default price
+ * @param {string|null} input.compareAtSchemeId - inFlow pricing scheme for the compare-at price; null to leave it alone
+ * @param {Object} input.global - Rule for products without a more specific one
+ * @param {Object} input.categories - Category name → rule
+ * @param {Object} input.skus - SKU → rule
+ * @returns {Promise<Object>} Saved settings
+ */
+async function savePricing(input = {}) {
+    const priceSchemeId = input.priceSchemeId || null;
+    const compareAtSchemeId = input.compareAtSchemeId || null;
+
+    let schemes = [];
+    if (priceSchemeId || compareAtSchemeId) {
+        schemes = await listPricingSchemes();
+    }
+    const schemeName = (id, label) => {
+        if (!id) return null;
+        const scheme = schemes.find(entry => String(entry.id) === String(id));
+        if (!scheme) {
+            throw new ValidationError(`Unknown inFlow pricing scheme for ${label}: ${id}`);
+        }
+        return scheme.name;
+    };
+
+    const pricing = {
+        priceSchemeId,
+        priceSchemeName: schemeName(priceSchemeId, 'the price'),
+        compareAtSchemeId,
+        compareAtSchemeName: schemeName(compareAtSchemeId, 'the compare-at price'),
+        global: validateRule(input.global ?? DEFAULT_RULE, 'all products'),
+        categories: validateRuleMap(input.categories ?? {}, 'category'),
+        skus: validateRuleMap(input.skus ?? {}, 'SKU'),
+        updatedAt: new Date().toISOString()
+    };
+
+    await dataStore.writeJson(PRICING_FILE, pricing);
+    await syncCheckpoint.resetCheckpoint('Pricing');
+    console.log(`[PRICING] Saved pricing: price from ${pricing.priceSchemeName || 'default price'}, compare-at from ${pricing.compareAtSchemeName || 'nothing'}, ${Object.keys(pricing.categories).length} category and ${Object.keys(pricing.skus).length} SKU override(s)`);
+    return pricing;
+}
+
+/**
+ * Finds the rule that applies to a product; a SKU rule wins over a category
+ * rule, which wins over the global one. Names match without regard to case
+ * @param {Object} product - Mapped product with sku and category
+ * @param {Object} pricing - Saved settings (see getPricing)
+ * @returns {Object} { rule, source, name } where source is 'sku', 'category' or 'global'
+ */
+function resolveRule(product, pricing) {
+    const find = (entries, name) => {
+        if (!name) return undefined;
+        const key = Object.keys(entries).find(entry => entry.toLowerCase() === name.toLowerCase());
+        return key === undefined ? undefined : { key, rule: entries[key] };
+    };
+
+    const skuRule = find(pricing.skus, product.sku);
+    if (skuRule) return { rule: skuRule.rule, source: 'sku', name: skuRule.key };
+
+    const categoryRule = find(pricing.categories, product.category);
+    if (categoryRule) return { rule: categoryRule.rule, source: 'category', name: categoryRule.key };
+
+    return { rule: pricing.global, source: 'global', name: null };
+}
+
+/**
+ * Rounds a price up to the next price with the given ending
+ * @param {number} cents - Price in cents
+ * @param {string} rounding - '.99', '.95' or 'none'
+ * @returns {number} Rounded price in cents
+ */
+function roundUp(cents, rounding) {
+    if (rounding === 'none') return cents;
+    const ending = rounding === '.99' ? 99 : 95;
+    const rounded = Math.floor(cents / 100) * 100 + ending;
+    return rounded < cents ? rounded + 100 : rounded;
+}
+
+/**
+ * Reads a price, or null when it is missing or not a number
+ * @param {*} value - Price from inFlow
+ * @returns {number|null} Price
+ */
+function toAmount(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const amount = parseFloat(value);
+    return Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * Computes a product's Shopify price and compare-at price
+ * @param {Object} product - Mapped product with price (default price), prices (scheme ID → unit price), cost, sku and category
+ * @param {Object} pricing - Saved settings (see getPricing)
+ * @returns {Object} { price, compareAtPrice, pricing } where compareAtPrice is undefined when it is not managed,
+ *   null to clear it, and pricing explains the result: { price, compareAtPrice, basePrice, cost, scheme, rule, steps }
+ */
+function computePrice(product, pricing) {
+    const steps = [];
+
+    // Base price from the chosen scheme, falling back to the default price
+    let basePrice = toAmount(product.price) ?? 0;
+    let scheme = 'default price';
+    if (pricing.priceSchemeId) {
+        const schemePrice = toAmount(product.prices?.[pricing.priceSchemeId]);
+        if (schemePrice !== null) {
+            basePrice = schemePrice;
+            scheme = pricing.priceSchemeName || pricing.priceSchemeId;
+        } else {
+            steps.push(`no ${pricing.priceSchemeName || pricing.priceSchemeId} price, using the default price`);
+        }
+    }
+    steps.push(`${scheme} ${basePrice.toFixed(2)}`);
+
+    const cost = toAmount(product.cost);
+    const { rule, source, name } = resolveRule(product, pricing);
+
+    // Markup on the scheme price or on cost
+    let amount = basePrice;
+    if (rule.markupType !== 'none') {
+        let base = basePrice;
+        if (rule.basis === 'cost') {
+            if (cost !== null) {
+                base = cost;
+                steps.push(`cost ${cost.toFixed(2)}`);
+            } else {
+                steps.push('no cost, markup on the price');
+            }
+        }
+        amount = rule.markupType === 'percent' ? base * (1 + rule.markup / 100) : base + rule.markup;
+        steps.push(`${rule.markupType === 'percent' ? `${rule.markup >= 0 ? '+' : ''}${rule.markup}%` : `${rule.markup >= 0 ? '+' : '−'}${Math.abs(rule.markup).toFixed(2)}`} → ${amount.toFixed(2)}`);
+    }
+
+    let cents = Math.max(0, Math.round(amount * 100));
+    if (rule.rounding !== 'none') {
+        cents = roundUp(cents, rule.rounding);
+        steps.push(`rounded to ${rule.rounding} → ${(cents / 100).toFixed(2)}`);
+    }
+
+    // Never below the minimum margin over cost
+    if (rule.minMargin !== null && cost !== null && cost > 0) {
+        const minimum = Math.ceil((cost / (1 - rule.minMargin / 100)) * 100);
+        if (cents < minimum) {
+            cents = roundUp(minimum, rule.rounding);
+            steps.push(`raised to ${rule.minMargin}% margin over cost ${cost.toFixed(2)} → ${(cents / 100).toFixed(2)}`);
+        }
+    }
+
+    const price = (cents / 100).toFixed(2);
+
+    // Compare-at price straight from its scheme; only shown in Shopify when above the price
+    let compareAtPrice;
+    if (pricing.compareAtSchemeId) {
+        const compareAt = toAmount(product.prices?.[pricing.compareAtSchemeId]);
+        compareAtPrice = compareAt !== null && Math.round(compareAt * 100) > cents ? compareAt.toFixed(2) : null;
+    }
+
+    return {
+        price,
+        compareAtPrice,
+        pricing: {
+            price,
+            compareAtPrice: compareAtPrice ?? null,
+            basePrice: basePrice.toFixed(2),
+            cost: cost === null ? null : cost.toFixed(2),
+            scheme,
+            rule: source === 'global' ? 'global' : `${source === 'sku' ? 'SKU' : 'category'} "${name}"`,
+            steps
+        }
+    };
+}
+
+/**
+ * Applies the pricing settings to a mapped product
+ * @param {Object} product - Product from mapInflowProduct
+ * @param {Object} pricing - Saved settings (see getPricing)
+ * @returns {Object} Product with the computed price, compareAtPrice and pricing breakdown
+ */
+function applyPricing(product, pricing) {
+    return { ...product, ...computePrice(product, pricing) };
+}
+
+module.exports = {
+    MARKUP_TYPES,
+    MARKUP_BASES,
+    ROUNDINGS,
+    DEFAULT_RULE,
+    listPricingSchemes,
+    getPricing,
+    savePricing,
+    resolveRule,
+    computePrice,
+    applyPricing
+};
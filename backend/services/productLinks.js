@@ -0,0 +1,275 @@
+/**
+ * Product Links Service
+ * Remembers which Shopify product, variant and inventory item each inFlow product
+ * was synced to. Later syncs update the linked variant directly instead of searching
+ * by SKU, so renamed SKUs and SKUs shared by several Shopify variants are handled.
+ * Links can be fixed, removed or set by hand, and SKU conflicts are flagged here
+ */
+
+const dataStore = require('./dataStore');
+const { ValidationError, NotFoundError } = require('./errors');
+
+const LINKS_FILE = 'product-links.json';
+
+/**
+ * Turns a Shopify GraphQL ID (gid://shopify/Product/123) or numeric ID into the numeric ID
+ * @param {string|number|null} id - Shopify ID
+ * @returns {string|null} Numeric ID as a string
+ */
+function numericId(id) {
+    if (id === null || id === undefined || id === '') return null;
+    return String(id).split('/').pop();
+}
+
+// How a link was made
+const LINK_SOURCES = ['created', 'matched', 'manual'];
+
+/**
+ * Returns all links
+ * @returns {Promise<Object>} inFlow product ID → { inflowId, sku, shopifyProductId, shopifyVariantId,
+ *   inventoryItemId, source, linkedAt, lastSyncedAt, retiredAt, retiredAction, conflict }.
+ *   Entries of products with an unresolved conflict have no Shopify IDs
+ */
+async function getLinks() {
+    return dataStore.readJson(LINKS_FILE, {});
+}
+
+/**
+ * Lists links for the admin view, with conflicts: SKUs found on several Shopify variants
+ * (stored by the sync) and Shopify variants linked to more than one inFlow product
+ * @param {Object} options
+ * @param {string} options.search - Optional: part of a SKU or ID
+ * @param {boolean} options.conflictsOnly - Only return entries with a conflict
+ * @returns {Promise<Array>} Entries sorted by SKU
+ */
+async function listLinks({ search = '', conflictsOnly = false } = {}) {
+    const entries = Object.values(await getLinks());
+
+    const byVariant = new Map();
+    for (const entry of entries.filter(link => link.shopifyVariantId)) {
+        if (!byVariant.has(entry.shopifyVariantId)) byVariant.set(entry.shopifyVariantId, []);
+        byVariant.get(entry.shopifyVariantId).push(entry);
+    }
+
+    const term = search.trim().toLowerCase();
+    return entries
+        .map(entry => {
+            const shared = entry.shopifyVariantId ? byVariant.get(entry.shopifyVariantId) : [];
+            if (entry.conflict || shared.length <= 1) return entry;
+            const others = shared.filter(other => other.inflowId !== entry.inflowId).map(other => other.sku);
+            return {
+                ...entry,
+                conflict: {
+                    type: 'shared_variant',
+                    message: `Shopify variant ${entry.shopifyVariantId} is also linked to ${others.join(', ')}`,
+                    variantIds: [entry.shopifyVariantId]
+                }
+            };
+        })
+        .filter(entry => !conflictsOnly || entry.conflict)
+        .filter(entry => !term || [entry.sku, entry.inflowId, entry.shopifyProductId, entry.shopifyVariantId]
+            .some(value => String(value || '').toLowerCase().includes(term)))
+        .sort((a, b) => String(a.sku || '').localeCompare(String(b.sku || '')));
+}
+
+/**
+ * Stores the Shopify IDs of synced inFlow products. A product seen again after it was
+ * retired loses its retired mark, and any conflict is cleared
+ * @param {Array} entries - [{ inflowId, sku, shopifyProductId, shopifyVariantId, inventoryItemId, source }];
+ *   without a source the existing one is kept
+ * @returns {Promise<Array>} Links that were retired before this sync saw them again
+ */
+async function recordLinks(entries) {
+    const restored = [];
+    if (entries.length === 0) return restored;
+
+    const now = new Date().toISOString();
+    await dataStore.updateJson(LINKS_FILE, {}, (links) => {
+        for (const entry of entries) {
+            if (!entry.inflowId) continue;
+            const existing = links[entry.inflowId];
+            if (existing?.retiredAt) restored.push(existing);
+            links[entry.inflowId] = {
+                inflowId: entry.inflowId,
+                sku: entry.sku,
+                shopifyProductId: numericId(entry.shopifyProductId),
+                shopifyVariantId: numericId(entry.shopifyVariantId),
+                inventoryItemId: numericId(entry.inventoryItemId) ?? existing?.inventoryItemId ?? null,
+                source: entry.source || existing?.source || 'matched',
+                linkedAt: existing?.linkedAt || now,
+                lastSyncedAt: now,
+                retiredAt: null,
+                retiredAction: null,
+                conflict: null
+            };
+        }
+        return links;
+    });
+    return restored;
+}
+
+/**
+ * Flags inFlow products the sync could not link because their SKU is on several Shopify
+ * variants. An existing link is kept; the product stays unsynced until it is linked by hand
+ * @param {Array} conflicts - [{ inflowId, sku, variantIds }]
+ * @returns {Promise<void>}
+ */
+async function recordConflicts(conflicts) {
+    if (conflicts.length === 0) return;
+
+    const now = new Date().toISOString();
+    await dataStore.updateJson(LINKS_FILE, {}, (links) => {
+        for (const { inflowId, sku, variantIds } of conflicts) {
+            links[inflowId] = {
+                inflowId,
+                sku,
+                shopifyProductId: null,
+                shopifyVariantId: null,
+                inventoryItemId: null,
+                source: null,
+                linkedAt: null,
+                lastSyncedAt: null,
+                retiredAt: null,
+                retiredAction: null,
+                ...links[inflowId],
+                conflict: {
+                    type: 'duplicate_sku',
+                    message: `${variantIds.length} Shopify variants have SKU ${sku}`,
+                    variantIds: variantIds.map(numericId),
+                    detectedAt: now
+                }
+            };
+        }
+        return links;
+    });
+}
+
+/**
+ * Links an inFlow product to a Shopify variant by hand, replacing any link or conflict
+ * @param {string} inflowId - inFlow product ID
+ * @param {Object} variant - Shopify variant (see syncManager.fetchShopifyVariant)
+ * @param {string} sku - Optional: inFlow SKU, for display until the next sync; defaults to the variant's SKU
+ * @returns {Promise<Object>} The new link
+ */
+async function linkManually(inflowId, variant, sku) {
+    if (!inflowId) {
+        throw new ValidationError('inFlow product ID is required');
+    }
+
+    const shopifyVariantId = numericId(variant.id);
+    const links = await getLinks();
+    const other = Object.values(links).find(link => link.inflowId !== inflowId && link.shopifyVariantId === shopifyVariantId);
+    if (other) {
+        throw new ValidationError(`Shopify variant ${shopifyVariantId} is already linked to inFlow product ${other.sku || other.inflowId}; unlink it first`);
+    }
+
+    const now = new Date().toISOString();
+    let link;
+    await dataStore.updateJson(LINKS_FILE, {}, (current) => {
+        const existing = current[inflowId];
+        link = {
+            inflowId,
+            sku: sku || existing?.sku || variant.sku,
+            shopifyProductId: numericId(variant.product?.id),
+            shopifyVariantId,
+            inventoryItemId: numericId(variant.inventoryItemId),
+            source: 'manual',
+            linkedAt: now,
+            lastSyncedAt: existing?.lastSyncedAt || null,
+            retiredAt: null,
+            retiredAction: null,
+            conflict: null
+        };
+        current[inflowId] = link;
+        return current;
+    });
+    console.log(`[LINKS] Linked inFlow product ${inflowId} to Shopify variant ${shopifyVariantId} by hand`);
+    return link;
+}
+
+/**
+ * Removes a link; the next sync looks the product up by SKU again
+ * @param {string} inflowId - inFlow product ID
+ * @returns {Promise<void>}
+ */
+async function unlink(inflowId) {
+    const links = await getLinks();
+    if (!links[inflowId]) {
+        throw new NotFoundError(`No link for inFlow product ${inflowId}`);
+    }
+    await dataStore.updateJson(LINKS_FILE, {}, (current) => {
+        delete current[inflowId];
+        return current;
+    });
+    console.log(`[LINKS] Unlinked inFlow product ${inflowId}`);
+}
+
+/**
+ * Brings the links of a Shopify product up to date with the product as Shopify sends it
+ * (products/update webhook): links to variants that were deleted are removed, so the next
+ * sync matches those inFlow products by SKU again, and changed inventory item IDs are stored
+ * @param {Object} product - Shopify product (REST format) with its variants
+ * @returns {Promise<Object>} { removed, updated }: SKUs of the links removed or updated
+ */
+async function refreshFromShopifyProduct(product) {
+    const productId = numericId(product.id);
+    const variants = new Map((product.variants || []).map(variant => [numericId(variant.id), variant]));
+    const removed = [];
+    const updated = [];
+
+    await dataStore.updateJson(LINKS_FILE, {}, (links) => {
+        for (const [inflowId, link] of Object.entries(links)) {
+            if (link.shopifyProductId !== productId || !link.shopifyVariantId) continue;
+            const variant = variants.get(link.shopifyVariantId);
+            if (!variant) {
+                delete links[inflowId];
+                removed.push(link.sku || inflowId);
+                continue;
+            }
+            const inventoryItemId = numericId(variant.inventory_item_id);
+            if (inventoryItemId && inventoryItemId !== link.inventoryItemId) {
+                links[inflowId] = { ...link, inventoryItemId };
+                updated.push(link.sku || inflowId);
+            }
+        }
+        return links;
+    });
+
+    if (removed.length > 0) {
+        console.log(`[LINKS] Removed links to deleted variants of Shopify product ${productId}: ${removed.join(', ')}`);
+    }
+    return { removed, updated };
+}
+
+/**
+ * Marks links as retired, so later syncs do not act on them again
+ * @param {Array<string>} inflowIds - inFlow product IDs
+ * @param {string} action - Retirement policy that was applied
+ * @returns {Promise<void>}
+ */
+async function markRetired(inflowIds, action) {
+    if (inflowIds.length === 0) return;
+
+    const now = new Date().toISOString();
+    await dataStore.updateJson(LINKS_FILE, {}, (links) => {
+        for (const inflowId of inflowIds) {
+            if (links[inflowId]) {
+                links[inflowId] = { ...links[inflowId], retiredAt: now, retiredAction: action };
+            }
+        }
+        return links;
+    });
+}
+
+module.exports = {
+    LINK_SOURCES,
+    numericId,
+    getLinks,
+    listLinks,
+    recordLinks,
+    recordConflicts,
+    linkManually,
+    unlink,
+    refreshFromShopifyProduct,
+    markRetired
+};
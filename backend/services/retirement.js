@@ -0,0 +1,211 @@
+/**
+ * Retirement Service
+ * Finds Shopify products the sync created or linked whose inFlow products are no
+ * longer active (deactivated or deleted), and applies the retirement policy to them:
+ * draft, archive, unpublish from all channels or zero stock
+ */
+
+const dataStore = require('./dataStore');
+const shopifyClient = require('./shopifyClient');
+const { ValidationError } = require('./errors');
+
+const RETIREMENT_FILE = 'retirement.json';
+
+// 'none' leaves retired products alone
+const POLICIES = ['none', 'draft', 'archive', 'unpublish', 'zero_stock'];
+
+const DEFAULT_RETIREMENT = {
+    policy: 'none',
+    // Retirement is aborted when more than this share (percent) of the linked products would be retired
+    maxSharePercent: 10,
+    updatedAt: null
+};
+
+/**
+ * Returns the saved retirement settings
+ * @returns {Promise<Object>} { policy, maxSharePercent, updatedAt }
+ */
+async function getRetirement() {
+    return { ...DEFAULT_RETIREMENT, ...(await dataStore.readJson(RETIREMENT_FILE, DEFAULT_RETIREMENT)) };
+}
+
+/**
+ * Validates and saves the retirement settings
+ * @param {Object} input
+ * @param {string} input.policy - One of POLICIES
+ * @param {number} input.maxSharePercent - Safety threshold, 1 to 100
+ * @returns {Promise<Object>} Saved settings
+ */
+async function saveRetirement(input = {}) {
+    const policy = input.policy ?? DEFAULT_RETIREMENT.policy;
+    if (!POLICIES.includes(policy)) {
+        throw new ValidationError(`policy must be one of: ${POLICIES.join(', ')}`);
+    }
+    const maxSharePercent = Number(input.maxSharePercent ?? DEFAULT_RETIREMENT.maxSharePercent);
+    if (!Number.isFinite(maxSharePercent) || maxSharePercent < 1 || maxSharePercent > 100) {
+        throw new ValidationError('maxSharePercent must be a number from 1 to 100');
+    }
+
+    const settings = { policy, maxSharePercent, updatedAt: new Date().toISOString() };
+    await dataStore.writeJson(RETIREMENT_FILE, settings);
+    console.log(`[RETIRE] Saved retirement policy: ${policy}, threshold ${maxSharePercent}%`);
+    return settings;
+}
+
+/**
+ * Works out which Shopify products to retire. A product is only retired when none of
+ * the inFlow products linked to it is still active (variant groups keep their product
+ * while any member is active; leftover variants are removed by the group sync)
+ * @param {Object} links - From productLinks.getLinks
+ * @param {Set<string>} activeIds - IDs of every active inFlow product
+ * @param {number} maxSharePercent - Safety threshold
+ * @returns {Object} { products: [{ shopifyProductId, links }], linkedCount, share, aborted }
+ */
+function planRetirement(links, activeIds, maxSharePercent) {
+    const byProduct = new Map();
+    for (const link of Object.values(links)) {
+        if (!link.shopifyProductId) continue;
+        if (!byProduct.has(link.shopifyProductId)) byProduct.set(link.shopifyProductId, []);
+        byProduct.get(link.shopifyProductId).push(link);
+    }
+
+    // Products retired by an earlier run are not counted or retired again
+    const live = [...byProduct.entries()].filter(([, productLinks]) => productLinks.some(link => !link.retiredAt));
+    const products = live
+        .filter(([, productLinks]) => productLinks.every(link => !activeIds.has(String(link.inflowId))))
+        .map(([shopifyProductId, productLinks]) => ({ shopifyProductId, links: productLinks }));
+
+    const share = live.length > 0 ? (products.length / live.length) * 100 : 0;
+    return {
+        products,
+        linkedCount: live.length,
+        share,
+        aborted: products.length > 0 && share > maxSharePercent
+    };
+}
+
+/**
+ * Sets a Shopify product's status
+ * @param {string} productId - Shopify product ID (numeric)
+ * @param {string} status - 'active', 'draft' or 'archived'
+ * @returns {Promise<void>}
+ */
+async function setProductStatus(productId, status) {
+    await shopifyClient.rest('put', `/products/${productId}.json`, {
+        product: { id: productId, status }
+    });
+}
+
+/**
+ * Removes a product from sales channels
+ * @param {string} productId - Shopify product ID (numeric)
+ * @param {Array<string>} publicationIds - Publication IDs to remove it from
+ * @returns {Promise<void>}
+ */
+async function unpublishProduct(productId, publicationIds) {
+    if (publicationIds.length === 0) return;
+
+    const mutation = `
+    mutation publishableUnpublish($id: ID!, $input: [PublicationInput!]!) {
+        publishableUnpublish(id: $id, input: $input) {
+            userErrors {
+                field
+                message
+            }
+        }
+    }
+    `;
+
+    const response = await shopifyClient.graphql(mutation, {
+        id: `gid://shopify/Product/${productId}`,
+        input: publicationIds.map(publicationId => ({ publicationId }))
+    });
+    const userErrors = response.data?.data?.publishableUnpublish?.userErrors || [];
+    if (userErrors.length > 0) {
+        throw new Error(`Failed to unpublish: ${userErrors.map(e => e.message).join('; ')}`);
+    }
+}
+
+/**
+ * Sets the stock of an inventory item to zero at every location that stocks it
+ * @param {string} inventoryItemId - Shopify inventory item ID (numeric)
+ * @returns {Promise<void>}
+ */
+async function zeroStock(inventoryItemId) {
+    const response = await shopifyClient.rest('get', `/inventory_levels.json?inventory_item_ids=${inventoryItemId}`);
+    for (const level of response.data.inventory_levels || []) {
+        if (level.available === 0) continue;
+        await shopifyClient.rest('post', '/inventory_levels/set.json', {
+            location_id: level.location_id,
+            inventory_item_id: inventoryItemId,
+            available: 0
+        });
+    }
+}
+
+/**
+ * Applies a retirement policy to one Shopify product
+ * @param {Object} product - { shopifyProductId, links } from planRetirement
+ * @param {string} policy - One of POLICIES except 'none'
+ * @param {Object} options
+ * @param {Array<string>} options.publicationIds - Publications to unpublish from (policy 'unpublish')
+ * @returns {Promise<void>}
+ */
+async function retireProduct({ shopifyProductId, links }, policy, { publicationIds = [] } = {}) {
+    switch (policy) {
+        case 'draft':
+            return setProductStatus(shopifyProductId, 'draft');
+        case 'archive':
+            return setProductStatus(shopifyProductId, 'archived');
+        case 'unpublish':
+            return unpublishProduct(shopifyProductId, publicationIds);
+        case 'zero_stock':
+            for (const link of links.filter(entry => entry.inventoryItemId)) {
+                await zeroStock(link.inventoryItemId);
+            }
+            return undefined;
+        default:
+            throw new Error(`Unknown retirement policy: ${policy}`);
+    }
+}
+
+/**
+ * Undoes a draft or archive retirement for a product that is active in inFlow again.
+ * Unpublished products are published again by the sync's channel selection, and
+ * zeroed stock is set by the sync itself
+ * @param {Object} link - Retired link from productLinks.recordLinks
+ * @returns {Promise<boolean>} Whether the product status was changed back
+ */
+async function restoreProduct(link) {
+    if (link.retiredAction !== 'draft' && link.retiredAction !== 'archive') return false;
+    await setProductStatus(link.shopifyProductId, 'active');
+    return true;
+}
+
+/**
+ * Describes the change a policy makes, for results and dry-run plans
+ * @param {string} policy - One of POLICIES
+ * @returns {Object} { field, before, after }
+ */
+function describePolicy(policy) {
+    switch (policy) {
+        case 'draft':
+            return { field: 'status', before: 'active', after: 'draft' };
+        case 'archive':
+            return { field: 'status', before: 'active', after: 'archived' };
+        case 'unpublish':
+            return { field: 'channels', before: 'published', after: 'unpublished' };
+        default:
+            return { field: 'stock', before: null, after: 0 };
+    }
+}
+
+module.exports = {
+    POLICIES,
+    getRetirement,
+    saveRetirement,
+    planRetirement,
+    retireProduct,
+    restoreProduct,
+    describePolicy
+};
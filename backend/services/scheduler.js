@@ -0,0 +1,240 @@
+/**
+ * Scheduler Service
+ * Runs syncs automatically on cron schedules that are saved in the data store
+ */
+
+const crypto = require('crypto');
+const { Cron } = require('croner');
+const dataStore = require('./dataStore');
+const syncJobs = require('./syncJobs');
+const { ValidationError, NotFoundError } = require('./errors');
+
+const SCHEDULES_FILE = 'schedules.json';
+
+// Active cron timers by schedule ID
+const timers = new Map();
+
+/**
+ * Returns a plain JSON view of a schedule including its next run time
+ * @param {Object} schedule - Stored schedule
+ * @returns {Object} Schedule with nextRunAt
+ */
+function serializeSchedule(schedule) {
+    const nextRun = timers.get(schedule.id)?.nextRun();
+    return {
+        ...schedule,
+        nextRunAt: nextRun ? nextRun.toISOString() : null
+    };
+}
+
+/**
+ * Validates schedule input and returns the cleaned fields
+ * @param {Object} input - Fields from the API
+ * @param {Object} existing - Current schedule when editing
+ * @returns {Object} Validated fields
+ */
+function validateSchedule(input, existing = {}) {
+    const schedule = {
+        name: input.name ?? existing.name,
+        cron: input.cron ?? existing.cron,
+        timezone: input.timezone !== undefined ? input.timezone || null : existing.timezone || null,
+        enabled: input.enabled ?? existing.enabled ?? true,
+        channelIds: input.channelIds !== undefined ? input.channelIds : existing.channelIds ?? null,
+        fullResync: input.fullResync ?? existing.fullResync ?? false,
+        stockOnly: input.stockOnly ?? existing.stockOnly ?? false
+    };
+
+    if (!schedule.name || typeof schedule.name !== 'string' || !schedule.name.trim()) {
+        throw new ValidationError('Schedule name is required');
+    }
+    schedule.name = schedule.name.trim();
+
+    if (!schedule.cron || typeof schedule.cron !== 'string') {
+        throw new ValidationError('Cron expression is required');
+    }
+    schedule.cron = schedule.cron.trim();
+
+    try {
+        new Cron(schedule.cron, { paused: true, timezone: schedule.timezone || undefined }).stop();
+    } catch (error) {
+        throw new ValidationError(`Invalid cron expression "${schedule.cron}": ${error.message}`);
+    }
+
+    if (typeof schedule.enabled !== 'boolean') {
+        throw new ValidationError('enabled must be true or false');
+    }
+    if (typeof schedule.fullResync !== 'boolean') {
+        throw new ValidationError('fullResync must be true or false');
+    }
+    if (typeof schedule.stockOnly !== 'boolean') {
+        throw new ValidationError('stockOnly must be true or false');
+    }
+    if (schedule.channelIds !== null && !Array.isArray(schedule.channelIds)) {
+        throw new ValidationError('channelIds must be an array');
+    }
+
+    return schedule;
+}
+
+/**
+ * Queues a sync for a schedule tick, unless a sync is already running or queued
+ * @param {string} id - Schedule ID
+ */
+async function runSchedule(id) {
+    const schedules = await dataStore.readJson(SCHEDULES_FILE, []);
+    const schedule = schedules.find(s => s.id === id);
+    if (!schedule || !schedule.enabled) return;
+
+    const now = new Date().toISOString();
+
+    if (syncJobs.hasActiveSync()) {
+        console.log(`[SCHEDULER] Skipping "${schedule.name}": a sync is already in progress`);
+        await saveScheduleState(id, { lastSkippedAt: now });
+        return;
+    }
+
+    console.log(`[SCHEDULER] Starting scheduled sync "${schedule.name}"`);
+    const job = syncJobs.enqueueSync({
+        channelIds: schedule.channelIds,
+        fullResync: schedule.fullResync,
+        stockOnly: schedule.stockOnly || false,
+        trigger: `schedule:${schedule.name}`
+    });
+    await saveScheduleState(id, { lastRunAt: now, lastJobId: job.id });
+}
+
+/**
+ * Stores run bookkeeping on a schedule without touching its settings
+ * @param {string} id - Schedule ID
+ * @param {Object} changes - Fields to update
+ */
+async function saveScheduleState(id, changes) {
+    await dataStore.updateJson(SCHEDULES_FILE, [], (schedules) =>
+        schedules.map(schedule => (schedule.id === id ? { ...schedule, ...changes } : schedule))
+    );
+}
+
+/**
+ * Starts, restarts or stops the cron timer of a schedule to match its settings
+ * @param {Object} schedule - Stored schedule
+ */
+function applyTimer(schedule) {
+    timers.get(schedule.id)?.stop();
+    timers.delete(schedule.id);
+
+    if (!schedule.enabled) return;
+
+    const timer = new Cron(schedule.cron, {
+        timezone: schedule.timezone || undefined,
+        // Never overlap ticks of the same schedule
+        protect: true,
+        catch: (error) => console.error(`[SCHEDULER] Schedule "${schedule.name}" failed:`, error.message)
+    }, () => runSchedule(schedule.id));
+
+    timers.set(schedule.id, timer);
+}
+
+/**
+ * Loads saved schedules and starts their timers; call once on server start
+ * @returns {Promise<number>} Number of enabled schedules
+ */
+async function initScheduler() {
+    const schedules = await dataStore.readJson(SCHEDULES_FILE, []);
+    schedules.forEach(applyTimer);
+
+    const enabled = schedules.filter(schedule => schedule.enabled);
+    enabled.forEach(schedule => {
+        console.log(`[SCHEDULER] "${schedule.name}" (${schedule.cron}) next run: ${timers.get(schedule.id)?.nextRun()?.toISOString()}`);
+    });
+    return enabled.length;
+}
+
+/**
+ * Lists all schedules
+ * @returns {Promise<Array>} Schedules with next run times
+ */
+async function listSchedules() {
+    const schedules = await dataStore.readJson(SCHEDULES_FILE, []);
+    return schedules.map(serializeSchedule);
+}
+
+/**
+ * Creates a schedule
+ * @param {Object} input - name, cron, optional timezone, enabled, channelIds, fullResync and stockOnly
+ * @returns {Promise<Object>} Created schedule
+ */
+async function createSchedule(input) {
+    const now = new Date().toISOString();
+    const schedule = {
+        id: crypto.randomUUID(),
+        ...validateSchedule(input),
+        createdAt: now,
+        updatedAt: now,
+        lastRunAt: null,
+        lastJobId: null,
+        lastSkippedAt: null
+    };
+
+    await dataStore.updateJson(SCHEDULES_FILE, [], (schedules) => [...schedules, schedule]);
+    applyTimer(schedule);
+    console.log(`[SCHEDULER] Created schedule "${schedule.name}" (${schedule.cron})`);
+    return serializeSchedule(schedule);
+}
+
+/**
+ * Updates a schedule's settings (including pausing it with enabled: false)
+ * @param {string} id - Schedule ID
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Object>} Updated schedule
+ */
+async function updateSchedule(id, changes) {
+    let updated = null;
+
+    await dataStore.updateJson(SCHEDULES_FILE, [], (schedules) => schedules.map(schedule => {
+        if (schedule.id !== id) return schedule;
+        updated = {
+            ...schedule,
+            ...validateSchedule(changes, schedule),
+            updatedAt: new Date().toISOString()
+        };
+        return updated;
+    }));
+
+    if (!updated) {
+        throw new NotFoundError('Schedule not found');
+    }
+
+    applyTimer(updated);
+    console.log(`[SCHEDULER] Updated schedule "${updated.name}" (${updated.enabled ? updated.cron : 'paused'})`);
+    return serializeSchedule(updated);
+}
+
+/**
+ * Deletes a schedule and stops its timer
+ * @param {string} id - Schedule ID
+ * @returns {Promise<void>}
+ */
+async function deleteSchedule(id) {
+    let found = false;
+
+    await dataStore.updateJson(SCHEDULES_FILE, [], (schedules) => schedules.filter(schedule => {
+        if (schedule.id === id) found = true;
+        return schedule.id !== id;
+    }));
+
+    if (!found) {
+        throw new NotFoundError('Schedule not found');
+    }
+
+    timers.get(id)?.stop();
+    timers.delete(id);
+    console.log(`[SCHEDULER] Deleted schedule ${id}`);
+}
+
+module.exports = {
+    initScheduler,
+    listSchedules,
+    createSchedule,
+    updateSchedule,
+    deleteSchedule
+};
@@ -0,0 +1,226 @@
+/**
+ * Session Auth Service
+ * Authenticates /api requests. The embedded dashboard sends App Bridge session tokens
+ * (HS256 JWTs signed with the app secret); stand-alone clients can send ADMIN_API_KEY instead.
+ * Shopify's own requests (webhooks, the OAuth redirect) are checked by their HMAC instead
+ */
+
+const crypto = require('crypto');
+const shopifyAuth = require('./shopifyAuth');
+const { UnauthorizedError } = require('./errors');
+
+// Seconds of clock difference allowed when checking exp and nbf
+const CLOCK_TOLERANCE_SECONDS = 5;
+
+// How long a stream ticket can be redeemed after it was issued
+const STREAM_TICKET_TTL_MS = 60 * 1000;
+
+// Unredeemed stream tickets: ticket -> { path, auth, expiresAt }
+const streamTickets = new Map();
+
+// Routes reached without a session: [method, path pattern]
+const PUBLIC_ROUTES = [
+    ['GET', /^\/api\/health$/],
+    ['GET', /^\/api\/shopify\/auth$/],
+    ['GET', /^\/api\/shopify\/callback$/],
+    // Webhook deliveries carry an HMAC signature (see shopifyClient.verifyWebhookHmac)
+    ['POST', /^\/api\/webhooks\/[^/]+\/[^/]+$/]
+];
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} Whether they are equal
+ */
+function safeEqual(a, b) {
+    const digestA = crypto.createHash('sha256').update(String(a)).digest();
+    const digestB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(digestA, digestB);
+}
+
+/**
+ * Parses one base64url JWT segment as JSON
+ * @param {string} segment - Encoded segment
+ * @returns {Object} Parsed JSON
+ */
+function decodeSegment(segment) {
+    try {
+        return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new UnauthorizedError('Malformed session token');
+    }
+}
+
+/**
+ * Host name of a URL claim, or null when it is not a URL
+ * @param {string} value - Claim value
+ * @returns {string|null} Host name
+ */
+function hostOf(value) {
+    try {
+        return new URL(value).hostname.toLowerCase();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Verifies an App Bridge session token: HS256 signature with the app secret, audience
+ * (the app's API key), expiry, and a destination on the connected shop
+ * @param {string} token - Encoded JWT
+ * @returns {Object} { shop, userId, sessionId }
+ */
+function verifySessionToken(token) {
+    const apiKey = process.env.SHOPIFY_API_KEY;
+    const secret = process.env.SHOPIFY_API_SECRET;
+    if (!apiKey || !secret) {
+        throw new UnauthorizedError('Session tokens cannot be checked: SHOPIFY_API_KEY or SHOPIFY_API_SECRET is not configured');
+    }
+
+    const parts = String(token).split('.');
+    if (parts.length !== 3) {
+        throw new UnauthorizedError('Malformed session token');
+    }
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+
+    const header = decodeSegment(encodedHeader);
+    if (header.alg !== 'HS256') {
+        throw new UnauthorizedError('Session token must be signed with HS256');
+    }
+    const expected = crypto.createHmac('sha256', secret).update(`${encodedHeader}.${encodedPayload}`).digest();
+    const signature = Buffer.from(encodedSignature, 'base64url');
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+        throw new UnauthorizedError('Session token signature is not valid');
+    }
+
+    const payload = decodeSegment(encodedPayload);
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof payload.exp !== 'number' || payload.exp + CLOCK_TOLERANCE_SECONDS < now) {
+        throw new UnauthorizedError('Session token has expired');
+    }
+    if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_TOLERANCE_SECONDS > now) {
+        throw new UnauthorizedError('Session token is not valid yet');
+    }
+    if (payload.aud !== apiKey) {
+        throw new UnauthorizedError('Session token was issued for another app');
+    }
+
+    const shop = hostOf(payload.dest);
+    if (!shop || !shop.endsWith('.myshopify.com') || hostOf(payload.iss) !== shop) {
+        throw new UnauthorizedError('Session token has no valid shop destination');
+    }
+    const connectedShop = shopifyAuth.getShopDomain()?.toLowerCase();
+    if (connectedShop && shop !== connectedShop) {
+        throw new UnauthorizedError(`Session token is for ${shop}, but the app is connected to ${connectedShop}`);
+    }
+
+    return { shop, userId: payload.sub || null, sessionId: payload.sid || null };
+}
+
+/**
+ * Issues a single-use ticket for an event stream. EventSource cannot send headers, and a
+ * session token or API key in the URL would end up in access logs, so the client asks
+ * for a ticket with its usual credentials and opens the stream with `?ticket=` instead
+ * @param {string} path - Stream path the ticket is valid for, e.g. /api/sync/jobs/abc/events
+ * @param {Object} auth - Identity of the requesting client (req.auth)
+ * @returns {string} Ticket
+ */
+function issueStreamTicket(path, auth) {
+    const now = Date.now();
+    for (const [ticket, entry] of streamTickets) {
+        if (entry.expiresAt < now) streamTickets.delete(ticket);
+    }
+
+    const ticket = crypto.randomBytes(32).toString('base64url');
+    streamTickets.set(ticket, { path, auth, expiresAt: now + STREAM_TICKET_TTL_MS });
+    return ticket;
+}
+
+/**
+ * Redeems a stream ticket; it is removed on first use, whether or not it is valid
+ * @param {string} ticket - Ticket from the query string
+ * @param {string} path - Path of the request
+ * @returns {Object} Identity the ticket was issued to
+ */
+function redeemStreamTicket(ticket, path) {
+    const entry = streamTickets.get(String(ticket));
+    streamTickets.delete(String(ticket));
+
+    if (!entry || entry.expiresAt < Date.now()) {
+        throw new UnauthorizedError('Stream ticket is not valid or has expired');
+    }
+    if (entry.path !== path) {
+        throw new UnauthorizedError('Stream ticket was issued for another stream');
+    }
+    return entry.auth;
+}
+
+/**
+ * Finds and checks the credentials of a request. Event streams are opened with a
+ * ticket from issueStreamTicket, since EventSource cannot send headers
+ * @param {Object} req - Express request
+ * @returns {Object} { method: 'session'|'api-key', shop, userId, sessionId }
+ */
+function authenticate(req) {
+    const isEventStream = String(req.headers.accept || '').includes('text/event-stream');
+    if (isEventStream && req.query.ticket) {
+        return redeemStreamTicket(req.query.ticket, `${req.baseUrl}${req.path}`);
+    }
+
+    const bearer = /^Bearer (.+)$/i.exec(req.headers.authorization || '')?.[1];
+    const apiKey = req.headers['x-api-key'];
+
+    if (bearer) {
+        return { method: 'session', ...verifySessionToken(bearer) };
+    }
+    if (apiKey) {
+        if (!process.env.ADMIN_API_KEY) {
+            throw new UnauthorizedError('API-key access is not enabled (ADMIN_API_KEY)');
+        }
+        if (!safeEqual(apiKey, process.env.ADMIN_API_KEY)) {
+            throw new UnauthorizedError('API key is not valid');
+        }
+        return { method: 'api-key', shop: shopifyAuth.getShopDomain() || null, userId: null, sessionId: null };
+    }
+    throw new UnauthorizedError('Missing session token');
+}
+
+/**
+ * Express middleware: every /api route except PUBLIC_ROUTES needs a valid session token,
+ * API key or (for event streams) stream ticket; the checked identity is set on req.auth
+ */
+function requireAuth(req, res, next) {
+    const path = `${req.baseUrl}${req.path}`;
+    if (PUBLIC_ROUTES.some(([method, pattern]) => method === req.method && pattern.test(path))) {
+        return next();
+    }
+
+    try {
+        req.auth = authenticate(req);
+        next();
+    } catch (error) {
+        console.error(`[AUTH] Rejected ${req.method} ${path}:`, error.message);
+        res.status(error.statusCode || 401).json({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Origins the browser may call the API from: FRONTEND_URL, comma-separated for several
+ * @returns {Array} Origins without trailing slashes
+ */
+function allowedOrigins() {
+    return String(process.env.FRONTEND_URL || '')
+        .split(',')
+        .map(origin => origin.trim().replace(/\/$/, ''))
+        .filter(Boolean);
+}
+
+module.exports = {
+    verifySessionToken,
+    authenticate,
+    requireAuth,
+    issueStreamTicket,
+    allowedOrigins,
+    STREAM_TICKET_TTL_MS
+};
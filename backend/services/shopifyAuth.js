@@ -0,0 +1,328 @@
+/**
+ * Shopify Auth Service
+ * OAuth install flow: a single-use state nonce, bound to the browser that started the
+ * install by a signed cookie, the query HMAC and the shop domain are checked before the
+ * code is exchanged. Installing on another shop than the installed one needs an
+ * authenticated start. The Admin API token is stored encrypted in the
+ * data directory and only ever kept in memory in plain text; it is never returned or shown
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const dataStore = require('./dataStore');
+const { ValidationError } = require('./errors');
+
+const AUTH_FILE = 'shopify-auth.json';
+
+// Scopes the app asks for; keep in step with access_scopes in the app TOML
+const SCOPES = [
+    'read_inventory',
+    'write_inventory',
+    'read_products',
+    'write_products',
+    'read_publications',
+    'write_publications',
+    'read_orders'
+];
+
+// How long an install may take between the redirect to Shopify and the callback
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// Cookie holding the signed state nonce between the redirect to Shopify and the callback
+const STATE_COOKIE = 'shopify_oauth_state';
+
+// Pending installs: state nonce → { shop, expiresAt, authenticated }
+const pendingStates = new Map();
+
+// Stored install, decrypted once at start-up and after each install: { shop, accessToken, scopes, installedAt }
+let installation = null;
+
+// PRIVATE_STOREFRONT_API_TOKEN only stands in while the app was never installed; after an
+// install or an uninstall (the token is revoked then) it is no longer used
+let envTokenAllowed = true;
+
+/**
+ * Key used to encrypt the stored token: TOKEN_ENCRYPTION_KEY, or the app secret when it is not set
+ * @returns {Buffer} 32-byte key
+ */
+function encryptionKey() {
+    const secret = process.env.TOKEN_ENCRYPTION_KEY || process.env.SHOPIFY_API_SECRET;
+    if (!secret) {
+        throw new ValidationError('TOKEN_ENCRYPTION_KEY (or SHOPIFY_API_SECRET) is not configured; it is needed to store the Shopify token');
+    }
+    return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Encrypts a value with AES-256-GCM
+ * @param {string} value - Plain text
+ * @returns {Object} { iv, tag, data } as base64
+ */
+function encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+}
+
+/**
+ * Decrypts a value from encrypt
+ * @param {Object} encrypted - { iv, tag, data }
+ * @returns {string} Plain text
+ */
+function decrypt({ iv, tag, data }) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Checks a shop domain: a *.myshopify.com host, and the configured store when PUBLIC_STORE_DOMAIN is set
+ * @param {string} shop - Shop domain from the request
+ * @returns {string} Shop domain, lower case
+ */
+function validateShop(shop) {
+    const domain = String(shop || '').trim().toLowerCase();
+    if (!/^[a-z0-9][a-z0-9-]*\.myshopify\.com$/.test(domain)) {
+        throw new ValidationError(`"${shop || ''}" is not a myshopify.com shop domain`);
+    }
+    const configured = process.env.PUBLIC_STORE_DOMAIN?.trim().toLowerCase();
+    if (configured && domain !== configured) {
+        throw new ValidationError(`This app is set up for ${configured}, not ${domain}`);
+    }
+    return domain;
+}
+
+/**
+ * Checks the hmac parameter Shopify adds to OAuth redirects: a signature of the other
+ * query parameters, sorted and joined, with the app secret
+ * @param {Object} query - Parsed query string
+ * @returns {boolean} Whether the signature is valid
+ */
+function verifyQueryHmac(query) {
+    const secret = process.env.SHOPIFY_API_SECRET;
+    const { hmac, signature, ...params } = query;
+    if (!secret || typeof hmac !== 'string') return false;
+
+    const message = Object.keys(params)
+        .sort()
+        .map(key => `${key}=${Array.isArray(params[key]) ? params[key].join(',') : params[key]}`)
+        .join('&');
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(message).digest('hex'));
+    const received = Buffer.from(hmac);
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Signs a state nonce for the state cookie
+ * @param {string} state - State nonce
+ * @returns {string} Cookie value: "<state>.<signature>"
+ */
+function signState(state) {
+    const signature = crypto.createHmac('sha256', encryptionKey()).update(`oauth-state:${state}`).digest('base64url');
+    return `${state}.${signature}`;
+}
+
+/**
+ * Checks that the state cookie is signed here and holds the given state nonce
+ * @param {string} cookie - Cookie value from signState
+ * @param {string} state - State nonce from the callback
+ * @returns {boolean} Whether the cookie matches
+ */
+function verifyStateCookie(cookie, state) {
+    if (typeof cookie !== 'string' || typeof state !== 'string' || !state) return false;
+    const expected = Buffer.from(signState(state));
+    const received = Buffer.from(cookie);
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Scopes the app asks for that a grant does not include; a write scope covers its read scope
+ * @param {Array} granted - Granted scopes
+ * @returns {Array} Missing scopes
+ */
+function missingScopes(granted) {
+    const grantedSet = new Set(granted);
+    return SCOPES.filter(scope => !grantedSet.has(scope) && !(scope.startsWith('read_') && grantedSet.has(scope.replace('read_', 'write_'))));
+}
+
+/**
+ * Starts an install or re-authorization: remembers a state nonce and returns Shopify's
+ * authorize URL, with the signed nonce to set as the STATE_COOKIE
+ * @param {string} shop - Shop domain; defaults to the installed shop or PUBLIC_STORE_DOMAIN
+ * @param {Object} options - { authenticated }: whether the request came with a valid session token or API key
+ * @returns {Object} { url, stateCookie }
+ */
+function beginAuth(shop, { authenticated = false } = {}) {
+    const clientId = process.env.SHOPIFY_API_KEY;
+    if (!clientId) {
+        throw new ValidationError('SHOPIFY_API_KEY is not configured');
+    }
+    const domain = validateShop(shop || installation?.shop || process.env.PUBLIC_STORE_DOMAIN);
+
+    const now = Date.now();
+    for (const [state, entry] of pendingStates) {
+        if (entry.expiresAt < now) pendingStates.delete(state);
+    }
+    const state = crypto.randomBytes(16).toString('hex');
+    pendingStates.set(state, { shop: domain, expiresAt: now + STATE_TTL_MS, authenticated });
+
+    const baseUrl = (process.env.BACKEND_PUBLIC_URL || 'http://localhost:8080').replace(/\/$/, '');
+    const params = new URLSearchParams({
+        client_id: clientId,
+        scope: SCOPES.join(','),
+        redirect_uri: `${baseUrl}/api/shopify/callback`,
+        state
+    });
+    console.log(`[AUTH] Starting authorization for ${domain}`);
+    return { url: `https://${domain}/admin/oauth/authorize?${params}`, stateCookie: signState(state) };
+}
+
+/**
+ * Finishes an install from Shopify's callback: checks the state nonce and the browser's
+ * state cookie, the HMAC and the shop, exchanges the code for an access token and stores it encrypted
+ * @param {Object} query - Callback query ({ code, shop, state, hmac, timestamp, ... })
+ * @param {Object} options - { stateCookie }: value of the STATE_COOKIE sent with the callback
+ * @returns {Promise<Object>} Install status (see getAuthStatus)
+ */
+async function completeAuth(query, { stateCookie } = {}) {
+    const pending = pendingStates.get(query.state);
+    pendingStates.delete(query.state);
+    if (!query.state || !pending || pending.expiresAt < Date.now()) {
+        throw new ValidationError('The install request expired or did not start here; start it again');
+    }
+    if (!verifyStateCookie(stateCookie, query.state)) {
+        throw new ValidationError('The install was started in another browser; start it again here');
+    }
+    if (!verifyQueryHmac(query)) {
+        throw new ValidationError('The callback signature is not valid');
+    }
+    const shop = validateShop(query.shop);
+    if (shop !== pending.shop) {
+        throw new ValidationError(`The callback is for ${shop}, but the install was started for ${pending.shop}`);
+    }
+    if (installation && installation.shop !== shop && !pending.authenticated) {
+        throw new ValidationError(`The app is installed on ${installation.shop}; installing it on ${shop} must be started with a session token or API key`);
+    }
+    if (!query.code) {
+        throw new ValidationError('The callback has no authorization code');
+    }
+
+    let response;
+    try {
+        response = await axios.post(`https://${shop}/admin/oauth/access_token`, {
+            client_id: process.env.SHOPIFY_API_KEY,
+            client_secret: process.env.SHOPIFY_API_SECRET,
+            code: query.code
+        });
+    } catch (error) {
+        console.error('[AUTH] Failed to exchange code for token:', error.response?.data || error.message);
+        throw new Error('Shopify did not issue an access token');
+    }
+
+    const scopes = String(response.data.scope || '').split(',').map(scope => scope.trim()).filter(Boolean);
+    const installedAt = new Date().toISOString();
+    await dataStore.writeJson(AUTH_FILE, {
+        shop,
+        scopes,
+        token: encrypt(response.data.access_token),
+        installedAt
+    });
+    installation = { shop, accessToken: response.data.access_token, scopes, installedAt };
+    envTokenAllowed = false;
+
+    console.log(`[AUTH] Installed on ${shop} with scopes ${scopes.join(', ')}`);
+    return getAuthStatus();
+}
+
+/**
+ * Loads and decrypts the stored token; call once at start-up
+ * @returns {Promise<Object>} Install status (see getAuthStatus)
+ */
+async function initShopifyAuth() {
+    const stored = await dataStore.readJson(AUTH_FILE, null);
+    envTokenAllowed = !stored?.token && !stored?.uninstalledAt;
+    if (stored?.token) {
+        try {
+            installation = { shop: stored.shop, accessToken: decrypt(stored.token), scopes: stored.scopes || [], installedAt: stored.installedAt };
+        } catch (error) {
+            console.error('[AUTH] Could not decrypt the stored Shopify token; was TOKEN_ENCRYPTION_KEY changed? Install the app again');
+        }
+    }
+    return getAuthStatus();
+}
+
+/**
+ * Forgets the stored token, e.g. when the app is uninstalled. The uninstall is remembered,
+ * so PRIVATE_STOREFRONT_API_TOKEN is not used in its place until the app is installed again
+ * @returns {Promise<void>}
+ */
+async function clearToken() {
+    installation = null;
+    envTokenAllowed = false;
+    await dataStore.writeJson(AUTH_FILE, { uninstalledAt: new Date().toISOString() });
+    console.log('[AUTH] Removed the stored Shopify token');
+}
+
+/**
+ * Admin API access token: the stored one, or PRIVATE_STOREFRONT_API_TOKEN for setups
+ * that were configured by hand and never installed through the install flow
+ * @returns {string|undefined} Token
+ */
+function getAccessToken() {
+    if (installation) return installation.accessToken;
+    return envTokenAllowed ? process.env.PRIVATE_STOREFRONT_API_TOKEN : undefined;
+}
+
+/**
+ * Shop domain of the stored install, or PUBLIC_STORE_DOMAIN
+ * @returns {string|undefined} Domain
+ */
+function getShopDomain() {
+    return installation?.shop || process.env.PUBLIC_STORE_DOMAIN;
+}
+
+/**
+ * Install status without the token
+ * @returns {Object} { installed, source: 'oauth'|'env'|null, shop, scopes, missingScopes, needsReauth, installedAt }
+ */
+function getAuthStatus() {
+    if (installation) {
+        const missing = missingScopes(installation.scopes);
+        return {
+            installed: true,
+            source: 'oauth',
+            shop: installation.shop,
+            scopes: installation.scopes,
+            missingScopes: missing,
+            needsReauth: missing.length > 0,
+            installedAt: installation.installedAt
+        };
+    }
+    const fromEnv = envTokenAllowed && Boolean(process.env.PRIVATE_STOREFRONT_API_TOKEN);
+    return {
+        installed: fromEnv,
+        source: fromEnv ? 'env' : null,
+        shop: process.env.PUBLIC_STORE_DOMAIN || null,
+        scopes: [],
+        missingScopes: [],
+        needsReauth: false,
+        installedAt: null
+    };
+}
+
+module.exports = {
+    SCOPES,
+    STATE_COOKIE,
+    STATE_TTL_MS,
+    validateShop,
+    verifyQueryHmac,
+    verifyStateCookie,
+    beginAuth,
+    completeAuth,
+    initShopifyAuth,
+    clearToken,
+    getAccessToken,
+    getShopDomain,
+    getAuthStatus
+};
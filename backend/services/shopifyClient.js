@@ -0,0 +1,338 @@
+/**
+ * Shopify Client
+ * Shared request layer for the Shopify Admin API. Tracks the REST and GraphQL
+ * rate-limit buckets, waits when they run low, and retries throttled, 5xx and
+ * network failures with exponential backoff and jitter. Writes are only sent again
+ * when Shopify cannot have acted on them (429 or a connection that never opened)
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const shopifyAuth = require('./shopifyAuth');
+
+// Admin API version of every REST and GraphQL request; SHOPIFY_API_VERSION overrides it
+const DEFAULT_API_VERSION = '2024-01';
+const API_VERSION = process.env.SHOPIFY_API_VERSION || DEFAULT_API_VERSION;
+
+// Retry settings
+const MAX_RETRIES = parseInt(process.env.SHOPIFY_MAX_RETRIES, 10) || 5;
+const BASE_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 30000;
+
+// A request without a response by then is abandoned, so a hung connection cannot stall the sync queue
+const REQUEST_TIMEOUT_MS = parseInt(process.env.SHOPIFY_TIMEOUT_MS, 10) || 30000;
+
+// Connection errors raised before the request reached Shopify
+const NOT_SENT_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH']);
+
+// Concurrency bounds for the sync; the actual value follows the remaining budget
+const MIN_CONCURRENCY = 1;
+const MAX_CONCURRENCY = parseInt(process.env.SHOPIFY_MAX_CONCURRENCY, 10) || 10;
+
+// REST: leaky bucket of 40 calls that drains 2 calls per second (standard plans)
+const REST_LEAK_PER_SECOND = 2;
+// Calls kept free in the REST bucket so concurrent requests do not overshoot it
+const REST_RESERVE = 4;
+// GraphQL: points kept available before sending another query
+const GRAPHQL_MIN_AVAILABLE = 100;
+
+// Last known bucket states, updated from every response
+const buckets = {
+    rest: { used: 0, max: 40, updatedAt: 0 },
+    graphql: { available: 1000, max: 1000, restoreRate: 50, updatedAt: 0 }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Gets the GraphQL Admin API URL
+ */
+function getApiUrl() {
+    const shopDomain = shopifyAuth.getShopDomain();
+    return `https://${shopDomain}/admin/api/${API_VERSION}/graphql.json`;
+}
+
+/**
+ * Gets the REST Admin API URL
+ */
+function getRestUrl() {
+    const shopDomain = shopifyAuth.getShopDomain();
+    return `https://${shopDomain}/admin/api/${API_VERSION}`;
+}
+
+/**
+ * Gets the domain of the connected shop
+ */
+function getShopDomain() {
+    return shopifyAuth.getShopDomain();
+}
+
+/**
+ * Gets the Admin access token stored by the install flow (see shopifyAuth.js)
+ */
+function getAccessToken() {
+    return shopifyAuth.getAccessToken();
+}
+
+/**
+ * Estimates the REST calls in use now, given that the bucket leaks over time
+ * @returns {number} Calls in use
+ */
+function estimateRestUsed() {
+    const { used, updatedAt } = buckets.rest;
+    const leaked = ((Date.now() - updatedAt) / 1000) * REST_LEAK_PER_SECOND;
+    return Math.max(0, used - leaked);
+}
+
+/**
+ * Estimates the GraphQL points available now, given that points restore over time
+ * @returns {number} Available points
+ */
+function estimateGraphqlAvailable() {
+    const { available, max, restoreRate, updatedAt } = buckets.graphql;
+    const restored = ((Date.now() - updatedAt) / 1000) * restoreRate;
+    return Math.min(max, available + restored);
+}
+
+/**
+ * Waits until the bucket used by the next request has room for it
+ * @param {string} kind - 'rest' or 'graphql'
+ */
+async function waitForBudget(kind) {
+    let waitMs = 0;
+
+    if (kind === 'rest') {
+        const over = estimateRestUsed() - (buckets.rest.max - REST_RESERVE);
+        if (over > 0) waitMs = (over / REST_LEAK_PER_SECOND) * 1000;
+    } else {
+        const missing = GRAPHQL_MIN_AVAILABLE - estimateGraphqlAvailable();
+        if (missing > 0) waitMs = (missing / buckets.graphql.restoreRate) * 1000;
+    }
+
+    if (waitMs > 0) {
+        console.log(`[Shopify] ${kind === 'rest' ? 'REST' : 'GraphQL'} rate limit nearly used up, waiting ${Math.ceil(waitMs)}ms`);
+        await sleep(waitMs);
+    }
+}
+
+/**
+ * Reads the rate-limit state from a response
+ * @param {string} kind - 'rest' or 'graphql'
+ * @param {Object} response - Axios response
+ */
+function recordBudget(kind, response) {
+    if (kind === 'rest') {
+        // Header format: "32/40"
+        const header = response.headers?.['x-shopify-shop-api-call-limit'];
+        const [used, max] = String(header || '').split('/').map(Number);
+        if (Number.isFinite(used) && Number.isFinite(max) && max > 0) {
+            buckets.rest = { used, max, updatedAt: Date.now() };
+        }
+        return;
+    }
+
+    const throttleStatus = response.data?.extensions?.cost?.throttleStatus;
+    if (throttleStatus) {
+        buckets.graphql = {
+            available: throttleStatus.currentlyAvailable,
+            max: throttleStatus.maximumAvailable,
+            restoreRate: throttleStatus.restoreRate || buckets.graphql.restoreRate,
+            updatedAt: Date.now()
+        };
+    }
+}
+
+/**
+ * Returns true if a GraphQL response was rejected for exceeding the cost budget
+ * @param {Object} response - Axios response
+ */
+function isThrottled(response) {
+    return (response.data?.errors || []).some(error => error.extensions?.code === 'THROTTLED');
+}
+
+/**
+ * Returns true when a request can safely be sent twice: REST GETs and GraphQL queries.
+ * POST, PUT and DELETE requests and GraphQL mutations may create or change something
+ * @param {string} kind - 'rest' or 'graphql'
+ * @param {Object} config - Axios request config
+ */
+function isIdempotent(kind, config) {
+    if (kind === 'graphql') {
+        return !/^\s*mutation\b/.test(config.data?.query || '');
+    }
+    return config.method.toLowerCase() === 'get';
+}
+
+/**
+ * Returns true when a request failed before it reached Shopify
+ * @param {Error} error - Axios error
+ */
+function wasNotSent(error) {
+    return !error.response && NOT_SENT_CODES.has(error.code);
+}
+
+/**
+ * Returns true when Shopify may have acted on a failed request: it answered with a 5xx,
+ * or the connection was lost or timed out after the request was sent
+ * @param {Error} error - Axios error
+ */
+function mayHaveReachedShopify(error) {
+    if (!error.response) {
+        return Boolean(error.request) && !wasNotSent(error);
+    }
+    return error.response.status >= 500;
+}
+
+/**
+ * Returns true for failures that may succeed when sent again. A 429 or a request that
+ * was never sent is always retried; 5xx and lost connections only for idempotent
+ * requests, since a write may already have been carried out
+ * @param {Error} error - Axios error
+ * @param {boolean} idempotent - Whether the request can safely be sent twice
+ */
+function isRetryable(error, idempotent) {
+    if (error.response?.status === 429 || wasNotSent(error)) {
+        return true;
+    }
+    return idempotent && mayHaveReachedShopify(error);
+}
+
+/**
+ * Delay before the next attempt: Retry-After when Shopify sends it, otherwise
+ * exponential backoff with full jitter
+ * @param {number} attempt - Attempt that just failed (0-based)
+ * @param {Object} response - Axios response, if any
+ * @returns {number} Delay in milliseconds
+ */
+function retryDelay(attempt, response) {
+    const retryAfter = parseFloat(response?.headers?.['retry-after']);
+    if (Number.isFinite(retryAfter) && retryAfter > 0) {
+        return retryAfter * 1000;
+    }
+    const ceiling = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** attempt);
+    return Math.random() * ceiling;
+}
+
+/**
+ * Sends a request to the Shopify Admin API, respecting rate limits and retrying transient failures
+ * @param {string} kind - 'rest' or 'graphql'
+ * @param {Object} config - Axios request config (method, url, data)
+ * @returns {Promise<Object>} Axios response
+ */
+async function send(kind, config) {
+    const idempotent = isIdempotent(kind, config);
+
+    for (let attempt = 0; ; attempt++) {
+        await waitForBudget(kind);
+
+        let response;
+        try {
+            response = await axios.request({
+                ...config,
+                timeout: REQUEST_TIMEOUT_MS,
+                headers: {
+                    'X-Shopify-Access-Token': getAccessToken(),
+                    'Content-Type': 'application/json',
+                    ...config.headers
+                }
+            });
+        } catch (error) {
+            if (error.response) recordBudget(kind, error.response);
+            if (attempt >= MAX_RETRIES || !isRetryable(error, idempotent)) {
+                throw error;
+            }
+            const delay = retryDelay(attempt, error.response);
+            console.log(`[Shopify] ${config.method.toUpperCase()} ${config.url} failed (${error.response?.status || error.code || error.message}), retry ${attempt + 1}/${MAX_RETRIES} in ${Math.round(delay)}ms`);
+            await sleep(delay);
+            continue;
+        }
+
+        recordBudget(kind, response);
+
+        if (kind === 'graphql' && isThrottled(response)) {
+            if (attempt >= MAX_RETRIES) {
+                throw new Error('Shopify GraphQL request throttled (retries exhausted)');
+            }
+            // Wait for the points this query needs, or back off if Shopify did not say
+            const requested = response.data?.extensions?.cost?.requestedQueryCost;
+            const missing = requested ? requested - estimateGraphqlAvailable() : 0;
+            const delay = missing > 0
+                ? (missing / buckets.graphql.restoreRate) * 1000
+                : retryDelay(attempt);
+            console.log(`[Shopify] GraphQL throttled, retry ${attempt + 1}/${MAX_RETRIES} in ${Math.round(delay)}ms`);
+            await sleep(delay);
+            continue;
+        }
+
+        return response;
+    }
+}
+
+/**
+ * Runs a GraphQL Admin API query or mutation
+ * @param {string} query - GraphQL document
+ * @param {Object} variables - Optional variables
+ * @returns {Promise<Object>} Axios response; the GraphQL body is in response.data
+ */
+async function graphql(query, variables) {
+    return send('graphql', {
+        method: 'post',
+        url: getApiUrl(),
+        data: variables ? { query, variables } : { query }
+    });
+}
+
+/**
+ * Calls the REST Admin API
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the versioned API URL, e.g. '/products.json'
+ * @param {Object} data - Optional request body
+ * @returns {Promise<Object>} Axios response
+ */
+async function rest(method, path, data) {
+    return send('rest', {
+        method,
+        url: `${getRestUrl()}${path}`,
+        data
+    });
+}
+
+/**
+ * Number of products the sync should process at once, based on the remaining
+ * budget of the tighter of the two buckets
+ * @returns {number} Concurrency between MIN_CONCURRENCY and MAX_CONCURRENCY
+ */
+function getConcurrency() {
+    const restFree = 1 - estimateRestUsed() / buckets.rest.max;
+    const graphqlFree = estimateGraphqlAvailable() / buckets.graphql.max;
+    const free = Math.min(restFree, graphqlFree);
+    return Math.max(MIN_CONCURRENCY, Math.min(MAX_CONCURRENCY, Math.floor(MAX_CONCURRENCY * free)));
+}
+
+/**
+ * Checks the X-Shopify-Hmac-Sha256 header of a webhook: a base64 HMAC-SHA256 of the
+ * raw request body, signed with the app secret (SHOPIFY_API_SECRET)
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {string} hmacHeader - Value of X-Shopify-Hmac-Sha256
+ * @returns {boolean} Whether the signature is valid
+ */
+function verifyWebhookHmac(rawBody, hmacHeader) {
+    const secret = process.env.SHOPIFY_API_SECRET;
+    if (!secret || !rawBody || !hmacHeader) return false;
+
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+    const received = Buffer.from(String(hmacHeader), 'base64');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+module.exports = {
+    graphql,
+    rest,
+    getConcurrency,
+    getAccessToken,
+    getShopDomain,
+    mayHaveReachedShopify,
+    verifyWebhookHmac,
+    API_VERSION,
+    MAX_CONCURRENCY
+};
@@ -0,0 +1,155 @@
+/**
+ * Stock Buffers Service
+ * Safety-stock settings and the available-to-sell calculation:
+ * available = on hand - reserved - safety buffer, never below zero
+ */
+
+const dataStore = require('./dataStore');
+const syncCheckpoint = require('./syncCheckpoint');
+const { ValidationError } = require('./errors');
+
+const BUFFERS_FILE = 'stock-buffers.json';
+
+const EMPTY_BUFFERS = {
+    global: 0,
+    categories: {}, // category name → buffer
+    skus: {}, // SKU → buffer
+    updatedAt: null
+};
+
+/**
+ * Returns the saved buffers
+ * @returns {Promise<Object>} { global, categories, skus, updatedAt }
+ */
+async function getStockBuffers() {
+    return { ...EMPTY_BUFFERS, ...(await dataStore.readJson(BUFFERS_FILE, EMPTY_BUFFERS)) };
+}
+
+/**
+ * Checks that a buffer is a whole number of at least zero
+ * @param {*} value - Buffer from the API
+ * @param {string} label - What the buffer is for, used in the error message
+ * @returns {number} Buffer
+ */
+function validateBuffer(value, label) {
+    const buffer = Number(value);
+    if (!Number.isInteger(buffer) || buffer < 0) {
+        throw new ValidationError(`Buffer for ${label} must be a whole number of 0 or more`);
+    }
+    return buffer;
+}
+
+/**
+ * Validates a name → buffer map; keys are trimmed and empty keys rejected
+ * @param {Object} entries - Map from the API
+ * @param {string} kind - 'category' or 'SKU', used in error messages
+ * @returns {Object} Cleaned map
+ */
+function validateBufferMap(entries, kind) {
+    if (entries === null || typeof entries !== 'object' || Array.isArray(entries)) {
+        throw new ValidationError(`${kind} buffers must be an object of ${kind} → buffer`);
+    }
+    const cleaned = {};
+    for (const [key, value] of Object.entries(entries)) {
+        const name = key.trim();
+        if (!name) {
+            throw new ValidationError(`${kind} buffers need a ${kind} name`);
+        }
+        cleaned[name] = validateBuffer(value, `${kind} "${name}"`);
+    }
+    return cleaned;
+}
+
+/**
+ * Validates and saves the buffers
+ * @param {Object} input
+ * @param {number} input.global - Buffer for every product without a more specific one
+ * @param {Object} input.categories - Category name → buffer
+ * @param {Object} input.skus - SKU → buffer
+ * @returns {Promise<Object>} Saved buffers
+ */
+async function saveStockBuffers(input = {}) {
+    const buffers = {
+        global: validateBuffer(input.global ?? 0, 'all products'),
+        categories: validateBufferMap(input.categories ?? {}, 'category'),
+        skus: validateBufferMap(input.skus ?? {}, 'SKU'),
+        updatedAt: new Date().toISOString()
+    };
+
+    await dataStore.writeJson(BUFFERS_FILE, buffers);
+    await syncCheckpoint.resetCheckpoint('Safety stock');
+    console.log(`[BUFFERS] Saved safety stock: global ${buffers.global}, ${Object.keys(buffers.categories).length} category and ${Object.keys(buffers.skus).length} SKU override(s)`);
+    return buffers;
+}
+
+/**
+ * Finds the buffer that applies to a product; a SKU buffer wins over a category
+ * buffer, which wins over the global one. Names match without regard to case
+ * @param {Object} product - Mapped product with sku and category
+ * @param {Object} buffers - Saved buffers (see getStockBuffers)
+ * @returns {Object} { buffer, source } where source is 'sku', 'category' or 'global'
+ */
+function resolveBuffer(product, buffers) {
+    const find = (entries, name) => {
+        if (!name) return undefined;
+        const key = Object.keys(entries).find(entry => entry.toLowerCase() === name.toLowerCase());
+        return key === undefined ? undefined : entries[key];
+    };
+
+    const skuBuffer = find(buffers.skus, product.sku);
+    if (skuBuffer !== undefined) return { buffer: skuBuffer, source: 'sku' };
+
+    const categoryBuffer = find(buffers.categories, product.category);
+    if (categoryBuffer !== undefined) return { buffer: categoryBuffer, source: 'category' };
+
+    return { buffer: buffers.global, source: 'global' };
+}
+
+/**
+ * Works out the quantity to offer for sale
+ * @param {Object} input
+ * @param {number} input.onHand - Quantity on hand (in the locations that are synced)
+ * @param {number} input.reserved - Quantity committed to open inFlow sales orders
+ * @param {Object} input.product - Mapped product, used to pick the buffer
+ * @param {Object} input.buffers - Saved buffers
+ * @returns {Object} Breakdown: { onHand, reserved, buffer, bufferSource, available }
+ */
+function computeAvailable({ onHand, reserved, product, buffers }) {
+    const { buffer, source } = resolveBuffer(product, buffers);
+    return {
+        onHand,
+        reserved,
+        buffer,
+        bufferSource: source,
+        available: Math.max(0, Math.floor(onHand - reserved - buffer))
+    };
+}
+
+/**
+ * Takes reserved and buffer quantities out of per-location stock, starting with
+ * the location that holds the most, so the total matches computeAvailable
+ * @param {Map} levels - Shopify location ID → quantity on hand
+ * @param {number} amount - Quantity to take out
+ * @returns {Map} Shopify location ID → quantity available
+ */
+function deductFromLevels(levels, amount) {
+    const result = new Map(levels);
+    let remaining = amount;
+    const byQuantity = [...result.keys()].sort((a, b) => result.get(b) - result.get(a));
+
+    for (const locationId of byQuantity) {
+        if (remaining <= 0) break;
+        const taken = Math.min(result.get(locationId), remaining);
+        result.set(locationId, result.get(locationId) - taken);
+        remaining -= taken;
+    }
+    return result;
+}
+
+module.exports = {
+    getStockBuffers,
+    saveStockBuffers,
+    resolveBuffer,
+    computeAvailable,
+    deductFromLevels
+};
@@ -0,0 +1,62 @@
+/**
+ * Sync Checkpoint Service
+ * Remembers when the last successful sync started, so the next run only needs
+ * products that were modified in inFlow after that point (the high-water mark)
+ */
+
+const dataStore = require('./dataStore');
+
+const CHECKPOINT_FILE = 'checkpoint.json';
+
+/**
+ * Returns the stored checkpoint
+ * @returns {Promise<Object>} { lastSuccessfulSyncAt, lastFullSyncAt, resetAt }
+ */
+async function getCheckpoint() {
+    return dataStore.readJson(CHECKPOINT_FILE, { lastSuccessfulSyncAt: null, lastFullSyncAt: null, resetAt: null });
+}
+
+/**
+ * Moves the high-water mark forward after a successful sync
+ * @param {Object} run
+ * @param {string} run.startedAt - When the sync started fetching from inFlow (ISO string)
+ * @param {string} run.mode - 'full' or 'incremental'
+ * @returns {Promise<Object>} Updated checkpoint
+ */
+async function recordSuccessfulSync({ startedAt, mode }) {
+    return dataStore.updateJson(CHECKPOINT_FILE, {}, (checkpoint) => {
+        // A sync that started before the last reset used the old settings, so the mark stays cleared
+        if (checkpoint.resetAt && new Date(startedAt) < new Date(checkpoint.resetAt)) {
+            return checkpoint;
+        }
+        return {
+            ...checkpoint,
+            lastSuccessfulSyncAt: startedAt,
+            lastFullSyncAt: mode === 'full' ? startedAt : checkpoint.lastFullSyncAt || null
+        };
+    });
+}
+
+/**
+ * Clears the high-water mark, so the next sync fetches the whole catalog. Called when a
+ * setting that changes what is pushed for every product is saved (safety stock, pricing,
+ * field mapping, location mapping); an incremental sync would only apply it to products
+ * that happen to change in inFlow
+ * @param {string} reason - Setting that changed, for the log
+ * @returns {Promise<Object>} Updated checkpoint
+ */
+async function resetCheckpoint(reason) {
+    const checkpoint = await dataStore.updateJson(CHECKPOINT_FILE, {}, (current) => ({
+        ...current,
+        lastSuccessfulSyncAt: null,
+        resetAt: new Date().toISOString()
+    }));
+    console.log(`[CHECKPOINT] ${reason} changed; the next sync fetches the whole catalog`);
+    return checkpoint;
+}
+
+module.exports = {
+    getCheckpoint,
+    recordSuccessfulSync,
+    resetCheckpoint
+};
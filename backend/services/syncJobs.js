@@ -0,0 +1,315 @@
+/**
+ * Sync Jobs Service
+ * Runs sync jobs in the background, one at a time, and keeps their live state
+ * so clients can poll for status instead of holding the HTTP request open
+ */
+
+const crypto = require('crypto');
+const syncManager = require('./syncManager');
+const syncRuns = require('./syncRuns');
+
+// Number of finished jobs kept in memory for status lookups
+const MAX_FINISHED_JOBS = 50;
+
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+const jobs = new Map();
+const queue = [];
+let activeJob = null;
+
+/**
+ * Converts the internal summary counters to the shape returned by the API
+ * @param {Object} summary - Summary from the sync state
+ * @returns {Object} API summary
+ */
+function formatSummary(summary) {
+    return {
+        total: summary.total,
+        created: summary.created,
+        updated: summary.updated,
+        unchanged: summary.skipped,
+        failed: summary.failed,
+        published: summary.published,
+        retired: summary.retired,
+        retirementAborted: summary.retirementAborted || false
+    };
+}
+
+const PLAN_ACTIONS = { created: 'create', updated: 'update', skipped: 'unchanged', retired: 'retire', failed: 'failed' };
+
+/**
+ * Builds the dry-run plan from the per-SKU results of a job
+ * @param {Array} results - Per-SKU results
+ * @returns {Array} Plan entries with sku, name, action and before → after changes
+ */
+function buildPlan(results) {
+    return results.map(result => ({
+        sku: result.sku,
+        name: result.name,
+        group: result.group,
+        action: PLAN_ACTIONS[result.status],
+        changes: result.changes || [],
+        stockBreakdown: result.stockBreakdown,
+        pricing: result.pricing,
+        error: result.error
+    }));
+}
+
+/**
+ * Returns a plain JSON view of a job
+ * @param {Object} job - Job record
+ * @returns {Object} Serializable job
+ */
+function serializeJob(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        trigger: job.trigger,
+        channelIds: job.channelIds,
+        options: job.options,
+        mode: job.state.mode,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        error: job.error,
+        summary: formatSummary(job.state.summary),
+        progress: job.state.progress,
+        results: job.state.results,
+        plan: job.options.dryRun ? buildPlan(job.state.results) : undefined,
+        logs: job.state.logs
+    };
+}
+
+/**
+ * Updates a job's status and notifies subscribers
+ * @param {Object} job - Job record
+ * @param {string} status - New status
+ */
+function setStatus(job, status) {
+    job.status = status;
+    if (status === 'running') job.startedAt = new Date().toISOString();
+    if (FINISHED_STATUSES.includes(status)) job.finishedAt = new Date().toISOString();
+    job.state.events.emit('status', {
+        status: job.status,
+        error: job.error,
+        summary: formatSummary(job.state.summary)
+    });
+}
+
+/**
+ * Saves the job to the run history; failures are logged but never stop the sync
+ * @param {Object} job - Job record
+ * @returns {Promise<void>}
+ */
+async function persistRun(job) {
+    try {
+        const { progress, plan, ...run } = serializeJob(job);
+        await syncRuns.saveRun(run);
+    } catch (error) {
+        console.error(`[JOBS] Failed to save run history for job ${job.id}:`, error.message);
+    }
+}
+
+/**
+ * Drops the oldest finished jobs once more than MAX_FINISHED_JOBS are kept
+ */
+function pruneJobs() {
+    const finished = [...jobs.values()].filter(job => FINISHED_STATUSES.includes(job.status));
+    while (finished.length > MAX_FINISHED_JOBS) {
+        jobs.delete(finished.shift().id);
+    }
+}
+
+/**
+ * Runs a job to completion and records it in the run history
+ * @param {Object} job - Job record
+ * @returns {Promise<void>}
+ */
+async function executeJob(job) {
+    setStatus(job, 'running');
+    console.log(`[JOBS] Running sync job ${job.id}`);
+    await persistRun(job);
+
+    try {
+        const result = await syncManager.startSync(job.channelIds, { state: job.state, ...job.options });
+        job.error = result.error || null;
+        if (result.cancelled) {
+            setStatus(job, 'cancelled');
+        } else if (result.error) {
+            setStatus(job, 'failed');
+        } else {
+            setStatus(job, 'succeeded');
+        }
+    } catch (error) {
+        job.error = error.message;
+        setStatus(job, 'failed');
+    }
+
+    console.log(`[JOBS] Sync job ${job.id} ${job.status}`);
+    await persistRun(job);
+}
+
+/**
+ * Runs queued jobs one after another until the queue is empty
+ */
+async function processQueue() {
+    if (activeJob) return;
+
+    while (queue.length > 0) {
+        const job = queue.shift();
+        if (job.status !== 'queued') continue;
+
+        activeJob = job;
+        await executeJob(job);
+        activeJob = null;
+        pruneJobs();
+    }
+}
+
+/**
+ * Builds a new job record
+ * @param {Object} options - See enqueueSync
+ * @returns {Object} Job record
+ */
+function createJob({ channelIds = null, trigger = 'manual', dryRun = false, filters = null, fullResync = false, stockOnly = false } = {}) {
+    const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        trigger,
+        channelIds,
+        options: {
+            dryRun: Boolean(dryRun),
+            filters: syncManager.normalizeFilters(filters),
+            fullResync: Boolean(fullResync),
+            stockOnly: Boolean(stockOnly)
+        },
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        error: null,
+        state: syncManager.createSyncState()
+    };
+
+    jobs.set(job.id, job);
+    return job;
+}
+
+/**
+ * Adds a job to the queue and starts processing it in the background. Priority jobs go
+ * ahead of the waiting jobs, behind other priority jobs
+ * @param {Object} job - Job record
+ * @param {boolean} priority - Whether the job jumps the queue
+ */
+function addToQueue(job, priority = false) {
+    const index = priority ? queue.findIndex(entry => !entry.priority) : -1;
+    job.priority = priority;
+    queue.splice(index === -1 ? queue.length : index, 0, job);
+    console.log(`[JOBS] Queued ${priority ? 'priority ' : ''}sync job ${job.id}`);
+
+    processQueue().catch(error => console.error('[JOBS] Queue error:', error.message));
+}
+
+/**
+ * Adds a sync job to the queue and starts processing in the background
+ * @param {Object} options
+ * @param {Array|null} options.channelIds - Optional array of Shopify publication IDs to publish products to
+ * @param {string} options.trigger - What started the sync (e.g. 'manual')
+ * @param {boolean} options.dryRun - Only report planned changes, without writing to Shopify
+ * @param {Object} options.filters - Optional filters to sync only some products: { skus, category, search }
+ * @param {boolean} options.fullResync - Fetch the whole catalog instead of only changes since the last successful sync
+ * @param {boolean} options.stockOnly - Only set the stock of products already in Shopify
+ * @returns {Object} Serialized job
+ */
+function enqueueSync(options = {}) {
+    const job = createJob(options);
+    addToQueue(job);
+    return serializeJob(job);
+}
+
+/**
+ * Queues a small sync (e.g. a single SKU) ahead of the waiting jobs. A running job is
+ * finished first, so the same products are never written by two syncs at once
+ * @param {Object} options - Same as enqueueSync
+ * @returns {Object} Serialized job
+ */
+function enqueuePrioritySync(options = {}) {
+    const job = createJob(options);
+    addToQueue(job, true);
+    return serializeJob(job);
+}
+
+/**
+ * Looks up a job by ID
+ * @param {string} id - Job ID
+ * @returns {Object|null} Serialized job or null if unknown
+ */
+function getJob(id) {
+    const job = jobs.get(id);
+    return job ? serializeJob(job) : null;
+}
+
+/**
+ * Cancels a job. Queued jobs are cancelled immediately and recorded in the run history,
+ * running jobs stop after the current batch
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} Serialized job or null if unknown
+ */
+async function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+
+    if (job.status === 'queued') {
+        setStatus(job, 'cancelled');
+        console.log(`[JOBS] Sync job ${job.id} cancelled before it started`);
+        await persistRun(job);
+    } else if (job.status === 'running') {
+        job.state.cancelRequested = true;
+    }
+
+    return serializeJob(job);
+}
+
+/**
+ * Whether a sync job is currently running or waiting in the queue, including single-SKU
+ * and other priority jobs
+ * @returns {boolean}
+ */
+function hasActiveSync() {
+    return Boolean(activeJob) || queue.some(job => job.status === 'queued');
+}
+
+/**
+ * Subscribes to live updates of a job
+ * Events: 'log' (log line), 'progress' (batch progress), 'result' (per-SKU outcome), 'status' (status change)
+ * @param {string} id - Job ID
+ * @param {Function} listener - Called with (event, data) for every update
+ * @returns {Function|null} Unsubscribe function, or null if the job is unknown
+ */
+function subscribeJob(id, listener) {
+    const job = jobs.get(id);
+    if (!job) return null;
+
+    const { events } = job.state;
+    const handlers = {};
+    for (const event of ['log', 'progress', 'result', 'status']) {
+        handlers[event] = (data) => listener(event, data);
+        events.on(event, handlers[event]);
+    }
+
+    return () => {
+        for (const [event, handler] of Object.entries(handlers)) {
+            events.off(event, handler);
+        }
+    };
+}
+
+module.exports = {
+    enqueueSync,
+    enqueuePrioritySync,
+    getJob,
+    cancelJob,
+    subscribeJob,
+    hasActiveSync,
+    FINISHED_STATUSES,
+    formatSummary
+};
@@ -3,131 +3,185 @@
  * Handles fetching products from inFlow and syncing to Shopify
  */
 
-const axios = require('axios');
-
-// Configuration from environment variables
-// inFlow API
-const INFLOW_API_TOKEN = process.env.INFLOW_API_TOKEN;
-const INFLOW_API_BASE_URL = process.env.NFLOW_API_BASE_URL || process.env.INFLOW_API_BASE_URL || 'https://cloudapi.inflowinventory.com';
-const INFLOW_COMPANY_ID = process.env.INFLOW_COMPANY_ID;
+const { EventEmitter } = require('events');
+const { ValidationError, InflowApiError } = require('./errors');
+const syncCheckpoint = require('./syncCheckpoint');
+const shopifyClient = require('./shopifyClient');
+const inflowClient = require('./inflowClient');
+const locationMapping = require('./locationMapping');
+const stockBuffers = require('./stockBuffers');
+const variantGroups = require('./variantGroups');
+const pricing = require('./pricing');
+const productLinks = require('./productLinks');
+const retirement = require('./retirement');
+const fieldMapping = require('./fieldMapping');
+const metafields = require('./metafields');
+const imageSync = require('./imageSync');
+const changeDetection = require('./changeDetection');
+const drift = require('./drift');
+const { getAccessToken, getShopDomain } = shopifyClient;
 
 // Cache for Shopify location ID
 let primaryLocationId = null;
 
-/**
- * Gets the base Shopify API URL
- */
-function getApiUrl() {
-    const shopDomain = process.env.PUBLIC_STORE_DOMAIN;
-    return `https://${shopDomain}/admin/api/2024-01/graphql.json`;
-}
-
-/**
- * Gets the REST API URL
- */
-function getRestUrl() {
-    const shopDomain = process.env.PUBLIC_STORE_DOMAIN;
-    return `https://${shopDomain}/admin/api/2024-01`;
-}
-
-/**
- * Gets the Admin access token
- */
-function getAccessToken() {
-    return process.env.PRIVATE_STOREFRONT_API_TOKEN;
-}
-
-/**
- * Returns the Shopify OAuth URL to start the authentication process
- */
-function getAuthUrl() {
-    const shopDomain = process.env.PUBLIC_STORE_DOMAIN;
-    const clientId = process.env.SHOPIFY_API_KEY;
-    const scopes = 'read_inventory,read_products,read_publications,write_inventory,write_products,write_publications';
-    const baseUrl = process.env.BACKEND_PUBLIC_URL || 'http://localhost:8080';
-    const redirectUri = `${baseUrl}/api/shopify/callback`;
+// Global log helper
+const log = (msg) => {
+    const timestamp = new Date().toISOString();
+    console.log(`[${timestamp}] ${msg}`);
+};
 
-    console.log('[AUTH] Generating URL for Client ID:', clientId);
+// inFlow returns at most 100 records per request
+const INFLOW_PAGE_SIZE = 100;
 
-    if (!clientId) {
-        throw new Error('SHOPIFY_API_KEY is not defined in backend/.env');
-    }
+// Date range filters used by incremental fetches: product changes and inventory (stock) changes
+const INFLOW_MODIFIED_FILTERS = ['lastModifiedDateTime', 'inventoryLines.lastModifiedDateTime'];
 
-    return `https://${shopDomain}/admin/oauth/authorize?client_id=${clientId}&scope=${scopes}&redirect_uri=${redirectUri}`;
-}
+// Related resources fetched with every product
+const INFLOW_PRODUCT_INCLUDE = 'images,defaultImage,defaultPrice,prices,cost,category,inventoryLines';
 
 /**
- * Exchanges the OAuth code for a permanent access token
+ * Finds the products on sales orders created or changed since a date. Reserving stock
+ * for an order does not touch the product, so an incremental fetch asks for these too
+ * @param {string} modifiedSince - ISO date
+ * @returns {Promise<Array<string>>} inFlow product IDs
  */
-async function exchangeCodeForToken(code) {
-    const shopDomain = process.env.PUBLIC_STORE_DOMAIN;
-    const clientId = process.env.SHOPIFY_API_KEY;
-    const clientSecret = process.env.SHOPIFY_API_SECRET;
-
-    try {
-        const url = `https://${shopDomain}/admin/oauth/access_token`;
-        const response = await axios.post(url, {
-            client_id: clientId,
-            client_secret: clientSecret,
-            code: code
+async function fetchProductIdsOnChangedOrders(modifiedSince) {
+    const productIds = new Set();
+    let fetched = 0;
+
+    while (true) {
+        const response = await inflowClient.get('/sales-orders', {
+            'filter[lastModifiedDateTime]': JSON.stringify({ fromDate: modifiedSince }),
+            'include': 'lines',
+            'count': INFLOW_PAGE_SIZE,
+            'skip': fetched
         });
-        return response.data;
-    } catch (error) {
-        console.error('[Shopify] Failed to exchange code for token:', error.response?.data || error.message);
-        throw error;
+        const orders = response.data.data || [];
+        fetched += orders.length;
+
+        // Lines come as included resources, or inline on the order
+        const lines = [
+            ...(response.data.included || []),
+            ...orders.flatMap(order => order.attributes?.lines || order.lines || [])
+        ];
+        for (const line of lines) {
+            const productId = line.attributes?.productId ?? line.relationships?.product?.data?.id ?? line.productId;
+            if (productId) productIds.add(productId);
+        }
+
+        if (orders.length < INFLOW_PAGE_SIZE) break;
     }
-}
 
-// Global log helper
-const log = (msg) => {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] ${msg}`);
-};
+    return [...productIds];
+}
 
 /**
- * Fetches all products from inFlow Inventory API
+ * Fetches all products from inFlow Inventory API, following skip/count pagination
+ * until every page has been read
+ * @param {Object} options
+ * @param {Function} options.log - Optional log function for sync progress messages
+ * @param {Object} options.filters - Optional product filters (see normalizeFilters), narrowed server-side where inFlow supports it
+ * @param {string} options.modifiedSince - Optional ISO date; only products (or their inventory lines) modified after it are fetched
  * @returns {Promise<Array>} Array of products with Name, SKU, Price, Stock
  */
-async function fetchInflowProducts() {
+async function fetchInflowProducts({ log: syncLog = log, filters = null, modifiedSince = null } = {}) {
     try {
         // inFlow Cloud API products endpoint with images included for full-resolution URLs
-        const apiVersion = '2025-10-02';
-        const url = `${INFLOW_API_BASE_URL}/${INFLOW_COMPANY_ID}/products`;
-        console.log('[inFlow] Fetching from:', url);
-        console.log('[inFlow] Using API Token:', INFLOW_API_TOKEN ? `${INFLOW_API_TOKEN.substring(0, 10)}...` : 'NOT SET');
-        console.log('[inFlow] Company ID:', INFLOW_COMPANY_ID);
-        console.log('[inFlow] API Version:', apiVersion);
-
-        const response = await axios.get(url, {
-            headers: {
-                'Authorization': `Bearer ${INFLOW_API_TOKEN}`,
-                'Accept': `application/vnd.api+json; version=${apiVersion}`,
-                'referer': 'https://app.inflowinventory.com/',
-                'origin': 'https://app.inflowinventory.com',
-                'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/143.0.0.0 Safari/537.36',
-                'sec-ch-ua': '"Google Chrome";v="143", "Chromium";v="143", "Not A(Brand";v="24"',
-                'sec-ch-ua-mobile': '?0',
-                'sec-ch-ua-platform': '"Windows"',
-                'sec-fetch-dest': 'empty',
-                'sec-fetch-mode': 'cors',
-                'sec-fetch-site': 'same-site'
-            },
-            params: {
-                'includeCount': true,
-                'filter[isActive]': true,
-                'include': 'images,defaultImage,defaultPrice,category,inventoryLines',  // Include all necessary data
-                'count': 100
+        const config = inflowClient.getConfig();
+        console.log('[inFlow] Fetching from:', `${config.baseUrl}/${config.companyId}/products`);
+        console.log('[inFlow] Using API Token:', config.token ? `${config.token.substring(0, 10)}...` : 'NOT SET');
+        console.log('[inFlow] Company ID:', config.companyId);
+        console.log('[inFlow] API Version:', config.apiVersion);
+
+        // Let inFlow narrow the result where it can; startSync still applies the exact filters afterwards
+        const filterParams = {};
+        if (filters?.skus?.length === 1) filterParams['filter[sku]'] = filters.skus[0];
+        if (filters?.search) filterParams['filter[smart]'] = filters.search;
+
+        // An incremental fetch asks once for products modified since the mark and once for
+        // products whose inventory lines changed since then; the results are merged below
+        const queries = modifiedSince
+            ? INFLOW_MODIFIED_FILTERS.map(field => ({
+                ...filterParams,
+                [`filter[${field}]`]: JSON.stringify({ fromDate: modifiedSince })
+            }))
+            : [filterParams];
+
+        const productsById = new Map();
+        const included = [];
+
+        for (const queryParams of queries) {
+            const queryProducts = [];
+            let expectedTotal = null;
+            let pages = 0;
+
+            // Walk the catalog page by page; a short page means we reached the end
+            while (true) {
+                const response = await inflowClient.get('/products', {
+                    'includeCount': true,
+                    'filter[isActive]': true,
+                    'include': INFLOW_PRODUCT_INCLUDE,
+                    'count': INFLOW_PAGE_SIZE,
+                    'skip': queryProducts.length,
+                    ...queryParams
+                });
+
+                const pageProducts = response.data.data || [];
+                const pageIncluded = response.data.included || [];
+                pages++;
+
+                // With includeCount, inFlow reports the total number of matching records in X-listCount
+                const listCount = parseInt(response.headers?.['x-listcount'] ?? response.data.meta?.count, 10);
+                if (expectedTotal === null && !Number.isNaN(listCount)) {
+                    expectedTotal = listCount;
+                }
+
+                queryProducts.push(...pageProducts);
+                included.push(...pageIncluded);
+
+                console.log(`[inFlow] Page ${pages}: received ${pageProducts.length} products (${queryProducts.length}${expectedTotal !== null ? `/${expectedTotal}` : ''})`);
+
+                if (pageProducts.length < INFLOW_PAGE_SIZE) break;
+                if (expectedTotal !== null && queryProducts.length >= expectedTotal) break;
+            }
+
+            syncLog(`📄 Fetched ${pages} page(s) from inFlow: expected ${expectedTotal ?? 'unknown'}, received ${queryProducts.length} products`);
+
+            if (expectedTotal !== null && queryProducts.length !== expectedTotal) {
+                throw new Error(`Product count mismatch: inFlow reported ${expectedTotal} products but ${queryProducts.length} were received across ${pages} page(s)`);
             }
-        });
 
-        // Parse JSON:API response with included relationships
-        const products = response.data.data || [];
-        const included = response.data.included || [];
+            queryProducts.forEach(product => productsById.set(product.id, product));
+        }
+
+        // Reserved stock changes with sales orders, not with the product, so products on orders
+        // changed since the mark are fetched as well to recompute their available quantity
+        if (modifiedSince) {
+            const orderProductIds = (await fetchProductIdsOnChangedOrders(modifiedSince))
+                .filter(productId => !productsById.has(productId));
+            let added = 0;
+            for (const productId of orderProductIds) {
+                try {
+                    const response = await inflowClient.get(`/products/${productId}`, { 'include': INFLOW_PRODUCT_INCLUDE });
+                    const product = response.data.data;
+                    if (!product || product.attributes?.isActive === false) continue;
+                    productsById.set(product.id, product);
+                    included.push(...(response.data.included || []));
+                    added++;
+                } catch (error) {
+                    // A product deleted since the order was placed has nothing to sync
+                    if (error.status !== 404) throw error;
+                }
+            }
+            syncLog(`🧾 ${added} more product(s) on sales orders changed since ${modifiedSince} (reserved stock)`);
+        }
+
+        const products = [...productsById.values()];
 
         console.log(`[inFlow] Received ${products.length} products`);
         console.log(`[inFlow] Included ${included.length} related resources (images, etc.)`);
 
-        // Map included resources by type and id for easy lookup
+        // Map included resources by type and id for easy lookup (merged across all pages)
         const includedMap = {};
         included.forEach(item => {
             const key = `${item.type}:${item.id}`;
@@ -140,7 +194,8 @@ async function fetchInflowProducts() {
             if (product.relationships?.images?.data) {
                 product.images = product.relationships.images.data.map(ref => {
                     const key = `${ref.type}:${ref.id}`;
-                    return includedMap[key]?.attributes || null;
+                    // Image IDs are kept for the image fingerprints (see imageSync.js)
+                    return includedMap[key] ? { id: ref.id, ...includedMap[key].attributes } : null;
                 }).filter(Boolean);
             }
 
@@ -148,7 +203,7 @@ async function fetchInflowProducts() {
             if (product.relationships?.defaultImage?.data) {
                 const ref = product.relationships.defaultImage.data;
                 const key = `${ref.type}:${ref.id}`;
-                product.defaultImage = includedMap[key]?.attributes || null;
+                product.defaultImage = includedMap[key] ? { id: ref.id, ...includedMap[key].attributes } : null;
             }
 
             // Handle defaultPrice relationship
@@ -158,6 +213,26 @@ async function fetchInflowProducts() {
                 product.defaultPrice = includedMap[key]?.attributes || null;
             }
 
+            // Handle prices relationship (array, one price per pricing scheme)
+            if (product.relationships?.prices?.data) {
+                product.prices = product.relationships.prices.data.map(ref => {
+                    const key = `${ref.type}:${ref.id}`;
+                    const price = includedMap[key];
+                    if (!price) return null;
+                    return {
+                        ...price.attributes,
+                        pricingSchemeId: price.attributes?.pricingSchemeId ?? price.relationships?.pricingScheme?.data?.id ?? null
+                    };
+                }).filter(Boolean);
+            }
+
+            // Handle cost relationship
+            if (product.relationships?.cost?.data) {
+                const ref = product.relationships.cost.data;
+                const key = `${ref.type}:${ref.id}`;
+                product.cost = includedMap[key]?.attributes || null;
+            }
+
             // Handle category relationship
             if (product.relationships?.category?.data) {
                 const ref = product.relationships.category.data;
@@ -169,47 +244,89 @@ async function fetchInflowProducts() {
             if (product.relationships?.inventoryLines?.data) {
                 product.inventoryLines = product.relationships.inventoryLines.data.map(ref => {
                     const key = `${ref.type}:${ref.id}`;
-                    return includedMap[key]?.attributes || null;
+                    const line = includedMap[key];
+                    if (!line) return null;
+                    // Keep the line's location for per-location stock, whether it comes as an attribute or a relationship
+                    return {
+                        ...line.attributes,
+                        locationId: line.attributes?.locationId ?? line.relationships?.location?.data?.id ?? null
+                    };
                 }).filter(Boolean);
             }
         });
 
         return products;
     } catch (error) {
-        // Log detailed error info
-        console.error('[inFlow] API Error:', error.response?.status, error.response?.statusText);
-        console.error('[inFlow] Error Data:', JSON.stringify(error.response?.data || error.message));
-        console.error('[inFlow] Request URL:', error.config?.url);
-        console.error('[inFlow] Request Headers:', JSON.stringify(error.config?.headers));
-        throw new Error(`Failed to fetch inFlow products: ${error.response?.data?.message || error.message}`);
+        // Client errors already say what went wrong and how to fix it
+        if (error instanceof InflowApiError) {
+            throw error;
+        }
+        throw new Error(`Failed to fetch inFlow products: ${error.message}`);
     }
 }
 
+// Product IDs per inventory summary request
+const INFLOW_SUMMARY_BATCH_SIZE = 100;
+
 /**
- * Search for a product in Shopify by SKU
- * @param {string} sku - The product SKU to search for
- * @returns {Promise<Object|null>} Shopify product or null if not found
+ * Fetches the quantity reserved (committed to open sales orders) for each product
+ * from inFlow's product inventory summary
+ * @param {Array<string>} productIds - inFlow product IDs
+ * @returns {Promise<Map>} Product ID → reserved quantity
  */
-async function searchShopifyBySku(sku) {
-    try {
-        // Use GraphQL to search for product by SKU
-        const query = `
-      {
-        productVariants(first: 1, query: "sku:${sku}") {
-          edges {
-            node {
+async function fetchReservedQuantities(productIds) {
+    const reserved = new Map();
+
+    for (let i = 0; i < productIds.length; i += INFLOW_SUMMARY_BATCH_SIZE) {
+        const ids = productIds.slice(i, i + INFLOW_SUMMARY_BATCH_SIZE);
+        const response = await inflowClient.get('/products/summary', { productIds: ids.join(',') });
+        const rows = Array.isArray(response.data) ? response.data : response.data.data || [];
+
+        rows.forEach(row => {
+            const summary = row.attributes || row;
+            const productId = summary.productId || row.id;
+            if (productId) {
+                reserved.set(productId, Math.max(0, parseFloat(summary.quantityReserved) || 0));
+            }
+        });
+    }
+
+    return reserved;
+}
+
+// Variant and product fields read for change detection (see searchShopifyVariantsBySku and fetchShopifyVariant)
+const VARIANT_QUERY_FIELDS = `
               id
               sku
               price
+              compareAtPrice
+              barcode
+              weight
+              weightUnit
+              selectedOptions {
+                value
+              }
               inventoryQuantity
+              metafields(first: 50) {
+                edges {
+                  node {
+                    namespace
+                    key
+                    value
+                  }
+                }
+              }
               inventoryItem {
                 id
-                inventoryLevels(first: 1) {
+                inventoryLevels(first: 20) {
                   edges {
                     node {
                       location {
                         id
                       }
+                      quantities(names: ["available"]) {
+                        quantity
+                      }
                     }
                   }
                 }
@@ -217,211 +334,724 @@ async function searchShopifyBySku(sku) {
               product {
                 id
                 title
+                descriptionHtml
+                vendor
+                productType
+                tags
+                seo {
+                  title
+                  description
+                }
+                metafields(first: 50) {
+                  edges {
+                    node {
+                      namespace
+                      key
+                      value
+                    }
+                  }
+                }
               }
+`;
+
+/**
+ * Reads a productVariant node into the variant object used by the sync
+ * @param {Object} v - productVariant node with VARIANT_QUERY_FIELDS
+ * @returns {Object} Variant with id, sku, price, inventory, metafields, shopifyValues and product
+ */
+function readVariantNode(v) {
+    return {
+        id: v.id,
+        sku: v.sku,
+        price: v.price,
+        inventoryQuantity: v.inventoryQuantity,
+        inventoryItemId: v.inventoryItem?.id,
+        locationId: v.inventoryItem?.inventoryLevels?.edges[0]?.node?.location?.id,
+        // Available stock per location, keyed by numeric location ID
+        inventoryLevels: (v.inventoryItem?.inventoryLevels?.edges || []).map(({ node }) => ({
+            locationId: node.location.id.replace('gid://shopify/Location/', ''),
+            available: node.quantities?.[0]?.quantity ?? 0
+        })),
+        // Metafield values keyed by 'namespace.key'
+        metafields: {
+            product: metafields.readMetafieldConnection(v.product?.metafields),
+            variant: metafields.readMetafieldConnection(v.metafields)
+        },
+        // Current values of the mapped fields, for change detection
+        shopifyValues: changeDetection.readShopifyValues(v),
+        product: { id: v.product?.id, title: v.product?.title }
+    };
+}
+
+/**
+ * Finds every Shopify variant whose SKU is exactly the given SKU. The SKU is quoted in
+ * the search, so quotes and spaces are safe; Shopify's search is fuzzy, so matches are
+ * checked again here
+ * @param {string} sku - SKU to look for
+ * @returns {Promise<Array>} Variants (see readVariantNode), more than one when the SKU is duplicated in Shopify
+ */
+async function searchShopifyVariantsBySku(sku) {
+    try {
+        const query = `
+      query variantsBySku($query: String!) {
+        productVariants(first: 10, query: $query) {
+          edges {
+            node {
+${VARIANT_QUERY_FIELDS}
             }
           }
         }
       }
     `;
 
-        const response = await axios.post(
-            getApiUrl(),
-            { query },
-            {
-                headers: {
-                    'X-Shopify-Access-Token': getAccessToken(),
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
+        const escaped = sku.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+        const response = await shopifyClient.graphql(query, { query: `sku:"${escaped}"` });
 
-        const variants = response.data?.data?.productVariants?.edges;
-        if (variants && variants.length > 0) {
-            const v = variants[0].node;
-            return {
-                id: v.id,
-                sku: v.sku,
-                price: v.price,
-                inventoryQuantity: v.inventoryQuantity,
-                inventoryItemId: v.inventoryItem?.id,
-                locationId: v.inventoryItem?.inventoryLevels?.edges[0]?.node?.location?.id,
-                product: v.product
-            };
-        }
-        return null;
+        const edges = response.data?.data?.productVariants?.edges || [];
+        return edges
+            .map(edge => edge.node)
+            .filter(node => (node.sku || '').trim() === sku.trim())
+            .map(readVariantNode);
     } catch (error) {
         throw new Error(`Shopify search failed for SKU ${sku}: ${error.message}`);
     }
 }
 
+/**
+ * Search for a product in Shopify by SKU
+ * @param {string} sku - The product SKU to search for
+ * @returns {Promise<Object|null>} First variant with exactly this SKU, or null if not found
+ */
+async function searchShopifyBySku(sku) {
+    const matches = await searchShopifyVariantsBySku(sku);
+    return matches[0] || null;
+}
+
+/**
+ * Loads a Shopify variant by its ID
+ * @param {string} variantId - Shopify variant ID (numeric or GraphQL ID)
+ * @returns {Promise<Object|null>} Variant (see readVariantNode), or null when it no longer exists
+ */
+async function fetchShopifyVariant(variantId) {
+    try {
+        const query = `
+      query variant($id: ID!) {
+        productVariant(id: $id) {
+${VARIANT_QUERY_FIELDS}
+        }
+      }
+    `;
+
+        const id = String(variantId).startsWith('gid://') ? variantId : `gid://shopify/ProductVariant/${variantId}`;
+        const response = await shopifyClient.graphql(query, { id });
+        const node = response.data?.data?.productVariant;
+        return node ? readVariantNode(node) : null;
+    } catch (error) {
+        throw new Error(`Failed to load Shopify variant ${variantId}: ${error.message}`);
+    }
+}
+
+/**
+ * Sends a create request. Creates are not retried by shopifyClient, since Shopify may
+ * have made the product even when the answer was a 5xx or the connection dropped; the
+ * SKU is looked up first, and the request is only sent again when it is still missing
+ * @param {string} sku - SKU the request creates
+ * @param {Function} request - Sends the create request; resolves to the Axios response
+ * @param {Function} fetchCreated - Given the variant found by SKU, loads what the create would have returned
+ * @returns {Promise<Object>} Axios response of the create, or of fetchCreated
+ */
+async function sendCreate(sku, request, fetchCreated) {
+    try {
+        return await request();
+    } catch (error) {
+        if (!shopifyClient.mayHaveReachedShopify(error)) {
+            throw error;
+        }
+        const [existing] = await searchShopifyVariantsBySku(sku);
+        if (existing) {
+            console.log(`[SYNC] Create for ${sku} failed (${error.response?.status || error.code || error.message}), but Shopify has the SKU; using it`);
+            return fetchCreated(existing);
+        }
+        console.log(`[SYNC] Create for ${sku} failed (${error.response?.status || error.code || error.message}) and Shopify does not have the SKU; sending it again`);
+        return request();
+    }
+}
+
+/**
+ * Loads the product of a variant found by SKU, in the shape a product create returns
+ * @param {Object} variant - Variant (see readVariantNode)
+ * @returns {Promise<Object>} Axios response with data.product
+ */
+function fetchProductOf(variant) {
+    return shopifyClient.rest('get', `/products/${productLinks.numericId(variant.product.id)}.json`);
+}
+
 /**
  * Create a new product in Shopify
  * @param {Object} product - Product data from inFlow
+ * @param {Object|null} stock - Optional quantity to sell: { available, levels }, where levels is the quantity per
+ *   Shopify location or null to put everything at the shop's default location. Without it the on-hand quantity is used
  * @returns {Promise<Object>} Created product response
  */
-async function createShopifyProduct(product) {
+async function createShopifyProduct(product, stock = null) {
     try {
-        const response = await axios.post(
-            `${getRestUrl()}/products.json`,
-            {
-                product: {
-                    title: product.Name || product.name,
-                    body_html: product.Description || product.description || '',
-                    vendor: product.Vendor || product.vendor || '',
-                    product_type: product.Category || product.category || '',
-                    images: product.defaultImage?.originalUrl ? [{ src: product.defaultImage.originalUrl }] :
-                        (product.images && product.images.length > 0 ? product.images.map(img => ({ src: img.originalUrl || img.url })) : []),
-                    variants: [
-                        {
-                            sku: product.SKU || product.sku,
-                            price: product.defaultPrice?.unitPrice || product.Price || product.price || '0.00',
-                            inventory_quantity: Math.floor(parseFloat(product.totalQuantityOnHand || (product.inventoryLines && Array.isArray(product.inventoryLines) ? product.inventoryLines.reduce((sum, line) => sum + (parseFloat(line.quantityOnHand || line.quantity) || 0), 0) : 0)) || 0),
-                            inventory_management: 'shopify'
-                        }
-                    ]
-                }
-            },
-            {
-                headers: {
-                    'X-Shopify-Access-Token': getAccessToken(),
-                    'Content-Type': 'application/json'
-                }
+        const stockLevels = stock?.levels || null;
+        const inventoryQuantity = stock
+            ? stock.available
+            : Math.floor(parseFloat(product.totalQuantityOnHand || (product.inventoryLines && Array.isArray(product.inventoryLines) ? product.inventoryLines.reduce((sum, line) => sum + (parseFloat(line.quantityOnHand || line.quantity) || 0), 0) : 0)) || 0);
+
+        const sku = product.SKU || product.sku;
+        const fields = shopifyPayload(product, true);
+        const response = await sendCreate(sku, () => shopifyClient.rest('post', '/products.json', {
+            product: {
+                ...fields.product,
+                images: imageSync.imagePayload(product.images || [], product.name),
+                variants: [
+                    {
+                        sku,
+                        price: product.defaultPrice?.unitPrice || product.Price || product.price || '0.00',
+                        ...compareAtField(product),
+                        ...fields.variant,
+                        ...(stockLevels ? {} : { inventory_quantity: inventoryQuantity }),
+                        inventory_management: 'shopify'
+                    }
+                ]
             }
-        );
+        }), fetchProductOf);
 
-        return response.data.product;
+        const created = response.data.product;
+        if (stockLevels) {
+            await setStockLevels(created.variants?.[0]?.inventory_item_id, stockLevels);
+        }
+        await imageSync.recordCreatedImages(created.id, product.images || [], created.images, product.name);
+
+        return created;
     } catch (error) {
         throw new Error(`Failed to create Shopify product: ${error.message}`);
     }
 }
 
 /**
- * Update an existing product variant in Shopify
+ * Sets the stock of an existing variant. With per-location levels only the locations
+ * whose quantity differs are written
+ * @param {Object} existingVariant - Existing Shopify variant (see searchShopifyBySku)
+ * @param {Object} stock - Quantity to sell: { available, levels }, where levels is the quantity per
+ *   Shopify location or null to set everything at the variant's first location
+ * @returns {Promise<void>}
+ */
+async function updateShopifyInventory(existingVariant, stock) {
+    if (!existingVariant.inventoryItemId) return;
+    const inventoryItemId = existingVariant.inventoryItemId.replace('gid://shopify/InventoryItem/', '');
+
+    if (stock.levels) {
+        for (const [locationId, quantity] of stock.levels) {
+            const current = existingVariant.inventoryLevels?.find(level => level.locationId === locationId);
+            if (current?.available !== quantity) {
+                await updateShopifyStock(inventoryItemId, locationId, quantity);
+            }
+        }
+    } else if (existingVariant.locationId) {
+        const locationId = existingVariant.locationId.replace('gid://shopify/Location/', '');
+        await updateShopifyStock(inventoryItemId, locationId, stock.available);
+    }
+}
+
+/**
+ * Update an existing product variant in Shopify; only the given fields are sent
  * @param {string} variantId - Shopify variant ID
- * @param {Object} product - Product data from inFlow
- * @param {Object} existingVariant - Existing Shopify variant object (containing inventoryItem ID)
+ * @param {Object} fields - REST variant fields to change, e.g. { price, barcode }
  * @returns {Promise<Object>} Updated variant response
  */
-async function updateShopifyVariant(variantId, product, existingVariant) {
+async function updateShopifyVariant(variantId, fields) {
     try {
         // Extract numeric ID from GraphQL ID
         const numericId = variantId.replace('gid://shopify/ProductVariant/', '');
 
-        // Update stock via InventoryLevel API
-        if (existingVariant.inventoryItemId && existingVariant.locationId) {
-            const inventoryItemId = existingVariant.inventoryItemId.replace('gid://shopify/InventoryItem/', '');
-            const locationId = existingVariant.locationId.replace('gid://shopify/Location/', '');
-            const stockValue = product.totalQuantityOnHand || (product.inventoryLines && Array.isArray(product.inventoryLines) ? product.inventoryLines.reduce((sum, line) => sum + (parseFloat(line.quantityOnHand || line.quantity) || 0), 0) : 0);
-            const stock = Math.floor(parseFloat(stockValue) || 0);
+        const response = await shopifyClient.rest('put', `/variants/${numericId}.json`, {
+            variant: {
+                id: numericId,
+                ...fields
+            }
+        });
+
+        return response.data.variant;
+    } catch (error) {
+        throw new Error(`Failed to update Shopify variant: ${error.message}`);
+    }
+}
 
-            await updateShopifyStock(inventoryItemId, locationId, stock);
+/**
+ * Returns the mapped Shopify fields of a product as REST product and variant fields
+ * @param {Object} product - Product from mapInflowProduct
+ * @param {boolean} withMetafields - Include the mapped metafields (only when creating; updates use metafields.setMetafields)
+ * @returns {Object} { product, variant } (see fieldMapping.toShopifyPayload)
+ */
+function shopifyPayload(product, withMetafields = false) {
+    const payload = fieldMapping.toShopifyPayload(product.shopify || fieldMapping.mapShopifyFields(product));
+
+    // Mapped metafields are created together with the product or variant
+    for (const owner of withMetafields ? ['product', 'variant'] : []) {
+        const owned = (product.metafields || []).filter(metafield => metafield.owner === owner);
+        if (owned.length > 0) {
+            payload[owner].metafields = owned.map(({ namespace, key, type, value }) => ({ namespace, key, type, value }));
         }
+    }
+    return payload;
+}
 
-        const response = await axios.put(
-            `${getRestUrl()}/variants/${numericId}.json`,
-            {
-                variant: {
-                    id: numericId,
-                    price: product.defaultPrice?.unitPrice || product.Price || product.price || '0.00',
-                    sku: product.sku || product.SKU,
-                    barcode: product.barcode || product.Barcode || ''
-                }
-            },
-            {
-                headers: {
-                    'X-Shopify-Access-Token': getAccessToken(),
-                    'Content-Type': 'application/json'
-                }
+/**
+ * Turns variant option values into Shopify's option1/option2/option3 fields
+ * @param {Array|undefined} optionValues - Values in option order (see variantGroups.groupProducts)
+ * @returns {Object} Option fields, empty for products without options
+ */
+function optionFields(optionValues) {
+    const fields = {};
+    (optionValues || []).forEach((value, index) => {
+        fields[`option${index + 1}`] = value;
+    });
+    return fields;
+}
+
+/**
+ * Wanted values of the variant fields of a product, for change detection
+ * @param {Object} product - Product from mapInflowProduct
+ * @returns {Object} { sku, price, compare_at_price, barcode, weight, weight_unit, options }; unmapped fields are left out
+ */
+function variantValues(product) {
+    const values = { sku: product.sku, price: product.price || '0.00' };
+    for (const field of ['barcode', 'weight', 'weight_unit']) {
+        if (product.shopify && field in product.shopify) values[field] = product.shopify[field];
+    }
+    if (product.compareAtPrice !== undefined) values.compare_at_price = product.compareAtPrice;
+    if (product.optionValues) values.options = product.optionValues.join(' / ');
+    return values;
+}
+
+/**
+ * Compare-at price of a new variant, when a pricing scheme feeds it
+ * @param {Object} product - Product with compareAtPrice (see pricing.computePrice)
+ * @returns {Object} { compare_at_price } or nothing
+ */
+function compareAtField(product) {
+    return product.compareAtPrice ? { compare_at_price: product.compareAtPrice } : {};
+}
+
+/**
+ * Sets a new variant's stock at each mapped Shopify location
+ * @param {string|number} inventoryItemId - Shopify inventory item ID (numeric)
+ * @param {Map} stockLevels - Shopify location ID → quantity
+ */
+async function setStockLevels(inventoryItemId, stockLevels) {
+    for (const [locationId, quantity] of stockLevels) {
+        await updateShopifyStock(inventoryItemId, locationId, quantity);
+    }
+}
+
+/**
+ * Builds the REST payload of a variant for a grouped inFlow product
+ * @param {Object} product - Mapped product with optionValues
+ * @param {Object} stock - { available, levels } (see createShopifyProduct)
+ * @returns {Object} Variant fields
+ */
+function groupVariantPayload(product, stock) {
+    return {
+        sku: product.sku,
+        price: product.price || '0.00',
+        ...compareAtField(product),
+        ...shopifyPayload(product, true).variant,
+        ...optionFields(product.optionValues),
+        ...(stock.levels ? {} : { inventory_quantity: stock.available }),
+        inventory_management: 'shopify'
+    };
+}
+
+/**
+ * Create a Shopify product with one variant per member of an inFlow variant group
+ * @param {Object} group - Variant group (see variantGroups.groupProducts)
+ * @param {Array} variants - [{ product, stock }] in group order
+ * @returns {Promise<Object>} Created product response, including its variants
+ */
+async function createShopifyProductWithVariants(group, variants) {
+    try {
+        const first = group.members[0];
+        const response = await sendCreate(first.sku, () => shopifyClient.rest('post', '/products.json', {
+            product: {
+                ...shopifyPayload(first, true).product,
+                title: group.name,
+                images: imageSync.imagePayload(first.images, group.name),
+                options: group.optionNames.map(name => ({ name })),
+                variants: variants.map(({ product, stock }) => groupVariantPayload(product, stock))
+            }
+        }), fetchProductOf);
+
+        const created = response.data.product;
+        await imageSync.recordCreatedImages(created.id, first.images, created.images, group.name);
+        for (const { product, stock } of variants) {
+            const createdVariant = created.variants?.find(v => v.sku === product.sku);
+            if (stock.levels && createdVariant) {
+                await setStockLevels(createdVariant.inventory_item_id, stock.levels);
             }
-        );
+        }
 
-        return response.data.variant;
+        return created;
     } catch (error) {
-        throw new Error(`Failed to update Shopify variant: ${error.message}`);
+        throw new Error(`Failed to create Shopify product "${group.name}": ${error.message}`);
     }
 }
 
 /**
- * Update an existing product in Shopify (for images and metadata)
+ * Adds a variant for a grouped inFlow product to an existing Shopify product
  * @param {string} productId - Shopify product ID (numeric)
- * @param {Object} product - Product data from inFlow
+ * @param {Object} product - Mapped product with optionValues
+ * @param {Object} stock - { available, levels } (see createShopifyProduct)
+ * @returns {Promise<Object>} Created variant
+ */
+async function addShopifyVariant(productId, product, stock) {
+    try {
+        const response = await sendCreate(product.sku, () => shopifyClient.rest('post', `/products/${productId}/variants.json`, {
+            variant: groupVariantPayload(product, stock)
+        }), existing => shopifyClient.rest('get', `/variants/${productLinks.numericId(existing.id)}.json`));
+
+        const variant = response.data.variant;
+        if (stock.levels) {
+            await setStockLevels(variant.inventory_item_id, stock.levels);
+        }
+        return variant;
+    } catch (error) {
+        throw new Error(`Failed to add Shopify variant: ${error.message}`);
+    }
+}
+
+/**
+ * Lists the variants of a Shopify product
+ * @param {string} productId - Shopify product ID (numeric)
+ * @returns {Promise<Array>} Variants with id and sku
+ */
+async function fetchShopifyProductVariants(productId) {
+    try {
+        const response = await shopifyClient.rest('get', `/products/${productId}.json?fields=id,variants`);
+        return (response.data.product?.variants || []).map(variant => ({ id: variant.id, sku: variant.sku }));
+    } catch (error) {
+        throw new Error(`Failed to fetch Shopify variants: ${error.message}`);
+    }
+}
+
+/**
+ * Deletes a variant from a Shopify product
+ * @param {string} productId - Shopify product ID (numeric)
+ * @param {string|number} variantId - Shopify variant ID (numeric)
+ * @returns {Promise<void>}
+ */
+async function deleteShopifyVariant(productId, variantId) {
+    try {
+        await shopifyClient.rest('delete', `/products/${productId}/variants/${variantId}.json`);
+    } catch (error) {
+        throw new Error(`Failed to delete Shopify variant ${variantId}: ${error.message}`);
+    }
+}
+
+/**
+ * Update an existing product in Shopify; only the given fields are sent (images are synced by imageSync)
+ * @param {string} productId - Shopify product ID (numeric)
+ * @param {Object} fields - REST product fields to change, e.g. { title, vendor }
  * @returns {Promise<Object>} Updated product response
  */
-async function updateShopifyProduct(productId, product) {
+async function updateShopifyProduct(productId, fields) {
     try {
-        const images = product.defaultImage?.originalUrl ? [{ src: product.defaultImage.originalUrl }] :
-            (product.images && product.images.length > 0 ? product.images.map(img => ({ src: img.originalUrl || img.url })) : []);
-
-        log(`  📸 Syncing ${images.length} images for product ${productId}...`);
-
-        const response = await axios.put(
-            `${getRestUrl()}/products/${productId}.json`,
-            {
-                product: {
-                    id: productId,
-                    title: product.name || product.Name || '',
-                    body_html: product.description || product.Description || '',
-                    vendor: product.vendor || product.Vendor || '',
-                    product_type: product.category || product.Category || '',
-                    images: product.defaultImage?.originalUrl ? [{ src: product.defaultImage.originalUrl }] :
-                        (product.images && product.images.length > 0 ? product.images.map(img => ({ src: img.originalUrl || img.url })) : [])
-                }
-            },
-            {
-                headers: {
-                    'X-Shopify-Access-Token': getAccessToken(),
-                    'Content-Type': 'application/json'
-                }
+        const response = await shopifyClient.rest('put', `/products/${productId}.json`, {
+            product: {
+                id: productId,
+                ...fields
             }
-        );
+        });
 
         return response.data.product;
     } catch (error) {
-        // Don't throw if image update fails, just log it
-        console.error(`[Shopify] Image update failed for product ${productId}:`, error.message);
+        throw new Error(`Failed to update Shopify product: ${error.message}`);
+    }
+}
+
+/**
+ * Maps a raw inFlow product (with included relationships) to the flat product used by the sync
+ * @param {Object} item - inFlow product from fetchInflowProducts
+ * @param {Object} fieldConfig - Field mapping (see fieldMapping.getFieldMapping); defaults to the built-in one
+ * @returns {Object} Product with sku, name, description, price, stock, category, vendor, images and
+ *   `shopify`, the mapped Shopify field values
+ */
+function mapInflowProduct(item, fieldConfig = fieldMapping.DEFAULT_FIELD_MAPPING) {
+    const attr = item.attributes || {};
+    const inflowProduct = item; // Full product object for image extraction
+
+    // Every image in Shopify order: the inFlow default image first, best quality URL of each
+    const images = imageSync.collectInflowImages(inflowProduct);
+    const imageUrl = images[0]?.url || null;
+
+    // Calculate total quantity from inventoryLines
+    let totalQuantity = 0;
+    if (inflowProduct.inventoryLines && Array.isArray(inflowProduct.inventoryLines)) {
+        totalQuantity = inflowProduct.inventoryLines.reduce((sum, line) => {
+            return sum + (parseFloat(line.quantityOnHand || line.quantity) || 0);
+        }, 0);
+    }
+
+    const category = inflowProduct.category?.name || attr.categoryName || '';
+
+    return {
+        inflowId: item.id,
+        sku: attr.sku,
+        name: attr.name,
+        description: attr.description,
+        price: inflowProduct.defaultPrice?.unitPrice || attr.unitPrice || '0.00',
+        // Unit price per pricing scheme and the cost, for the pricing rules (see pricing.js)
+        prices: Object.fromEntries((inflowProduct.prices || [])
+            .filter(price => price.pricingSchemeId)
+            .map(price => [price.pricingSchemeId, price.unitPrice])),
+        cost: inflowProduct.cost?.cost ?? null,
+        totalQuantityOnHand: totalQuantity || attr.totalQuantityOnHand || 0,
+        category,
+        vendor: attr.lastVendorName || '',
+        primaryImageUrl: imageUrl,
+        images,
+        customFields: attr.customFields || {},
+        shopify: fieldMapping.mapShopifyFields({ ...attr, categoryName: category }, fieldConfig),
+        metafields: fieldMapping.mapMetafields({ ...attr, categoryName: category }, fieldConfig),
+        inventoryLines: (inflowProduct.inventoryLines || []).map(line => ({
+            locationId: line.locationId || null,
+            sublocation: line.sublocation || null,
+            quantity: parseFloat(line.quantityOnHand || line.quantity) || 0
+        }))
+    };
+}
+
+/**
+ * Validates and cleans product filters for a partial sync
+ * @param {Object|null} filters - { skus: string[], category: string, search: string }
+ * @returns {Object|null} Normalized filters, or null when no filter is set
+ */
+function normalizeFilters(filters) {
+    if (!filters) return null;
+    if (typeof filters !== 'object' || Array.isArray(filters)) {
+        throw new ValidationError('filters must be an object');
+    }
+
+    const { skus, category, search } = filters;
+    if (skus !== undefined && skus !== null && (!Array.isArray(skus) || skus.some(sku => typeof sku !== 'string'))) {
+        throw new ValidationError('filters.skus must be an array of SKU strings');
+    }
+    if (category !== undefined && category !== null && typeof category !== 'string') {
+        throw new ValidationError('filters.category must be a string');
+    }
+    if (search !== undefined && search !== null && typeof search !== 'string') {
+        throw new ValidationError('filters.search must be a string');
+    }
+
+    const normalized = {
+        skus: [...new Set((skus || []).map(sku => sku.trim()).filter(Boolean))],
+        category: category?.trim() || null,
+        search: search?.trim() || null
+    };
+
+    if (normalized.skus.length === 0 && !normalized.category && !normalized.search) {
         return null;
     }
+    return normalized;
+}
+
+/**
+ * Checks whether a mapped product matches the sync filters
+ * SKUs and category are compared case-insensitively; search matches part of the name or SKU
+ * @param {Object} product - Product from mapInflowProduct
+ * @param {Object} filters - Normalized filters
+ * @returns {boolean}
+ */
+function matchesFilters(product, filters) {
+    const sku = (product.sku || '').toLowerCase();
+
+    if (filters.skus.length > 0 && !filters.skus.some(wanted => wanted.toLowerCase() === sku)) {
+        return false;
+    }
+    if (filters.category && (product.category || '').toLowerCase() !== filters.category.toLowerCase()) {
+        return false;
+    }
+    if (filters.search) {
+        const term = filters.search.toLowerCase();
+        if (!(product.name || '').toLowerCase().includes(term) && !sku.includes(term)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Searches active inFlow products by name or SKU
+ * @param {string} search - Search term
+ * @param {Object} options
+ * @param {number} options.limit - Maximum number of products to return
+ * @returns {Promise<Array>} Products with inflowId, sku, name, category, price and stock
+ */
+async function searchInflowProducts(search, { limit = 25 } = {}) {
+    const filters = normalizeFilters({ search });
+    if (!filters) {
+        throw new ValidationError('Search term is required');
+    }
+
+    const inflowProducts = await fetchInflowProducts({ filters, log: () => {} });
+    return inflowProducts
+        .map(mapInflowProduct)
+        .filter(p => p.sku && matchesFilters(p, filters))
+        .slice(0, limit)
+        .map(p => ({
+            inflowId: p.inflowId,
+            sku: p.sku,
+            name: p.name,
+            category: p.category,
+            price: p.price,
+            stock: Math.floor(parseFloat(p.totalQuantityOnHand) || 0),
+            imageUrl: p.primaryImageUrl
+        }));
+}
+
+/**
+ * Creates an empty sync state (live logs, summary counters, progress and per-SKU results)
+ * The `events` emitter fires 'log', 'progress' and 'result' as the sync runs
+ * @returns {Object} State object shared between startSync and its caller
+ */
+function createSyncState() {
+    return {
+        logs: [],
+        summary: { total: 0, created: 0, updated: 0, skipped: 0, failed: 0, published: 0, retired: 0 },
+        progress: { batch: 0, totalBatches: 0, processed: 0, total: 0 },
+        results: [],
+        mode: null, // 'full' or 'incremental'
+        cancelRequested: false,
+        events: new EventEmitter()
+    };
 }
 
 /**
  * Main sync function - orchestrates the entire sync process
  * @param {Array|null} channelIds - Optional array of Shopify publication IDs to publish products to
+ * @param {Object} options
+ * @param {Object} options.state - Optional live state (see createSyncState) that is updated as the sync runs
+ * @param {boolean} options.dryRun - Only compare inFlow with Shopify and report planned changes, without writing to Shopify
+ * @param {Object} options.filters - Optional filters to sync only some products (see normalizeFilters)
+ * @param {boolean} options.fullResync - Fetch the whole catalog even if an earlier sync succeeded
+ * @param {boolean} options.stockOnly - Only set the stock of products already in Shopify; nothing is created,
+ *   and product fields, prices, metafields, images, channels and retirement are left alone
  * @returns {Promise<Object>} Result with logs and summary
  */
-async function startSync(channelIds = null) {
-    const logs = [];
-    const summary = { total: 0, created: 0, updated: 0, skipped: 0, failed: 0, published: 0 };
+async function startSync(channelIds = null, { state = createSyncState(), dryRun = false, filters = null, fullResync = false, stockOnly = false } = {}) {
+    const { logs, summary, progress, results: skuResults, events } = state;
 
     const log = (message) => {
         const timestamp = new Date().toISOString();
         const logEntry = `[${timestamp}] ${message}`;
         logs.push(logEntry);
         console.log(logEntry);
+        events.emit('log', logEntry);
+    };
+
+    const updateProgress = (changes) => {
+        Object.assign(progress, changes);
+        events.emit('progress', { ...progress });
+    };
+
+    const recordResult = (result) => {
+        skuResults.push(result);
+        events.emit('result', result);
+    };
+
+    // Changes made in inFlow while this sync runs are picked up next time, so the mark is the start time
+    const syncStartedAt = new Date().toISOString();
+
+    // Only complete, error-free syncs of the whole catalog move the high-water mark; a stock-only
+    // sync leaves the other fields behind, so the next full-field sync must still see those changes
+    const saveCheckpoint = async () => {
+        if (dryRun || filters || stockOnly || summary.failed > 0) return;
+        await syncCheckpoint.recordSuccessfulSync({ startedAt: syncStartedAt, mode: state.mode });
+        log(`📌 Next incremental sync will fetch changes since ${syncStartedAt}`);
     };
 
     try {
         // Validate configuration
-        if (!INFLOW_API_TOKEN) {
-            throw new Error('INFLOW_API_TOKEN is not configured');
-        }
-        if (!getAccessToken() || !process.env.PUBLIC_STORE_DOMAIN) {
-            throw new Error('Shopify credentials are not configured (PRIVATE_STOREFRONT_API_TOKEN, PUBLIC_STORE_DOMAIN)');
+        inflowClient.assertConfigured();
+        if (!getAccessToken() || !getShopDomain()) {
+            throw new Error('Shopify is not connected; install the app on the shop (GET /api/shopify/auth)');
         }
 
         log('🚀 Starting inFlow to Shopify sync...');
+        if (dryRun) {
+            log('🔍 Dry run: planned changes will be reported, nothing will be written to Shopify');
+        }
         if (channelIds && channelIds.length > 0) {
             log(`📺 Target channels: ${channelIds.length} selected`);
         }
+        if (filters) {
+            const filterNotes = [];
+            if (filters.skus.length > 0) filterNotes.push(`SKUs: ${filters.skus.join(', ')}`);
+            if (filters.category) filterNotes.push(`category: ${filters.category}`);
+            if (filters.search) filterNotes.push(`search: "${filters.search}"`);
+            log(`🎯 Syncing only matching products (${filterNotes.join('; ')})`);
+        }
+        // Incremental unless a full resync was requested, products were picked by filter, or no sync has succeeded yet
+        let modifiedSince = null;
+        if (!fullResync && !filters) {
+            const checkpoint = await syncCheckpoint.getCheckpoint();
+            modifiedSince = checkpoint.lastSuccessfulSyncAt;
+        }
+        state.mode = modifiedSince ? 'incremental' : 'full';
+        if (modifiedSince) {
+            log(`🔁 Incremental sync: only products changed in inFlow since ${modifiedSince}`);
+        } else {
+            log(`📚 Full sync: fetching the whole inFlow catalog${fullResync ? ' (full resync requested)' : ''}`);
+        }
+
+        // Per-location stock, when inFlow locations have been mapped to Shopify locations
+        const stockMapping = await locationMapping.getLocationMapping();
+        const shopifyLocationNames = new Map();
+        if (stockMapping.mappings.length > 0) {
+            const shopifyLocations = await locationMapping.listShopifyLocations();
+            shopifyLocations.forEach(location => shopifyLocationNames.set(location.id, location.name));
+            const unmappedNote = stockMapping.unmappedPolicy === 'default'
+                ? `unmapped stock goes to ${shopifyLocationNames.get(stockMapping.defaultShopifyLocationId) || stockMapping.defaultShopifyLocationId}`
+                : 'unmapped stock is ignored';
+            log(`🏬 Stock is set per location (${stockMapping.mappings.length} inFlow → Shopify mapping(s), ${unmappedNote})`);
+        }
+        const locationLabel = (locationId) => shopifyLocationNames.get(locationId) || `location ${locationId}`;
+
+        // Safety stock held back from Shopify
+        const buffers = await stockBuffers.getStockBuffers();
+        const bufferOverrides = Object.keys(buffers.categories).length + Object.keys(buffers.skus).length;
+        if (buffers.global > 0 || bufferOverrides > 0) {
+            log(`🛡️ Safety stock: ${buffers.global} per product${bufferOverrides > 0 ? `, ${bufferOverrides} category/SKU override(s)` : ''}`);
+        }
+
+        // Which inFlow prices feed Shopify and the markup rules applied to them
+        const pricingConfig = await pricing.getPricing();
+        const pricingOverrides = Object.keys(pricingConfig.categories).length + Object.keys(pricingConfig.skus).length;
+        if (pricingConfig.priceSchemeId || pricingConfig.compareAtSchemeId || pricingConfig.global.markupType !== 'none' || pricingConfig.global.rounding !== 'none' || pricingOverrides > 0) {
+            const compareAtNote = pricingConfig.compareAtSchemeId ? `, compare-at from ${pricingConfig.compareAtSchemeName}` : '';
+            log(`💲 Prices from ${pricingConfig.priceSchemeName || 'the default price'}${compareAtNote}${pricingOverrides > 0 ? `, ${pricingOverrides} category/SKU rule(s)` : ''}`);
+        }
+
+        if (stockOnly) {
+            log('🔢 Stock only: setting the stock of products already in Shopify, nothing else is written');
+        }
+
         log('📥 Fetching products from inFlow Inventory...');
 
         // Step A: Fetch products from inFlow
-        const inflowProducts = await fetchInflowProducts();
+        const inflowProducts = await fetchInflowProducts({ log, filters, modifiedSince });
         summary.total = inflowProducts.length;
 
         log(`✅ Fetched ${inflowProducts.length} products from inFlow`);
 
-        if (inflowProducts.length === 0) {
-            log('⚠️ No products found in inFlow. Sync complete.');
+        // With filters we carry on, so requested SKUs that were not found are still reported
+        if (inflowProducts.length === 0 && !filters) {
+            log(modifiedSince
+                ? '✅ No products changed in inFlow since the last sync. Sync complete.'
+                : '⚠️ No products found in inFlow. Sync complete.');
+            await saveCheckpoint();
             return { success: true, logs, summary };
         }
 
@@ -449,243 +1079,781 @@ async function startSync(channelIds = null) {
             log(`🔢 Found product with stock: ${withStock.attributes.name} - Stock: ${total || withStock.attributes.totalQuantityOnHand}`);
         }
 
-        // Batch processing configuration
-        const BATCH_SIZE = 5; // Process 5 products concurrently
-        log(`🚀 Starting batch sync (${BATCH_SIZE} products at a time)...`);
+        // Batch size follows the remaining Shopify rate-limit budget (see shopifyClient.getConcurrency)
+        log(`🚀 Starting batch sync (up to ${shopifyClient.MAX_CONCURRENCY} products at a time, fewer when Shopify's rate limit runs low)...`);
 
         // Prepare all products for processing
-        const productsToSync = inflowProducts
-            .map(item => {
-                const attr = item.attributes || {};
-                const inflowProduct = item; // Full product object for image extraction
-
-                // Comprehensive image URL extraction with quality prioritization
-                let imageUrl = null;
-
-                // Method 1: images array - prioritize originalUrl (from /products endpoint with include=images)
-                if (inflowProduct.images && Array.isArray(inflowProduct.images) && inflowProduct.images.length > 0) {
-                    // First priority: originalUrl
-                    if (inflowProduct.images[0].originalUrl) {
-                        imageUrl = inflowProduct.images[0].originalUrl;
-                    } else if (inflowProduct.images[0].largeUrl) {
-                        imageUrl = inflowProduct.images[0].largeUrl;
-                    } else if (inflowProduct.images[0].mediumUncroppedUrl) {
-                        imageUrl = inflowProduct.images[0].mediumUncroppedUrl;
-                    } else if (inflowProduct.images[0].mediumUrl) {
-                        imageUrl = inflowProduct.images[0].mediumUrl;
-                    } else if (inflowProduct.images[0].smallUrl) {
-                        imageUrl = inflowProduct.images[0].smallUrl;
-                    } else if (inflowProduct.images[0].thumbUrl) {
-                        imageUrl = inflowProduct.images[0].thumbUrl;
-                    }
-                }
+        // Which inFlow attribute fills each Shopify field (see fieldMapping.js)
+        const fieldConfig = await fieldMapping.getFieldMapping();
+        if (fieldConfig.metafields.length > 0) {
+            log(`🏷️ ${fieldConfig.metafields.length} custom field(s) mapped to metafields`);
+            if (!dryRun && !stockOnly) {
+                await metafields.ensureMetafieldDefinitions(fieldConfig.metafields, log);
+            }
+        }
 
-                // Method 2: defaultImage object - prioritize originalUrl (from /products endpoint with include=defaultImage)
-                if (!imageUrl && inflowProduct.defaultImage) {
-                    // First priority: originalUrl
-                    if (inflowProduct.defaultImage.originalUrl) {
-                        imageUrl = inflowProduct.defaultImage.originalUrl;
-                    } else if (inflowProduct.defaultImage.largeUrl) {
-                        imageUrl = inflowProduct.defaultImage.largeUrl;
-                    } else if (inflowProduct.defaultImage.mediumUncroppedUrl) {
-                        imageUrl = inflowProduct.defaultImage.mediumUncroppedUrl;
-                    } else if (inflowProduct.defaultImage.mediumUrl) {
-                        imageUrl = inflowProduct.defaultImage.mediumUrl;
-                    } else if (inflowProduct.defaultImage.smallUrl) {
-                        imageUrl = inflowProduct.defaultImage.smallUrl;
-                    } else if (inflowProduct.defaultImage.thumbUrl) {
-                        imageUrl = inflowProduct.defaultImage.thumbUrl;
-                    }
-                }
+        const mappedProducts = inflowProducts
+            .map(item => pricing.applyPricing(mapInflowProduct(item, fieldConfig), pricingConfig))
+            .filter(p => p.sku); // Skip products without SKU
 
-                // Method 3: Direct image fields from /productlistings endpoint (fallback only)
-                // /productlistings returns: imageUrl, imageMediumUrl, imageThumbUrl directly on the product
-                // Note: These don't have originalUrl, so only use as fallback
-                if (!imageUrl) {
-                    if (attr.imageUrl) {
-                        imageUrl = attr.imageUrl;
-                    } else if (attr.imageMediumUrl) {
-                        imageUrl = attr.imageMediumUrl;
-                    } else if (attr.imageThumbUrl) {
-                        imageUrl = attr.imageThumbUrl;
-                    }
-                }
+        const skippedCount = inflowProducts.length - mappedProducts.length;
+        if (skippedCount > 0) {
+            log(`⚠️ Skipping ${skippedCount} products without SKU`);
+        }
+
+        const productsToSync = filters
+            ? mappedProducts.filter(p => matchesFilters(p, filters))
+            : mappedProducts;
+
+        if (filters) {
+            summary.total = productsToSync.length;
+            log(`🎯 ${productsToSync.length} of ${mappedProducts.length} products match the filters`);
+
+            // Requested SKUs that inFlow did not return are reported as failures
+            const foundSkus = new Set(productsToSync.map(p => p.sku.toLowerCase()));
+            for (const sku of filters.skus.filter(wanted => !foundSkus.has(wanted.toLowerCase()))) {
+                summary.total++;
+                summary.failed++;
+                recordResult({ status: 'failed', sku, name: null, notFound: true, error: 'SKU not found among active inFlow products' });
+                log(`  ❌ ${sku}: SKU not found among active inFlow products`);
+            }
+        }
+
+        // Stock committed to open inFlow sales orders is not offered on Shopify
+        let reservedById = new Map();
+        if (productsToSync.length > 0) {
+            try {
+                reservedById = await fetchReservedQuantities(productsToSync.map(p => p.inflowId));
+                const reservedCount = [...reservedById.values()].filter(quantity => quantity > 0).length;
+                log(`📋 ${reservedCount} product(s) have stock reserved for open sales orders`);
+            } catch (error) {
+                log(`⚠️ Could not fetch reserved quantities from inFlow, pushing stock without them: ${error.message}`);
+            }
+        }
+
+        // Available to sell = on hand - reserved - safety buffer (never below zero)
+        const computeStock = (product) => {
+            const onHandLevels = locationMapping.planStockByLocation(product.inventoryLines, stockMapping);
+            const onHand = onHandLevels
+                ? [...onHandLevels.values()].reduce((sum, quantity) => sum + quantity, 0)
+                : Math.floor(parseFloat(product.totalQuantityOnHand) || 0);
+            const stockBreakdown = stockBuffers.computeAvailable({
+                onHand,
+                reserved: reservedById.get(product.inflowId) || 0,
+                product,
+                buffers
+            });
+            const stockLevels = onHandLevels
+                ? stockBuffers.deductFromLevels(onHandLevels, onHand - stockBreakdown.available)
+                : null;
+            return { stock: stockBreakdown.available, stockLevels, stockBreakdown };
+        };
+
+        // Stock entries of a create plan; with a location mapping each mapped location is listed on its own
+        const newStockChanges = ({ stock, stockLevels }) => (stockLevels
+            ? [...stockLevels].map(([locationId, quantity]) => ({ field: `stock @ ${locationLabel(locationId)}`, before: null, after: quantity }))
+            : [{ field: 'stock', before: null, after: stock }]);
+
+        // Shopify IDs of every synced inFlow product, stored when the batches are done (see productLinks.js)
+        const links = await productLinks.getLinks();
+        const linked = [];
+        const skuConflicts = [];
+        const linkProduct = (product, shopifyProductId, variantId, inventoryItemId, source) => {
+            if (dryRun) return;
+            linked.push({ inflowId: product.inflowId, sku: product.sku, shopifyProductId, shopifyVariantId: variantId, inventoryItemId, source });
+        };
+
+        /**
+         * Finds the Shopify variant of an inFlow product: the linked variant when there is a
+         * link, otherwise the one variant with exactly this SKU
+         * @param {Object} product - Mapped inFlow product
+         * @returns {Promise<Object|null>} Variant with matchedBy 'link' or 'sku', or null when there is none
+         */
+        const findShopifyVariant = async (product) => {
+            const link = links[product.inflowId];
+            if (link?.shopifyVariantId) {
+                const variant = await fetchShopifyVariant(link.shopifyVariantId);
+                if (variant) return { ...variant, matchedBy: 'link' };
+                log(`  🔗 ${product.sku}: Linked Shopify variant ${link.shopifyVariantId} no longer exists, looking it up by SKU`);
+            }
+
+            const matches = await searchShopifyVariantsBySku(product.sku);
+            if (matches.length > 1) {
+                if (!dryRun) skuConflicts.push({ inflowId: product.inflowId, sku: product.sku, variantIds: matches.map(match => match.id) });
+                throw new Error(`${matches.length} Shopify variants have this SKU (in ${matches.map(match => `"${match.product?.title}"`).join(', ')}); link the right one under Product Links`);
+            }
+            return matches[0] ? { ...matches[0], matchedBy: 'sku' } : null;
+        };
+
+        // Values last pushed per SKU and the policies for fields edited in Shopify (see drift.js)
+        const driftState = await drift.loadState();
+
+        // Checks fields of a SKU for edits made in Shopify since the last push
+        const reconcileDrift = (sku, fields, wanted, current) => drift.reconcile({
+            fields, wanted, current, record: driftState.records[sku], settings: driftState.settings
+        });
+
+        // Keeps what a product now has in Shopify once its writes succeeded; nothing is kept on a dry run
+        const stageDrift = (sku, outcome, shopifyProductId, shopifyVariantId) => {
+            if (dryRun || !outcome) return;
+            drift.stage({
+                sku,
+                shopifyProductId: productLinks.numericId(shopifyProductId),
+                shopifyVariantId: productLinks.numericId(shopifyVariantId),
+                outcome
+            });
+        };
+
+        // Shopify edits found for a result: fields overwritten with inFlow's value, kept, or flagged for review
+        const driftSummary = (...outcomes) => {
+            const summary = { overwritten: [], kept: [], flagged: [] };
+            for (const outcome of outcomes.filter(Boolean)) {
+                summary.overwritten.push(...outcome.overwritten);
+                summary.kept.push(...outcome.kept);
+                summary.flagged.push(...outcome.flagged.map(conflict => conflict.field));
+            }
+            return summary.overwritten.length + summary.kept.length + summary.flagged.length > 0 ? summary : undefined;
+        };
+
+        // Link source of a variant found by findShopifyVariant; existing links keep theirs
+        const matchSource = (variant) => (variant.matchedBy === 'sku' ? 'matched' : undefined);
+
+        // Price entries of a create plan
+        const newPriceChanges = (product) => [
+            { field: 'price', before: null, after: parseFloat(product.price).toFixed(2) },
+            ...(product.compareAtPrice ? [{ field: 'compare_at_price', before: null, after: product.compareAtPrice }] : [])
+        ];
+
+        // Pushed values of a product just created in Shopify: everything it was created with
+        const createdDrift = (product, productValues) => {
+            const values = { ...productValues, ...variantValues(product) };
+            return reconcileDrift(product.sku, productValues ? drift.DRIFT_FIELDS : drift.VARIANT_DRIFT_FIELDS, values, values);
+        };
+
+        // Stock that differs between Shopify and inFlow; with a location mapping each mapped location is compared on its own
+        const stockChangesOf = (existingVariant, { stock, stockLevels }) => {
+            if (stockLevels) {
+                return [...stockLevels].map(([locationId, quantity]) => ({
+                    field: `stock @ ${locationLabel(locationId)}`,
+                    before: existingVariant.inventoryLevels.find(level => level.locationId === locationId)?.available ?? null,
+                    after: quantity
+                })).filter(change => change.before !== change.after);
+            }
+            const shopifyStock = existingVariant.inventoryQuantity || 0;
+            return shopifyStock !== stock ? [{ field: 'stock', before: shopifyStock, after: stock }] : [];
+        };
+
+        /**
+         * Compares an existing Shopify variant with inFlow, field by field: mapped product
+         * fields, variant fields (price, compare-at price, barcode, weight, options), stock and metafields.
+         * Fields edited in Shopify are left out when their drift policy keeps or flags them
+         * @param {Object} existingVariant - From searchShopifyBySku
+         * @param {Object} product - Mapped inFlow product
+         * @param {Object} stockInfo - From computeStock
+         * @param {Object|null} productValues - Wanted product field values, or null to leave product
+         *   fields and product metafields out (variants of a group compare those once per group)
+         * @returns {Object} { changes, productFields, variantFields, stockChanged, metafieldUpdates, drift }
+         */
+        const compareWithShopify = (existingVariant, product, { stock, stockLevels }, productValues) => {
+            const current = existingVariant.shopifyValues;
+            const variantWanted = variantValues(product);
+
+            const driftOutcome = reconcileDrift(
+                product.sku,
+                productValues ? drift.DRIFT_FIELDS : drift.VARIANT_DRIFT_FIELDS,
+                { ...productValues, ...variantWanted },
+                { ...current.product, ...current.variant }
+            );
+
+            const productChanges = productValues
+                ? changeDetection.diffFields(productValues, current.product, changeDetection.PRODUCT_FIELDS)
+                    .filter(change => !driftOutcome.held.has(change.field))
+                : [];
+
+            const variantChanges = changeDetection.diffFields(variantWanted, current.variant, changeDetection.VARIANT_FIELDS)
+                .filter(change => !driftOutcome.held.has(change.field));
 
-                // Calculate total quantity from inventoryLines
-                let totalQuantity = 0;
-                if (inflowProduct.inventoryLines && Array.isArray(inflowProduct.inventoryLines)) {
-                    totalQuantity = inflowProduct.inventoryLines.reduce((sum, line) => {
-                        return sum + (parseFloat(line.quantityOnHand || line.quantity) || 0);
-                    }, 0);
+            const stockChanges = stockChangesOf(existingVariant, { stock, stockLevels });
+
+            const metafieldDiff = metafields.metafieldChanges(product.metafields, existingVariant.metafields, productValues ? ['product', 'variant'] : ['variant']);
+
+            // Field-by-field before → after values, used for logs, results and dry-run plans
+            const changes = [
+                ...productChanges,
+                ...variantChanges,
+                ...stockChanges,
+                ...metafieldDiff.map(({ field, before, after }) => ({ field, before, after }))
+            ];
+
+            // Only the changed fields are sent to Shopify
+            const { options: optionsWanted, ...variantRest } = changeDetection.changedValues(variantWanted, variantChanges);
+            return {
+                changes,
+                productFields: fieldMapping.toShopifyPayload(changeDetection.changedValues(productValues || {}, productChanges)).product,
+                variantFields: {
+                    ...fieldMapping.toShopifyPayload(variantRest).variant,
+                    ...(optionsWanted !== undefined ? optionFields(product.optionValues) : {})
+                },
+                stockChanged: stockChanges.length > 0,
+                // Metafields to write, only the ones that differ
+                metafieldUpdates: metafieldDiff.map(change => change.metafield),
+                drift: driftOutcome
+            };
+        };
+
+        /**
+         * Writes the variant, inventory and metafield parts of a comparison that differ
+         * @returns {Promise<Array>} Parts that were written
+         */
+        const applyVariantChanges = async (existingVariant, comparison, stockInfo) => {
+            const parts = [];
+            if (Object.keys(comparison.variantFields).length > 0) {
+                await updateShopifyVariant(existingVariant.id, comparison.variantFields);
+                parts.push('variant');
+            }
+            if (comparison.stockChanged) {
+                await updateShopifyInventory(existingVariant, { available: stockInfo.stock, levels: stockInfo.stockLevels });
+                parts.push('inventory');
+            }
+            if (comparison.metafieldUpdates.length > 0) {
+                await metafields.setMetafields(comparison.metafieldUpdates, { product: existingVariant.product.id, variant: existingVariant.id });
+                parts.push('metafields');
+            }
+            return parts;
+        };
+
+        // Publish to selected channels (if any)
+        const publishToChannels = async (productId) => {
+            let publishedCount = 0;
+            if (channelIds && channelIds.length > 0 && productId) {
+                for (const channelId of channelIds) {
+                    const published = await publishProductToChannel(productId, channelId);
+                    if (published) publishedCount++;
                 }
+            }
+            return publishedCount;
+        };
 
-                // Debug: Log image URL extraction for first product
-                if (attr.sku && !global.imageDebugLogged) {
-                    console.log(`[DEBUG] Product: ${attr.name}`);
-                    console.log(`[DEBUG] Has images array:`, inflowProduct.images?.length || 0);
-                    console.log(`[DEBUG] Has defaultImage:`, !!inflowProduct.defaultImage);
-                    console.log(`[DEBUG] Final imageUrl:`, imageUrl);
-                    global.imageDebugLogged = true;
+        // Stock-only runs: sets the stock of a product (or group member) already in Shopify and writes nothing else
+        const syncStock = async (product) => {
+            const { sku, name } = product;
+            const stockInfo = computeStock(product);
+            const { stock, stockLevels, stockBreakdown } = stockInfo;
+
+            try {
+                const existingVariant = await findShopifyVariant(product);
+                if (!existingVariant) {
+                    log(`  ⏭️ ${sku}: Not in Shopify yet; a full sync creates it`);
+                    return { status: 'skipped', sku, name, stockBreakdown };
                 }
+                linkProduct(product, existingVariant.product?.id, existingVariant.id, existingVariant.inventoryItemId, matchSource(existingVariant));
 
+                const changes = stockChangesOf(existingVariant, stockInfo);
+                if (changes.length === 0) {
+                    return { status: 'skipped', sku, name, stockBreakdown };
+                }
+                if (!dryRun) {
+                    await updateShopifyInventory(existingVariant, { available: stock, levels: stockLevels });
+                }
                 return {
-                    sku: attr.sku,
-                    name: attr.name,
-                    description: attr.description,
-                    price: inflowProduct.defaultPrice?.unitPrice || attr.unitPrice || '0.00',
-                    totalQuantityOnHand: totalQuantity || attr.totalQuantityOnHand || 0,
-                    category: inflowProduct.category?.name || attr.categoryName || '',
-                    vendor: attr.lastVendorName || '',
-                    primaryImageUrl: imageUrl,
-                    defaultImage: imageUrl ? {
-                        originalUrl: imageUrl
-                    } : null,
-                    images: imageUrl ? [{ originalUrl: imageUrl }] : []
+                    status: 'updated',
+                    sku,
+                    name,
+                    dryRun: dryRun || undefined,
+                    stock,
+                    changes,
+                    changedFields: changes.map(change => change.field),
+                    updatedParts: dryRun ? undefined : ['inventory'],
+                    stockBreakdown
                 };
-            })
-            .filter(p => p.sku); // Skip products without SKU
+            } catch (error) {
+                return { status: 'failed', sku, name, error: error.message, stockBreakdown };
+            }
+        };
 
-        const skippedCount = inflowProducts.length - productsToSync.length;
-        if (skippedCount > 0) {
-            log(`⚠️ Skipping ${skippedCount} products without SKU`);
-        }
+        // Syncs one ungrouped product and returns its result
+        const syncProduct = async (product) => {
+            const { sku, name, price } = product;
+            const stockInfo = computeStock(product);
+            const { stock, stockLevels, stockBreakdown } = stockInfo;
+
+            try {
+                // Search for existing product in Shopify
+                const existingVariant = await findShopifyVariant(product);
+                let productId = null;
+
+                if (existingVariant) {
+                    // Product exists - Check field by field what changed
+                    const comparison = compareWithShopify(existingVariant, product, stockInfo, product.shopify);
+                    const { changes } = comparison;
+
+                    // Images are compared by their stored fingerprints
+                    productId = existingVariant.product?.id;
+                    linkProduct(product, productId, existingVariant.id, existingVariant.inventoryItemId, matchSource(existingVariant));
+                    const numericProductId = productId.replace('gid://shopify/Product/', '');
+                    const imagePlan = await imageSync.planImages(numericProductId, product.images, product.name);
+                    changes.push(...imagePlan.changes);
+
+                    const driftNotes = driftSummary(comparison.drift);
+
+                    // If nothing changed, skip this product
+                    if (changes.length === 0) {
+                        if (!dryRun) await imageSync.applyImagePlan(numericProductId, imagePlan);
+                        stageDrift(sku, comparison.drift, productId, existingVariant.id);
+                        return { status: 'skipped', sku, name, stockBreakdown, drift: driftNotes };
+                    }
 
-        // Process products in batches
-        for (let i = 0; i < productsToSync.length; i += BATCH_SIZE) {
-            const batch = productsToSync.slice(i, i + BATCH_SIZE);
-            const batchNum = Math.floor(i / BATCH_SIZE) + 1;
-            const totalBatches = Math.ceil(productsToSync.length / BATCH_SIZE);
+                    const changedFields = changes.map(change => change.field);
+                    if (dryRun) {
+                        return { status: 'updated', sku, name, dryRun: true, changes, changedFields, stockBreakdown, drift: driftNotes };
+                    }
 
-            log(`📦 Processing batch ${batchNum}/${totalBatches} (${batch.length} products)...`);
+                    // Something changed - UPDATE only the parts that differ
+                    const updatedParts = await applyVariantChanges(existingVariant, comparison, stockInfo);
+                    if (Object.keys(comparison.productFields).length > 0) {
+                        await updateShopifyProduct(numericProductId, comparison.productFields);
+                        updatedParts.push('product');
+                    }
+                    if (imagePlan.changes.length > 0) updatedParts.push('media');
+                    await imageSync.applyImagePlan(numericProductId, imagePlan);
 
-            // Process batch in parallel
-            const results = await Promise.allSettled(
-                batch.map(async (product) => {
-                    const sku = product.sku;
-                    const name = product.name;
-                    const price = product.price;
-                    const stock = Math.floor(parseFloat(product.totalQuantityOnHand) || 0);
+                    stageDrift(sku, comparison.drift, productId, existingVariant.id);
 
-                    try {
-                        // Search for existing product in Shopify
-                        const existingVariant = await searchShopifyBySku(sku);
-                        let productId = null;
-
-                        if (existingVariant) {
-                            // Product exists - Check if anything changed (name, price, stock)
-                            const shopifyPrice = parseFloat(existingVariant.price).toFixed(2);
-                            const inflowPrice = parseFloat(price).toFixed(2);
-                            const shopifyStock = existingVariant.inventoryQuantity || 0;
-                            const shopifyTitle = (existingVariant.product?.title || '').trim();
-                            const inflowTitle = (name || '').trim();
-
-                            const priceChanged = shopifyPrice !== inflowPrice;
-                            const stockChanged = shopifyStock !== stock;
-                            const titleChanged = shopifyTitle !== inflowTitle;
-
-                            // Debug logging to see what's different
-                            if (priceChanged || stockChanged || titleChanged) {
-                                console.log(`[DEBUG] ${sku} - Changes detected:`);
-                                if (priceChanged) console.log(`  Price: Shopify="${shopifyPrice}" vs inFlow="${inflowPrice}"`);
-                                if (stockChanged) console.log(`  Stock: Shopify=${shopifyStock} vs inFlow=${stock}`);
-                                if (titleChanged) console.log(`  Title: Shopify="${shopifyTitle}" vs inFlow="${inflowTitle}"`);
-                            }
+                    const publishedCount = await publishToChannels(productId);
 
-                            // If nothing changed, skip this product
-                            if (!priceChanged && !stockChanged && !titleChanged) {
-                                return { status: 'skipped', sku };
-                            }
+                    return { status: 'updated', sku, name, price, stock, publishedCount, changes, changedFields, updatedParts, stockBreakdown, drift: driftNotes };
+                } else {
+                    // Product doesn't exist - CREATE
+                    const changes = [
+                        { field: 'title', before: null, after: product.shopify.title },
+                        ...newPriceChanges(product),
+                        ...newStockChanges(stockInfo)
+                    ];
 
-                            // Something changed - UPDATE
-                            await updateShopifyVariant(existingVariant.id, product, existingVariant);
+                    if (dryRun) {
+                        return { status: 'created', sku, name, dryRun: true, changes, stockBreakdown };
+                    }
 
-                            // Update product-level info (images)
-                            productId = existingVariant.product?.id;
-                            if (productId) {
-                                const numericProductId = productId.replace('gid://shopify/Product/', '');
-                                await updateShopifyProduct(numericProductId, product);
-                            }
+                    const createdProduct = await createShopifyProduct(product, { available: stock, levels: stockLevels });
+                    linkProduct(product, createdProduct.id, createdProduct.variants?.[0]?.id, createdProduct.variants?.[0]?.inventory_item_id, 'created');
+                    stageDrift(sku, createdDrift(product, product.shopify), createdProduct.id, createdProduct.variants?.[0]?.id);
+                    productId = `gid://shopify/Product/${createdProduct.id}`;
 
-                            // Publish to selected channels (if any)
-                            let publishedCount = 0;
-                            if (channelIds && channelIds.length > 0 && productId) {
-                                for (const channelId of channelIds) {
-                                    const published = await publishProductToChannel(productId, channelId);
-                                    if (published) publishedCount++;
-                                }
-                            }
+                    const publishedCount = await publishToChannels(productId);
+
+                    return { status: 'created', sku, name, productId, publishedCount, changes, stockBreakdown };
+                }
+            } catch (error) {
+                return { status: 'failed', sku, name, error: error.message, stockBreakdown };
+            }
+        };
+
+        // Syncs an inFlow variant group as one Shopify product and returns a result per member SKU
+        const syncVariantGroup = async (group) => {
+            const members = group.members.map(product => ({ product, stockInfo: computeStock(product) }));
+            const result = (product, stockInfo, fields) => ({
+                sku: product.sku,
+                name: product.name,
+                group: group.name,
+                stockBreakdown: stockInfo?.stockBreakdown,
+                pricing: product.pricing,
+                ...fields
+            });
+
+            // Product fields belong to the group: title = group name, the rest from the first member
+            const productValues = { ...group.members[0].shopify, title: group.name };
+
+            try {
+                const existingVariants = await Promise.all(members.map(({ product }) => findShopifyVariant(product)));
+                const productGid = existingVariants.find(Boolean)?.product?.id;
+
+                if (!productGid) {
+                    // No member exists in Shopify yet - CREATE the product with all variants
+                    const planned = members.map(({ product, stockInfo }, index) => result(product, stockInfo, {
+                        status: 'created',
+                        changes: [
+                            ...(index === 0 ? [{ field: 'title', before: null, after: group.name }] : []),
+                            { field: 'variant', before: null, after: product.optionValues.join(' / ') },
+                            ...newPriceChanges(product),
+                            ...newStockChanges(stockInfo)
+                        ]
+                    }));
+
+                    if (dryRun) {
+                        return planned.map(entry => ({ ...entry, dryRun: true }));
+                    }
+
+                    const createdProduct = await createShopifyProductWithVariants(group, members.map(({ product, stockInfo }) => ({
+                        product,
+                        stock: { available: stockInfo.stock, levels: stockInfo.stockLevels }
+                    })));
+                    const productId = `gid://shopify/Product/${createdProduct.id}`;
+                    for (const [index, { product }] of members.entries()) {
+                        const variant = (createdProduct.variants || []).find(entry => (entry.sku || '').toLowerCase() === product.sku.toLowerCase());
+                        linkProduct(product, createdProduct.id, variant?.id, variant?.inventory_item_id, 'created');
+                        stageDrift(product.sku, createdDrift(product, index === 0 ? productValues : null), createdProduct.id, variant?.id);
+                    }
+                    const publishedCount = await publishToChannels(productId);
+
+                    return planned.map((entry, index) => ({ ...entry, productId, publishedCount: index === 0 ? publishedCount : 0 }));
+                }
 
-                            return { status: 'updated', sku, price, stock, publishedCount, priceChanged, stockChanged, titleChanged };
-                        } else {
-                            // Product doesn't exist - CREATE
-                            const createdProduct = await createShopifyProduct(product);
-                            productId = `gid://shopify/Product/${createdProduct.id}`;
-
-                            // Publish to selected channels (if any)
-                            let publishedCount = 0;
-                            if (channelIds && channelIds.length > 0) {
-                                for (const channelId of channelIds) {
-                                    const published = await publishProductToChannel(productId, channelId);
-                                    if (published) publishedCount++;
-                                }
+                const numericProductId = productGid.replace('gid://shopify/Product/', '');
+                const existingProductVariant = existingVariants.find(Boolean);
+                const results = [];
+                let productChanged = false;
+
+                // An incremental or filtered run may hold only the changed members of the group. The group-level
+                // parts below would then come from the wrong first member and lose the others' images, so they are
+                // left alone until a run sees every inFlow product linked to this Shopify product
+                const memberIds = new Set(group.members.map(product => product.inflowId));
+                const partialGroup = (state.mode === 'incremental' || Boolean(filters)) && Object.values(links)
+                    .some(link => productLinks.numericId(link.shopifyProductId) === numericProductId && !memberIds.has(link.inflowId));
+                if (partialGroup) {
+                    log(`  🧩 "${group.name}": only some variants are in this run; product fields, metafields and images are updated by a full sync`);
+                }
+
+                // Product fields belong to the group (title = group name, the rest from the first member), so they
+                // are compared once; their pushed values are kept under the first member's SKU
+                const productDrift = partialGroup
+                    ? null
+                    : reconcileDrift(group.members[0].sku, drift.PRODUCT_DRIFT_FIELDS, productValues, existingProductVariant.shopifyValues.product);
+                const productChanges = partialGroup
+                    ? []
+                    : changeDetection.diffFields(productValues, existingProductVariant.shopifyValues.product, changeDetection.PRODUCT_FIELDS)
+                        .filter(change => !productDrift.held.has(change.field));
+
+                // Product metafields come from the first member and are also compared once
+                const productMetafieldDiff = partialGroup
+                    ? []
+                    : metafields.metafieldChanges(group.members[0].metafields, existingProductVariant.metafields, ['product']);
+
+                // So are the images, taken from the first member
+                const imagePlan = partialGroup
+                    ? null
+                    : await imageSync.planImages(numericProductId, group.members[0].images, group.name);
+
+                for (const [index, { product, stockInfo }] of members.entries()) {
+                    const existingVariant = existingVariants[index];
+                    const { stock, stockLevels } = stockInfo;
+                    const extraChanges = index > 0 ? [] : [
+                        ...productChanges,
+                        ...productMetafieldDiff.map(({ field, before, after }) => ({ field, before, after })),
+                        ...(imagePlan?.changes || [])
+                    ];
+
+                    try {
+                        if (existingVariant && existingVariant.product?.id !== productGid) {
+                            throw new Error(`SKU belongs to another Shopify product (${existingVariant.product?.title}); remove it there before it can join "${group.name}"`);
+                        }
+
+                        if (!existingVariant) {
+                            // Member is new to the group - ADD a variant
+                            const changes = [
+                                ...extraChanges,
+                                { field: 'variant', before: null, after: product.optionValues.join(' / ') },
+                                ...newPriceChanges(product),
+                                ...newStockChanges(stockInfo)
+                            ];
+                            if (!dryRun) {
+                                const variant = await addShopifyVariant(numericProductId, product, { available: stock, levels: stockLevels });
+                                linkProduct(product, numericProductId, variant.id, variant.inventory_item_id, 'created');
+                                stageDrift(product.sku, createdDrift(product, null), numericProductId, variant.id);
+                                productChanged = true;
                             }
+                            results.push(result(product, stockInfo, { status: 'created', dryRun: dryRun || undefined, productId: productGid, changes }));
+                            continue;
+                        }
 
-                            return { status: 'created', sku, productId, publishedCount };
+                        linkProduct(product, productGid, existingVariant.id, existingVariant.inventoryItemId, matchSource(existingVariant));
+                        const comparison = compareWithShopify(existingVariant, product, stockInfo, null);
+                        const changes = [...extraChanges, ...comparison.changes];
+                        const driftNotes = driftSummary(index === 0 ? productDrift : null, comparison.drift);
+
+                        if (changes.length === 0) {
+                            stageDrift(product.sku, comparison.drift, productGid, existingVariant.id);
+                            results.push(result(product, stockInfo, { status: 'skipped', drift: driftNotes }));
+                            continue;
                         }
+
+                        const updatedParts = dryRun ? undefined : await applyVariantChanges(existingVariant, comparison, stockInfo);
+                        stageDrift(product.sku, comparison.drift, productGid, existingVariant.id);
+                        productChanged = true;
+                        results.push(result(product, stockInfo, {
+                            status: 'updated',
+                            dryRun: dryRun || undefined,
+                            price: product.price,
+                            stock,
+                            changes,
+                            changedFields: changes.map(change => change.field),
+                            updatedParts,
+                            drift: driftNotes
+                        }));
                     } catch (error) {
-                        return { status: 'failed', sku, error: error.message };
+                        results.push(result(product, stockInfo, { status: 'failed', error: error.message }));
                     }
-                })
-            );
+                }
+
+                // Variants of products that left the group are removed; only a full, unfiltered sync sees
+                // every member. Only variants the sync created or linked are touched, never ones added in Shopify
+                if (state.mode === 'full' && !filters) {
+                    const memberSkus = new Set(group.members.map(product => product.sku.toLowerCase()));
+                    const formerMemberVariantIds = new Set(Object.values(links)
+                        .filter(link => productLinks.numericId(link.shopifyProductId) === numericProductId && !memberIds.has(link.inflowId))
+                        .map(link => productLinks.numericId(link.shopifyVariantId)));
+                    const staleVariants = (await fetchShopifyProductVariants(numericProductId))
+                        .filter(variant => formerMemberVariantIds.has(String(variant.id)) && !memberSkus.has((variant.sku || '').toLowerCase()));
+
+                    for (const variant of staleVariants) {
+                        try {
+                            if (!dryRun) {
+                                await deleteShopifyVariant(numericProductId, variant.id);
+                                productChanged = true;
+                            }
+                            results.push({
+                                status: 'updated',
+                                dryRun: dryRun || undefined,
+                                sku: variant.sku,
+                                name: null,
+                                group: group.name,
+                                removedVariant: true,
+                                changes: [{ field: 'variant', before: variant.sku, after: null }],
+                                changedFields: ['variant']
+                            });
+                        } catch (error) {
+                            results.push({ status: 'failed', sku: variant.sku, name: null, group: group.name, error: error.message });
+                        }
+                    }
+                }
+
+                if (!dryRun) {
+                    // Group-level parts are reported on the first member's result
+                    const groupParts = [];
+                    if (imagePlan) {
+                        await imageSync.applyImagePlan(numericProductId, imagePlan);
+                        if (imagePlan.changes.length > 0) groupParts.push('media');
+                    }
+
+                    if (productMetafieldDiff.length > 0) {
+                        await metafields.setMetafields(productMetafieldDiff.map(change => change.metafield), { product: productGid });
+                        groupParts.push('metafields');
+                    }
+
+                    if (productChanges.length > 0) {
+                        await updateShopifyProduct(numericProductId, fieldMapping.toShopifyPayload(changeDetection.changedValues(productValues, productChanges)).product);
+                        groupParts.push('product');
+                    }
+                    stageDrift(group.members[0].sku, productDrift, productGid, null);
+
+                    const firstUpdated = results.find(entry => entry.status !== 'failed' && entry.status !== 'skipped');
+                    if (firstUpdated && groupParts.length > 0) {
+                        firstUpdated.updatedParts = [...new Set([...(firstUpdated.updatedParts || []), ...groupParts])];
+                    }
+                    if (productChanged && firstUpdated) {
+                        firstUpdated.publishedCount = await publishToChannels(productGid);
+                    }
+                }
+
+                return results;
+            } catch (error) {
+                return members.map(({ product, stockInfo }) => result(product, stockInfo, { status: 'failed', error: error.message }));
+            }
+        };
+
+        // "global rule: Retail 10.00, +25% → 12.50, rounded to .99 → 12.99"
+        const priceNote = (breakdown) => `${breakdown.rule} rule: ${breakdown.steps.join(', ')}`;
+
+        // Stores the links, SKU conflicts and pushed values of this run; products retired earlier that are active again get their status back
+        const saveLinks = async () => {
+            await drift.flush();
+            await productLinks.recordConflicts(skuConflicts);
+            const restored = await productLinks.recordLinks(linked);
+            if (stockOnly) return;
+            for (const link of restored) {
+                try {
+                    if (await retirement.restoreProduct(link)) {
+                        log(`  ♻️ ${link.sku}: Active in inFlow again, Shopify product set back to active`);
+                    }
+                } catch (error) {
+                    log(`  ⚠️ ${link.sku}: Could not set the Shopify product back to active: ${error.message}`);
+                }
+            }
+        };
+
+        // Applies the retirement policy to linked products that are no longer active in inFlow
+        const retireProducts = async ({ policy, maxSharePercent }, activeIds) => {
+            const plan = retirement.planRetirement(await productLinks.getLinks(), activeIds, maxSharePercent);
+            if (plan.products.length === 0) return;
+
+            if (plan.aborted) {
+                summary.retirementAborted = true;
+                log(`⛔ ${plan.products.length} of ${plan.linkedCount} linked Shopify product(s) (${plan.share.toFixed(1)}%) are no longer active in inFlow, above the ${maxSharePercent}% safety threshold. Nothing was retired; check inFlow or raise the threshold`);
+                return;
+            }
+
+            log(`🗄️ ${plan.products.length} Shopify product(s) are no longer active in inFlow (policy: ${policy})`);
+            const publicationIds = policy === 'unpublish' && !dryRun
+                ? (await fetchShopifyChannels()).map(channel => channel.id)
+                : [];
+            const change = retirement.describePolicy(policy);
+            const retiredIds = [];
+
+            for (const product of plan.products) {
+                const skus = product.links.map(link => link.sku).join(', ');
+                try {
+                    if (!dryRun) {
+                        await retirement.retireProduct(product, policy, { publicationIds });
+                        retiredIds.push(...product.links.map(link => link.inflowId));
+                    }
+                    summary.retired++;
+                    product.links.forEach(link => recordResult({
+                        status: 'retired',
+                        dryRun: dryRun || undefined,
+                        sku: link.sku,
+                        name: null,
+                        policy,
+                        productId: product.shopifyProductId,
+                        changes: [change]
+                    }));
+                    log(dryRun
+                        ? `  🔍 ${skus}: Would ${change.field === 'stock' ? 'set stock to 0' : `change ${change.field} to ${change.after}`}`
+                        : `  🗄️ ${skus}: ${change.field === 'stock' ? 'Stock set to 0' : `${change.field === 'status' ? 'Status' : 'Channels'}: ${change.after}`}`);
+                } catch (error) {
+                    summary.failed++;
+                    recordResult({ status: 'failed', sku: skus, name: null, error: `Could not retire: ${error.message}` });
+                    log(`  ❌ ${skus}: Could not retire: ${error.message}`);
+                }
+            }
+
+            await productLinks.markRetired(retiredIds, policy);
+        };
+
+        // "title (inFlow wins), tags (kept), price (flagged for review)"
+        const driftNote = ({ overwritten, kept, flagged }) => [
+            ...overwritten.map(field => `${field} (inFlow wins)`),
+            ...kept.map(field => `${field} (kept)`),
+            ...flagged.map(field => `${field} (flagged for review)`)
+        ].join(', ');
+
+        // Logs a result and adds it to the summary
+        const handleResult = (data) => {
+            recordResult(data);
+            if (data.drift) {
+                log(`  ↔️ ${data.sku}: Edited in Shopify: ${driftNote(data.drift)}`);
+            }
+            if (data.dryRun) {
+                summary[data.status]++;
+                const changeDetails = data.changes
+                    .map(change => `${change.field}: ${change.before ?? '—'} → ${change.after ?? '—'}${change.field === 'price' && data.pricing ? ` (${priceNote(data.pricing)})` : ''}`)
+                    .join(', ');
+                log(`  🔍 ${data.sku}: Would ${data.status === 'created' ? 'create' : 'update'} (${changeDetails})`);
+            } else if (data.status === 'updated') {
+                summary.updated++;
+                summary.published += data.publishedCount || 0;
+                const changes = data.removedVariant
+                    ? [`Variant removed from "${data.group}"`]
+                    : data.changes.map(change => {
+                        if (change.field === 'price') return `Price: $${change.after}${data.pricing ? ` (${priceNote(data.pricing)})` : ''}`;
+                        if (change.field.startsWith('stock')) return `${change.field.replace('stock', 'Stock')}: ${change.after}`;
+                        return change.field;
+                    });
+                const changeDetails = changes.length > 0 ? ` (${changes.join(', ')})` : '';
+                const publishNote = data.publishedCount > 0 ? `, Published to ${data.publishedCount} channel(s)` : '';
+                log(`  ✅ ${data.sku}: Updated${changeDetails}${publishNote}`);
+            } else if (data.status === 'skipped') {
+                summary.skipped++;
+                // Don't log skipped items to keep logs clean
+            } else if (data.status === 'created') {
+                summary.created++;
+                summary.published += data.publishedCount || 0;
+                const groupNote = data.group ? ` as a variant of "${data.group}"` : '';
+                const publishNote = data.publishedCount > 0 ? ` → Published to ${data.publishedCount} channel(s)` : '';
+                log(`  ✅ ${data.sku}: Created${groupNote}${publishNote}`);
+            } else if (data.status === 'failed') {
+                summary.failed++;
+                log(`  ❌ ${data.sku}: ${data.error}`);
+            }
+        };
+
+        // Products that share an inFlow variant group are synced together as one Shopify product;
+        // stock is set per variant, so a stock-only run handles every product on its own
+        const { singles, groups } = stockOnly
+            ? { singles: productsToSync, groups: [] }
+            : variantGroups.groupProducts(productsToSync, variantGroups.getVariantGroupConfig());
+        if (groups.length > 0) {
+            const groupedCount = groups.reduce((count, group) => count + group.members.length, 0);
+            log(`🧩 ${groupedCount} product(s) form ${groups.length} variant group(s)`);
+        }
+        const units = [
+            // Each result shows the computed price and the rule behind it
+            ...singles.map(product => ({ size: 1, run: async () => (stockOnly ? syncStock(product) : { ...(await syncProduct(product)), pricing: product.pricing }) })),
+            ...groups.map(group => ({ size: group.members.length, run: () => syncVariantGroup(group) }))
+        ];
+
+        // Process products in batches (a variant group counts as one unit)
+        let batchNum = 0;
+        let processed = 0;
+        for (let i = 0; i < units.length;) {
+            const batchSize = shopifyClient.getConcurrency();
+            const batch = units.slice(i, i + batchSize);
+            const batchProducts = batch.reduce((count, unit) => count + unit.size, 0);
+            batchNum++;
+            // Later batches may differ in size, so the total is an estimate from the current size
+            const totalBatches = batchNum + Math.ceil((units.length - i - batch.length) / batchSize);
+
+            log(`📦 Processing batch ${batchNum}/${totalBatches} (${batchProducts} products)...`);
+            updateProgress({ batch: batchNum, totalBatches, processed, total: productsToSync.length });
+
+            // Process batch in parallel
+            const results = await Promise.allSettled(batch.map(unit => unit.run()));
 
             // Process results
             for (const result of results) {
                 if (result.status === 'fulfilled') {
-                    const data = result.value;
-                    if (data.status === 'updated') {
-                        summary.updated++;
-                        summary.published += data.publishedCount || 0;
-                        const changes = [];
-                        if (data.titleChanged) changes.push('Title');
-                        if (data.priceChanged) changes.push(`Price: $${data.price}`);
-                        if (data.stockChanged) changes.push(`Stock: ${data.stock}`);
-                        const changeDetails = changes.length > 0 ? ` (${changes.join(', ')})` : '';
-                        const publishNote = data.publishedCount > 0 ? `, Published to ${data.publishedCount} channel(s)` : '';
-                        log(`  ✅ ${data.sku}: Updated${changeDetails}${publishNote}`);
-                    } else if (data.status === 'skipped') {
-                        summary.skipped++;
-                        // Don't log skipped items to keep logs clean
-                    } else if (data.status === 'created') {
-                        summary.created++;
-                        summary.published += data.publishedCount || 0;
-                        const publishNote = data.publishedCount > 0 ? ` → Published to ${data.publishedCount} channel(s)` : '';
-                        log(`  ✅ ${data.sku}: Created${publishNote}`);
-                    } else if (data.status === 'failed') {
-                        summary.failed++;
-                        log(`  ❌ ${data.sku}: ${data.error}`);
-                    }
+                    [].concat(result.value).forEach(handleResult);
                 } else { // result.status === 'rejected'
+                    recordResult({ status: 'failed', sku: null, error: String(result.reason) });
                     summary.failed++;
                     log(`  ❌ Batch error for a product: ${result.reason}`);
                 }
             }
 
-            // Small delay between batches to respect rate limits
-            if (i + BATCH_SIZE < productsToSync.length) {
-                await new Promise(resolve => setTimeout(resolve, 100));
+            i += batch.length;
+            processed += batchProducts;
+            updateProgress({ processed });
+            await drift.flush();
+
+            // Stop between batches if the caller asked us to cancel
+            if (state.cancelRequested && i < units.length) {
+                log(`🛑 Sync cancelled after batch ${batchNum}/${totalBatches}`);
+                await saveLinks();
+                return { success: false, cancelled: true, logs, summary };
             }
         }
 
+        await saveLinks();
+
+        // Shopify products whose inFlow products are no longer active; only a full, unfiltered sync sees every active product
+        const retirementConfig = await retirement.getRetirement();
+        if (retirementConfig.policy !== 'none' && state.mode === 'full' && !filters && !stockOnly) {
+            const activeIds = new Set(inflowProducts.map(item => String(item.id)));
+            await retireProducts(retirementConfig, activeIds);
+        }
+
         // Final summary
         log('─'.repeat(50));
-        log(`📊 Sync Complete!`);
+        log(dryRun ? '📊 Dry Run Complete! (nothing was written to Shopify)' : '📊 Sync Complete!');
+        log(`   Mode: ${state.mode === 'incremental' ? `Incremental (changes since ${modifiedSince})` : 'Full'}${stockOnly ? ', stock only' : ''}`);
         log(`   Total Products: ${summary.total}`);
-        log(`   Created: ${summary.created}`);
-        log(`   Updated: ${summary.updated}`);
+        log(`   ${dryRun ? 'To create' : 'Created'}: ${summary.created}`);
+        log(`   ${dryRun ? 'To update' : 'Updated'}: ${summary.updated}`);
         log(`   Unchanged: ${summary.skipped}`);
         log(`   Published: ${summary.published}`);
+        log(`   ${dryRun ? 'To retire' : 'Retired'}: ${summary.retired}${summary.retirementAborted ? ' (aborted by the safety threshold)' : ''}`);
         log(`   Failed: ${summary.failed}`);
 
+        await saveCheckpoint();
+
         return {
             success: summary.failed === 0,
             logs,
@@ -694,7 +1862,7 @@ async function startSync(channelIds = null) {
 
     } catch (error) {
         log(`❌ Sync failed: ${error.message}`);
-        return { success: false, logs, summary };
+        return { success: false, error: error.message, logs, summary };
     }
 }
 
@@ -721,16 +1889,7 @@ async function fetchShopifyChannels() {
         }
         `;
 
-        const response = await axios.post(
-            getApiUrl(),
-            { query },
-            {
-                headers: {
-                    'X-Shopify-Access-Token': getAccessToken(),
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
+        const response = await shopifyClient.graphql(query);
 
         if (response.data.errors) {
             console.error('[Shopify] GraphQL errors:', response.data.errors);
@@ -773,22 +1932,10 @@ async function publishProductToChannel(productId, publicationId) {
         }
         `;
 
-        const response = await axios.post(
-            getApiUrl(),
-            {
-                query: mutation,
-                variables: {
-                    id: productId,
-                    input: [{ publicationId }]
-                }
-            },
-            {
-                headers: {
-                    'X-Shopify-Access-Token': getAccessToken(),
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
+        const response = await shopifyClient.graphql(mutation, {
+            id: productId,
+            input: [{ publicationId }]
+        });
 
         const userErrors = response.data?.data?.publishablePublish?.userErrors || [];
         if (userErrors.length > 0) {
@@ -811,11 +1958,7 @@ async function fetchShopifyLocations() {
     if (primaryLocationId) return primaryLocationId;
 
     try {
-        const response = await axios.get(`${getRestUrl()}/locations.json`, {
-            headers: {
-                'X-Shopify-Access-Token': getAccessToken()
-            }
-        });
+        const response = await shopifyClient.rest('get', '/locations.json');
 
         const locations = response.data.locations || [];
         if (locations.length === 0) throw new Error('No locations found in Shopify');
@@ -839,20 +1982,11 @@ async function fetchShopifyLocations() {
  */
 async function updateShopifyStock(inventoryItemId, locationId, available) {
     try {
-        const response = await axios.post(
-            `${getRestUrl()}/inventory_levels/set.json`,
-            {
-                location_id: locationId,
-                inventory_item_id: inventoryItemId,
-                available: available
-            },
-            {
-                headers: {
-                    'X-Shopify-Access-Token': getAccessToken(),
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
+        const response = await shopifyClient.rest('post', '/inventory_levels/set.json', {
+            location_id: locationId,
+            inventory_item_id: inventoryItemId,
+            available: available
+        });
 
         return response.data.inventory_level;
     } catch (error) {
@@ -862,15 +1996,25 @@ async function updateShopifyStock(inventoryItemId, locationId, available) {
 
 module.exports = {
     startSync,
+    createSyncState,
+    mapInflowProduct,
+    normalizeFilters,
+    searchInflowProducts,
     fetchInflowProducts,
+    fetchReservedQuantities,
     searchShopifyBySku,
+    searchShopifyVariantsBySku,
+    fetchShopifyVariant,
     createShopifyProduct,
     updateShopifyProduct,
     updateShopifyVariant,
+    updateShopifyInventory,
     updateShopifyStock,
+    createShopifyProductWithVariants,
+    addShopifyVariant,
+    fetchShopifyProductVariants,
+    deleteShopifyVariant,
     fetchShopifyChannels,
     publishProductToChannel,
-    fetchShopifyLocations,
-    getAuthUrl,
-    exchangeCodeForToken
+    fetchShopifyLocations
 };
@@ -0,0 +1,101 @@
+/**
+ * Sync Runs Service
+ * Persists the history of sync runs (summary, per-SKU results and logs) in the data store
+ */
+
+const dataStore = require('./dataStore');
+
+const INDEX_FILE = 'runs/index.json';
+
+// Number of runs kept on disk; older runs are deleted
+const MAX_RUNS = parseInt(process.env.SYNC_RUNS_LIMIT, 10) || 200;
+
+// Run IDs are job UUIDs; anything else is rejected to keep lookups inside the runs folder
+const RUN_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+function runFile(id) {
+    return `runs/${id}.json`;
+}
+
+/**
+ * Builds the index entry of a run (everything except results and logs)
+ * @param {Object} run - Full run record
+ * @returns {Object} Index entry
+ */
+function toIndexEntry(run) {
+    const { results, logs, ...entry } = run;
+    return entry;
+}
+
+/**
+ * Stores a run, replacing any earlier version with the same ID
+ * @param {Object} run - Run record with id, trigger, status, channelIds, startedAt, finishedAt, summary, results and logs
+ * @returns {Promise<void>}
+ */
+async function saveRun(run) {
+    await dataStore.writeJson(runFile(run.id), run);
+
+    const removed = [];
+    await dataStore.updateJson(INDEX_FILE, [], (index) => {
+        const entries = [...index];
+        const position = entries.findIndex(entry => entry.id === run.id);
+        if (position === -1) {
+            entries.unshift(toIndexEntry(run));
+        } else {
+            entries[position] = toIndexEntry(run);
+        }
+        removed.push(...entries.splice(MAX_RUNS));
+        return entries;
+    });
+
+    await Promise.all(removed.map(entry => dataStore.removeJson(runFile(entry.id))));
+}
+
+/**
+ * Lists stored runs, newest first
+ * @param {Object} options
+ * @param {number} options.limit - Maximum number of runs to return
+ * @returns {Promise<Array>} Run index entries
+ */
+async function listRuns({ limit = 50 } = {}) {
+    const index = await dataStore.readJson(INDEX_FILE, []);
+    return index.slice(0, limit);
+}
+
+/**
+ * Loads a stored run with its results and logs
+ * @param {string} id - Run ID
+ * @returns {Promise<Object|null>} Run or null if not found
+ */
+async function getRun(id) {
+    if (!RUN_ID_PATTERN.test(id)) return null;
+    return dataStore.readJson(runFile(id), null);
+}
+
+/**
+ * Marks runs that were still running when the server stopped as failed
+ * @returns {Promise<number>} Number of runs updated
+ */
+async function markInterruptedRuns() {
+    const index = await dataStore.readJson(INDEX_FILE, []);
+    const interrupted = index.filter(entry => entry.status === 'running' || entry.status === 'queued');
+
+    for (const entry of interrupted) {
+        const run = await getRun(entry.id) || { ...entry, results: [], logs: [] };
+        await saveRun({
+            ...run,
+            status: 'failed',
+            error: 'Interrupted by a server restart',
+            finishedAt: run.finishedAt || new Date().toISOString()
+        });
+    }
+
+    return interrupted.length;
+}
+
+module.exports = {
+    saveRun,
+    listRuns,
+    getRun,
+    markInterruptedRuns
+};
@@ -0,0 +1,107 @@
+/**
+ * Variant Groups
+ * Groups inFlow products that are options of one item (e.g. a syringe in 1 ml, 3 ml
+ * and 5 ml) so they sync as one Shopify product with a variant per inFlow product.
+ * Products join a group through inFlow custom fields named in the environment:
+ *   INFLOW_VARIANT_GROUP_FIELD=custom1                  value = title of the Shopify product
+ *   INFLOW_VARIANT_OPTION_FIELDS=Size:custom2,Color:custom3   Shopify option name:custom field
+ */
+
+// Shopify allows at most three options per product
+const MAX_OPTIONS = 3;
+
+// Option used when no option fields are configured; each variant is named after its inFlow product
+const DEFAULT_OPTION = 'Variant';
+
+/**
+ * Reads the variant group settings from the environment
+ * @returns {Object|null} { groupField, options: [{ name, field }] }, or null when grouping is off
+ */
+function getVariantGroupConfig() {
+    const groupField = (process.env.INFLOW_VARIANT_GROUP_FIELD || '').trim();
+    if (!groupField) return null;
+
+    const options = (process.env.INFLOW_VARIANT_OPTION_FIELDS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const [name, field] = entry.split(':').map(part => part.trim());
+            return { name, field: field || name };
+        })
+        .filter(option => option.name);
+
+    if (options.length > MAX_OPTIONS) {
+        console.error(`[VARIANTS] Shopify supports ${MAX_OPTIONS} options per product; ignoring ${options.slice(MAX_OPTIONS).map(o => o.name).join(', ')}`);
+    }
+
+    return { groupField, options: options.slice(0, MAX_OPTIONS) };
+}
+
+/**
+ * Reads a custom field of a mapped inFlow product
+ * @param {Object} product - Product from mapInflowProduct
+ * @param {string} field - Custom field key, e.g. 'custom1'
+ * @returns {string} Trimmed value, or '' when empty
+ */
+function customField(product, field) {
+    const value = product.customFields?.[field];
+    return value === null || value === undefined ? '' : String(value).trim();
+}
+
+/**
+ * Splits products into ungrouped products and variant groups. Each grouped product
+ * gets `optionValues` (one value per group option, in order)
+ * @param {Array} products - Products from mapInflowProduct
+ * @param {Object|null} config - Settings from getVariantGroupConfig
+ * @returns {Object} { singles, groups: [{ name, optionNames, members }] }
+ */
+function groupProducts(products, config) {
+    if (!config) return { singles: products, groups: [] };
+
+    const singles = [];
+    const groupsByKey = new Map();
+
+    for (const product of products) {
+        const groupName = customField(product, config.groupField);
+        if (!groupName) {
+            singles.push(product);
+            continue;
+        }
+        const key = groupName.toLowerCase();
+        if (!groupsByKey.has(key)) {
+            groupsByKey.set(key, {
+                name: groupName,
+                optionNames: config.options.length > 0 ? config.options.map(option => option.name) : [DEFAULT_OPTION],
+                members: []
+            });
+        }
+        groupsByKey.get(key).members.push(product);
+    }
+
+    const groups = [...groupsByKey.values()];
+    for (const group of groups) {
+        const used = new Set();
+        group.members = group.members.map(member => {
+            let optionValues = config.options.length > 0
+                ? config.options.map(option => customField(member, option.field) || '-')
+                : [member.name || member.sku];
+
+            // Shopify needs a unique option combination per variant; fall back to the SKU on a clash
+            const combination = optionValues.join(' / ').toLowerCase();
+            if (used.has(combination)) {
+                optionValues = [...optionValues.slice(0, -1), member.sku];
+            }
+            used.add(optionValues.join(' / ').toLowerCase());
+
+            return { ...member, optionValues };
+        });
+    }
+
+    return { singles, groups };
+}
+
+module.exports = {
+    getVariantGroupConfig,
+    groupProducts
+};
@@ -0,0 +1,352 @@
+/**
+ * Webhooks Service
+ * Receives Shopify webhooks: drops duplicate deliveries, sends each topic to its
+ * handler and keeps failed handler runs so they can be replayed. Also registers
+ * the subscriptions through the Admin API for installs not managed by the app TOML
+ */
+
+const crypto = require('crypto');
+const dataStore = require('./dataStore');
+const shopifyClient = require('./shopifyClient');
+const productLinks = require('./productLinks');
+const orderImport = require('./orderImport');
+const drift = require('./drift');
+const scheduler = require('./scheduler');
+const shopifyAuth = require('./shopifyAuth');
+const { ValidationError, NotFoundError } = require('./errors');
+
+const DELIVERIES_FILE = 'webhook-deliveries.json';
+const FAILURES_FILE = 'webhook-failures.json';
+
+// Shopify retries a delivery for up to 48 hours, so delivery IDs are kept a little longer
+const DELIVERY_RETENTION_MS = 72 * 60 * 60 * 1000;
+
+// Oldest failed runs are dropped beyond this many
+const MAX_FAILURES = 200;
+
+/**
+ * Checks that a delivery is for the connected shop; a delivery for another shop, or without one, is logged
+ * @param {string} topic - e.g. 'orders/create'
+ * @param {Array<string>} domains - Shop domains the delivery names (X-Shopify-Shop-Domain, payload); all must match
+ * @returns {boolean} True if the delivery should be handled
+ */
+function isForConnectedShop(topic, domains) {
+    const connectedShop = shopifyAuth.getShopDomain()?.toLowerCase();
+    const deliveredFor = domains.filter(Boolean).map(domain => String(domain).toLowerCase());
+    if (!connectedShop || deliveredFor.length === 0 || deliveredFor.some(domain => domain !== connectedShop)) {
+        console.log(`[WEBHOOKS] Ignoring ${topic} for ${deliveredFor[0] || 'an unknown shop'}; the app is connected to ${connectedShop || 'no shop'}`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * app/uninstalled: pauses scheduled syncs and order import, which would fail without access to the shop,
+ * and forgets the access token, which Shopify revokes on uninstall. Deliveries for another shop than
+ * the connected one are ignored
+ * @param {Object} payload - Shop
+ * @param {Object} context - { shop }: X-Shopify-Shop-Domain of the delivery
+ * @returns {Promise<void>}
+ */
+async function handleAppUninstalled(payload, { shop } = {}) {
+    if (!isForConnectedShop('app/uninstalled', [shop, payload.myshopify_domain])) return;
+    const connectedShop = shopifyAuth.getShopDomain().toLowerCase();
+
+    await shopifyAuth.clearToken();
+    const schedules = await scheduler.listSchedules();
+    for (const schedule of schedules.filter(s => s.enabled)) {
+        await scheduler.updateSchedule(schedule.id, { enabled: false });
+    }
+    const settings = await orderImport.getOrderImport();
+    if (settings.enabled) {
+        await orderImport.saveOrderImport({ enabled: false });
+    }
+    console.log(`[WEBHOOKS] App uninstalled from ${connectedShop}: paused ${schedules.filter(s => s.enabled).length} schedule(s)${settings.enabled ? ' and order import' : ''}`);
+}
+
+/**
+ * products/update: keeps the product links in step with the product's variants and
+ * checks the product for fields edited in Shopify (see drift.js). Deliveries for another
+ * shop than the connected one are ignored
+ * @param {Object} payload - Shopify product
+ * @param {Object} context - { shop }: X-Shopify-Shop-Domain of the delivery
+ * @returns {Promise<void>}
+ */
+async function handleProductUpdate(payload, { shop } = {}) {
+    if (!isForConnectedShop('products/update', [shop])) return;
+    await productLinks.refreshFromShopifyProduct(payload);
+    await drift.detectShopifyEdits(payload);
+}
+
+/**
+ * inventory_levels/update: logs stock changed in Shopify for linked products. inFlow
+ * stays the source of stock, so the next sync sets the quantity from inFlow again
+ * @param {Object} payload - { inventory_item_id, location_id, available }
+ * @returns {Promise<void>}
+ */
+async function handleInventoryLevelUpdate(payload) {
+    const inventoryItemId = productLinks.numericId(payload.inventory_item_id);
+    const link = Object.values(await productLinks.getLinks()).find(entry => entry.inventoryItemId === inventoryItemId);
+    if (!link) return;
+    console.log(`[WEBHOOKS] Shopify stock of ${link.sku} at location ${payload.location_id} is now ${payload.available}`);
+}
+
+/**
+ * orders/create: imports the order into inFlow (see orderImport.js). Orders of another
+ * shop than the connected one are ignored
+ * @param {Object} payload - Shopify order
+ * @param {Object} context - { shop }: X-Shopify-Shop-Domain of the delivery
+ * @returns {Promise<void>}
+ */
+async function handleOrderCreate(payload, { shop } = {}) {
+    if (!isForConnectedShop('orders/create', [shop])) return;
+    const result = await orderImport.importOrder(payload, { source: 'webhook' });
+    if (result.status === 'failed') {
+        throw new Error(result.record.error);
+    }
+}
+
+const HANDLERS = {
+    'app/uninstalled': handleAppUninstalled,
+    'products/update': handleProductUpdate,
+    'inventory_levels/update': handleInventoryLevelUpdate,
+    'orders/create': handleOrderCreate
+};
+
+const TOPICS = Object.keys(HANDLERS);
+
+/**
+ * Records a delivery ID and tells whether it was seen before
+ * @param {string} webhookId - X-Shopify-Webhook-Id
+ * @returns {Promise<boolean>} True if this delivery was already received
+ */
+async function isDuplicateDelivery(webhookId) {
+    if (!webhookId) return false;
+
+    let duplicate = false;
+    const now = Date.now();
+    await dataStore.updateJson(DELIVERIES_FILE, {}, (deliveries) => {
+        for (const [id, receivedAt] of Object.entries(deliveries)) {
+            if (now - new Date(receivedAt).getTime() > DELIVERY_RETENTION_MS) delete deliveries[id];
+        }
+        duplicate = Boolean(deliveries[webhookId]);
+        if (!duplicate) deliveries[webhookId] = new Date(now).toISOString();
+        return deliveries;
+    });
+    return duplicate;
+}
+
+/**
+ * Checks a webhook before it is answered: known topic, and not delivered before
+ * @param {Object} delivery
+ * @param {string} delivery.topic - Topic from the URL, e.g. 'orders/create'
+ * @param {string} delivery.headerTopic - X-Shopify-Topic
+ * @param {string} delivery.webhookId - X-Shopify-Webhook-Id
+ * @returns {Promise<boolean>} True if the delivery is new and should be handled
+ */
+async function acceptDelivery({ topic, headerTopic, webhookId }) {
+    if (!HANDLERS[topic]) {
+        throw new NotFoundError(`Unknown webhook topic: ${topic}`);
+    }
+    if (headerTopic && headerTopic !== topic) {
+        throw new ValidationError(`Webhook topic ${headerTopic} was sent to the ${topic} endpoint`);
+    }
+    return !(await isDuplicateDelivery(webhookId));
+}
+
+/**
+ * Runs the handler of a webhook; a failed run is kept for replay
+ * @param {Object} delivery
+ * @param {string} delivery.topic - e.g. 'orders/create'
+ * @param {string} delivery.webhookId - X-Shopify-Webhook-Id
+ * @param {string} delivery.shop - X-Shopify-Shop-Domain
+ * @param {Object} delivery.payload - Parsed body
+ * @returns {Promise<boolean>} Whether the handler succeeded
+ */
+async function handleDelivery({ topic, webhookId, shop, payload }) {
+    try {
+        await HANDLERS[topic](payload, { shop });
+        return true;
+    } catch (error) {
+        console.error(`[WEBHOOKS] ${topic} handler failed (${webhookId || 'no ID'}):`, error.message);
+        const now = new Date().toISOString();
+        await dataStore.updateJson(FAILURES_FILE, [], (failures) => [{
+            id: crypto.randomUUID(),
+            webhookId: webhookId || null,
+            topic,
+            shop: shop || null,
+            payload,
+            error: error.message,
+            attempts: 1,
+            receivedAt: now,
+            lastAttemptAt: now
+        }, ...failures].slice(0, MAX_FAILURES));
+        return false;
+    }
+}
+
+/**
+ * Lists failed handler runs, newest first, without their payloads
+ * @returns {Promise<Array>} Failures
+ */
+async function listFailures() {
+    const failures = await dataStore.readJson(FAILURES_FILE, []);
+    return failures.map(({ payload, ...failure }) => failure);
+}
+
+/**
+ * Runs the handler of a failed delivery again; it is removed when it succeeds
+ * @param {string} id - Failure ID
+ * @returns {Promise<Object>} { succeeded, failure }: the updated failure when it failed again
+ */
+async function replayFailure(id) {
+    const failures = await dataStore.readJson(FAILURES_FILE, []);
+    const failure = failures.find(entry => entry.id === id);
+    if (!failure) {
+        throw new NotFoundError('Failed webhook not found');
+    }
+
+    try {
+        await HANDLERS[failure.topic](failure.payload, { shop: failure.shop });
+    } catch (error) {
+        let updated;
+        await dataStore.updateJson(FAILURES_FILE, [], (current) => current.map(entry => {
+            if (entry.id !== id) return entry;
+            updated = { ...entry, error: error.message, attempts: entry.attempts + 1, lastAttemptAt: new Date().toISOString() };
+            return updated;
+        }));
+        console.error(`[WEBHOOKS] Replay of ${failure.topic} failed again:`, error.message);
+        const { payload, ...summary } = updated;
+        return { succeeded: false, failure: summary };
+    }
+
+    await deleteFailure(id);
+    console.log(`[WEBHOOKS] Replayed ${failure.topic} (${failure.webhookId || failure.id})`);
+    return { succeeded: true, failure: null };
+}
+
+/**
+ * Removes a failed delivery without replaying it
+ * @param {string} id - Failure ID
+ * @returns {Promise<void>}
+ */
+async function deleteFailure(id) {
+    let found = false;
+    await dataStore.updateJson(FAILURES_FILE, [], (failures) => failures.filter(entry => {
+        if (entry.id === id) found = true;
+        return entry.id !== id;
+    }));
+    if (!found) {
+        throw new NotFoundError('Failed webhook not found');
+    }
+}
+
+/**
+ * Turns a topic into the Admin API enum, e.g. 'orders/create' → 'ORDERS_CREATE'
+ * @param {string} topic - Webhook topic
+ * @returns {string} GraphQL WebhookSubscriptionTopic
+ */
+function topicEnum(topic) {
+    return topic.replace('/', '_').toUpperCase();
+}
+
+/**
+ * Callback URL of a topic on this backend
+ * @param {string} topic - Webhook topic
+ * @returns {string} URL
+ */
+function callbackUrl(topic) {
+    const baseUrl = process.env.BACKEND_PUBLIC_URL;
+    if (!baseUrl) {
+        throw new ValidationError('BACKEND_PUBLIC_URL is not configured; Shopify needs it to reach the webhook endpoints');
+    }
+    return `${baseUrl.replace(/\/$/, '')}/api/webhooks/${topic}`;
+}
+
+/**
+ * Lists the shop's webhook subscriptions for the topics handled here
+ * @returns {Promise<Array>} [{ topic, subscribed, callbackUrl, expectedUrl }]; expectedUrl is null without BACKEND_PUBLIC_URL
+ */
+async function listSubscriptions() {
+    const query = `
+    query {
+        webhookSubscriptions(first: 100) {
+            edges {
+                node {
+                    id
+                    topic
+                    endpoint {
+                        __typename
+                        ... on WebhookHttpEndpoint {
+                            callbackUrl
+                        }
+                    }
+                }
+            }
+        }
+    }
+    `;
+
+    const response = await shopifyClient.graphql(query);
+    if (response.data?.errors?.length) {
+        throw new Error(`Failed to list webhook subscriptions: ${response.data.errors.map(e => e.message).join('; ')}`);
+    }
+    const nodes = (response.data?.data?.webhookSubscriptions?.edges || []).map(edge => edge.node);
+
+    return TOPICS.map(topic => {
+        const node = nodes.find(entry => entry.topic === topicEnum(topic));
+        return {
+            topic,
+            subscribed: Boolean(node),
+            callbackUrl: node?.endpoint?.callbackUrl || null,
+            expectedUrl: process.env.BACKEND_PUBLIC_URL ? callbackUrl(topic) : null
+        };
+    });
+}
+
+/**
+ * Subscribes the shop to every handled topic that it is not yet subscribed to, with
+ * callbacks at BACKEND_PUBLIC_URL. Installs deployed with the Shopify CLI get the
+ * subscriptions declared in the app TOML instead
+ * @returns {Promise<Array>} Subscriptions after registering (see listSubscriptions)
+ */
+async function registerSubscriptions() {
+    const mutation = `
+    mutation webhookSubscriptionCreate($topic: WebhookSubscriptionTopic!, $webhookSubscription: WebhookSubscriptionInput!) {
+        webhookSubscriptionCreate(topic: $topic, webhookSubscription: $webhookSubscription) {
+            webhookSubscription {
+                id
+            }
+            userErrors {
+                field
+                message
+            }
+        }
+    }
+    `;
+
+    const current = await listSubscriptions();
+    for (const { topic } of current.filter(entry => !entry.subscribed)) {
+        const response = await shopifyClient.graphql(mutation, {
+            topic: topicEnum(topic),
+            webhookSubscription: { callbackUrl: callbackUrl(topic), format: 'JSON' }
+        });
+        const userErrors = response.data?.data?.webhookSubscriptionCreate?.userErrors || [];
+        if (userErrors.length > 0) {
+            throw new Error(`Failed to subscribe to ${topic}: ${userErrors.map(e => e.message).join('; ')}`);
+        }
+        console.log(`[WEBHOOKS] Subscribed to ${topic}`);
+    }
+    return listSubscriptions();
+}
+
+module.exports = {
+    TOPICS,
+    acceptDelivery,
+    handleDelivery,
+    listFailures,
+    replayFailure,
+    deleteFailure,
+    listSubscriptions,
+    registerSubscriptions
+};
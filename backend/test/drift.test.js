@@ -0,0 +1,137 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const drift = require('../services/drift');
+
+const settings = (defaultPolicy = 'inflow', fields = {}) => ({ defaultPolicy, fields });
+
+// Stored record after a sync pushed `inflow` and Shopify then held `shopify`
+const record = (entries) => ({
+    fields: Object.fromEntries(Object.entries(entries).map(([field, [inflow, shopify]]) => [
+        field,
+        { inflow, shopify, inflowValue: inflow, shopifyValue: shopify }
+    ]))
+});
+
+describe('drift.reconcile', () => {
+    it('settles fields whose values already match, after normalizing them', () => {
+        const result = drift.reconcile({
+            fields: ['price', 'tags'],
+            wanted: { price: '10', tags: 'b, a' },
+            current: { price: '10.00', tags: 'A,B' },
+            record: null,
+            settings: settings()
+        });
+        assert.deepEqual(result.settled, ['price', 'tags']);
+        assert.equal(result.held.size, 0);
+        assert.deepEqual(Object.keys(result.fields), ['price', 'tags']);
+    });
+
+    it('writes inFlow values for a SKU without a stored record', () => {
+        const result = drift.reconcile({
+            fields: ['title'],
+            wanted: { title: 'Syringe 10ml' },
+            current: { title: 'Syringe' },
+            record: null,
+            settings: settings('flag')
+        });
+        assert.equal(result.held.size, 0);
+        assert.deepEqual(result.flagged, []);
+        assert.equal(result.fields.title.inflow, 'Syringe 10ml');
+    });
+
+    it('writes an inFlow change when the field was not edited in Shopify', () => {
+        const result = drift.reconcile({
+            fields: ['title'],
+            wanted: { title: 'New title' },
+            current: { title: 'Old title' },
+            record: record({ title: ['Old title', 'Old title'] }),
+            settings: settings('flag')
+        });
+        assert.equal(result.held.has('title'), false);
+        assert.deepEqual(result.settled, ['title']);
+        assert.equal(result.fields.title.shopify, 'New title');
+    });
+
+    it('keeps a difference Shopify won earlier while inFlow is unchanged', () => {
+        const result = drift.reconcile({
+            fields: ['title'],
+            wanted: { title: 'inFlow title' },
+            current: { title: 'Shopify title' },
+            record: record({ title: ['inFlow title', 'Shopify title'] }),
+            settings: settings()
+        });
+        assert.equal(result.held.has('title'), true);
+        assert.deepEqual(result.overwritten, []);
+        assert.equal(result.fields.title, undefined);
+    });
+
+    it('overwrites a Shopify edit under the inflow policy', () => {
+        const result = drift.reconcile({
+            fields: ['price'],
+            wanted: { price: '12.00' },
+            current: { price: '15.00' },
+            record: record({ price: ['12.00', '12.00'] }),
+            settings: settings('inflow')
+        });
+        assert.deepEqual(result.overwritten, ['price']);
+        assert.equal(result.held.size, 0);
+        assert.equal(result.fields.price.shopify, '12.00');
+    });
+
+    it('keeps a Shopify edit under the shopify policy and remembers both sides', () => {
+        const result = drift.reconcile({
+            fields: ['price'],
+            wanted: { price: '12.00' },
+            current: { price: '15.00' },
+            record: record({ price: ['12.00', '12.00'] }),
+            settings: settings('shopify')
+        });
+        assert.deepEqual(result.kept, ['price']);
+        assert.equal(result.held.has('price'), true);
+        assert.deepEqual(result.settled, ['price']);
+        assert.deepEqual(result.fields.price, { inflow: '12.00', shopify: '15.00', inflowValue: '12.00', shopifyValue: '15.00' });
+    });
+
+    it('holds and flags a Shopify edit under the flag policy', () => {
+        const result = drift.reconcile({
+            fields: ['title'],
+            wanted: { title: 'inFlow title' },
+            current: { title: 'Edited in Shopify' },
+            record: record({ title: ['inFlow title', 'inFlow title'] }),
+            settings: settings('flag')
+        });
+        assert.equal(result.held.has('title'), true);
+        assert.deepEqual(result.settled, []);
+        assert.deepEqual(result.fields, {});
+        assert.deepEqual(result.flagged, [{
+            field: 'title',
+            pushed: 'inFlow title',
+            shopify: 'Edited in Shopify',
+            inflow: 'inFlow title',
+            values: { inflow: 'inFlow title', shopify: 'Edited in Shopify' }
+        }]);
+    });
+
+    it('uses a field policy over the default policy', () => {
+        const result = drift.reconcile({
+            fields: ['title', 'price'],
+            wanted: { title: 'A', price: '12.00' },
+            current: { title: 'B', price: '15.00' },
+            record: record({ title: ['A', 'A'], price: ['12.00', '12.00'] }),
+            settings: settings('flag', { price: 'inflow' })
+        });
+        assert.deepEqual(result.flagged.map(entry => entry.field), ['title']);
+        assert.deepEqual(result.overwritten, ['price']);
+    });
+
+    it('skips fields without an inFlow value', () => {
+        const result = drift.reconcile({
+            fields: ['title', 'vendor'],
+            wanted: { title: 'A' },
+            current: { title: 'A', vendor: 'Shopify vendor' },
+            record: null,
+            settings: settings()
+        });
+        assert.deepEqual(Object.keys(result.fields), ['title']);
+    });
+});
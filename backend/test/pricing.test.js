@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const pricing = require('../services/pricing');
+
+const rule = (overrides) => ({ ...pricing.DEFAULT_RULE, ...overrides });
+
+const settings = (overrides = {}) => ({
+    priceSchemeId: null,
+    priceSchemeName: null,
+    compareAtSchemeId: null,
+    compareAtSchemeName: null,
+    global: pricing.DEFAULT_RULE,
+    categories: {},
+    skus: {},
+    ...overrides
+});
+
+const priceOf = (product, overrides) => pricing.computePrice({ sku: 'SKU-1', ...product }, settings(overrides)).price;
+
+describe('pricing.resolveRule', () => {
+    const saved = settings({
+        global: rule({ markupType: 'percent', markup: 10 }),
+        categories: { Gloves: rule({ markupType: 'percent', markup: 20 }) },
+        skus: { 'GLV-S': rule({ markupType: 'fixed', markup: 1 }) }
+    });
+
+    it('prefers a SKU rule over a category rule over the global rule', () => {
+        assert.equal(pricing.resolveRule({ sku: 'GLV-S', category: 'Gloves' }, saved).source, 'sku');
+        assert.equal(pricing.resolveRule({ sku: 'GLV-M', category: 'Gloves' }, saved).source, 'category');
+        assert.equal(pricing.resolveRule({ sku: 'GLV-M', category: 'Masks' }, saved).source, 'global');
+    });
+
+    it('matches names without regard to case and reports the saved name', () => {
+        const result = pricing.resolveRule({ sku: 'x', category: 'gloves' }, saved);
+        assert.deepEqual(result, { rule: saved.categories.Gloves, source: 'category', name: 'Gloves' });
+    });
+});
+
+describe('pricing.computePrice', () => {
+    it('keeps the default price when no rule applies', () => {
+        assert.equal(priceOf({ price: '12.5' }), '12.50');
+    });
+
+    it('applies a percent markup without floating point drift', () => {
+        assert.equal(priceOf({ price: '19.99' }, { global: rule({ markupType: 'percent', markup: 10 }) }), '21.99');
+    });
+
+    it('applies a fixed markup and never goes below zero', () => {
+        assert.equal(priceOf({ price: 5 }, { global: rule({ markupType: 'fixed', markup: -1 }) }), '4.00');
+        assert.equal(priceOf({ price: 5 }, { global: rule({ markupType: 'fixed', markup: -10 }) }), '0.00');
+    });
+
+    it('marks up cost when the rule is based on cost, and the price when there is no cost', () => {
+        const onCost = { global: rule({ markupType: 'percent', markup: 50, basis: 'cost' }) };
+        assert.equal(priceOf({ price: 20, cost: 8 }, onCost), '12.00');
+        assert.equal(priceOf({ price: 20 }, onCost), '30.00');
+    });
+
+    it('rounds up to the next .99 or .95 ending', () => {
+        assert.equal(priceOf({ price: '12.50' }, { global: rule({ rounding: '.99' }) }), '12.99');
+        assert.equal(priceOf({ price: '13.00' }, { global: rule({ rounding: '.95' }) }), '13.95');
+        assert.equal(priceOf({ price: '13.96' }, { global: rule({ rounding: '.95' }) }), '14.95');
+    });
+
+    it('leaves a price that already has the ending alone', () => {
+        assert.equal(priceOf({ price: '12.99' }, { global: rule({ rounding: '.99' }) }), '12.99');
+    });
+
+    it('raises the price to the minimum margin over cost, keeping the rounding', () => {
+        assert.equal(priceOf({ price: 15, cost: 10 }, { global: rule({ minMargin: 50 }) }), '20.00');
+        assert.equal(priceOf({ price: 15, cost: 10 }, { global: rule({ minMargin: 50, rounding: '.99' }) }), '20.99');
+    });
+
+    it('does not lower a price that already meets the minimum margin', () => {
+        assert.equal(priceOf({ price: 30, cost: 10 }, { global: rule({ minMargin: 50 }) }), '30.00');
+    });
+
+    it('ignores the minimum margin without a cost', () => {
+        assert.equal(priceOf({ price: 15 }, { global: rule({ minMargin: 50 }) }), '15.00');
+    });
+
+    it('uses the chosen pricing scheme and falls back to the default price', () => {
+        const scheme = { priceSchemeId: 'wholesale', priceSchemeName: 'Wholesale' };
+        assert.equal(priceOf({ price: 10, prices: { wholesale: '7.25' } }, scheme), '7.25');
+
+        const result = pricing.computePrice({ sku: 'SKU-1', price: 10, prices: {} }, settings(scheme));
+        assert.equal(result.price, '10.00');
+        assert.equal(result.pricing.scheme, 'default price');
+        assert.match(result.pricing.steps[0], /no Wholesale price/);
+    });
+
+    it('sets the compare-at price only when it is above the price', () => {
+        const compareAt = { compareAtSchemeId: 'msrp' };
+        assert.equal(pricing.computePrice({ price: 10, prices: { msrp: 20 } }, settings(compareAt)).compareAtPrice, '20.00');
+        assert.equal(pricing.computePrice({ price: 10, prices: { msrp: 10 } }, settings(compareAt)).compareAtPrice, null);
+        assert.equal(pricing.computePrice({ price: 10, prices: { msrp: 20 } }, settings()).compareAtPrice, undefined);
+    });
+});
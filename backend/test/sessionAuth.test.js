@@ -0,0 +1,159 @@
+const { describe, it, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const shopifyAuth = require('../services/shopifyAuth');
+const sessionAuth = require('../services/sessionAuth');
+
+const API_KEY = 'test-api-key';
+const SECRET = 'test-app-secret';
+const SHOP = 'syringe-store.myshopify.com';
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/**
+ * Builds an App Bridge style session token
+ */
+function sessionToken(claims = {}, { secret = SECRET, header = { alg: 'HS256', typ: 'JWT' } } = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+        iss: `https://${SHOP}/admin`,
+        dest: `https://${SHOP}`,
+        aud: API_KEY,
+        sub: '42',
+        exp: now + 60,
+        nbf: now - 5,
+        iat: now - 5,
+        sid: 'session-1',
+        ...claims
+    };
+    const unsigned = `${encode(header)}.${encode(payload)}`;
+    return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+}
+
+/**
+ * Minimal Express request for authenticate
+ */
+function request({ headers = {}, query = {}, path = '/sync/jobs' } = {}) {
+    return { headers, query, baseUrl: '/api', path };
+}
+
+before(() => {
+    process.env.SHOPIFY_API_KEY = API_KEY;
+    process.env.SHOPIFY_API_SECRET = SECRET;
+    process.env.ADMIN_API_KEY = 'admin-key';
+});
+
+describe('sessionAuth.verifySessionToken', () => {
+    it('accepts a valid token and returns its shop and user', () => {
+        assert.deepEqual(sessionAuth.verifySessionToken(sessionToken()), { shop: SHOP, userId: '42', sessionId: 'session-1' });
+    });
+
+    it('rejects a token signed with another secret or a changed payload', () => {
+        assert.throws(() => sessionAuth.verifySessionToken(sessionToken({}, { secret: 'other-secret' })), /signature is not valid/);
+
+        const [header, , signature] = sessionToken().split('.');
+        const forged = `${header}.${encode({ dest: `https://${SHOP}`, aud: API_KEY, exp: 9999999999 })}.${signature}`;
+        assert.throws(() => sessionAuth.verifySessionToken(forged), /signature is not valid/);
+    });
+
+    it('rejects tokens that are not signed with HS256', () => {
+        assert.throws(() => sessionAuth.verifySessionToken(sessionToken({}, { header: { alg: 'none' } })), /HS256/);
+    });
+
+    it('rejects malformed tokens', () => {
+        assert.throws(() => sessionAuth.verifySessionToken('not-a-token'), /Malformed/);
+        assert.throws(() => sessionAuth.verifySessionToken('a.b.c'), /Malformed/);
+    });
+
+    it('rejects expired and not yet valid tokens, within the clock tolerance', () => {
+        const now = Math.floor(Date.now() / 1000);
+        assert.throws(() => sessionAuth.verifySessionToken(sessionToken({ exp: now - 60 })), /expired/);
+        assert.throws(() => sessionAuth.verifySessionToken(sessionToken({ exp: undefined })), /expired/);
+        assert.throws(() => sessionAuth.verifySessionToken(sessionToken({ nbf: now + 60 })), /not valid yet/);
+        assert.doesNotThrow(() => sessionAuth.verifySessionToken(sessionToken({ exp: now - 2 })));
+    });
+
+    it('rejects tokens for another app', () => {
+        assert.throws(() => sessionAuth.verifySessionToken(sessionToken({ aud: 'other-app' })), /another app/);
+    });
+
+    it('rejects tokens without a matching myshopify.com destination and issuer', () => {
+        assert.throws(() => sessionAuth.verifySessionToken(sessionToken({ dest: 'https://evil.com', iss: 'https://evil.com/admin' })), /no valid shop/);
+        assert.throws(() => sessionAuth.verifySessionToken(sessionToken({ iss: 'https://other-store.myshopify.com/admin' })), /no valid shop/);
+    });
+
+    it('rejects tokens for another shop than the connected one', () => {
+        const connected = mock.method(shopifyAuth, 'getShopDomain', () => 'other-store.myshopify.com');
+        try {
+            assert.throws(() => sessionAuth.verifySessionToken(sessionToken()), /connected to other-store/);
+        } finally {
+            connected.mock.restore();
+        }
+    });
+
+    it('fails with a 401 status', () => {
+        assert.throws(() => sessionAuth.verifySessionToken('not-a-token'), { statusCode: 401 });
+    });
+});
+
+describe('sessionAuth.authenticate', () => {
+    it('accepts a bearer session token', () => {
+        const auth = sessionAuth.authenticate(request({ headers: { authorization: `Bearer ${sessionToken()}` } }));
+        assert.equal(auth.method, 'session');
+        assert.equal(auth.shop, SHOP);
+    });
+
+    it('accepts the admin API key header and rejects a wrong key', () => {
+        assert.equal(sessionAuth.authenticate(request({ headers: { 'x-api-key': 'admin-key' } })).method, 'api-key');
+        assert.throws(() => sessionAuth.authenticate(request({ headers: { 'x-api-key': 'wrong' } })), /not valid/);
+    });
+
+    it('no longer accepts credentials in the query string', () => {
+        const headers = { accept: 'text/event-stream' };
+        assert.throws(() => sessionAuth.authenticate(request({ headers, query: { token: sessionToken() } })), /Missing session token/);
+        assert.throws(() => sessionAuth.authenticate(request({ headers, query: { apiKey: 'admin-key' } })), /Missing session token/);
+    });
+});
+
+describe('sessionAuth stream tickets', () => {
+    const STREAM_PATH = '/api/sync/jobs/job-1/events';
+    const streamRequest = (ticket, path = '/sync/jobs/job-1/events') => request({
+        headers: { accept: 'text/event-stream' },
+        query: { ticket },
+        path
+    });
+    const identity = { method: 'session', shop: SHOP, userId: '42', sessionId: 'session-1' };
+
+    it('opens the stream it was issued for, with the identity it was issued to', () => {
+        const ticket = sessionAuth.issueStreamTicket(STREAM_PATH, identity);
+        assert.deepEqual(sessionAuth.authenticate(streamRequest(ticket)), identity);
+    });
+
+    it('can only be used once', () => {
+        const ticket = sessionAuth.issueStreamTicket(STREAM_PATH, identity);
+        sessionAuth.authenticate(streamRequest(ticket));
+        assert.throws(() => sessionAuth.authenticate(streamRequest(ticket)), /not valid or has expired/);
+    });
+
+    it('is refused for another stream', () => {
+        const ticket = sessionAuth.issueStreamTicket(STREAM_PATH, identity);
+        assert.throws(() => sessionAuth.authenticate(streamRequest(ticket, '/sync/jobs/job-2/events')), /another stream/);
+    });
+
+    it('expires after STREAM_TICKET_TTL_MS', () => {
+        mock.timers.enable({ apis: ['Date'], now: Date.now() });
+        try {
+            const ticket = sessionAuth.issueStreamTicket(STREAM_PATH, identity);
+            mock.timers.tick(sessionAuth.STREAM_TICKET_TTL_MS + 1);
+            assert.throws(() => sessionAuth.authenticate(streamRequest(ticket)), /not valid or has expired/);
+        } finally {
+            mock.timers.reset();
+        }
+    });
+
+    it('is only accepted on event stream requests', () => {
+        const ticket = sessionAuth.issueStreamTicket(STREAM_PATH, identity);
+        const plain = request({ query: { ticket }, path: '/sync/jobs/job-1/events' });
+        assert.throws(() => sessionAuth.authenticate(plain), /Missing session token/);
+    });
+});
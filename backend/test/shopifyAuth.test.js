@@ -0,0 +1,187 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The install is written to the data directory, so point it at a scratch one before loading the service
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'shopify-auth-test-'));
+process.env.DATA_DIR = DATA_DIR;
+
+const axios = require('axios');
+const shopifyAuth = require('../services/shopifyAuth');
+
+const SECRET = 'test-app-secret';
+
+/**
+ * Signs callback parameters the way Shopify does
+ */
+function signQuery(params, secret = SECRET) {
+    const message = Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('&');
+    return { ...params, hmac: crypto.createHmac('sha256', secret).update(message).digest('hex') };
+}
+
+/**
+ * Starts an install and returns the state nonce, the state cookie and a signed callback query for it
+ */
+function startInstall(shop, options) {
+    const { url, stateCookie } = shopifyAuth.beginAuth(shop, options);
+    const state = new URL(url).searchParams.get('state');
+    return { state, stateCookie, query: signQuery({ code: 'auth-code', shop, state, timestamp: '1700000000' }) };
+}
+
+before(() => {
+    process.env.SHOPIFY_API_KEY = 'test-api-key';
+    process.env.SHOPIFY_API_SECRET = SECRET;
+    delete process.env.TOKEN_ENCRYPTION_KEY;
+    delete process.env.PUBLIC_STORE_DOMAIN;
+});
+
+after(() => {
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+describe('shopifyAuth.validateShop', () => {
+    it('accepts a myshopify.com domain and lower-cases it', () => {
+        assert.equal(shopifyAuth.validateShop(' Syringe-Store.myshopify.com '), 'syringe-store.myshopify.com');
+    });
+
+    it('rejects other hosts and look-alikes', () => {
+        for (const shop of ['evil.com', 'store.myshopify.com.evil.com', 'store.myshopify.com/admin', '-store.myshopify.com', '', undefined]) {
+            assert.throws(() => shopifyAuth.validateShop(shop), { statusCode: 400 }, String(shop));
+        }
+    });
+
+    it('only accepts the configured store when PUBLIC_STORE_DOMAIN is set', () => {
+        process.env.PUBLIC_STORE_DOMAIN = 'syringe-store.myshopify.com';
+        try {
+            assert.equal(shopifyAuth.validateShop('syringe-store.myshopify.com'), 'syringe-store.myshopify.com');
+            assert.throws(() => shopifyAuth.validateShop('other-store.myshopify.com'), /set up for syringe-store/);
+        } finally {
+            delete process.env.PUBLIC_STORE_DOMAIN;
+        }
+    });
+});
+
+describe('shopifyAuth.verifyQueryHmac', () => {
+    const query = signQuery({ code: 'abc', shop: 'syringe-store.myshopify.com', state: 'nonce', timestamp: '1700000000' });
+
+    it('accepts a query signed with the app secret', () => {
+        assert.equal(shopifyAuth.verifyQueryHmac(query), true);
+    });
+
+    it('ignores the legacy signature parameter', () => {
+        assert.equal(shopifyAuth.verifyQueryHmac({ ...query, signature: 'anything' }), true);
+    });
+
+    it('rejects a changed parameter or another secret', () => {
+        assert.equal(shopifyAuth.verifyQueryHmac({ ...query, shop: 'other-store.myshopify.com' }), false);
+        assert.equal(shopifyAuth.verifyQueryHmac(signQuery({ code: 'abc' }, 'other-secret')), false);
+    });
+
+    it('rejects missing, repeated and wrong-length hmac values', () => {
+        const { hmac, ...unsigned } = query;
+        assert.equal(shopifyAuth.verifyQueryHmac(unsigned), false);
+        assert.equal(shopifyAuth.verifyQueryHmac({ ...unsigned, hmac: [hmac, hmac] }), false);
+        assert.equal(shopifyAuth.verifyQueryHmac({ ...unsigned, hmac: hmac.slice(1) }), false);
+        assert.equal(shopifyAuth.verifyQueryHmac({ ...unsigned, hmac: 'é'.repeat(32) }), false);
+    });
+});
+
+describe('shopifyAuth.verifyStateCookie', () => {
+    it('accepts the cookie issued with the state', () => {
+        const { state, stateCookie } = startInstall('syringe-store.myshopify.com');
+        assert.equal(shopifyAuth.verifyStateCookie(stateCookie, state), true);
+    });
+
+    it('rejects a cookie issued for another state, a forged cookie or none', () => {
+        const first = startInstall('syringe-store.myshopify.com');
+        const second = startInstall('syringe-store.myshopify.com');
+        assert.equal(shopifyAuth.verifyStateCookie(second.stateCookie, first.state), false);
+        assert.equal(shopifyAuth.verifyStateCookie(`${first.state}.forged`, first.state), false);
+        assert.equal(shopifyAuth.verifyStateCookie(undefined, first.state), false);
+        assert.equal(shopifyAuth.verifyStateCookie(first.stateCookie, ''), false);
+    });
+});
+
+describe('shopifyAuth.completeAuth', () => {
+    before(() => {
+        mock.method(axios, 'post', async () => ({
+            data: { access_token: 'shpat_test', scope: shopifyAuth.SCOPES.join(',') }
+        }));
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    it('rejects a state that was not issued here', async () => {
+        const { stateCookie, query } = startInstall('syringe-store.myshopify.com');
+        await assert.rejects(shopifyAuth.completeAuth({ ...query, state: 'unknown' }, { stateCookie }), /did not start here/);
+    });
+
+    it('rejects a callback without the state cookie, and the state cannot be used again', async () => {
+        const { stateCookie, query } = startInstall('syringe-store.myshopify.com');
+        await assert.rejects(shopifyAuth.completeAuth(query, {}), /another browser/);
+        await assert.rejects(shopifyAuth.completeAuth(query, { stateCookie }), /did not start here/);
+    });
+
+    it('rejects a callback with a bad signature', async () => {
+        const { stateCookie, query } = startInstall('syringe-store.myshopify.com');
+        await assert.rejects(shopifyAuth.completeAuth({ ...query, code: 'other-code' }, { stateCookie }), /signature is not valid/);
+    });
+
+    it('rejects a callback for another shop than the install was started for', async () => {
+        const { stateCookie, state } = startInstall('syringe-store.myshopify.com');
+        const query = signQuery({ code: 'auth-code', shop: 'other-store.myshopify.com', state, timestamp: '1700000000' });
+        await assert.rejects(shopifyAuth.completeAuth(query, { stateCookie }), /started for syringe-store/);
+    });
+
+    it('installs the app from a valid callback', async () => {
+        const { stateCookie, query } = startInstall('syringe-store.myshopify.com');
+        await shopifyAuth.completeAuth(query, { stateCookie });
+        assert.equal(shopifyAuth.getShopDomain(), 'syringe-store.myshopify.com');
+        assert.equal(shopifyAuth.getAccessToken(), 'shpat_test');
+    });
+
+    it('only moves the install to another shop when the install was started authenticated', async () => {
+        const anonymous = startInstall('other-store.myshopify.com');
+        await assert.rejects(shopifyAuth.completeAuth(anonymous.query, { stateCookie: anonymous.stateCookie }), /must be started with a session token/);
+        assert.equal(shopifyAuth.getShopDomain(), 'syringe-store.myshopify.com');
+
+        const authenticated = startInstall('other-store.myshopify.com', { authenticated: true });
+        await shopifyAuth.completeAuth(authenticated.query, { stateCookie: authenticated.stateCookie });
+        assert.equal(shopifyAuth.getShopDomain(), 'other-store.myshopify.com');
+    });
+});
+
+describe('shopifyAuth.getAccessToken', () => {
+    before(() => {
+        process.env.PRIVATE_STOREFRONT_API_TOKEN = 'shpat_from_env';
+    });
+
+    after(() => {
+        delete process.env.PRIVATE_STOREFRONT_API_TOKEN;
+    });
+
+    it('prefers the stored token over PRIVATE_STOREFRONT_API_TOKEN', () => {
+        assert.equal(shopifyAuth.getAccessToken(), 'shpat_test');
+    });
+
+    it('does not fall back to PRIVATE_STOREFRONT_API_TOKEN after an uninstall, also after a restart', async () => {
+        await shopifyAuth.clearToken();
+        assert.equal(shopifyAuth.getAccessToken(), undefined);
+
+        await shopifyAuth.initShopifyAuth();
+        assert.equal(shopifyAuth.getAccessToken(), undefined);
+        assert.equal(shopifyAuth.getAuthStatus().installed, false);
+    });
+
+    it('uses PRIVATE_STOREFRONT_API_TOKEN when the app was never installed', async () => {
+        fs.rmSync(path.join(DATA_DIR, 'shopify-auth.json'), { force: true });
+        await shopifyAuth.initShopifyAuth();
+        assert.equal(shopifyAuth.getAccessToken(), 'shpat_from_env');
+        assert.equal(shopifyAuth.getAuthStatus().source, 'env');
+    });
+});
@@ -0,0 +1,45 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const shopifyClient = require('../services/shopifyClient');
+
+const SECRET = 'test-app-secret';
+
+const sign = (body, secret = SECRET) => crypto.createHmac('sha256', secret).update(body).digest('base64');
+
+describe('shopifyClient.verifyWebhookHmac', () => {
+    before(() => {
+        process.env.SHOPIFY_API_SECRET = SECRET;
+    });
+
+    const body = Buffer.from(JSON.stringify({ id: 123, title: 'Syringe 10ml' }));
+
+    it('accepts a body signed with the app secret', () => {
+        assert.equal(shopifyClient.verifyWebhookHmac(body, sign(body)), true);
+    });
+
+    it('rejects a body that was changed after signing', () => {
+        const tampered = Buffer.from(JSON.stringify({ id: 123, title: 'Syringe 20ml' }));
+        assert.equal(shopifyClient.verifyWebhookHmac(tampered, sign(body)), false);
+    });
+
+    it('rejects a signature made with another secret', () => {
+        assert.equal(shopifyClient.verifyWebhookHmac(body, sign(body, 'other-secret')), false);
+    });
+
+    it('rejects a missing body or header, and headers of the wrong length', () => {
+        assert.equal(shopifyClient.verifyWebhookHmac(undefined, sign(body)), false);
+        assert.equal(shopifyClient.verifyWebhookHmac(body, undefined), false);
+        assert.equal(shopifyClient.verifyWebhookHmac(body, sign(body).slice(0, 20)), false);
+        assert.equal(shopifyClient.verifyWebhookHmac(body, 'é'.repeat(44)), false);
+    });
+
+    it('rejects every delivery when the app secret is not configured', () => {
+        delete process.env.SHOPIFY_API_SECRET;
+        try {
+            assert.equal(shopifyClient.verifyWebhookHmac(body, sign(body)), false);
+        } finally {
+            process.env.SHOPIFY_API_SECRET = SECRET;
+        }
+    });
+});
@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const stockBuffers = require('../services/stockBuffers');
+
+const BUFFERS = {
+    global: 2,
+    categories: { Gloves: 5 },
+    skus: { 'SYR-10': 10 }
+};
+
+describe('stockBuffers.resolveBuffer', () => {
+    it('prefers a SKU buffer over a category buffer', () => {
+        const result = stockBuffers.resolveBuffer({ sku: 'SYR-10', category: 'Gloves' }, BUFFERS);
+        assert.deepEqual(result, { buffer: 10, source: 'sku' });
+    });
+
+    it('falls back to the category, then the global buffer', () => {
+        assert.deepEqual(stockBuffers.resolveBuffer({ sku: 'GLV-1', category: 'Gloves' }, BUFFERS), { buffer: 5, source: 'category' });
+        assert.deepEqual(stockBuffers.resolveBuffer({ sku: 'GLV-1', category: 'Needles' }, BUFFERS), { buffer: 2, source: 'global' });
+    });
+
+    it('matches SKUs and categories without regard to case', () => {
+        assert.equal(stockBuffers.resolveBuffer({ sku: 'syr-10' }, BUFFERS).source, 'sku');
+        assert.equal(stockBuffers.resolveBuffer({ sku: 'X', category: 'GLOVES' }, BUFFERS).source, 'category');
+    });
+});
+
+describe('stockBuffers.computeAvailable', () => {
+    it('subtracts reserved stock and the buffer from stock on hand', () => {
+        const result = stockBuffers.computeAvailable({ onHand: 20, reserved: 3, product: { sku: 'GLV-1', category: 'Gloves' }, buffers: BUFFERS });
+        assert.deepEqual(result, { onHand: 20, reserved: 3, buffer: 5, bufferSource: 'category', available: 12 });
+    });
+
+    it('never goes below zero', () => {
+        const result = stockBuffers.computeAvailable({ onHand: 4, reserved: 3, product: { sku: 'SYR-10' }, buffers: BUFFERS });
+        assert.equal(result.available, 0);
+    });
+
+    it('rounds fractional quantities down', () => {
+        const result = stockBuffers.computeAvailable({ onHand: 7.5, reserved: 0, product: { sku: 'X' }, buffers: BUFFERS });
+        assert.equal(result.available, 5);
+    });
+});
+
+describe('stockBuffers.deductFromLevels', () => {
+    it('takes the amount from the location that holds the most first', () => {
+        const levels = new Map([['loc-a', 3], ['loc-b', 8], ['loc-c', 5]]);
+        const result = stockBuffers.deductFromLevels(levels, 10);
+        assert.deepEqual([...result], [['loc-a', 3], ['loc-b', 0], ['loc-c', 3]]);
+    });
+
+    it('keeps the total equal to computeAvailable', () => {
+        const levels = new Map([['loc-a', 6], ['loc-b', 6]]);
+        const total = [...stockBuffers.deductFromLevels(levels, 7).values()].reduce((sum, quantity) => sum + quantity, 0);
+        assert.equal(total, 5);
+    });
+
+    it('stops at zero when the amount exceeds the stock', () => {
+        const result = stockBuffers.deductFromLevels(new Map([['loc-a', 2], ['loc-b', 1]]), 10);
+        assert.deepEqual([...result.values()], [0, 0]);
+    });
+
+    it('leaves the input map unchanged', () => {
+        const levels = new Map([['loc-a', 4]]);
+        stockBuffers.deductFromLevels(levels, 3);
+        assert.equal(levels.get('loc-a'), 4);
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Settings and the checkpoint live in the data directory, so point it at a scratch one before loading the services
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-checkpoint-test-'));
+process.env.DATA_DIR = DATA_DIR;
+
+const syncCheckpoint = require('../services/syncCheckpoint');
+const stockBuffers = require('../services/stockBuffers');
+const pricing = require('../services/pricing');
+const fieldMapping = require('../services/fieldMapping');
+const locationMapping = require('../services/locationMapping');
+
+const STARTED_AT = '2026-01-01T00:00:00.000Z';
+
+after(() => {
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+describe('syncCheckpoint', () => {
+    beforeEach(() => {
+        fs.rmSync(path.join(DATA_DIR, 'checkpoint.json'), { force: true });
+    });
+
+    it('moves the mark to the start of a successful sync', async () => {
+        await syncCheckpoint.recordSuccessfulSync({ startedAt: STARTED_AT, mode: 'full' });
+        const checkpoint = await syncCheckpoint.getCheckpoint();
+        assert.equal(checkpoint.lastSuccessfulSyncAt, STARTED_AT);
+        assert.equal(checkpoint.lastFullSyncAt, STARTED_AT);
+    });
+
+    it('keeps the mark cleared for a sync that started before the reset', async () => {
+        await syncCheckpoint.recordSuccessfulSync({ startedAt: STARTED_AT, mode: 'full' });
+        const runStartedAt = new Date(Date.now() - 60000).toISOString();
+        await syncCheckpoint.resetCheckpoint('Test');
+
+        await syncCheckpoint.recordSuccessfulSync({ startedAt: runStartedAt, mode: 'incremental' });
+        assert.equal((await syncCheckpoint.getCheckpoint()).lastSuccessfulSyncAt, null);
+
+        const laterRun = new Date(Date.now() + 1000).toISOString();
+        await syncCheckpoint.recordSuccessfulSync({ startedAt: laterRun, mode: 'incremental' });
+        assert.equal((await syncCheckpoint.getCheckpoint()).lastSuccessfulSyncAt, laterRun);
+    });
+});
+
+describe('saving settings clears the checkpoint', () => {
+    // Setting → save call; each changes what is pushed for every product
+    const SETTINGS = {
+        'safety stock': () => stockBuffers.saveStockBuffers({ global: 2 }),
+        pricing: () => pricing.savePricing({ global: { markupType: 'percent', markup: 10 } }),
+        'field mapping': () => fieldMapping.saveFieldMapping(fieldMapping.DEFAULT_FIELD_MAPPING),
+        'location mapping': () => locationMapping.saveLocationMapping({ mappings: [{ inflowLocationId: 'warehouse', shopifyLocationId: '1001' }] })
+    };
+
+    beforeEach(() => {
+        fs.rmSync(path.join(DATA_DIR, 'checkpoint.json'), { force: true });
+    });
+
+    for (const [setting, save] of Object.entries(SETTINGS)) {
+        it(setting, async () => {
+            await syncCheckpoint.recordSuccessfulSync({ startedAt: STARTED_AT, mode: 'full' });
+            assert.equal((await syncCheckpoint.getCheckpoint()).lastSuccessfulSyncAt, STARTED_AT);
+
+            await save();
+            const checkpoint = await syncCheckpoint.getCheckpoint();
+            assert.equal(checkpoint.lastSuccessfulSyncAt, null);
+            assert.ok(checkpoint.resetAt);
+        });
+    }
+});
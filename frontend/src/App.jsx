@@ -1,12 +1,26 @@
+import { useState, useEffect } from 'react'
 import { AppProvider } from '@shopify/polaris';
 import translations from '@shopify/polaris/locales/en.json';
 import '@shopify/polaris/build/esm/styles.css';
 import SyncDashboard from './components/SyncDashboard'
+import ApiKeyForm from './components/ApiKeyForm'
+import { isEmbedded, getApiKey, onUnauthorized } from './api'
 
 function App() {
+  // Outside Shopify admin there is no session token, so the dashboard needs the API key first
+  const [needsApiKey, setNeedsApiKey] = useState(() => !isEmbedded() && !getApiKey())
+  const [keyRejected, setKeyRejected] = useState(false)
+
+  useEffect(() => onUnauthorized(() => {
+    setKeyRejected(true)
+    setNeedsApiKey(true)
+  }), [])
+
   return (
     <AppProvider i18n={translations}>
-      <SyncDashboard />
+      {needsApiKey
+        ? <ApiKeyForm rejected={keyRejected} onSaved={() => setNeedsApiKey(false)} />
+        : <SyncDashboard />}
     </AppProvider>
   )
 }
@@ -0,0 +1,85 @@
+// API Base URL - reads from environment variable, empty string uses Vite proxy in dev
+export const API_BASE_URL = import.meta.env.VITE_API_URL || ''
+
+// Statuses of a sync job that has stopped
+export const FINISHED_JOB_STATUSES = ['succeeded', 'failed', 'cancelled']
+
+// How often waitForJob asks for the job's status
+const JOB_POLL_INTERVAL_MS = 2000
+
+// sessionStorage entry for the backend's ADMIN_API_KEY, entered by hand for stand-alone use
+// outside Shopify admin; it lasts for the browser tab and is never part of the bundle
+const API_KEY_STORAGE_KEY = 'inflowSync.apiKey'
+
+// Called when the backend rejects the stand-alone API key
+const unauthorizedListeners = new Set()
+
+// Inside Shopify admin the dashboard runs in an iframe, where App Bridge issues session tokens
+export const isEmbedded = () => window.top !== window.self && Boolean(window.shopify?.idToken)
+
+export const getApiKey = () => sessionStorage.getItem(API_KEY_STORAGE_KEY) || ''
+
+export function setApiKey(apiKey) {
+  if (apiKey) {
+    sessionStorage.setItem(API_KEY_STORAGE_KEY, apiKey)
+  } else {
+    sessionStorage.removeItem(API_KEY_STORAGE_KEY)
+  }
+}
+
+// Subscribes to rejected API keys and returns the unsubscribe function
+export function onUnauthorized(listener) {
+  unauthorizedListeners.add(listener)
+  return () => unauthorizedListeners.delete(listener)
+}
+
+// Credentials for a request: a fresh session token when embedded, otherwise the entered API key
+async function authHeaders() {
+  if (isEmbedded()) {
+    return { Authorization: `Bearer ${await window.shopify.idToken()}` }
+  }
+  const apiKey = getApiKey()
+  return apiKey ? { 'X-Api-Key': apiKey } : {}
+}
+
+// Calls a backend endpoint and returns the parsed JSON body
+export async function apiRequest(path, { method = 'GET', body } = {}) {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method,
+    headers: {
+      ...(await authHeaders()),
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  })
+  // A stand-alone key that no longer works is forgotten, so the dashboard asks for it again
+  if (response.status === 401 && !isEmbedded() && getApiKey()) {
+    setApiKey('')
+    unauthorizedListeners.forEach(listener => listener())
+  }
+  return response.json()
+}
+
+// URL of a sync job's event stream. EventSource cannot send headers, so each connection
+// uses a single-use ticket that expires after a minute instead of the session token
+export async function jobEventsUrl(jobId) {
+  const data = await apiRequest(`/api/sync/jobs/${jobId}/stream-ticket`, { method: 'POST' })
+  if (!data.success) {
+    throw new Error(data.error || 'Could not open the sync progress stream')
+  }
+  return `${API_BASE_URL}/api/sync/jobs/${jobId}/events?ticket=${encodeURIComponent(data.ticket)}`
+}
+
+// Polls a queued sync job until it has finished and returns the final job
+export async function waitForJob(jobId) {
+  for (;;) {
+    const data = await apiRequest(`/api/sync/jobs/${jobId}`)
+    if (!data.success) {
+      throw new Error(data.error || 'Sync job not found')
+    }
+    if (FINISHED_JOB_STATUSES.includes(data.job.status)) {
+      return data.job
+    }
+    await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS))
+  }
+}
@@ -0,0 +1,66 @@
+import { useState } from 'react'
+import {
+  Page,
+  Card,
+  BlockStack,
+  Text,
+  TextField,
+  Button,
+  Banner
+} from '@shopify/polaris';
+import { apiRequest, setApiKey } from '../api'
+
+// Asks for the backend's ADMIN_API_KEY when the dashboard is opened outside Shopify admin,
+// checks it and keeps it for this browser tab
+function ApiKeyForm({ rejected, onSaved }) {
+  const [apiKey, setApiKeyValue] = useState('')
+  const [checking, setChecking] = useState(false)
+  const [error, setError] = useState(null)
+
+  const saveApiKey = async () => {
+    setChecking(true)
+    setError(null)
+    setApiKey(apiKey.trim())
+    try {
+      const data = await apiRequest('/api/shopify/auth/status')
+      if (!data.success) {
+        throw new Error(data.error || 'The API key was not accepted')
+      }
+      onSaved()
+    } catch (error) {
+      setApiKey('')
+      setError(error.message)
+    } finally {
+      setChecking(false)
+    }
+  }
+
+  return (
+    <Page narrowWidth title="Inventory Sync Manager">
+      <Card>
+        <BlockStack gap="300">
+          <Text variant="headingMd" as="h2">API key</Text>
+          <Text variant="bodySm" as="p" tone="subdued">
+            Outside Shopify admin the dashboard signs in with the backend's ADMIN_API_KEY. It is kept for this browser tab only.
+          </Text>
+          {rejected && !error && <Banner tone="warning">The saved API key was not accepted. Enter it again.</Banner>}
+          {error && <Banner tone="critical">{error}</Banner>}
+          <div onKeyDown={(event) => event.key === 'Enter' && apiKey.trim() && saveApiKey()}>
+            <TextField
+              label="ADMIN_API_KEY"
+              type="password"
+              value={apiKey}
+              onChange={setApiKeyValue}
+              autoComplete="off"
+            />
+          </div>
+          <Button variant="primary" onClick={saveApiKey} loading={checking} disabled={!apiKey.trim()}>
+            Continue
+          </Button>
+        </BlockStack>
+      </Card>
+    </Page>
+  )
+}
+
+export default ApiKeyForm
@@ -0,0 +1,124 @@
+import { useState, useEffect } from 'react'
+import {
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Button,
+  Select,
+  TextField,
+  Banner
+} from '@shopify/polaris';
+import { apiRequest } from '../api'
+
+const POLICY_LABELS = {
+  none: 'Leave them alone',
+  draft: 'Set status to draft',
+  archive: 'Archive',
+  unpublish: 'Unpublish from all channels',
+  zero_stock: 'Set stock to 0'
+}
+
+// What happens to Shopify products whose inFlow products are deactivated or deleted
+function DiscontinuedProducts() {
+  const [policies, setPolicies] = useState([])
+  const [policy, setPolicy] = useState('none')
+  const [maxSharePercent, setMaxSharePercent] = useState('10')
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+  const [savedAt, setSavedAt] = useState(null)
+
+  useEffect(() => {
+    fetchSettings()
+  }, [])
+
+  const applySettings = (settings) => {
+    setPolicy(settings.policy)
+    setMaxSharePercent(String(settings.maxSharePercent))
+    setSavedAt(settings.updatedAt)
+  }
+
+  const fetchSettings = async () => {
+    setLoading(true)
+    try {
+      const data = await apiRequest('/api/retirement')
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to load discontinued product settings')
+      }
+      setPolicies(data.policies)
+      applySettings(data.retirement)
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const saveSettings = async () => {
+    setSaving(true)
+    setError(null)
+    try {
+      const data = await apiRequest('/api/retirement', {
+        method: 'PUT',
+        body: { policy, maxSharePercent }
+      })
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to save discontinued product settings')
+      }
+      applySettings(data.retirement)
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <Text variant="headingMd" as="h2">Discontinued Products</Text>
+        <Text variant="bodySm" as="p" tone="subdued">
+          Applies to Shopify products the sync created or matched whose inFlow products are no longer active.
+          Checked on full syncs without filters. If more than the threshold share of linked products would be affected, nothing is changed.
+        </Text>
+
+        {error && <Banner tone="critical" onDismiss={() => setError(null)}>{error}</Banner>}
+
+        <InlineStack gap="300" wrap={false}>
+          <div style={{ flex: 2 }}>
+            <Select
+              label="When a product is discontinued in inFlow"
+              options={policies.map(value => ({ label: POLICY_LABELS[value] || value, value }))}
+              value={policy}
+              onChange={setPolicy}
+              disabled={loading}
+            />
+          </div>
+          <div style={{ flex: 1 }}>
+            <TextField
+              label="Safety threshold (%)"
+              type="number"
+              min={1}
+              max={100}
+              value={maxSharePercent}
+              onChange={setMaxSharePercent}
+              autoComplete="off"
+            />
+          </div>
+        </InlineStack>
+
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="bodySm" as="span" tone="subdued">
+            {savedAt ? `Last saved ${new Date(savedAt).toLocaleString()}` : 'Not saved yet'}
+          </Text>
+          <Button variant="primary" onClick={saveSettings} loading={saving} disabled={loading}>
+            Save
+          </Button>
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  )
+}
+
+export default DiscontinuedProducts
@@ -0,0 +1,262 @@
+import { useState, useEffect } from 'react'
+import {
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Button,
+  Select,
+  TextField,
+  Banner
+} from '@shopify/polaris';
+import { apiRequest } from '../api'
+
+const EMPTY_RULE = { source: '', template: '', prefix: '', suffix: '', case: 'none' }
+
+const EMPTY_METAFIELD = { source: '', owner: 'product', namespace: '', key: '', type: 'single_line_text_field' }
+
+const CASE_LABELS = { none: 'Keep case', upper: 'UPPER CASE', lower: 'lower case', title: 'Title Case' }
+
+// Edits which inFlow attribute (or custom field) fills each Shopify field, with simple transforms
+function FieldMapping() {
+  const [shopifyFields, setShopifyFields] = useState([])
+  const [cases, setCases] = useState([])
+  const [weightUnits, setWeightUnits] = useState([])
+  const [metafieldOwners, setMetafieldOwners] = useState([])
+  const [metafieldTypes, setMetafieldTypes] = useState([])
+  const [suggestedSources, setSuggestedSources] = useState([])
+  const [defaults, setDefaults] = useState(null)
+  const [rules, setRules] = useState({})
+  const [weightUnit, setWeightUnit] = useState('kg')
+  const [metafieldRows, setMetafieldRows] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+  const [savedAt, setSavedAt] = useState(null)
+
+  useEffect(() => {
+    fetchMapping()
+  }, [])
+
+  const applyMapping = (mapping) => {
+    setRules(Object.fromEntries(Object.entries(mapping.fields).map(([field, rule]) => [field, { ...EMPTY_RULE, ...rule }])))
+    setWeightUnit(mapping.weightUnit)
+    setMetafieldRows(mapping.metafields.map(metafield => ({ ...EMPTY_METAFIELD, ...metafield })))
+    setSavedAt(mapping.updatedAt)
+  }
+
+  const fetchMapping = async () => {
+    setLoading(true)
+    try {
+      const data = await apiRequest('/api/field-mapping')
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to load field mapping')
+      }
+      setShopifyFields(data.shopifyFields)
+      setCases(data.cases)
+      setWeightUnits(data.weightUnits)
+      setMetafieldOwners(data.metafieldOwners)
+      setMetafieldTypes(data.metafieldTypes)
+      setSuggestedSources(data.suggestedSources)
+      setDefaults(data.defaults)
+      applyMapping(data.mapping)
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const saveMapping = async () => {
+    setSaving(true)
+    setError(null)
+    try {
+      const data = await apiRequest('/api/field-mapping', {
+        method: 'PUT',
+        body: { fields: rules, weightUnit, metafields: metafieldRows }
+      })
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to save field mapping')
+      }
+      applyMapping(data.mapping)
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const updateRule = (field, changes) => {
+    setRules({ ...rules, [field]: { ...EMPTY_RULE, ...rules[field], ...changes } })
+  }
+
+  const updateMetafield = (index, changes) => {
+    setMetafieldRows(metafieldRows.map((row, i) => (i === index ? { ...row, ...changes } : row)))
+  }
+
+  const caseOptions = cases.map(value => ({ label: CASE_LABELS[value] || value, value }))
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="headingMd" as="h2">Field Mapping</Text>
+          {defaults && (
+            <Button size="slim" onClick={() => applyMapping({ ...defaults, updatedAt: savedAt })} disabled={loading}>
+              Reset to defaults
+            </Button>
+          )}
+        </InlineStack>
+        <Text variant="bodySm" as="p" tone="subdued">
+          Source is an inFlow attribute ({suggestedSources.slice(0, 6).join(', ')}) or a custom field such as customFields.custom1.
+          A template like {'"{{name}} - {{customFields.custom2}}"'} replaces the source. Fields without a source or template are left alone in Shopify.
+        </Text>
+
+        {error && <Banner tone="critical" onDismiss={() => setError(null)}>{error}</Banner>}
+
+        {shopifyFields.map((target, index) => {
+          const rule = rules[target.field] || EMPTY_RULE
+          return (
+            <InlineStack key={target.field} gap="200" blockAlign="end" wrap={false}>
+              <div style={{ flex: 2 }}>
+                <Text as="span" variant="bodyMd" fontWeight="semibold">{target.label}</Text>
+              </div>
+              <div style={{ flex: 2 }}>
+                <TextField
+                  label="inFlow source"
+                  labelHidden={index > 0}
+                  value={rule.source}
+                  onChange={(source) => updateRule(target.field, { source })}
+                  placeholder="Not synced"
+                  autoComplete="off"
+                />
+              </div>
+              <div style={{ flex: 3 }}>
+                <TextField
+                  label="Template"
+                  labelHidden={index > 0}
+                  value={rule.template}
+                  onChange={(template) => updateRule(target.field, { template })}
+                  autoComplete="off"
+                />
+              </div>
+              <div style={{ flex: 1 }}>
+                <TextField
+                  label="Prefix"
+                  labelHidden={index > 0}
+                  value={rule.prefix}
+                  onChange={(prefix) => updateRule(target.field, { prefix })}
+                  autoComplete="off"
+                />
+              </div>
+              <div style={{ flex: 1 }}>
+                <TextField
+                  label="Suffix"
+                  labelHidden={index > 0}
+                  value={rule.suffix}
+                  onChange={(suffix) => updateRule(target.field, { suffix })}
+                  autoComplete="off"
+                />
+              </div>
+              <div style={{ flex: 2 }}>
+                <Select
+                  label="Case"
+                  labelHidden={index > 0}
+                  options={caseOptions}
+                  value={rule.case}
+                  onChange={(value) => updateRule(target.field, { case: value })}
+                />
+              </div>
+            </InlineStack>
+          )
+        })}
+
+        <div style={{ maxWidth: '200px' }}>
+          <Select
+            label="Unit of the mapped weight"
+            options={weightUnits.map(unit => ({ label: unit, value: unit }))}
+            value={weightUnit}
+            onChange={setWeightUnit}
+          />
+        </div>
+
+        <BlockStack gap="200">
+          <InlineStack align="space-between" blockAlign="center">
+            <Text variant="headingSm" as="h3">Metafields</Text>
+            <Button size="slim" onClick={() => setMetafieldRows([...metafieldRows, EMPTY_METAFIELD])} disabled={loading}>
+              Add metafield
+            </Button>
+          </InlineStack>
+          <Text variant="bodySm" as="p" tone="subdued">
+            Custom fields written to Shopify metafields. Missing metafield definitions are created on the next sync; empty values are left alone.
+          </Text>
+          {metafieldRows.map((row, index) => (
+            <InlineStack key={index} gap="200" blockAlign="end" wrap={false}>
+              <div style={{ flex: 2 }}>
+                <TextField
+                  label="inFlow source"
+                  labelHidden={index > 0}
+                  value={row.source}
+                  onChange={(source) => updateMetafield(index, { source })}
+                  placeholder="customFields.custom1"
+                  autoComplete="off"
+                />
+              </div>
+              <div style={{ flex: 1 }}>
+                <Select
+                  label="Owner"
+                  labelHidden={index > 0}
+                  options={metafieldOwners.map(owner => ({ label: owner, value: owner }))}
+                  value={row.owner}
+                  onChange={(owner) => updateMetafield(index, { owner })}
+                />
+              </div>
+              <div style={{ flex: 1 }}>
+                <TextField
+                  label="Namespace"
+                  labelHidden={index > 0}
+                  value={row.namespace}
+                  onChange={(namespace) => updateMetafield(index, { namespace })}
+                  placeholder="custom"
+                  autoComplete="off"
+                />
+              </div>
+              <div style={{ flex: 1 }}>
+                <TextField
+                  label="Key"
+                  labelHidden={index > 0}
+                  value={row.key}
+                  onChange={(key) => updateMetafield(index, { key })}
+                  autoComplete="off"
+                />
+              </div>
+              <div style={{ flex: 2 }}>
+                <Select
+                  label="Type"
+                  labelHidden={index > 0}
+                  options={metafieldTypes.map(type => ({ label: type, value: type }))}
+                  value={row.type}
+                  onChange={(type) => updateMetafield(index, { type })}
+                />
+              </div>
+              <Button variant="plain" tone="critical" onClick={() => setMetafieldRows(metafieldRows.filter((_, i) => i !== index))}>
+                Remove
+              </Button>
+            </InlineStack>
+          ))}
+        </BlockStack>
+
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="bodySm" as="span" tone="subdued">
+            {savedAt ? `Last saved ${new Date(savedAt).toLocaleString()}` : 'Using the default mapping'}
+          </Text>
+          <Button variant="primary" onClick={saveMapping} loading={saving} disabled={loading}>
+            Save field mapping
+          </Button>
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  )
+}
+
+export default FieldMapping
@@ -0,0 +1,191 @@
+import { useState, useEffect } from 'react'
+import {
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Button,
+  Select,
+  TextField,
+  Banner
+} from '@shopify/polaris';
+import { apiRequest } from '../api'
+
+const EMPTY_ROW = { inflowLocationId: '', sublocation: '', shopifyLocationId: '' }
+
+// Edits which Shopify location receives the stock of each inFlow location (or sublocation)
+function LocationMapping() {
+  const [inflowLocations, setInflowLocations] = useState([])
+  const [shopifyLocations, setShopifyLocations] = useState([])
+  const [rows, setRows] = useState([])
+  const [unmappedPolicy, setUnmappedPolicy] = useState('ignore')
+  const [defaultShopifyLocationId, setDefaultShopifyLocationId] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+  const [savedAt, setSavedAt] = useState(null)
+
+  useEffect(() => {
+    fetchLocations()
+  }, [])
+
+  const applyMapping = (mapping) => {
+    setRows(mapping.mappings.map(entry => ({ ...entry, sublocation: entry.sublocation || '' })))
+    setUnmappedPolicy(mapping.unmappedPolicy)
+    setDefaultShopifyLocationId(mapping.defaultShopifyLocationId || '')
+    setSavedAt(mapping.updatedAt)
+  }
+
+  const fetchLocations = async () => {
+    setLoading(true)
+    setError(null)
+    try {
+      const data = await apiRequest('/api/locations')
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to load locations')
+      }
+      setInflowLocations(data.inflowLocations)
+      setShopifyLocations(data.shopifyLocations)
+      applyMapping(data.mapping)
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const saveMapping = async () => {
+    setSaving(true)
+    setError(null)
+    try {
+      const data = await apiRequest('/api/locations/mapping', {
+        method: 'PUT',
+        body: {
+          mappings: rows,
+          unmappedPolicy,
+          defaultShopifyLocationId: defaultShopifyLocationId || null
+        }
+      })
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to save location mapping')
+      }
+      applyMapping(data.mapping)
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const updateRow = (index, changes) => {
+    setRows(rows.map((row, i) => (i === index ? { ...row, ...changes } : row)))
+  }
+
+  const inflowOptions = [
+    { label: 'Choose inFlow location', value: '' },
+    ...inflowLocations.map(location => ({
+      label: location.isActive ? location.name : `${location.name} (inactive)`,
+      value: location.id
+    }))
+  ]
+
+  const shopifyOptions = [
+    { label: 'Choose Shopify location', value: '' },
+    ...shopifyLocations.map(location => ({
+      label: location.active ? location.name : `${location.name} (inactive)`,
+      value: location.id
+    }))
+  ]
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="headingMd" as="h2">Stock Locations</Text>
+          <Button size="slim" onClick={fetchLocations} loading={loading}>Refresh</Button>
+        </InlineStack>
+
+        <Text variant="bodySm" as="p" tone="subdued">
+          {rows.length === 0
+            ? 'No locations mapped: the total inFlow stock goes to one Shopify location.'
+            : 'Each mapped Shopify location gets the stock of its inFlow location. A sublocation mapping wins over one for the whole location.'}
+        </Text>
+
+        {error && <Banner tone="critical" onDismiss={() => setError(null)}>{error}</Banner>}
+
+        {rows.map((row, index) => (
+          <InlineStack key={index} gap="200" blockAlign="end" wrap={false}>
+            <div style={{ flex: 2 }}>
+              <Select
+                label="inFlow location"
+                labelHidden={index > 0}
+                options={inflowOptions}
+                value={row.inflowLocationId}
+                onChange={(inflowLocationId) => updateRow(index, { inflowLocationId })}
+              />
+            </div>
+            <div style={{ flex: 1 }}>
+              <TextField
+                label="Sublocation"
+                labelHidden={index > 0}
+                value={row.sublocation}
+                onChange={(sublocation) => updateRow(index, { sublocation })}
+                placeholder="All"
+                autoComplete="off"
+              />
+            </div>
+            <div style={{ flex: 2 }}>
+              <Select
+                label="Shopify location"
+                labelHidden={index > 0}
+                options={shopifyOptions}
+                value={row.shopifyLocationId}
+                onChange={(shopifyLocationId) => updateRow(index, { shopifyLocationId })}
+              />
+            </div>
+            <Button variant="plain" tone="critical" onClick={() => setRows(rows.filter((_, i) => i !== index))}>
+              Remove
+            </Button>
+          </InlineStack>
+        ))}
+
+        <InlineStack>
+          <Button size="slim" onClick={() => setRows([...rows, EMPTY_ROW])} disabled={loading}>
+            Add mapping
+          </Button>
+        </InlineStack>
+
+        <InlineStack gap="200" blockAlign="end">
+          <Select
+            label="Stock in unmapped inFlow locations"
+            options={[
+              { label: 'Ignore it', value: 'ignore' },
+              { label: 'Add it to a default Shopify location', value: 'default' }
+            ]}
+            value={unmappedPolicy}
+            onChange={setUnmappedPolicy}
+          />
+          {unmappedPolicy === 'default' && (
+            <Select
+              label="Default Shopify location"
+              options={shopifyOptions}
+              value={defaultShopifyLocationId}
+              onChange={setDefaultShopifyLocationId}
+            />
+          )}
+        </InlineStack>
+
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="bodySm" as="span" tone="subdued">
+            {savedAt ? `Last saved ${new Date(savedAt).toLocaleString()}` : 'Not saved yet'}
+          </Text>
+          <Button variant="primary" onClick={saveMapping} loading={saving} disabled={loading}>
+            Save mapping
+          </Button>
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  )
+}
+
+export default LocationMapping
@@ -0,0 +1,40 @@
+import { useEffect, useRef } from 'react'
+import { Box } from '@shopify/polaris';
+
+// Scrollable monospace view of sync log lines that sticks to the newest line
+function LogPanel({ logs, maxHeight = '300px' }) {
+  const logPanelRef = useRef(null)
+
+  // Keep the newest log line in view
+  useEffect(() => {
+    if (logPanelRef.current) {
+      logPanelRef.current.scrollTop = logPanelRef.current.scrollHeight
+    }
+  }, [logs.length])
+
+  return (
+    <Box
+      padding="300"
+      background="bg-surface-secondary"
+      borderColor="border"
+      borderWidth="025"
+      borderRadius="200"
+    >
+      <div ref={logPanelRef} style={{
+        maxHeight,
+        overflowY: 'auto',
+        fontFamily: "'JetBrains Mono', monospace",
+        fontSize: '12px',
+        lineHeight: '18px',
+        whiteSpace: 'pre-wrap',
+        wordBreak: 'break-word'
+      }}>
+        {logs.map((line, index) => (
+          <div key={index}>{line}</div>
+        ))}
+      </div>
+    </Box>
+  )
+}
+
+export default LogPanel
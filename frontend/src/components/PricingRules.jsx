@@ -0,0 +1,261 @@
+import { useState, useEffect } from 'react'
+import {
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Button,
+  Select,
+  TextField,
+  Banner
+} from '@shopify/polaris';
+import { apiRequest } from '../api'
+
+const EMPTY_RULE = { markupType: 'none', markup: '0', basis: 'price', rounding: 'none', minMargin: '' }
+
+const MARKUP_LABELS = { none: 'No markup', percent: 'Markup %', fixed: 'Fixed markup' }
+
+const BASIS_LABELS = { price: 'on scheme price', cost: 'on cost' }
+
+const ROUNDING_LABELS = { none: 'No rounding', '.99': 'Round up to .99', '.95': 'Round up to .95' }
+
+// Rules come back with numbers and null; the form keeps strings
+const toFormRule = (rule) => ({
+  ...EMPTY_RULE,
+  ...rule,
+  markup: String(rule.markup ?? 0),
+  minMargin: rule.minMargin === null || rule.minMargin === undefined ? '' : String(rule.minMargin)
+})
+
+const toApiRule = (rule) => ({ ...rule, minMargin: rule.minMargin === '' ? null : rule.minMargin })
+
+// { name: rule } ⇄ [{ name, rule }] for editing as rows
+const toRows = (entries) => Object.entries(entries).map(([name, rule]) => ({ name, rule: toFormRule(rule) }))
+const toEntries = (rows) => Object.fromEntries(rows.filter(row => row.name.trim()).map(row => [row.name.trim(), toApiRule(row.rule)]))
+
+// Markup, rounding and minimum margin inputs of one rule
+function RuleFields({ rule, onChange, options, labelHidden }) {
+  const update = (changes) => onChange({ ...rule, ...changes })
+
+  return (
+    <>
+      <div style={{ flex: 2 }}>
+        <Select
+          label="Markup"
+          labelHidden={labelHidden}
+          options={options.markupTypes.map(value => ({ label: MARKUP_LABELS[value] || value, value }))}
+          value={rule.markupType}
+          onChange={(markupType) => update({ markupType })}
+        />
+      </div>
+      <div style={{ flex: 1 }}>
+        <TextField
+          label="Amount"
+          labelHidden={labelHidden}
+          type="number"
+          value={rule.markup}
+          onChange={(markup) => update({ markup })}
+          disabled={rule.markupType === 'none'}
+          autoComplete="off"
+        />
+      </div>
+      <div style={{ flex: 2 }}>
+        <Select
+          label="Basis"
+          labelHidden={labelHidden}
+          options={options.markupBases.map(value => ({ label: BASIS_LABELS[value] || value, value }))}
+          value={rule.basis}
+          onChange={(basis) => update({ basis })}
+          disabled={rule.markupType === 'none'}
+        />
+      </div>
+      <div style={{ flex: 2 }}>
+        <Select
+          label="Rounding"
+          labelHidden={labelHidden}
+          options={options.roundings.map(value => ({ label: ROUNDING_LABELS[value] || value, value }))}
+          value={rule.rounding}
+          onChange={(rounding) => update({ rounding })}
+        />
+      </div>
+      <div style={{ flex: 1 }}>
+        <TextField
+          label="Min. margin %"
+          labelHidden={labelHidden}
+          type="number"
+          min={0}
+          value={rule.minMargin}
+          onChange={(minMargin) => update({ minMargin })}
+          placeholder="None"
+          autoComplete="off"
+        />
+      </div>
+    </>
+  )
+}
+
+// Editable list of name → rule overrides (per category or per SKU)
+function RuleRows({ title, nameLabel, rows, onChange, options }) {
+  const updateRow = (index, changes) => onChange(rows.map((row, i) => (i === index ? { ...row, ...changes } : row)))
+
+  return (
+    <BlockStack gap="200">
+      <InlineStack align="space-between" blockAlign="center">
+        <Text variant="headingSm" as="h3">{title}</Text>
+        <Button size="slim" onClick={() => onChange([...rows, { name: '', rule: EMPTY_RULE }])}>Add</Button>
+      </InlineStack>
+      {rows.map((row, index) => (
+        <InlineStack key={index} gap="200" blockAlign="end" wrap={false}>
+          <div style={{ flex: 2 }}>
+            <TextField
+              label={nameLabel}
+              labelHidden
+              value={row.name}
+              onChange={(name) => updateRow(index, { name })}
+              placeholder={nameLabel}
+              autoComplete="off"
+            />
+          </div>
+          <RuleFields rule={row.rule} onChange={(rule) => updateRow(index, { rule })} options={options} labelHidden />
+          <Button variant="plain" tone="critical" onClick={() => onChange(rows.filter((_, i) => i !== index))}>
+            Remove
+          </Button>
+        </InlineStack>
+      ))}
+    </BlockStack>
+  )
+}
+
+// Which inFlow pricing schemes feed Shopify prices, and the markup rules applied on top
+function PricingRules() {
+  const [schemes, setSchemes] = useState([])
+  const [options, setOptions] = useState({ markupTypes: [], markupBases: [], roundings: [] })
+  const [priceSchemeId, setPriceSchemeId] = useState('')
+  const [compareAtSchemeId, setCompareAtSchemeId] = useState('')
+  const [globalRule, setGlobalRule] = useState(EMPTY_RULE)
+  const [categoryRows, setCategoryRows] = useState([])
+  const [skuRows, setSkuRows] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+  const [savedAt, setSavedAt] = useState(null)
+
+  useEffect(() => {
+    fetchPricing()
+  }, [])
+
+  const applyPricing = (pricing) => {
+    setPriceSchemeId(pricing.priceSchemeId || '')
+    setCompareAtSchemeId(pricing.compareAtSchemeId || '')
+    setGlobalRule(toFormRule(pricing.global))
+    setCategoryRows(toRows(pricing.categories))
+    setSkuRows(toRows(pricing.skus))
+    setSavedAt(pricing.updatedAt)
+  }
+
+  const fetchPricing = async () => {
+    setLoading(true)
+    try {
+      const data = await apiRequest('/api/pricing')
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to load pricing')
+      }
+      setSchemes(data.schemes)
+      setOptions({ markupTypes: data.markupTypes, markupBases: data.markupBases, roundings: data.roundings })
+      applyPricing(data.pricing)
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const savePricing = async () => {
+    setSaving(true)
+    setError(null)
+    try {
+      const data = await apiRequest('/api/pricing', {
+        method: 'PUT',
+        body: {
+          priceSchemeId: priceSchemeId || null,
+          compareAtSchemeId: compareAtSchemeId || null,
+          global: toApiRule(globalRule),
+          categories: toEntries(categoryRows),
+          skus: toEntries(skuRows)
+        }
+      })
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to save pricing')
+      }
+      applyPricing(data.pricing)
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const schemeOptions = (emptyLabel) => [
+    { label: emptyLabel, value: '' },
+    ...schemes.map(scheme => ({
+      label: `${scheme.name}${scheme.isDefault ? ' (default)' : ''}${scheme.isActive ? '' : ' (inactive)'}`,
+      value: scheme.id
+    }))
+  ]
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <Text variant="headingMd" as="h2">Pricing</Text>
+        <Text variant="bodySm" as="p" tone="subdued">
+          The markup is added to the scheme price (or cost), then rounded up, then raised if it would fall below the minimum margin over cost.
+          A SKU rule wins over a category rule, which wins over the default. The compare-at price is only set when it is above the price.
+        </Text>
+
+        {error && <Banner tone="critical" onDismiss={() => setError(null)}>{error}</Banner>}
+
+        <InlineStack gap="300" wrap={false}>
+          <div style={{ flex: 1 }}>
+            <Select
+              label="Price from"
+              options={schemeOptions('Default price')}
+              value={priceSchemeId}
+              onChange={setPriceSchemeId}
+              disabled={loading}
+            />
+          </div>
+          <div style={{ flex: 1 }}>
+            <Select
+              label="Compare-at price from"
+              options={schemeOptions('Not synced')}
+              value={compareAtSchemeId}
+              onChange={setCompareAtSchemeId}
+              disabled={loading}
+            />
+          </div>
+        </InlineStack>
+
+        <BlockStack gap="200">
+          <Text variant="headingSm" as="h3">Default rule</Text>
+          <InlineStack gap="200" blockAlign="end" wrap={false}>
+            <RuleFields rule={globalRule} onChange={setGlobalRule} options={options} />
+          </InlineStack>
+        </BlockStack>
+
+        <RuleRows title="Per category" nameLabel="Category" rows={categoryRows} onChange={setCategoryRows} options={options} />
+        <RuleRows title="Per SKU" nameLabel="SKU" rows={skuRows} onChange={setSkuRows} options={options} />
+
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="bodySm" as="span" tone="subdued">
+            {savedAt ? `Last saved ${new Date(savedAt).toLocaleString()}` : 'Not saved yet'}
+          </Text>
+          <Button variant="primary" onClick={savePricing} loading={saving} disabled={loading}>
+            Save pricing
+          </Button>
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  )
+}
+
+export default PricingRules
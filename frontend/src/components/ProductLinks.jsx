@@ -0,0 +1,207 @@
+import { useState, useEffect } from 'react'
+import {
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Badge,
+  Button,
+  DataTable,
+  Modal,
+  FormLayout,
+  TextField,
+  Checkbox,
+  Banner
+} from '@shopify/polaris';
+import { apiRequest } from '../api'
+
+const EMPTY_FORM = { inflowId: '', sku: '', shopifyVariantId: '' }
+
+const SOURCE_LABELS = {
+  created: 'Created',
+  matched: 'Matched by SKU',
+  manual: 'Linked by hand'
+}
+
+const formatDate = (value) => value ? new Date(value).toLocaleString() : '-'
+
+// Which Shopify variant each inFlow product syncs to; conflicts are fixed by linking by hand
+function ProductLinks() {
+  const [links, setLinks] = useState([])
+  const [conflictCount, setConflictCount] = useState(0)
+  const [search, setSearch] = useState('')
+  const [conflictsOnly, setConflictsOnly] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [editing, setEditing] = useState(null) // null = closed, {} = new, link = fix
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [formError, setFormError] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    fetchLinks()
+  }, [conflictsOnly])
+
+  const fetchLinks = async () => {
+    setLoading(true)
+    try {
+      const params = new URLSearchParams({ search: search.trim(), conflicts: String(conflictsOnly) })
+      const data = await apiRequest(`/api/product-links?${params}`)
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to load product links')
+      }
+      setLinks(data.links)
+      setConflictCount(data.conflictCount)
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const openEditor = (link = {}) => {
+    setEditing(link)
+    setFormError(null)
+    setForm(link.inflowId ? {
+      inflowId: link.inflowId,
+      sku: link.sku || '',
+      shopifyVariantId: link.shopifyVariantId || ''
+    } : EMPTY_FORM)
+  }
+
+  const saveLink = async () => {
+    setSaving(true)
+    setFormError(null)
+    try {
+      const data = await apiRequest(`/api/product-links/${encodeURIComponent(form.inflowId.trim())}`, {
+        method: 'PUT',
+        body: { shopifyVariantId: form.shopifyVariantId.trim(), sku: form.sku.trim() || null }
+      })
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to save link')
+      }
+      setEditing(null)
+      fetchLinks()
+    } catch (error) {
+      setFormError(error.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const unlink = async (link) => {
+    if (!confirm(`Unlink ${link.sku || link.inflowId}? The next sync looks it up by SKU again.`)) return
+
+    try {
+      const data = await apiRequest(`/api/product-links/${encodeURIComponent(link.inflowId)}`, { method: 'DELETE' })
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to unlink')
+      }
+      fetchLinks()
+    } catch (error) {
+      setError(error.message)
+    }
+  }
+
+  const rows = links.map(link => [
+    link.sku || '-',
+    <code>{link.inflowId}</code>,
+    link.shopifyVariantId ? `${link.shopifyProductId} / ${link.shopifyVariantId}` : '-',
+    link.conflict
+      ? <Badge tone="critical">{link.conflict.message}</Badge>
+      : link.retiredAt
+        ? <Badge tone="warning">{`Retired (${link.retiredAction})`}</Badge>
+        : <Badge>{SOURCE_LABELS[link.source] || link.source}</Badge>,
+    formatDate(link.lastSyncedAt),
+    <InlineStack gap="100" wrap={false}>
+      <Button size="slim" onClick={() => openEditor(link)}>{link.shopifyVariantId ? 'Fix' : 'Link'}</Button>
+      <Button size="slim" tone="critical" variant="plain" onClick={() => unlink(link)}>Unlink</Button>
+    </InlineStack>
+  ])
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="headingMd" as="h2">Product Links</Text>
+          <Button size="slim" onClick={() => openEditor()}>Link product</Button>
+        </InlineStack>
+        <Text variant="bodySm" as="p" tone="subdued">
+          Syncs update the linked Shopify variant directly. Products without a link are matched by exact SKU;
+          a SKU found on several Shopify variants is a conflict and is skipped until it is linked by hand.
+        </Text>
+
+        {error && <Banner tone="critical" onDismiss={() => setError(null)}>{error}</Banner>}
+        {conflictCount > 0 && !conflictsOnly && (
+          <Banner tone="warning">{`${conflictCount} product${conflictCount === 1 ? ' has' : 's have'} a link conflict`}</Banner>
+        )}
+
+        <InlineStack gap="300" blockAlign="center" wrap={false}>
+          <div style={{ flex: 1 }}>
+            <TextField
+              label="Search links"
+              labelHidden
+              value={search}
+              onChange={setSearch}
+              placeholder="SKU, inFlow or Shopify ID"
+              autoComplete="off"
+              connectedRight={<Button onClick={fetchLinks} loading={loading}>Search</Button>}
+            />
+          </div>
+          <Checkbox label="Conflicts only" checked={conflictsOnly} onChange={setConflictsOnly} />
+        </InlineStack>
+
+        {links.length === 0 ? (
+          <Text variant="bodySm" as="p" tone="subdued">
+            {loading ? 'Loading...' : 'No links yet. They are stored as the sync creates or matches products.'}
+          </Text>
+        ) : (
+          <DataTable
+            columnContentTypes={['text', 'text', 'text', 'text', 'text', 'text']}
+            headings={['SKU', 'inFlow ID', 'Shopify product / variant', 'Status', 'Last synced', '']}
+            rows={rows}
+          />
+        )}
+      </BlockStack>
+
+      <Modal
+        open={Boolean(editing)}
+        onClose={() => setEditing(null)}
+        title={editing?.inflowId ? `Link ${editing.sku || editing.inflowId}` : 'Link product'}
+        primaryAction={{ content: 'Save', onAction: saveLink, loading: saving }}
+        secondaryActions={[{ content: 'Cancel', onAction: () => setEditing(null) }]}
+      >
+        <Modal.Section>
+          <FormLayout>
+            <TextField
+              label="inFlow product ID"
+              value={form.inflowId}
+              onChange={(inflowId) => setForm({ ...form, inflowId })}
+              disabled={Boolean(editing?.inflowId)}
+              autoComplete="off"
+            />
+            <TextField
+              label="SKU"
+              value={form.sku}
+              onChange={(sku) => setForm({ ...form, sku })}
+              helpText="Optional; shown until the next sync fills it in"
+              autoComplete="off"
+            />
+            <TextField
+              label="Shopify variant ID"
+              value={form.shopifyVariantId}
+              onChange={(shopifyVariantId) => setForm({ ...form, shopifyVariantId })}
+              helpText={editing?.conflict?.variantIds?.length
+                ? `Variants with this SKU: ${editing.conflict.variantIds.join(', ')}`
+                : 'Numeric ID or gid://shopify/ProductVariant/…'}
+              autoComplete="off"
+            />
+            {formError && <Text as="p" tone="critical">{formError}</Text>}
+          </FormLayout>
+        </Modal.Section>
+      </Modal>
+    </Card>
+  )
+}
+
+export default ProductLinks
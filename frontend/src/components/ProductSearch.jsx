@@ -0,0 +1,165 @@
+import { useState } from 'react'
+import {
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  TextField,
+  Button,
+  Badge,
+  Thumbnail,
+  Box
+} from '@shopify/polaris';
+import { ImageIcon } from '@shopify/polaris-icons';
+import { apiRequest, waitForJob } from '../api'
+import { formatStockBreakdown } from './SyncPlan'
+
+const RESULT_TONES = {
+  created: 'success',
+  updated: 'info',
+  skipped: undefined,
+  failed: 'critical'
+}
+
+const RESULT_LABELS = {
+  created: 'Created',
+  updated: 'Updated',
+  skipped: 'Already up to date',
+  failed: 'Failed'
+}
+
+// Finds an inFlow product by name or SKU and pushes just that item to Shopify
+function ProductSearch({ channels }) {
+  const [search, setSearch] = useState('')
+  const [products, setProducts] = useState(null)
+  const [searching, setSearching] = useState(false)
+  const [searchError, setSearchError] = useState(null)
+  const [syncingSku, setSyncingSku] = useState(null)
+  const [syncResults, setSyncResults] = useState({})
+
+  const handleSearch = async () => {
+    if (!search.trim()) return
+
+    setSearching(true)
+    setSearchError(null)
+    try {
+      const data = await apiRequest(`/api/inflow/products?search=${encodeURIComponent(search.trim())}`)
+      if (!data.success) {
+        throw new Error(data.error || 'Search failed')
+      }
+      setProducts(data.products)
+    } catch (error) {
+      setSearchError(error.message)
+      setProducts(null)
+    } finally {
+      setSearching(false)
+    }
+  }
+
+  const handleSyncProduct = async (sku) => {
+    setSyncingSku(sku)
+    const allChannelIds = channels.map(c => c.id)
+
+    try {
+      const data = await apiRequest(`/api/sync/sku/${encodeURIComponent(sku)}`, {
+        method: 'POST',
+        body: { channelIds: allChannelIds.length > 0 ? allChannelIds : null }
+      })
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to start sync')
+      }
+
+      // The sync is queued ahead of other jobs, but waits for a running sync to finish
+      const job = await waitForJob(data.jobId)
+      const result = job.results.find(entry => entry.sku?.toLowerCase() === sku.toLowerCase())
+        || { status: 'failed', error: job.error || 'Sync failed' }
+      setSyncResults(previous => ({ ...previous, [sku]: result }))
+    } catch (error) {
+      setSyncResults(previous => ({ ...previous, [sku]: { status: 'failed', error: error.message } }))
+    } finally {
+      setSyncingSku(null)
+    }
+  }
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <Text variant="headingMd" as="h2">Sync a Single Product</Text>
+
+        <div onKeyDown={(event) => event.key === 'Enter' && handleSearch()}>
+          <InlineStack gap="200" wrap={false} blockAlign="end">
+            <div style={{ flexGrow: 1 }}>
+              <TextField
+                label="Search inFlow"
+                labelHidden
+                value={search}
+                onChange={setSearch}
+                placeholder="Product name or SKU"
+                autoComplete="off"
+                clearButton
+                onClearButtonClick={() => setSearch('')}
+              />
+            </div>
+            <Button onClick={handleSearch} loading={searching} disabled={!search.trim()}>
+              Search
+            </Button>
+          </InlineStack>
+        </div>
+
+        {searchError && <Text as="p" tone="critical">{searchError}</Text>}
+
+        {products && products.length === 0 && (
+          <Text variant="bodySm" as="p" tone="subdued">No active inFlow products match "{search}".</Text>
+        )}
+
+        {products?.map(product => {
+          const result = syncResults[product.sku]
+          return (
+            <Box
+              key={product.sku}
+              padding="200"
+              borderColor="border"
+              borderWidth="025"
+              borderRadius="200"
+            >
+              <InlineStack align="space-between" blockAlign="center" wrap={false} gap="200">
+                <InlineStack gap="300" blockAlign="center" wrap={false}>
+                  <Thumbnail source={product.imageUrl || ImageIcon} alt={product.name} size="small" />
+                  <BlockStack gap="050">
+                    <Text variant="bodyMd" as="span" fontWeight="semibold">{product.name}</Text>
+                    <Text variant="bodySm" as="span" tone="subdued">
+                      {product.sku}{product.category ? ` · ${product.category}` : ''} · ${product.price} · Stock {product.stock}
+                    </Text>
+                    {result && (
+                      <InlineStack gap="100" blockAlign="center">
+                        <Badge tone={RESULT_TONES[result.status]}>{RESULT_LABELS[result.status] || result.status}</Badge>
+                        <Text variant="bodySm" as="span" tone={result.status === 'failed' ? 'critical' : 'subdued'}>
+                          {result.error || (result.changes || []).map(change => `${change.field}: ${change.before ?? '—'} → ${change.after}`).join(', ')}
+                        </Text>
+                      </InlineStack>
+                    )}
+                    {result?.stockBreakdown && (
+                      <Text variant="bodySm" as="span" tone="subdued">
+                        {formatStockBreakdown(result.stockBreakdown)}
+                      </Text>
+                    )}
+                  </BlockStack>
+                </InlineStack>
+                <Button
+                  size="slim"
+                  onClick={() => handleSyncProduct(product.sku)}
+                  loading={syncingSku === product.sku}
+                  disabled={Boolean(syncingSku) && syncingSku !== product.sku}
+                >
+                  Sync
+                </Button>
+              </InlineStack>
+            </Box>
+          )
+        })}
+      </BlockStack>
+    </Card>
+  )
+}
+
+export default ProductSearch
@@ -0,0 +1,213 @@
+import { useState, useEffect } from 'react'
+import {
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Badge,
+  Button,
+  DataTable,
+  Modal,
+  FormLayout,
+  TextField,
+  Checkbox
+} from '@shopify/polaris';
+import { apiRequest } from '../api'
+
+const EMPTY_FORM = { name: '', cron: '', timezone: '', publishToChannels: true, fullResync: false, stockOnly: false }
+
+const formatDate = (value) => value ? new Date(value).toLocaleString() : '-'
+
+// Lists automatic sync schedules and lets operators add, edit, pause and delete them
+function SchedulePanel({ channels }) {
+  const [schedules, setSchedules] = useState([])
+  const [schedulesLoading, setSchedulesLoading] = useState(true)
+  const [editing, setEditing] = useState(null) // null = closed, {} = new, schedule = edit
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [formError, setFormError] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    fetchSchedules()
+  }, [])
+
+  const fetchSchedules = async () => {
+    setSchedulesLoading(true)
+    try {
+      const data = await apiRequest('/api/schedules')
+      if (data.success) {
+        setSchedules(data.schedules)
+      }
+    } catch (error) {
+      console.error('Failed to fetch schedules:', error)
+    } finally {
+      setSchedulesLoading(false)
+    }
+  }
+
+  const openEditor = (schedule = {}) => {
+    setEditing(schedule)
+    setFormError(null)
+    setForm(schedule.id ? {
+      name: schedule.name,
+      cron: schedule.cron,
+      timezone: schedule.timezone || '',
+      publishToChannels: Boolean(schedule.channelIds?.length),
+      fullResync: Boolean(schedule.fullResync),
+      stockOnly: Boolean(schedule.stockOnly)
+    } : EMPTY_FORM)
+  }
+
+  const saveSchedule = async () => {
+    setSaving(true)
+    setFormError(null)
+
+    const allChannelIds = channels.map(c => c.id)
+    const body = {
+      name: form.name,
+      cron: form.cron,
+      timezone: form.timezone || null,
+      channelIds: form.publishToChannels && allChannelIds.length > 0 ? allChannelIds : null,
+      fullResync: form.fullResync,
+      stockOnly: form.stockOnly
+    }
+
+    try {
+      const data = editing.id
+        ? await apiRequest(`/api/schedules/${editing.id}`, { method: 'PUT', body })
+        : await apiRequest('/api/schedules', { method: 'POST', body })
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to save schedule')
+      }
+      setEditing(null)
+      fetchSchedules()
+    } catch (error) {
+      setFormError(error.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const toggleSchedule = async (schedule) => {
+    try {
+      const data = await apiRequest(`/api/schedules/${schedule.id}`, {
+        method: 'PUT',
+        body: { enabled: !schedule.enabled }
+      })
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to update schedule')
+      }
+      fetchSchedules()
+    } catch (error) {
+      alert(`Could not update schedule: ${error.message}`)
+    }
+  }
+
+  const deleteSchedule = async (schedule) => {
+    if (!confirm(`Delete schedule "${schedule.name}"?`)) return
+
+    try {
+      const data = await apiRequest(`/api/schedules/${schedule.id}`, { method: 'DELETE' })
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to delete schedule')
+      }
+      fetchSchedules()
+    } catch (error) {
+      alert(`Could not delete schedule: ${error.message}`)
+    }
+  }
+
+  const rows = schedules.map(schedule => [
+    [schedule.name, schedule.stockOnly ? '(stock only)' : null, schedule.fullResync ? '(full)' : null].filter(Boolean).join(' '),
+    <code>{schedule.cron}</code>,
+    <Badge tone={schedule.enabled ? 'success' : undefined}>{schedule.enabled ? 'active' : 'paused'}</Badge>,
+    formatDate(schedule.nextRunAt),
+    formatDate(schedule.lastRunAt),
+    <InlineStack gap="100" wrap={false}>
+      <Button size="slim" onClick={() => toggleSchedule(schedule)}>
+        {schedule.enabled ? 'Pause' : 'Resume'}
+      </Button>
+      <Button size="slim" onClick={() => openEditor(schedule)}>Edit</Button>
+      <Button size="slim" tone="critical" variant="plain" onClick={() => deleteSchedule(schedule)}>Delete</Button>
+    </InlineStack>
+  ])
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="headingMd" as="h2">Sync Schedules</Text>
+          <Button size="slim" onClick={() => openEditor()}>Add schedule</Button>
+        </InlineStack>
+
+        {schedules.length === 0 ? (
+          <Text variant="bodySm" as="p" tone="subdued">
+            {schedulesLoading ? 'Loading...' : 'No schedules yet. Syncs only run when started by hand.'}
+          </Text>
+        ) : (
+          <DataTable
+            columnContentTypes={['text', 'text', 'text', 'text', 'text', 'text']}
+            headings={['Name', 'Cron', 'Status', 'Next run', 'Last run', '']}
+            rows={rows}
+          />
+        )}
+      </BlockStack>
+
+      <Modal
+        open={Boolean(editing)}
+        onClose={() => setEditing(null)}
+        title={editing?.id ? 'Edit schedule' : 'Add schedule'}
+        primaryAction={{ content: 'Save', onAction: saveSchedule, loading: saving }}
+        secondaryActions={[{ content: 'Cancel', onAction: () => setEditing(null) }]}
+      >
+        <Modal.Section>
+          <FormLayout>
+            <TextField
+              label="Name"
+              value={form.name}
+              onChange={(name) => setForm({ ...form, name })}
+              placeholder="Stock every 15 minutes"
+              autoComplete="off"
+            />
+            <TextField
+              label="Cron expression"
+              value={form.cron}
+              onChange={(cron) => setForm({ ...form, cron })}
+              placeholder="*/15 * * * *"
+              helpText="minute hour day-of-month month day-of-week, e.g. */15 * * * * (every 15 minutes) or 0 2 * * * (nightly at 2:00)"
+              autoComplete="off"
+            />
+            <TextField
+              label="Time zone"
+              value={form.timezone}
+              onChange={(timezone) => setForm({ ...form, timezone })}
+              placeholder="Server time zone"
+              helpText="Optional IANA time zone, e.g. America/New_York"
+              autoComplete="off"
+            />
+            <Checkbox
+              label="Publish products to all sales channels"
+              checked={form.publishToChannels}
+              onChange={(publishToChannels) => setForm({ ...form, publishToChannels })}
+            />
+            <Checkbox
+              label="Full resync"
+              helpText="Fetch the whole inFlow catalog instead of only products changed since the last successful sync"
+              checked={form.fullResync}
+              onChange={(fullResync) => setForm({ ...form, fullResync })}
+            />
+            <Checkbox
+              label="Stock only"
+              helpText="Only set the stock of products already in Shopify; products, prices, images and channels wait for a sync without this option"
+              checked={form.stockOnly}
+              onChange={(stockOnly) => setForm({ ...form, stockOnly })}
+            />
+            {formError && <Text as="p" tone="critical">{formError}</Text>}
+          </FormLayout>
+        </Modal.Section>
+      </Modal>
+    </Card>
+  )
+}
+
+export default SchedulePanel
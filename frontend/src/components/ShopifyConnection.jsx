@@ -0,0 +1,50 @@
+import { useState, useEffect } from 'react'
+import { Banner } from '@shopify/polaris';
+import { API_BASE_URL, apiRequest } from '../api'
+
+// Asks to install the app on the shop, or to re-authorize it when it needs scopes that were not granted
+function ShopifyConnection() {
+  const [auth, setAuth] = useState(null)
+
+  useEffect(() => {
+    fetchStatus()
+  }, [])
+
+  const fetchStatus = async () => {
+    try {
+      const data = await apiRequest('/api/shopify/auth/status')
+      if (data.success) {
+        setAuth(data.auth)
+      }
+    } catch (error) {
+      console.error('Failed to fetch the Shopify connection:', error)
+    }
+  }
+
+  // Shopify's authorize page cannot be shown inside the admin iframe, so it opens in the top window
+  const authorize = () => {
+    window.open(`${API_BASE_URL}/api/shopify/auth`, '_top')
+  }
+
+  if (!auth || (auth.installed && !auth.needsReauth)) return null
+
+  return auth.installed ? (
+    <Banner
+      tone="warning"
+      title="Shopify access needs to be re-authorized"
+      action={{ content: 'Re-authorize', onAction: authorize }}
+    >
+      {`The app now also needs: ${auth.missingScopes.join(', ')}. Until it is re-authorized, features that use them fail.`}
+    </Banner>
+  ) : (
+    <Banner
+      tone="critical"
+      title="Not connected to Shopify"
+      action={{ content: 'Install on Shopify', onAction: authorize }}
+    >
+      Install the app on the shop so the sync can reach the Shopify Admin API.
+    </Banner>
+  )
+}
+
+export default ShopifyConnection
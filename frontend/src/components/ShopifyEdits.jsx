@@ -0,0 +1,209 @@
+import { useState, useEffect } from 'react'
+import {
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Badge,
+  Button,
+  Select,
+  DataTable,
+  Banner,
+  Divider
+} from '@shopify/polaris';
+import { apiRequest, waitForJob } from '../api'
+
+const POLICY_LABELS = {
+  inflow: 'inFlow wins (overwrite the edit)',
+  shopify: 'Shopify wins (keep the edit)',
+  flag: 'Flag for review'
+}
+
+const formatDate = (value) => value ? new Date(value).toLocaleString() : '-'
+
+const formatValue = (value) => value === null || value === undefined || value === '' ? '—' : String(value)
+
+// Fields edited directly in Shopify: what the sync does with them, and the queue of flagged edits
+function ShopifyEdits() {
+  const [fields, setFields] = useState([])
+  const [policies, setPolicies] = useState([])
+  const [defaultPolicy, setDefaultPolicy] = useState('inflow')
+  const [fieldPolicies, setFieldPolicies] = useState({})
+  const [conflicts, setConflicts] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [busyId, setBusyId] = useState(null)
+  const [error, setError] = useState(null)
+  const [savedAt, setSavedAt] = useState(null)
+
+  useEffect(() => {
+    fetchSettings()
+    fetchConflicts()
+  }, [])
+
+  const applySettings = (settings) => {
+    setDefaultPolicy(settings.defaultPolicy)
+    setFieldPolicies(settings.fields)
+    setSavedAt(settings.updatedAt)
+  }
+
+  const fetchSettings = async () => {
+    setLoading(true)
+    try {
+      const data = await apiRequest('/api/drift')
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to load drift policies')
+      }
+      setFields(data.fields)
+      setPolicies(data.policies)
+      applySettings(data.settings)
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchConflicts = async () => {
+    try {
+      const data = await apiRequest('/api/drift/conflicts')
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to load flagged edits')
+      }
+      setConflicts(data.conflicts)
+    } catch (error) {
+      setError(error.message)
+    }
+  }
+
+  const saveSettings = async () => {
+    setSaving(true)
+    setError(null)
+    try {
+      const data = await apiRequest('/api/drift', {
+        method: 'PUT',
+        // Fields left on 'Default' follow the default policy
+        body: { defaultPolicy, fields: Object.fromEntries(Object.entries(fieldPolicies).filter(([, policy]) => policy)) }
+      })
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to save drift policies')
+      }
+      applySettings(data.settings)
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const resolveConflict = async (conflict, side) => {
+    setBusyId(conflict.id)
+    setError(null)
+    try {
+      const data = await apiRequest(`/api/drift/conflicts/${encodeURIComponent(conflict.id)}/resolve`, {
+        method: 'POST',
+        body: { side }
+      })
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to resolve the edit')
+      }
+      if (data.jobId) {
+        const job = await waitForJob(data.jobId)
+        if (job.status === 'failed') {
+          setError(`${conflict.sku}: inFlow's value was accepted, but the sync failed: ${job.error}`)
+        }
+      }
+      fetchConflicts()
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const policyOptions = policies.map(policy => ({ label: POLICY_LABELS[policy] || policy, value: policy }))
+
+  const setFieldPolicy = (field, policy) => {
+    setFieldPolicies(current => ({ ...current, [field]: policy }))
+  }
+
+  const rows = conflicts.map(conflict => [
+    conflict.sku,
+    <code>{conflict.field}</code>,
+    formatValue(conflict.pushed),
+    <Text as="span" fontWeight="semibold">{formatValue(conflict.shopify)}</Text>,
+    formatValue(conflict.inflow),
+    <BlockStack gap="100">
+      <Text variant="bodySm" as="span">{formatDate(conflict.detectedAt)}</Text>
+      <Badge>{conflict.source === 'webhook' ? 'Webhook' : 'Sync'}</Badge>
+    </BlockStack>,
+    <InlineStack gap="100" wrap={false}>
+      <Button size="slim" onClick={() => resolveConflict(conflict, 'inflow')} loading={busyId === conflict.id}>Accept inFlow</Button>
+      <Button size="slim" onClick={() => resolveConflict(conflict, 'shopify')} disabled={busyId === conflict.id}>Accept Shopify</Button>
+    </InlineStack>
+  ])
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="headingMd" as="h2">Shopify Edits</Text>
+          <Button size="slim" onClick={fetchConflicts}>Refresh</Button>
+        </InlineStack>
+        <Text variant="bodySm" as="p" tone="subdued">
+          The sync remembers the values it last pushed to Shopify. When a field no longer has that value, someone edited it
+          in Shopify, and the field's policy decides what happens: inFlow's value is written again, Shopify's edit is kept
+          until the field changes in inFlow, or the edit waits below until someone picks a side.
+        </Text>
+
+        {error && <Banner tone="critical" onDismiss={() => setError(null)}>{error}</Banner>}
+
+        <Select
+          label="Default policy"
+          options={policyOptions}
+          value={defaultPolicy}
+          onChange={setDefaultPolicy}
+          disabled={loading}
+        />
+
+        <InlineStack gap="300">
+          {fields.map(field => (
+            <div key={field} style={{ minWidth: 220 }}>
+              <Select
+                label={field}
+                options={[{ label: 'Default', value: '' }, ...policyOptions]}
+                value={fieldPolicies[field] || ''}
+                onChange={(policy) => setFieldPolicy(field, policy)}
+                disabled={loading}
+              />
+            </div>
+          ))}
+        </InlineStack>
+
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="bodySm" as="span" tone="subdued">
+            {savedAt ? `Last saved ${new Date(savedAt).toLocaleString()}` : 'Not saved yet'}
+          </Text>
+          <Button variant="primary" onClick={saveSettings} loading={saving} disabled={loading}>
+            Save
+          </Button>
+        </InlineStack>
+
+        <Divider />
+
+        <Text variant="headingSm" as="h3">Flagged edits</Text>
+        {conflicts.length === 0 ? (
+          <Text variant="bodySm" as="p" tone="subdued">No edits wait for review.</Text>
+        ) : (
+          <DataTable
+            columnContentTypes={['text', 'text', 'text', 'text', 'text', 'text', 'text']}
+            headings={['SKU', 'Field', 'Last pushed', 'Shopify now', 'inFlow', 'Found', '']}
+            rows={rows}
+          />
+        )}
+      </BlockStack>
+    </Card>
+  )
+}
+
+export default ShopifyEdits
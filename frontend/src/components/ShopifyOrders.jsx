@@ -0,0 +1,245 @@
+import { useState, useEffect } from 'react'
+import {
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Badge,
+  Button,
+  Checkbox,
+  Select,
+  TextField,
+  DataTable,
+  Banner,
+  Divider
+} from '@shopify/polaris';
+import { apiRequest } from '../api'
+
+const STATUS_TONES = {
+  review: 'warning',
+  failed: 'critical'
+}
+
+const formatDate = (value) => value ? new Date(value).toLocaleString() : '-'
+
+// Shopify orders imported into inFlow as sales orders, and the queue of orders that need a look
+function ShopifyOrders() {
+  const [enabled, setEnabled] = useState(false)
+  const [orderNumberPrefix, setOrderNumberPrefix] = useState('SH-')
+  const [inflowLocationId, setInflowLocationId] = useState('')
+  const [pollMinutes, setPollMinutes] = useState('15')
+  const [locations, setLocations] = useState([])
+  const [poll, setPoll] = useState(null)
+  const [queue, setQueue] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [polling, setPolling] = useState(false)
+  const [busyOrderId, setBusyOrderId] = useState(null)
+  const [error, setError] = useState(null)
+  const [savedAt, setSavedAt] = useState(null)
+
+  useEffect(() => {
+    fetchSettings()
+    fetchQueue()
+  }, [])
+
+  const applySettings = (settings) => {
+    setEnabled(settings.enabled)
+    setOrderNumberPrefix(settings.orderNumberPrefix)
+    setInflowLocationId(settings.inflowLocationId || '')
+    setPollMinutes(String(settings.pollMinutes))
+    setSavedAt(settings.updatedAt)
+  }
+
+  const fetchSettings = async () => {
+    setLoading(true)
+    try {
+      const data = await apiRequest('/api/order-import')
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to load order import settings')
+      }
+      setLocations(data.inflowLocations)
+      setPoll(data.poll)
+      applySettings(data.settings)
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchQueue = async () => {
+    try {
+      const data = await apiRequest('/api/order-import/orders?status=review,failed')
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to load the review queue')
+      }
+      setQueue(data.orders)
+    } catch (error) {
+      setError(error.message)
+    }
+  }
+
+  const saveSettings = async () => {
+    setSaving(true)
+    setError(null)
+    try {
+      const data = await apiRequest('/api/order-import', {
+        method: 'PUT',
+        body: { enabled, orderNumberPrefix, inflowLocationId: inflowLocationId || null, pollMinutes: Number(pollMinutes) }
+      })
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to save order import settings')
+      }
+      applySettings(data.settings)
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const pollNow = async () => {
+    setPolling(true)
+    setError(null)
+    try {
+      const data = await apiRequest('/api/order-import/poll', { method: 'POST' })
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to check for orders')
+      }
+      if (data.result.skipped) {
+        setError(data.result.skipped)
+      }
+      if (data.poll) setPoll(data.poll)
+      fetchQueue()
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setPolling(false)
+    }
+  }
+
+  const orderAction = async (order, action) => {
+    if (action === 'dismiss' && !confirm(`Remove ${order.name} from the queue without importing it?`)) return
+
+    setBusyOrderId(order.shopifyOrderId)
+    setError(null)
+    try {
+      const data = await apiRequest(`/api/order-import/orders/${order.shopifyOrderId}/${action}`, { method: 'POST' })
+      if (!data.success) {
+        throw new Error(data.error || `Failed to ${action} ${order.name}`)
+      }
+      if (data.result && data.result.status !== 'imported') {
+        setError(`${order.name}: ${data.result.record?.error || data.result.reason}`)
+      }
+      fetchQueue()
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setBusyOrderId(null)
+    }
+  }
+
+  const rows = queue.map(order => [
+    order.name,
+    formatDate(order.createdAt),
+    order.customer || '-',
+    <BlockStack gap="100">
+      <Badge tone={STATUS_TONES[order.status]}>{order.status === 'review' ? 'Unknown SKUs' : 'Failed'}</Badge>
+      <Text variant="bodySm" as="span" tone="subdued">{order.error}</Text>
+    </BlockStack>,
+    <InlineStack gap="100" wrap={false}>
+      <Button size="slim" onClick={() => orderAction(order, 'retry')} loading={busyOrderId === order.shopifyOrderId}>Retry</Button>
+      <Button size="slim" tone="critical" variant="plain" onClick={() => orderAction(order, 'dismiss')}>Dismiss</Button>
+    </InlineStack>
+  ])
+
+  const lastPoll = poll?.lastPolledAt
+    ? `Last checked ${formatDate(poll.lastPolledAt)}${poll.lastResult ? `: ${poll.lastResult.checked} order(s), ${poll.lastResult.imported} imported` : ''}`
+    : 'Not checked yet'
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="headingMd" as="h2">Shopify Orders</Text>
+          <Button size="slim" onClick={pollNow} loading={polling} disabled={!enabled}>Check for orders now</Button>
+        </InlineStack>
+        <Text variant="bodySm" as="p" tone="subdued">
+          New Shopify orders become inFlow sales orders, with line items matched by SKU. Orders arrive by webhook,
+          and a regular check picks up any the webhook missed. Each order is imported once. Orders with SKUs that are not in inFlow wait below.
+        </Text>
+
+        {error && <Banner tone="critical" onDismiss={() => setError(null)}>{error}</Banner>}
+        {poll?.lastError && <Banner tone="warning">{`Last check failed: ${poll.lastError}`}</Banner>}
+
+        <Checkbox
+          label="Import Shopify orders into inFlow"
+          helpText="Only orders placed after this is switched on are imported"
+          checked={enabled}
+          onChange={setEnabled}
+          disabled={loading}
+        />
+
+        <InlineStack gap="300" wrap={false}>
+          <div style={{ flex: 1 }}>
+            <TextField
+              label="Order number prefix"
+              value={orderNumberPrefix}
+              onChange={setOrderNumberPrefix}
+              helpText="Shopify order 1001 becomes e.g. SH-1001"
+              autoComplete="off"
+            />
+          </div>
+          <div style={{ flex: 2 }}>
+            <Select
+              label="Ship from inFlow location"
+              options={[
+                { label: 'inFlow default', value: '' },
+                ...locations.map(location => ({ label: location.name, value: location.id }))
+              ]}
+              value={inflowLocationId}
+              onChange={setInflowLocationId}
+              disabled={loading}
+            />
+          </div>
+          <div style={{ flex: 1 }}>
+            <TextField
+              label="Check every (minutes)"
+              type="number"
+              min={5}
+              max={1440}
+              value={pollMinutes}
+              onChange={setPollMinutes}
+              autoComplete="off"
+            />
+          </div>
+        </InlineStack>
+
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="bodySm" as="span" tone="subdued">
+            {savedAt ? `Last saved ${new Date(savedAt).toLocaleString()} · ${lastPoll}` : 'Not saved yet'}
+          </Text>
+          <Button variant="primary" onClick={saveSettings} loading={saving} disabled={loading}>
+            Save
+          </Button>
+        </InlineStack>
+
+        <Divider />
+
+        <Text variant="headingSm" as="h3">Review queue</Text>
+        {queue.length === 0 ? (
+          <Text variant="bodySm" as="p" tone="subdued">No orders need a look.</Text>
+        ) : (
+          <DataTable
+            columnContentTypes={['text', 'text', 'text', 'text', 'text']}
+            headings={['Order', 'Placed', 'Customer', 'Problem', '']}
+            rows={rows}
+          />
+        )}
+      </BlockStack>
+    </Card>
+  )
+}
+
+export default ShopifyOrders
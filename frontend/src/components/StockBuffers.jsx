@@ -0,0 +1,156 @@
+import { useState, useEffect } from 'react'
+import {
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Button,
+  TextField,
+  Banner
+} from '@shopify/polaris';
+import { apiRequest } from '../api'
+
+// { name: buffer } ⇄ [{ name, buffer }] for editing as rows
+const toRows = (entries) => Object.entries(entries).map(([name, buffer]) => ({ name, buffer: String(buffer) }))
+const toEntries = (rows) => Object.fromEntries(rows.filter(row => row.name.trim()).map(row => [row.name.trim(), row.buffer]))
+
+// Editable list of name → buffer overrides (per category or per SKU)
+function BufferRows({ title, nameLabel, rows, onChange }) {
+  const updateRow = (index, changes) => onChange(rows.map((row, i) => (i === index ? { ...row, ...changes } : row)))
+
+  return (
+    <BlockStack gap="200">
+      <InlineStack align="space-between" blockAlign="center">
+        <Text variant="headingSm" as="h3">{title}</Text>
+        <Button size="slim" onClick={() => onChange([...rows, { name: '', buffer: '0' }])}>Add</Button>
+      </InlineStack>
+      {rows.map((row, index) => (
+        <InlineStack key={index} gap="200" blockAlign="end" wrap={false}>
+          <div style={{ flex: 2 }}>
+            <TextField
+              label={nameLabel}
+              labelHidden
+              value={row.name}
+              onChange={(name) => updateRow(index, { name })}
+              placeholder={nameLabel}
+              autoComplete="off"
+            />
+          </div>
+          <div style={{ flex: 1 }}>
+            <TextField
+              label="Buffer"
+              labelHidden
+              type="number"
+              min={0}
+              value={row.buffer}
+              onChange={(buffer) => updateRow(index, { buffer })}
+              autoComplete="off"
+            />
+          </div>
+          <Button variant="plain" tone="critical" onClick={() => onChange(rows.filter((_, i) => i !== index))}>
+            Remove
+          </Button>
+        </InlineStack>
+      ))}
+    </BlockStack>
+  )
+}
+
+// Safety stock settings: units held back from Shopify globally, per category and per SKU
+function StockBuffers() {
+  const [globalBuffer, setGlobalBuffer] = useState('0')
+  const [categoryRows, setCategoryRows] = useState([])
+  const [skuRows, setSkuRows] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+  const [savedAt, setSavedAt] = useState(null)
+
+  useEffect(() => {
+    fetchBuffers()
+  }, [])
+
+  const applyBuffers = (buffers) => {
+    setGlobalBuffer(String(buffers.global))
+    setCategoryRows(toRows(buffers.categories))
+    setSkuRows(toRows(buffers.skus))
+    setSavedAt(buffers.updatedAt)
+  }
+
+  const fetchBuffers = async () => {
+    setLoading(true)
+    try {
+      const data = await apiRequest('/api/stock-buffers')
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to load safety stock')
+      }
+      applyBuffers(data.buffers)
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const saveBuffers = async () => {
+    setSaving(true)
+    setError(null)
+    try {
+      const data = await apiRequest('/api/stock-buffers', {
+        method: 'PUT',
+        body: {
+          global: globalBuffer,
+          categories: toEntries(categoryRows),
+          skus: toEntries(skuRows)
+        }
+      })
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to save safety stock')
+      }
+      applyBuffers(data.buffers)
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <Text variant="headingMd" as="h2">Safety Stock</Text>
+        <Text variant="bodySm" as="p" tone="subdued">
+          Shopify gets on hand − reserved for open sales orders − safety buffer, never below 0.
+          A SKU buffer wins over a category buffer, which wins over the default.
+        </Text>
+
+        {error && <Banner tone="critical" onDismiss={() => setError(null)}>{error}</Banner>}
+
+        <div style={{ maxWidth: '200px' }}>
+          <TextField
+            label="Default buffer per product"
+            type="number"
+            min={0}
+            value={globalBuffer}
+            onChange={setGlobalBuffer}
+            autoComplete="off"
+          />
+        </div>
+
+        <BufferRows title="Per category" nameLabel="Category" rows={categoryRows} onChange={setCategoryRows} />
+        <BufferRows title="Per SKU" nameLabel="SKU" rows={skuRows} onChange={setSkuRows} />
+
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="bodySm" as="span" tone="subdued">
+            {savedAt ? `Last saved ${new Date(savedAt).toLocaleString()}` : 'Not saved yet'}
+          </Text>
+          <Button variant="primary" onClick={saveBuffers} loading={saving} disabled={loading}>
+            Save safety stock
+          </Button>
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  )
+}
+
+export default StockBuffers
@@ -10,7 +10,8 @@ import {
   Box,
   Divider,
   Grid,
-  Icon
+  Icon,
+  Checkbox
 } from '@shopify/polaris';
 import {
   ImportIcon,
@@ -19,15 +20,40 @@ import {
   AlertBubbleIcon,
   InventoryIcon
 } from '@shopify/polaris-icons';
+import SyncProgress from './SyncProgress'
+import SyncHistory from './SyncHistory'
+import SchedulePanel from './SchedulePanel'
+import SyncPlan from './SyncPlan'
+import ProductSearch from './ProductSearch'
+import LocationMapping from './LocationMapping'
+import StockBuffers from './StockBuffers'
+import PricingRules from './PricingRules'
+import DiscontinuedProducts from './DiscontinuedProducts'
+import ProductLinks from './ProductLinks'
+import ShopifyEdits from './ShopifyEdits'
+import ShopifyConnection from './ShopifyConnection'
+import ShopifyOrders from './ShopifyOrders'
+import WebhookStatus from './WebhookStatus'
+import FieldMapping from './FieldMapping'
+import { apiRequest, jobEventsUrl } from '../api'
 
-// API Base URL - reads from environment variable, empty string uses Vite proxy in dev
-const API_BASE_URL = import.meta.env.VITE_API_URL || ''
+// Times a closed progress stream is reopened in a row before giving up
+const MAX_STREAM_RECONNECTS = 3
 
 function SyncDashboard() {
   const [isLoading, setIsLoading] = useState(false)
   const [summary, setSummary] = useState(null)
   const [channels, setChannels] = useState([])
   const [channelsLoading, setChannelsLoading] = useState(true)
+  const [jobStatus, setJobStatus] = useState(null)
+  const [progress, setProgress] = useState(null)
+  const [logs, setLogs] = useState([])
+  const [failures, setFailures] = useState([])
+  const [historyVersion, setHistoryVersion] = useState(0)
+  const [plan, setPlan] = useState(null)
+  // Options of the dry run that produced the plan, so "Apply" syncs the same way
+  const [planOptions, setPlanOptions] = useState(null)
+  const [fullResync, setFullResync] = useState(false)
 
   useEffect(() => {
     fetchChannels()
@@ -36,8 +62,7 @@ function SyncDashboard() {
   const fetchChannels = async () => {
     setChannelsLoading(true)
     try {
-      const response = await fetch(`${API_BASE_URL}/api/channels`)
-      const data = await response.json()
+      const data = await apiRequest('/api/channels')
       if (data.success && data.channels) {
         setChannels(data.channels)
       }
@@ -48,36 +73,122 @@ function SyncDashboard() {
     }
   }
 
-  const handleSyncAll = async () => {
-    setIsLoading(true)
-    setSummary(null)
+  // Streams live updates of a sync job and resolves with the final job once it has finished
+  const watchJob = (jobId) => new Promise((resolve, reject) => {
+    let finalJob = null
+    let reconnects = 0
+
+    // Every connection needs a fresh ticket, since a ticket can only be used once
+    const connect = async () => {
+      const source = new EventSource(await jobEventsUrl(jobId))
+
+      // Sent on every (re)connect, so it replaces whatever we had so far
+      source.addEventListener('snapshot', (event) => {
+        reconnects = 0
+        finalJob = JSON.parse(event.data)
+        setJobStatus(finalJob.status)
+        setSummary(finalJob.summary)
+        setProgress(finalJob.progress)
+        setLogs(finalJob.logs)
+        setFailures(finalJob.results.filter(result => result.status === 'failed'))
+      })
+      source.addEventListener('log', (event) => {
+        const line = JSON.parse(event.data)
+        setLogs(previous => [...previous, line])
+      })
+      source.addEventListener('progress', (event) => {
+        setProgress(JSON.parse(event.data))
+      })
+      source.addEventListener('result', (event) => {
+        const result = JSON.parse(event.data)
+        if (result.status === 'failed') {
+          setFailures(previous => [...previous, result])
+        }
+      })
+      source.addEventListener('status', (event) => {
+        const update = JSON.parse(event.data)
+        finalJob = { ...finalJob, ...update }
+        setJobStatus(update.status)
+        setSummary(update.summary)
+      })
+      source.addEventListener('done', () => {
+        source.close()
+        resolve(finalJob)
+      })
+      source.onerror = () => {
+        // EventSource would reconnect with the same, already used ticket, so reconnect by hand
+        source.close()
+        if (reconnects < MAX_STREAM_RECONNECTS) {
+          reconnects++
+          connect().catch(reject)
+          return
+        }
+        reject(new Error('Lost connection to the sync progress stream'))
+      }
+    }
 
+    connect().catch(reject)
+  })
+
+  // Options for a sync with the current channels and checkbox
+  const currentSyncOptions = () => {
     const allChannelIds = channels.map(c => c.id)
+    return {
+      channelIds: allChannelIds.length > 0 ? allChannelIds : null,
+      fullResync
+    }
+  }
+
+  // Starts a sync job (or a dry run that only plans changes) and follows it until it finishes
+  const runSync = async ({ dryRun = false, options = currentSyncOptions() } = {}) => {
+    setIsLoading(true)
+    setPlan(null)
+    setPlanOptions(null)
+    setSummary(null)
+    setJobStatus(null)
+    setProgress(null)
+    setLogs([])
+    setFailures([])
 
     try {
-      const response = await fetch(`${API_BASE_URL}/api/sync/start`, {
+      const data = await apiRequest('/api/sync/start', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          channelIds: allChannelIds.length > 0 ? allChannelIds : null
-        })
+        body: { ...options, dryRun }
       })
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to start sync')
+      }
+
+      setJobStatus(data.status)
+      const job = await watchJob(data.jobId)
+
+      // The plan is complete only once the job has finished
+      if (dryRun && job.status === 'succeeded') {
+        const finished = await apiRequest(`/api/sync/jobs/${data.jobId}`)
+        setPlan(finished.job?.plan || [])
+        setPlanOptions(options)
+      }
 
-      const data = await response.json()
-      setSummary(data.summary)
-      
       // Show alert if there were failures
-      if (data.summary?.failed > 0) {
-        alert(`Sync completed with ${data.summary.failed} error(s). Check the logs for details.`)
+      if (job.status === 'failed') {
+        alert(`Sync failed: ${job.error}`)
+      } else if (job.summary?.failed > 0) {
+        alert(`Sync completed with ${job.summary.failed} error(s). Check the logs for details.`)
       }
     } catch (error) {
       setSummary({ total: 0, created: 0, updated: 0, failed: 1, error: error.message })
       alert(`Sync failed: ${error.message}`)
     } finally {
       setIsLoading(false)
+      setHistoryVersion(version => version + 1)
     }
   }
 
+  const handleSyncAll = () => runSync()
+  const handlePreview = () => runSync({ dryRun: true })
+  // Runs the sync again with the dry run's options; inFlow and Shopify are read again, so the changes are recomputed
+  const handleApplyPlan = () => runSync({ options: planOptions })
+
   const SummaryBox = ({ icon, label, value, color }) => (
     <Box
       padding="300"
@@ -114,68 +225,150 @@ function SyncDashboard() {
         padding: '20px'
       }}>
         <div style={{ width: '100%', maxWidth: '750px' }}>
-          <Card padding="600">
-            <BlockStack gap="600" align="center">
-              {/* Heading */}
-              <Text variant="headingXl" as="h1" alignment="center">
-                Sync Products from InFlow
-              </Text>
-
-              {/* Primary Action */}
-              <InlineStack align="center">
-                <div style={{ height: '60px', width: '250px' }}>
+          <BlockStack gap="400">
+            {/* Install or re-authorize prompt, only when needed */}
+            <ShopifyConnection />
+
+            <Card padding="600">
+              <BlockStack gap="600" align="center">
+                {/* Heading */}
+                <Text variant="headingXl" as="h1" alignment="center">
+                  Sync Products from InFlow
+                </Text>
+
+                {/* Primary Action */}
+                <InlineStack align="center">
+                  <div style={{ height: '60px', width: '250px' }}>
+                    <Button
+                      fullWidth
+                      size="large"
+                      variant="primary"
+                      onClick={handleSyncAll}
+                      loading={isLoading}
+                      disabled={channelsLoading}
+                    >
+                      <span style={{ fontSize: '18px' }}>
+                        {channelsLoading ? 'Loading...' : 'Sync Products'}
+                      </span>
+                    </Button>
+                  </div>
+                </InlineStack>
+                <InlineStack align="center" gap="400" blockAlign="center">
+                  <Checkbox
+                    label="Full resync (ignore last sync time)"
+                    checked={fullResync}
+                    onChange={setFullResync}
+                    disabled={isLoading}
+                  />
                   <Button
-                    fullWidth
-                    size="large"
-                    variant="primary"
-                    onClick={handleSyncAll}
-                    loading={isLoading}
-                    disabled={channelsLoading}
+                    variant="plain"
+                    onClick={handlePreview}
+                    disabled={isLoading || channelsLoading}
                   >
-                    <span style={{ fontSize: '18px' }}>
-                      {channelsLoading ? 'Loading...' : 'Sync Products'}
-                    </span>
+                    Preview changes (dry run)
                   </Button>
-                </div>
-              </InlineStack>
-
-              {/* Results Grid */}
-              <Grid columns={{ xs: 1, sm: 2, md: 4, lg: 4 }} gap="300">
-                <Grid.Cell>
-                  <SummaryBox
-                    icon={InventoryIcon}
-                    label="Total Products"
-                    value={summary?.total}
-                    color="base"
-                  />
-                </Grid.Cell>
-                <Grid.Cell>
-                  <SummaryBox
-                    icon={PlusIcon}
-                    label="Created"
-                    value={summary?.created}
-                    color="success"
-                  />
-                </Grid.Cell>
-                <Grid.Cell>
-                  <SummaryBox
-                    icon={RefreshIcon}
-                    label="Updated"
-                    value={summary?.updated}
-                    color="info"
-                  />
-                </Grid.Cell>
-                <Grid.Cell>
-                  <SummaryBox
-                    icon={AlertBubbleIcon}
-                    label="Failed"
-                    value={summary?.failed}
-                    color="critical"
-                  />
-                </Grid.Cell>
-              </Grid>
-            </BlockStack>
-          </Card>
+                </InlineStack>
+
+                {/* Results Grid */}
+                <Grid columns={{ xs: 1, sm: 2, md: 4, lg: 4 }} gap="300">
+                  <Grid.Cell>
+                    <SummaryBox
+                      icon={InventoryIcon}
+                      label="Total Products"
+                      value={summary?.total}
+                      color="base"
+                    />
+                  </Grid.Cell>
+                  <Grid.Cell>
+                    <SummaryBox
+                      icon={PlusIcon}
+                      label="Created"
+                      value={summary?.created}
+                      color="success"
+                    />
+                  </Grid.Cell>
+                  <Grid.Cell>
+                    <SummaryBox
+                      icon={RefreshIcon}
+                      label="Updated"
+                      value={summary?.updated}
+                      color="info"
+                    />
+                  </Grid.Cell>
+                  <Grid.Cell>
+                    <SummaryBox
+                      icon={AlertBubbleIcon}
+                      label="Failed"
+                      value={summary?.failed}
+                      color="critical"
+                    />
+                  </Grid.Cell>
+                </Grid>
+
+                {/* Dry-run plan */}
+                {plan && (
+                  <>
+                    <Divider />
+                    <SyncPlan
+                      plan={plan}
+                      onApply={handleApplyPlan}
+                      onDismiss={() => setPlan(null)}
+                      applying={isLoading}
+                    />
+                  </>
+                )}
+
+                {/* Live progress and logs */}
+                {jobStatus && (
+                  <>
+                    <Divider />
+                    <SyncProgress
+                      status={jobStatus}
+                      progress={progress}
+                      logs={logs}
+                      failures={failures}
+                    />
+                  </>
+                )}
+              </BlockStack>
+            </Card>
+
+            {/* Single product sync */}
+            <ProductSearch channels={channels} />
+
+            {/* Automatic syncs */}
+            <SchedulePanel channels={channels} />
+
+            {/* Shopify orders → inFlow sales orders, and the review queue */}
+            <ShopifyOrders />
+
+            {/* inFlow → Shopify stock locations */}
+            <LocationMapping />
+
+            {/* Safety stock held back from Shopify */}
+            <StockBuffers />
+
+            {/* inFlow price schemes and markup rules */}
+            <PricingRules />
+
+            {/* What happens to products discontinued in inFlow */}
+            <DiscontinuedProducts />
+
+            {/* inFlow product → Shopify variant links and SKU conflicts */}
+            <ProductLinks />
+
+            {/* Fields edited in Shopify and the queue of flagged edits */}
+            <ShopifyEdits />
+
+            {/* Which inFlow attribute fills each Shopify field */}
+            <FieldMapping />
+
+            {/* Shopify webhook subscriptions and failed deliveries */}
+            <WebhookStatus />
+
+            {/* Past runs */}
+            <SyncHistory refreshKey={historyVersion} />
+          </BlockStack>
         </div>
       </div>
     </Page>
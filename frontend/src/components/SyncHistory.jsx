@@ -0,0 +1,167 @@
+import { useState, useEffect } from 'react'
+import {
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Badge,
+  Button,
+  DataTable,
+  Modal,
+  Spinner,
+  Box
+} from '@shopify/polaris';
+import LogPanel from './LogPanel'
+import { STATUS_TONES, FailedSkuList } from './SyncProgress'
+import { apiRequest } from '../api'
+
+const formatDate = (value) => value ? new Date(value).toLocaleString() : '-'
+
+const formatDuration = (startedAt, finishedAt) => {
+  if (!startedAt || !finishedAt) return '-'
+  const seconds = Math.round((new Date(finishedAt) - new Date(startedAt)) / 1000)
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`
+}
+
+// Updated SKUs of a run with the fields that changed and the parts written to Shopify
+function UpdatedSkuList({ updates }) {
+  if (updates.length === 0) return null
+
+  return (
+    <Box padding="300" background="bg-surface-secondary" borderRadius="200">
+      <BlockStack gap="100">
+        <Text variant="headingSm" as="h3">
+          Updated SKUs ({updates.length})
+        </Text>
+        {updates.map((update, index) => (
+          <Text key={`${update.sku}-${index}`} variant="bodySm" as="p">
+            <b>{update.sku}</b>: {(update.changedFields || []).join(', ')}
+            {update.updatedParts?.length > 0 && <Text as="span" tone="subdued"> ({update.updatedParts.join(', ')})</Text>}
+          </Text>
+        ))}
+      </BlockStack>
+    </Box>
+  )
+}
+
+// Table of past sync runs; a run can be opened to read its logs, failures and changed fields
+function SyncHistory({ refreshKey }) {
+  const [runs, setRuns] = useState([])
+  const [runsLoading, setRunsLoading] = useState(true)
+  const [selectedRun, setSelectedRun] = useState(null)
+  const [runLoading, setRunLoading] = useState(false)
+
+  useEffect(() => {
+    fetchRuns()
+  }, [refreshKey])
+
+  const fetchRuns = async () => {
+    setRunsLoading(true)
+    try {
+      const data = await apiRequest('/api/sync/runs')
+      if (data.success) {
+        setRuns(data.runs)
+      }
+    } catch (error) {
+      console.error('Failed to fetch sync history:', error)
+    } finally {
+      setRunsLoading(false)
+    }
+  }
+
+  const openRun = async (id) => {
+    setRunLoading(true)
+    setSelectedRun({ id })
+    try {
+      const data = await apiRequest(`/api/sync/runs/${id}`)
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to load sync run')
+      }
+      setSelectedRun(data.run)
+    } catch (error) {
+      setSelectedRun(null)
+      alert(`Could not open run: ${error.message}`)
+    } finally {
+      setRunLoading(false)
+    }
+  }
+
+  const rows = runs.map(run => [
+    formatDate(run.startedAt),
+    run.options?.dryRun ? `${run.trigger} (dry run)` : run.trigger,
+    run.mode || '-',
+    <Badge tone={STATUS_TONES[run.status]}>{run.status}</Badge>,
+    run.summary?.total ?? '-',
+    run.summary?.created ?? '-',
+    run.summary?.updated ?? '-',
+    run.summary?.failed ?? '-',
+    formatDuration(run.startedAt, run.finishedAt),
+    <Button size="slim" onClick={() => openRun(run.id)}>View</Button>
+  ])
+
+  const failures = selectedRun?.results?.filter(result => result.status === 'failed') || []
+  const updates = selectedRun?.results?.filter(result => result.status === 'updated' && result.changedFields) || []
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="headingMd" as="h2">Sync History</Text>
+          <Button size="slim" onClick={fetchRuns} loading={runsLoading}>Refresh</Button>
+        </InlineStack>
+
+        {runs.length === 0 ? (
+          <Text variant="bodySm" as="p" tone="subdued">
+            {runsLoading ? 'Loading...' : 'No sync runs yet.'}
+          </Text>
+        ) : (
+          <DataTable
+            columnContentTypes={['text', 'text', 'text', 'text', 'numeric', 'numeric', 'numeric', 'numeric', 'text', 'text']}
+            headings={['Started', 'Trigger', 'Mode', 'Status', 'Total', 'Created', 'Updated', 'Failed', 'Duration', '']}
+            rows={rows}
+          />
+        )}
+      </BlockStack>
+
+      <Modal
+        open={Boolean(selectedRun)}
+        onClose={() => setSelectedRun(null)}
+        title={`Sync run ${formatDate(selectedRun?.startedAt)}`}
+        large
+      >
+        <Modal.Section>
+          {runLoading ? (
+            <InlineStack align="center">
+              <Spinner size="large" />
+            </InlineStack>
+          ) : selectedRun && (
+            <BlockStack gap="300">
+              <InlineStack gap="200" blockAlign="center">
+                <Badge tone={STATUS_TONES[selectedRun.status]}>{selectedRun.status}</Badge>
+                <Text variant="bodySm" as="span" tone="subdued">
+                  {selectedRun.trigger} · {selectedRun.mode || 'unknown'} sync · {selectedRun.channelIds?.length || 0} channel(s) · {formatDuration(selectedRun.startedAt, selectedRun.finishedAt)}
+                </Text>
+              </InlineStack>
+              {selectedRun.error && (
+                <Text variant="bodyMd" as="p" tone="critical">{selectedRun.error}</Text>
+              )}
+              <Text variant="bodyMd" as="p">
+                Total {selectedRun.summary?.total} · Created {selectedRun.summary?.created} · Updated {selectedRun.summary?.updated} · Unchanged {selectedRun.summary?.unchanged} · Retired {selectedRun.summary?.retired ?? 0} · Failed {selectedRun.summary?.failed}
+              </Text>
+              {selectedRun.summary?.retirementAborted && (
+                <Text variant="bodyMd" as="p" tone="critical">
+                  Retiring discontinued products was aborted: too large a share of the catalog would have been retired.
+                </Text>
+              )}
+              <FailedSkuList failures={failures} />
+              <UpdatedSkuList updates={updates} />
+              <LogPanel logs={selectedRun.logs || []} maxHeight="400px" />
+            </BlockStack>
+          )}
+        </Modal.Section>
+      </Modal>
+    </Card>
+  )
+}
+
+export default SyncHistory
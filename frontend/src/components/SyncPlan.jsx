@@ -0,0 +1,105 @@
+import { useState } from 'react'
+import {
+  BlockStack,
+  InlineStack,
+  Text,
+  Badge,
+  Button,
+  Checkbox,
+  DataTable
+} from '@shopify/polaris';
+
+const ACTION_TONES = {
+  create: 'success',
+  update: 'info',
+  unchanged: undefined,
+  retire: 'warning',
+  failed: 'critical'
+}
+
+const formatValue = (value) => value === null || value === undefined || value === '' ? '—' : String(value)
+
+// "10 on hand − 2 reserved − 1 buffer (global) = 7 to sell"
+export const formatStockBreakdown = ({ onHand, reserved, buffer, bufferSource, available }) =>
+  `${onHand} on hand − ${reserved} reserved − ${buffer} buffer (${bufferSource}) = ${available} to sell`
+
+// "global rule: Retail 10.00, +25% → 12.50, rounded to .99 → 12.99"
+const formatPricing = ({ rule, steps }) => `${rule} rule: ${steps.join(', ')}`
+
+// Reviewable table of the changes a dry run would make, with a button to run the same sync for real
+function SyncPlan({ plan, onApply, onDismiss, applying }) {
+  const [showUnchanged, setShowUnchanged] = useState(false)
+
+  const counts = plan.reduce((totals, entry) => {
+    totals[entry.action] = (totals[entry.action] || 0) + 1
+    return totals
+  }, {})
+
+  const visible = showUnchanged ? plan : plan.filter(entry => entry.action !== 'unchanged')
+
+  const rows = visible.map(entry => [
+    entry.sku || '-',
+    entry.group ? `${entry.name || entry.sku} (variant of ${entry.group})` : (entry.name || '-'),
+    <Badge tone={ACTION_TONES[entry.action]}>{entry.action}</Badge>,
+    entry.error ? (
+      <Text as="span" tone="critical">{entry.error}</Text>
+    ) : (
+      <BlockStack gap="050">
+        {entry.changes.map(change => (
+          <Text key={change.field} as="span" variant="bodySm">
+            <b>{change.field}</b>: {formatValue(change.before)} → {formatValue(change.after)}
+          </Text>
+        ))}
+        {entry.pricing && entry.changes.some(change => change.field === 'price') && (
+          <Text as="span" variant="bodySm" tone="subdued">{formatPricing(entry.pricing)}</Text>
+        )}
+        {entry.stockBreakdown && entry.changes.some(change => change.field.startsWith('stock')) && (
+          <Text as="span" variant="bodySm" tone="subdued">{formatStockBreakdown(entry.stockBreakdown)}</Text>
+        )}
+      </BlockStack>
+    )
+  ])
+
+  const pending = (counts.create || 0) + (counts.update || 0) + (counts.retire || 0)
+
+  return (
+    <BlockStack gap="300">
+      <InlineStack align="space-between" blockAlign="center">
+        <Text variant="headingMd" as="h2">Planned Changes</Text>
+        <InlineStack gap="200">
+          <Button onClick={onDismiss} disabled={applying}>Dismiss</Button>
+          <Button variant="primary" onClick={onApply} loading={applying} disabled={pending === 0}>
+            Apply
+          </Button>
+        </InlineStack>
+      </InlineStack>
+
+      <Text variant="bodySm" as="p" tone="subdued">
+        {counts.create || 0} to create · {counts.update || 0} to update · {counts.retire || 0} to retire · {counts.unchanged || 0} unchanged · {counts.failed || 0} failed
+      </Text>
+
+      <Text variant="bodySm" as="p" tone="subdued">
+        Apply runs the sync again with the same options. It reads inFlow and Shopify again, so anything changed since this preview is included.
+      </Text>
+
+      <Checkbox
+        label="Show unchanged products"
+        checked={showUnchanged}
+        onChange={setShowUnchanged}
+      />
+
+      {rows.length === 0 ? (
+        <Text variant="bodySm" as="p" tone="subdued">Shopify is already up to date.</Text>
+      ) : (
+        <DataTable
+          columnContentTypes={['text', 'text', 'text', 'text']}
+          headings={['SKU', 'Name', 'Action', 'Changes']}
+          rows={rows}
+          verticalAlign="top"
+        />
+      )}
+    </BlockStack>
+  )
+}
+
+export default SyncPlan
@@ -0,0 +1,66 @@
+import {
+  BlockStack,
+  InlineStack,
+  Box,
+  Text,
+  Badge,
+  ProgressBar
+} from '@shopify/polaris';
+import LogPanel from './LogPanel'
+
+export const STATUS_TONES = {
+  queued: 'info',
+  running: 'attention',
+  succeeded: 'success',
+  failed: 'critical',
+  cancelled: undefined
+}
+
+// Lists the SKUs that failed in a sync with their error messages
+export function FailedSkuList({ failures }) {
+  if (failures.length === 0) return null
+
+  return (
+    <Box padding="300" background="bg-surface-critical" borderRadius="200">
+      <BlockStack gap="100">
+        <Text variant="headingSm" as="h3" tone="critical">
+          Failed SKUs ({failures.length})
+        </Text>
+        {failures.map((failure, index) => (
+          <Text key={`${failure.sku}-${index}`} variant="bodySm" as="p">
+            <b>{failure.sku || 'Unknown SKU'}</b>: {failure.error}
+          </Text>
+        ))}
+      </BlockStack>
+    </Box>
+  )
+}
+
+// Live view of a running sync: batch progress, failing SKUs and the log stream
+function SyncProgress({ status, progress, logs, failures }) {
+  const percent = progress?.total > 0
+    ? Math.round((progress.processed / progress.total) * 100)
+    : 0
+
+  return (
+    <BlockStack gap="300">
+      <InlineStack align="space-between" blockAlign="center">
+        <Text variant="headingMd" as="h2">Sync Progress</Text>
+        {status && <Badge tone={STATUS_TONES[status]}>{status}</Badge>}
+      </InlineStack>
+
+      <ProgressBar progress={percent} size="small" tone="primary" />
+      <Text variant="bodySm" as="p" tone="subdued">
+        {progress?.totalBatches > 0
+          ? `Batch ${progress.batch}/${progress.totalBatches} · ${progress.processed}/${progress.total} products`
+          : 'Waiting for products...'}
+      </Text>
+
+      <FailedSkuList failures={failures} />
+
+      <LogPanel logs={logs} />
+    </BlockStack>
+  )
+}
+
+export default SyncProgress
@@ -0,0 +1,169 @@
+import { useState, useEffect } from 'react'
+import {
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Badge,
+  Button,
+  DataTable,
+  Banner,
+  Divider
+} from '@shopify/polaris';
+import { apiRequest } from '../api'
+
+const formatDate = (value) => value ? new Date(value).toLocaleString() : '-'
+
+// Shopify webhook subscriptions, and deliveries whose handler failed so they can be replayed
+function WebhookStatus() {
+  const [subscriptions, setSubscriptions] = useState([])
+  const [failures, setFailures] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [registering, setRegistering] = useState(false)
+  const [busyId, setBusyId] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    fetchSubscriptions()
+    fetchFailures()
+  }, [])
+
+  const fetchSubscriptions = async () => {
+    setLoading(true)
+    try {
+      const data = await apiRequest('/api/webhooks/subscriptions')
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to load webhook subscriptions')
+      }
+      setSubscriptions(data.subscriptions)
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchFailures = async () => {
+    try {
+      const data = await apiRequest('/api/webhook-failures')
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to load failed webhooks')
+      }
+      setFailures(data.failures)
+    } catch (error) {
+      setError(error.message)
+    }
+  }
+
+  const registerSubscriptions = async () => {
+    setRegistering(true)
+    setError(null)
+    try {
+      const data = await apiRequest('/api/webhooks/subscriptions', { method: 'POST' })
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to register webhooks')
+      }
+      setSubscriptions(data.subscriptions)
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setRegistering(false)
+    }
+  }
+
+  const replayFailure = async (failure) => {
+    setBusyId(failure.id)
+    setError(null)
+    try {
+      const data = await apiRequest(`/api/webhook-failures/${failure.id}/replay`, { method: 'POST' })
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to replay webhook')
+      }
+      if (!data.succeeded) {
+        setError(`${failure.topic} failed again: ${data.failure.error}`)
+      }
+      fetchFailures()
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const deleteFailure = async (failure) => {
+    if (!confirm(`Delete the failed ${failure.topic} delivery without replaying it?`)) return
+
+    try {
+      const data = await apiRequest(`/api/webhook-failures/${failure.id}`, { method: 'DELETE' })
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to delete webhook')
+      }
+      fetchFailures()
+    } catch (error) {
+      setError(error.message)
+    }
+  }
+
+  const missing = subscriptions.filter(subscription => !subscription.subscribed).length
+
+  const subscriptionRows = subscriptions.map(subscription => [
+    <code>{subscription.topic}</code>,
+    <Badge tone={subscription.subscribed ? 'success' : 'warning'}>{subscription.subscribed ? 'Subscribed' : 'Not subscribed'}</Badge>,
+    subscription.callbackUrl || subscription.expectedUrl || '-'
+  ])
+
+  const failureRows = failures.map(failure => [
+    <code>{failure.topic}</code>,
+    formatDate(failure.receivedAt),
+    <Text variant="bodySm" as="span" tone="critical">{failure.error}</Text>,
+    failure.attempts,
+    <InlineStack gap="100" wrap={false}>
+      <Button size="slim" onClick={() => replayFailure(failure)} loading={busyId === failure.id}>Replay</Button>
+      <Button size="slim" tone="critical" variant="plain" onClick={() => deleteFailure(failure)}>Delete</Button>
+    </InlineStack>
+  ])
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="headingMd" as="h2">Webhooks</Text>
+          <Button size="slim" onClick={registerSubscriptions} loading={registering} disabled={loading || missing === 0}>
+            Register missing
+          </Button>
+        </InlineStack>
+        <Text variant="bodySm" as="p" tone="subdued">
+          Shopify tells the app about uninstalls, product and stock changes and new orders. Apps deployed with the Shopify CLI
+          subscribe through the app configuration; otherwise register the subscriptions here.
+        </Text>
+
+        {error && <Banner tone="critical" onDismiss={() => setError(null)}>{error}</Banner>}
+
+        {subscriptions.length === 0 ? (
+          <Text variant="bodySm" as="p" tone="subdued">{loading ? 'Loading...' : 'No subscriptions found.'}</Text>
+        ) : (
+          <DataTable
+            columnContentTypes={['text', 'text', 'text']}
+            headings={['Topic', 'Status', 'Delivered to']}
+            rows={subscriptionRows}
+          />
+        )}
+
+        <Divider />
+
+        <Text variant="headingSm" as="h3">Failed deliveries</Text>
+        {failures.length === 0 ? (
+          <Text variant="bodySm" as="p" tone="subdued">Every webhook was handled.</Text>
+        ) : (
+          <DataTable
+            columnContentTypes={['text', 'text', 'text', 'numeric', 'text']}
+            headings={['Topic', 'Received', 'Error', 'Attempts', '']}
+            rows={failureRows}
+          />
+        )}
+      </BlockStack>
+    </Card>
+  )
+}
+
+export default WebhookStatus